@@ -2,13 +2,80 @@ import React, { useEffect, useMemo, useRef, useState, useCallback } from "react"
 
 import "./App.css";
 import axios from "axios";
+import { buildPreviewDoc, highlightInFrame, partialPreview, sitePageFiles } from "./lib/site.js";
+import { attachEditor, attachSectionPicker, serializeDocument } from "./lib/editor.js";
+import { STORAGE_KEYS, safeLocalStorage } from "./lib/storage.js";
+import { resolveTokens, tokensStyleTag } from "./lib/tokens.js";
+import { defaultSpec, parseSpec } from "../../shared/spec-schema.js";
+import { socialTags } from "../../shared/seo.js";
+import useProjectHistory from "./lib/useProjectHistory.js";
+import RefinePanel from "./components/RefinePanel.jsx";
+import CompareView from "./components/CompareView.jsx";
+import A11yReport from "./components/A11yReport.jsx";
+import SharePanel from "./components/SharePanel.jsx";
+import TokenPanel from "./components/TokenPanel.jsx";
+import RedesignPanel from "./components/RedesignPanel.jsx";
+import FormInbox from "./components/FormInbox.jsx";
+import SeoPanel from "./components/SeoPanel.jsx";
+import VariantGrid from "./components/VariantGrid.jsx";
+import DeviceToolbar from "./components/DeviceToolbar.jsx";
+import DeviceStage from "./components/DeviceStage.jsx";
+import OverflowReport from "./components/OverflowReport.jsx";
+import FieldErrors from "./components/FieldErrors.jsx";
+import { CHECKED_DEVICES, checkOverflow, viewportSize } from "./lib/devices.js";
 
+const API_BASE = import.meta.env.VITE_API_URL || "http://localhost:5000";
 
 const api = axios.create({
-  baseURL: import.meta.env.VITE_API_URL || "http://localhost:5000",
+  baseURL: API_BASE,
 });
 
-const DEFAULT_PAGES = ["Home", "About", "Services", "Blog", "Contact", "FAQ", "Pricing"];
+// The client API key (if any) is read per request so a freshly pasted key
+// applies immediately.
+const authHeaders = () => {
+  const key = safeLocalStorage.getItem(STORAGE_KEYS.apiKey);
+  return key ? { Authorization: `Bearer ${key}` } : {};
+};
+
+api.interceptors.request.use((config) => {
+  Object.assign(config.headers, authHeaders());
+  return config;
+});
+
+const JOB_POLL_MS = 1000;
+const UNDO_LIMIT = 50;
+const FINISHED_JOB = new Set(["done", "failed", "cancelled"]);
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Axios errors carry the status and body on `response`; flatten them so
+// callers can treat every request failure alike.
+function requestError(err) {
+  if (!err.response) return err;
+  return Object.assign(new Error(err.response.data?.error || err.message), {
+    status: err.response.status,
+    retryAfter: Number(err.response.headers?.["retry-after"]) || err.response.data?.retryAfter || null,
+    data: err.response.data,
+  });
+}
+
+function formatWait(seconds) {
+  if (!seconds) return "a moment";
+  if (seconds < 90) return `${seconds}s`;
+  if (seconds < 5400) return `${Math.round(seconds / 60)} min`;
+  return `${Math.round(seconds / 3600)} h`;
+}
+
+// 401/429 from the metering layer: explain instead of falling back to the
+// demo preview, which would hide the problem.
+function limitMessage(err) {
+  if (err?.status === 401) return `API key rejected: ${err.message}`;
+  if (err?.status === 429) return `${err.message}. Try again in ${formatWait(err.retryAfter)}.`;
+  return null;
+}
+
+// A 400 from spec validation lists the offending fields in `details`.
+const specDetails = (err) => (err?.status === 400 && Array.isArray(err.data?.details) ? err.data.details : null);
 
 const DEFAULT_TEMPLATES = [
   { id: "clean-landing", name: "Clean Landing", tagline: "Minimal hero + feature grid" },
@@ -17,34 +84,12 @@ const DEFAULT_TEMPLATES = [
   { id: "saas", name: "SaaS", tagline: "Pricing tiers + CTA" },
 ];
 
-const emptySpec = {
-  projectName: "Untitled Project",
-  brief: "",
-  provider: "chatgpt",
-  apiKeyAlias: "",
-  templateId: DEFAULT_TEMPLATES[0].id,
-  layout: "landing",
-  style: "minimal",
-  theme: "light",
-  primaryColor: "#2f6feb",
-  pages: DEFAULT_PAGES,
-  include: {
-    cms: false,
-    auth: false,
-    contactForm: true,
-    newsletter: true,
-    analytics: true,
-    imageGen: false,
-  },
-  seo: { title: "", description: "", keywords: "" },
-  tone: "neutral",
-};
+// How many results "Generate variants" asks for (the server caps it with
+// VARIANTS_MAX).
+const VARIANT_COUNT = 3;
 
-const STORAGE_KEYS = {
-  spec: "aiwm/spec",
-  history: "aiwm/history",
-  theme: "aiwm/theme",
-};
+const emptySpec = defaultSpec();
+const DEFAULT_PAGES = emptySpec.pages;
 
 function kebab(str) {
   return (str || "").toLowerCase().replace(/[^a-z0-9]+/g, "-").replace(/(^-|-$)/g, "");
@@ -57,56 +102,14 @@ function escapeHtml(s) {
     .replaceAll('"', "&quot;")
     .replaceAll("'", "&#39;");
 }
-const safeLocalStorage = {
-  getItem: (key) => {
-    try {
-      return localStorage.getItem(key);
-    } catch (err) {
-      console.error("localStorage.getItem failed:", err);
-      return null;
-    }
-  },
-  setItem: (key, value) => {
-    try {
-      localStorage.setItem(key, value);
-    } catch (err) {
-      console.error("localStorage.setItem failed:", err);
-    }
-  },
-  removeItem: (key) => {
-    try {
-      localStorage.removeItem(key);
-    } catch (err) {
-      console.error("localStorage.removeItem failed:", err);
-    }
-  },
-};
-const safeId = () =>
-  typeof crypto !== "undefined" && crypto.randomUUID
-    ? crypto.randomUUID()
-    : Math.random().toString(36).slice(2);
-
-function adjustColor(color, amount) {
-  try {
-    const clamp = (val) => Math.min(Math.max(val, 0), 255);
-    const num = parseInt(color.replace("#", ""), 16);
-    const r = clamp((num >> 16) + amount);
-    const g = clamp(((num >> 8) & 0x00ff) + amount);
-    const b = clamp((num & 0x0000ff) + amount);
-    return "#" + ((r << 16) | (g << 8) | b).toString(16).padStart(6, "0");
-  } catch {
-    return color;
-  }
-}
-
-function generateMockHTML(spec) {
-  const styleMap = {
-    minimal: { font: "'Inter', sans-serif", bg: "#ffffff", text: "#1a202c", accent: spec.primaryColor || "#6366f1" },
-    corporate: { font: "'Georgia', serif", bg: "#f8f9fa", text: "#2d3748", accent: spec.primaryColor || "#2563eb" },
-    playful: { font: "'Comic Sans MS', cursive", bg: "#fff5f7", text: "#1a1a1a", accent: spec.primaryColor || "#ec4899" },
-  };
-  const style = styleMap[spec.style] || styleMap.minimal;
+// Where a project's generated forms post (server/routes/forms.js).
+const formActionFor = (formToken) =>
+  formToken ? `${API_BASE}/api/forms/${encodeURIComponent(formToken)}` : undefined;
 
+// Offline stand-in for a generation. With a `formAction` (the project's
+// form endpoint) the contact form really posts; otherwise it can't go
+// anywhere and says so.
+function generateMockHTML(spec, { formAction } = {}) {
   return `<!DOCTYPE html>
 <html lang="en">
 <head>
@@ -115,23 +118,29 @@ function generateMockHTML(spec) {
   <title>${escapeHtml(spec.seo.title || spec.projectName)}</title>
   <meta name="description" content="${escapeHtml(spec.seo.description || spec.brief)}"/>
   ${spec.seo.keywords ? `<meta name="keywords" content="${escapeHtml(spec.seo.keywords)}"/>` : ""}
+  ${socialTags(spec).join("\n  ")}
+  ${tokensStyleTag(resolveTokens(spec))}
   <style>
-    *{box-sizing:border-box} body{margin:0;font-family:${style.font};background:${style.bg};color:${style.text};line-height:1.6}
-    .container{max-width:1200px;margin:0 auto;padding:20px}
-    header{background:linear-gradient(135deg, ${style.accent}, ${adjustColor(style.accent, -20)});color:#fff;padding:60px 20px;text-align:center}
-    h1{font-size:3em;margin:0 0 10px}
-    .tagline{font-size:1.2em;opacity:.95}
-    nav{position:sticky;top:0;background:${adjustColor(style.bg,-10)};padding:12px 0;box-shadow:0 2px 10px rgba(0,0,0,0.08);z-index:10}
-    nav ul{list-style:none;display:flex;gap:24px;justify-content:center;margin:0;padding:0;flex-wrap:wrap}
-    nav a{text-decoration:none;color:${style.text};font-weight:600}
-    nav a:hover{color:${style.accent}}
-    .grid{display:grid;grid-template-columns:repeat(auto-fit,minmax(260px,1fr));gap:24px;margin:40px 0}
-    .card{background:#fff;border-radius:14px;padding:20px;border-top:4px solid ${style.accent};box-shadow:0 6px 16px rgba(0,0,0,.08)}
-    .card h3{margin:0 0 8px;color:${style.accent}}
-    .cta{background:${style.accent};color:#fff;border:none;border-radius:999px;padding:12px 24px;font-weight:700;cursor:pointer;text-decoration:none;display:inline-block;margin:10px}
-    .cta:hover{background:${adjustColor(style.accent,-20)}}
-    footer{background:${adjustColor(style.bg,-12)};padding:30px 20px;text-align:center;margin-top:40px;border-top:3px solid ${style.accent}}
-    @media (max-width:768px){h1{font-size:2em}}
+    *{box-sizing:border-box} body{margin:0;font-family:var(--font-body);background:var(--color-bg);color:var(--color-text);line-height:var(--line-height-body)}
+    h1,h2{font-family:var(--font-heading);font-weight:var(--font-weight-heading);line-height:var(--line-height-heading)}
+    .container{max-width:1200px;margin:0 auto;padding:var(--space-5)}
+    header{background:linear-gradient(135deg, var(--color-primary), var(--color-primary-hover));color:var(--color-on-primary);padding:var(--space-8) var(--space-5);text-align:center}
+    h1{font-size:var(--font-size-4xl);margin:0 0 var(--space-3)}
+    .tagline{font-size:var(--font-size-lg);opacity:.95}
+    nav{position:sticky;top:0;background:var(--color-surface);padding:var(--space-3) 0;box-shadow:var(--shadow-md);z-index:10}
+    nav ul{list-style:none;display:flex;gap:var(--space-5);justify-content:center;margin:0;padding:0;flex-wrap:wrap}
+    nav a{text-decoration:none;color:var(--color-text);font-weight:600}
+    nav a:hover{color:var(--color-link)}
+    .grid{display:grid;grid-template-columns:repeat(auto-fit,minmax(260px,1fr));gap:var(--space-5);margin:var(--space-7) 0}
+    .card{background:var(--color-surface);border-radius:var(--radius-lg);padding:var(--space-5);border-top:4px solid var(--color-primary);box-shadow:var(--shadow-md)}
+    .card h2{margin:0 0 var(--space-2);font-size:var(--font-size-lg);color:var(--color-link)}
+    label{display:block;font-weight:600;margin-top:var(--space-2)}
+    input,textarea{width:100%;padding:var(--space-3);border-radius:var(--radius-md);border:1px solid var(--color-border);background:var(--color-bg);color:var(--color-text);margin:var(--space-2) 0}
+    .cta{background:var(--color-accent);color:var(--color-on-accent);border:none;border-radius:var(--radius-pill);padding:var(--space-3) var(--space-5);font-weight:700;cursor:pointer;text-decoration:none;display:inline-block;margin:var(--space-3)}
+    .cta:hover{filter:brightness(0.92)}
+    .cta.alt{background:var(--color-bg);color:var(--color-link)}
+    footer{background:var(--color-surface);padding:var(--space-6) var(--space-5);text-align:center;margin-top:var(--space-7);border-top:3px solid var(--color-primary)}
+    @media (max-width:768px){h1{font-size:var(--font-size-2xl)}}
   </style>
 </head>
 <body>
@@ -140,7 +149,7 @@ function generateMockHTML(spec) {
     <p class="tagline">${escapeHtml(spec.brief || "AI Generated Website")}</p>
     <div style="margin-top:18px">
       <a href="#features" class="cta">Explore Features</a>
-      <a href="#contact" class="cta" style="background:#fff;color:${style.accent}">Get in Touch</a>
+      <a href="#contact" class="cta alt">Get in Touch</a>
     </div>
   </header>
   <nav><ul>${spec.pages.map(p => `<li><a href="#${kebab(p)}">${escapeHtml(p)}</a></li>`).join("")}</ul></nav>
@@ -149,26 +158,32 @@ function generateMockHTML(spec) {
       <div class="grid">
         ${spec.pages.slice(0, 6).map(p => `
           <div class="card">
-            <h3>${escapeHtml(p)}</h3>
+            <h2>${escapeHtml(p)}</h2>
             <p>Autogenerated content for the ${escapeHtml(p)} section.</p>
             ${spec.include.cms ? '<span style="font-size:.85em;opacity:.8">CMS ready</span>' : ''}
           </div>`).join("")}
       </div>
     </section>
     ${spec.include.contactForm ? `
-      <section id="contact" class="card" style="padding:30px;border-radius:16px">
-        <h3 style="margin-top:0;color:${style.accent}">Contact Us</h3>
-        <form onsubmit="event.preventDefault(); alert('Thanks!');">
-          <input placeholder="Your name" style="width:100%;padding:12px;border-radius:10px;border:1px solid #ddd;margin:8px 0"/>
-          <input type="email" placeholder="Email" style="width:100%;padding:12px;border-radius:10px;border:1px solid #ddd;margin:8px 0"/>
-          <textarea placeholder="Message" rows="4" style="width:100%;padding:12px;border-radius:10px;border:1px solid #ddd;margin:8px 0"></textarea>
+      <section id="contact" class="card">
+        <h2 style="margin-top:0">Contact Us</h2>
+        ${formAction
+          ? `<form method="post" action="${escapeHtml(formAction)}"><input type="hidden" name="_form" value="contact"/>`
+          : `<form onsubmit="event.preventDefault(); alert('This demo form is not connected yet. Generate again once the backend is reachable.');">`}
+          <label for="contact-name">Your name</label>
+          <input id="contact-name" name="name" autocomplete="name" placeholder="Jane Doe"/>
+          <label for="contact-email">Email</label>
+          <input id="contact-email" name="email" type="email" autocomplete="email" placeholder="jane@example.com"/>
+          <label for="contact-message">Message</label>
+          <textarea id="contact-message" name="message" rows="4"></textarea>
           <button class="cta" type="submit">Send</button>
+          ${formAction ? '<div aria-hidden="true" style="position:absolute;left:-9999px"><label>Leave this field empty <input name="_gotcha" tabindex="-1" autocomplete="off"/></label></div>' : ""}
         </form>
       </section>` : ""}
   </div>
   <footer>
     <div>&copy; ${new Date().getFullYear()} ${escapeHtml(spec.projectName)}</div>
-    <div style="opacity:.7;margin-top:8px">${escapeHtml(spec.provider.toUpperCase())} • ${escapeHtml(spec.layout)} • ${escapeHtml(spec.style)} • ${escapeHtml(spec.tone)}</div>
+    <div style="opacity:.7;margin-top:8px">${escapeHtml((spec.provider || "auto").toUpperCase())} • ${escapeHtml(spec.layout)} • ${escapeHtml(spec.style)} • ${escapeHtml(spec.tone)}</div>
   </footer>
 </body>
 </html>`;
@@ -198,11 +213,13 @@ const handleDarkClick = () => {
   
 };
 
+  // Saved specs may predate the current schema: migrate them and fill in
+  // (or reset) whatever is missing or invalid.
   const [spec, setSpec] = useState(() => {
     const saved = safeLocalStorage.getItem(STORAGE_KEYS.spec);
     if (saved) {
       try {
-        return JSON.parse(saved);
+        return parseSpec(JSON.parse(saved)).spec;
       } catch {
         return emptySpec;
       }
@@ -215,10 +232,54 @@ const handleDarkClick = () => {
   const [toast, setToast] = useState(null);
   const [preview, setPreview] = useState("");
   const [downloadUrl, setDownloadUrl] = useState(null);
-  const [historyTrigger, setHistoryTrigger] = useState(0);
   const [iframeKey, setIframeKey] = useState(0); 
+  const [progress, setProgress] = useState(null);
+  const [catalog, setCatalog] = useState(null);
+  const [activeId, setActiveId] = useState(null);
+  const [site, setSite] = useState(null);
+  const [page, setPage] = useState("index.html");
+  const [warnings, setWarnings] = useState([]);
+  const [checks, setChecks] = useState([]);
+  const [compareIds, setCompareIds] = useState([]);
+  const [comparison, setComparison] = useState(null);
+  const [audit, setAudit] = useState(null);
+  const [showAudit, setShowAudit] = useState(true);
+  const [highlight, setHighlight] = useState(null);
+  const [apiKey, setApiKey] = useState(() => safeLocalStorage.getItem(STORAGE_KEYS.apiKey) || "");
+  const [usage, setUsage] = useState(null);
+  const [fresh, setFresh] = useState(false);
+  // { spec, details } from the last rejected generation; shown while the
+  // spec is still the one that was rejected.
+  const [specErrors, setSpecErrors] = useState(null);
+  const fieldErrors = (path) =>
+    specErrors?.spec === spec
+      ? specErrors.details.filter((d) => d.path === path || d.path.startsWith(`${path}.`))
+      : [];
+  // Preview viewport (see DeviceToolbar) and the last overflow check,
+  // kept with the document it ran on so it disappears when that changes.
+  const [viewport, setViewport] = useState({ device: "responsive", width: 1024, rotated: false, fit: true, multi: false });
+  const [overflow, setOverflow] = useState(null);
+  const [checkingOverflow, setCheckingOverflow] = useState(false);
+  // Results of a variants run ({ items, failed, spec }) awaiting a pick.
+  const [variants, setVariants] = useState(null);
+  const [fromCache, setFromCache] = useState(false);
+  const [editing, setEditing] = useState(false);
+  const [editDoc, setEditDoc] = useState("");
+  const [undoStack, setUndoStack] = useState([]);
+  const [redoStack, setRedoStack] = useState([]);
+  const [sectionTarget, setSectionTarget] = useState(null);
+  const [sectionInstruction, setSectionInstruction] = useState("");
+  const [showShare, setShowShare] = useState(false);
+  const [redesign, setRedesign] = useState(null);
+  const [showInbox, setShowInbox] = useState(false);
 
   const briefRef = useRef(null);
+  const importRef = useRef(null);
+  const previewRef = useRef(null);
+  const jobRef = useRef(null);
+  const detachEditor = useRef(null);
+  const editHandlers = useRef({});
+  const editBaseline = useRef(null);
 
   useEffect(() => {
     document.documentElement.setAttribute("data-theme", theme);
@@ -229,10 +290,45 @@ const handleDarkClick = () => {
     safeLocalStorage.setItem(STORAGE_KEYS.spec, JSON.stringify(spec));
   }, [spec]);
 
+  const refreshUsage = useCallback(() => {
+    api
+      .get("/api/usage")
+      .then((res) => {
+        setUsage(res.data);
+        setSpec((s) => (s.apiKeyAlias === (res.data.alias || "") ? s : { ...s, apiKeyAlias: res.data.alias || "" }));
+      })
+      .catch((err) => setUsage(err.response?.data?.error ? { error: err.response.data.error } : null));
+  }, []);
+
+  useEffect(() => {
+    const key = apiKey.trim();
+    if (key) safeLocalStorage.setItem(STORAGE_KEYS.apiKey, key);
+    else safeLocalStorage.removeItem(STORAGE_KEYS.apiKey);
+    const timer = setTimeout(refreshUsage, 400);
+    return () => clearTimeout(timer);
+  }, [apiKey, refreshUsage]);
+
+  useEffect(() => {
+    api
+      .get("/api/models")
+      .then((res) => setCatalog(res.data))
+      .catch(() => setCatalog(null));
+  }, []);
+
+  const activeProvider = useMemo(() => {
+    if (!catalog?.providers?.length) return null;
+    return (
+      catalog.providers.find((p) => p.id === spec.provider) ||
+      catalog.providers.find((p) => p.id === catalog.defaultProvider) ||
+      catalog.providers[0]
+    );
+  }, [catalog, spec.provider]);
+
   const notify = useCallback((msg, kind = "info") => {
     setToast({ msg, kind });
     setTimeout(() => setToast(null), 2600);
   }, []);
+  const notifyError = useCallback((msg) => notify(msg, "error"), [notify]);
 
   const download = useCallback((filename, content, type = "text/plain") => {
     const blob = new Blob([content], { type });
@@ -244,58 +340,168 @@ const handleDarkClick = () => {
     URL.revokeObjectURL(url);
   }, []);
 
-  const pushHistory = useCallback((html, specSnapshot) => {
-    const item = {
-      id: safeId(),
-      spec: { ...specSnapshot },
-      createdAt: Date.now(),
-      htmlSnippet: html,
-    };
-    const saved = safeLocalStorage.getItem(STORAGE_KEYS.history);
-    const history = saved ? JSON.parse(saved) : [];
-    safeLocalStorage.setItem(STORAGE_KEYS.history, JSON.stringify([item, ...history].slice(0, 20)));
-    setHistoryTrigger((p) => p + 1);
-  }, []);
+  const { history, online, projectId, setProjectId, ensureProject, formTokenFor, record, loadVersion, clearCache } = useProjectHistory(api);
+
+  // Refinements are stored as child versions: `parentId` is the version that
+  // was edited and `rootId` the original generation that owns the thread.
+  // `version` is the server's copy when the result was saved to a project.
+  const pushHistory = useCallback((html, specSnapshot, meta = {}, version = null) => {
+    const item = record(html, specSnapshot, meta, version);
+    setActiveId(item.id);
+    return item;
+  }, [record]);
 
   const loadIntoPreview = useCallback((html) => {
     if (!html || typeof html !== "string" || !html.trim()) {
       notify("No HTML found for this item.", "warn");
       return;
     }
+    detachEditor.current?.();
+    setEditing(false);
+    setSectionTarget(null);
+    setSite(null);
     setPreview(html);
+    setHighlight(null);
+    setFromCache(false);
     setIframeKey((k) => k + 1);
   }, [notify]);
 
+  // Multi-page results keep the whole file map in `site`; `preview` always
+  // holds the raw HTML of the page being shown.
+  const loadSite = useCallback((files, nextPage = "index.html") => {
+    const target = files[nextPage] ? nextPage : sitePageFiles(files)[0];
+    detachEditor.current?.();
+    setEditing(false);
+    setSectionTarget(null);
+    setSite(files);
+    setPage(target);
+    setPreview(files[target] || "");
+    setHighlight(null);
+    setFromCache(false);
+    setIframeKey((k) => k + 1);
+  }, []);
+
+  const showPage = useCallback((nextPage) => {
+    if (!site?.[nextPage]) return;
+    setPage(nextPage);
+    setPreview(site[nextPage]);
+    setIframeKey((k) => k + 1);
+  }, [site]);
+
+  useEffect(() => {
+    const onMessage = (e) => {
+      if (e.data?.type === "aiwm:navigate") showPage(e.data.page);
+    };
+    window.addEventListener("message", onMessage);
+    return () => window.removeEventListener("message", onMessage);
+  }, [showPage]);
+
+  // Submits a generation job and polls it, mirroring its status into
+  // `progress` so the preview can render partial HTML. Resolves with the
+  // result; rejects when the job fails or is cancelled.
+  const runJob = useCallback(async (kind, body) => {
+    setProgress({ status: "queued", model: null, index: 0, total: 0, chars: 0, html: "" });
+    let reported = 0;
+
+    try {
+      let job = (await api.post("/api/jobs", { kind, ...body })).data;
+      jobRef.current = job.id;
+
+      while (!FINISHED_JOB.has(job.status)) {
+        await sleep(JOB_POLL_MS);
+        job = (await api.get(`/api/jobs/${job.id}`, { params: { partial: 1 } })).data;
+
+        for (const { model } of job.modelErrors.slice(reported)) {
+          notify(`${model} failed, trying next model…`, "warn");
+        }
+        reported = job.modelErrors.length;
+        setProgress({
+          ...job.progress,
+          status: job.status,
+          position: job.position,
+          note: job.progress?.round ? `output was cut off, continuing (${job.progress.round})…` : null,
+          html: job.partial ? partialPreview(job.partial) : "",
+        });
+      }
+
+      if (job.status === "done") return job.result;
+      throw Object.assign(new Error(job.error || "Generation failed"), {
+        cancelled: job.status === "cancelled",
+        data: job.result,
+      });
+    } catch (err) {
+      throw requestError(err);
+    } finally {
+      jobRef.current = null;
+      setProgress(null);
+      refreshUsage();
+    }
+  }, [notify, refreshUsage]);
+
+  const cancelJob = useCallback(() => {
+    const id = jobRef.current;
+    if (id) api.delete(`/api/jobs/${id}`).catch(() => notify("Could not cancel the generation.", "error"));
+  }, [notify]);
+
+  // A 4xx for the generation request: validation details go next to their
+  // fields, anything else is reported as is.
+  const rejectSpec = useCallback((err) => {
+    const details = specDetails(err);
+    if (!details) return notify(err.message, "error");
+    setSpecErrors({ spec, details });
+    const fields = [...new Set(details.map((d) => d.path.replace(/^spec\./, "")))].join(", ");
+    notify(`Fix the highlighted field${details.length === 1 ? "" : "s"}: ${fields}`, "error");
+  }, [spec, notify]);
+
   const onGenerate = useCallback(async () => {
     if (!spec.brief.trim()) {
       return notify("Please add a short brief (1–2 lines).", "warn");
     }
 
     setBusy(true);
-      try {
-     const apiUrl = import.meta.env.VITE_API_URL;
-
-const res = await axios.post(`${apiUrl}/api/generate`, 
-    { spec },
-    { validateStatus: () => true }
-);
-
+    try {
+      const projectId = await ensureProject(spec);
+      // Identical specs are served from the server's cache unless the user
+      // asked for a fresh variation.
+      const data = await runJob("generate", {
+        spec,
+        projectId,
+        ...(redesign ? { sourceHtml: redesign.html } : {}),
+        ...(fresh ? { cache: "bypass" } : {}),
+      });
+      const cached = data?.cache === "hit";
 
-      if (res.status >= 200 && res.status < 300 && res.data?.html) {
-        const html = String(res.data.html);
+      if (data?.files) {
+        loadSite(data.files);
+        setDownloadUrl(data.downloadUrl || null);
+        setWarnings(data.warnings || []);
+        setChecks(data.checks || []);
+        setAudit(data.a11y || null);
+        setFromCache(cached);
+        pushHistory(String(data.html || ""), spec, { model: data.model, files: data.files, warnings: data.warnings, checks: data.checks, a11y: data.a11y }, data.version);
+        notify(cached ? "Served from cache." : `Generated ${sitePageFiles(data.files).length} pages via ${data.model || "API"}.`, "success");
+      } else if (data?.html) {
+        const html = String(data.html);
         loadIntoPreview(html);
-        setDownloadUrl(res.data.downloadUrl || null);
+        setDownloadUrl(data.downloadUrl || null);
+        setWarnings(data.warnings || []);
+        setChecks(data.checks || []);
+        setAudit(data.a11y || null);
 
-        if (!res.data.downloadUrl) {
+        if (!data.downloadUrl) {
           const blob = new Blob([html], { type: "text/html" });
           setDownloadUrl(URL.createObjectURL(blob));
         }
 
-        pushHistory(html, spec);
-        notify("Preview updated via API.", "success");
+        setFromCache(cached);
+        pushHistory(html, spec, { model: data.model, warnings: data.warnings, checks: data.checks, a11y: data.a11y }, data.version);
+        notify(cached ? "Served from cache." : data.model ? `Preview updated via ${data.model}.` : "Preview updated via API.", "success");
       } else {
-        const mockHtml = generateMockHTML(spec);
+        const mockHtml = generateMockHTML(spec, { formAction: formActionFor(formTokenFor(projectId)) });
         loadIntoPreview(mockHtml);
+        setWarnings([]);
+        setChecks([]);
+        setAudit(null);
 
         const blob = new Blob([mockHtml], { type: "text/html" });
         setDownloadUrl(URL.createObjectURL(blob));
@@ -304,8 +510,18 @@ const res = await axios.post(`${apiUrl}/api/generate`,
         notify("Backend unavailable. Loaded demo preview.", "warn");
       }
     } catch (err) {
-      const mockHtml = generateMockHTML(spec);
+      if (err.cancelled) return notify("Generation cancelled.");
+      const limited = limitMessage(err);
+      if (limited) return notify(limited, "error");
+      // The request itself was wrong: say what to fix rather than hiding
+      // it behind the demo preview.
+      if (err.status >= 400 && err.status < 500) return rejectSpec(err);
+
+      const mockHtml = generateMockHTML(spec, { formAction: online ? formActionFor(formTokenFor(projectId)) : undefined });
       loadIntoPreview(mockHtml);
+      setWarnings([]);
+      setChecks([]);
+      setAudit(null);
 
       const blob = new Blob([mockHtml], { type: "text/html" });
       setDownloadUrl(URL.createObjectURL(blob));
@@ -315,7 +531,76 @@ const res = await axios.post(`${apiUrl}/api/generate`,
     } finally {
       setBusy(false);
     }
-  }, [spec, notify, loadIntoPreview, pushHistory]);
+  }, [spec, fresh, redesign, online, projectId, notify, loadIntoPreview, loadSite, pushHistory, runJob, ensureProject, formTokenFor, rejectSpec]);
+
+  // Variants mode: several models/temperatures in parallel, shown as a
+  // grid until one is promoted. Nothing is saved before that.
+  const onGenerateVariants = useCallback(async () => {
+    if (!spec.brief.trim()) {
+      return notify("Please add a short brief (1–2 lines).", "warn");
+    }
+
+    setBusy(true);
+    try {
+      const data = await runJob("variants", {
+        spec,
+        variants: VARIANT_COUNT,
+        ...(redesign ? { sourceHtml: redesign.html } : {}),
+      });
+      setVariants({ items: data.variants, failed: data.failed, spec });
+      notify(
+        `${data.variants.length} variants ready${data.failed.length ? `, ${data.failed.length} failed` : ""}.`,
+        data.failed.length ? "warn" : "success"
+      );
+    } catch (err) {
+      if (err.cancelled) return notify("Generation cancelled.");
+      if (specDetails(err)) return rejectSpec(err);
+      notify(limitMessage(err) || `Could not generate variants: ${err.message}`, "error");
+    } finally {
+      setBusy(false);
+    }
+  }, [spec, redesign, notify, runJob, rejectSpec]);
+
+  // Makes a variant the current result and, with a project, saves it as a
+  // version (which also connects its forms).
+  const promoteVariant = useCallback(async (item) => {
+    const snapshot = variants.spec;
+    let result = item;
+    let version = null;
+
+    const projectId = await ensureProject(snapshot);
+    if (projectId) {
+      try {
+        const { html, files, model, provider, temperature, warnings, checks, a11y } = item;
+        const res = await api.post("/api/generate/variants/promote", {
+          projectId,
+          spec: snapshot,
+          variant: { html, files, model, provider, temperature, warnings, checks, a11y },
+        });
+        result = { ...item, ...res.data };
+        version = res.data.version;
+      } catch {
+        notify("Could not save the variant to the project.", "warn");
+      }
+    }
+
+    if (result.files) loadSite(result.files);
+    else loadIntoPreview(String(result.html));
+    setDownloadUrl(result.downloadUrl || null);
+    setWarnings(result.warnings || []);
+    setChecks(result.checks || []);
+    setAudit(result.a11y || null);
+    pushHistory(String(result.html), snapshot, { model: result.model, files: result.files, warnings: result.warnings, checks: result.checks, a11y: result.a11y }, version);
+    setVariants(null);
+    notify(`Using the ${result.model} variant.`, "success");
+  }, [variants, ensureProject, notify, loadSite, loadIntoPreview, pushHistory]);
+
+  const compareVariants = (a, b) =>
+    setComparison({
+      title: "Compare variants",
+      a: { ...a, label: `#${a.index + 1} ${a.model} @ ${a.temperature}`, spec: variants.spec },
+      b: { ...b, label: `#${b.index + 1} ${b.model} @ ${b.temperature}`, spec: variants.spec },
+    });
 
   useEffect(() => {
     const onKey = (e) => {
@@ -345,24 +630,457 @@ const res = await axios.post(`${apiUrl}/api/generate`,
     }));
 
   const exportSpec = () => download(`${kebab(spec.projectName)}-spec.json`, JSON.stringify(spec, null, 2), "application/json");
-  const exportHTML = () => {
+
+  // Loads a spec exported earlier (possibly by an older version of the
+  // app). Fields that fail validation are reset to their defaults.
+  const importSpec = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+
+    let parsed;
+    try {
+      parsed = JSON.parse(await file.text());
+    } catch {
+      return notify(`${file.name} is not valid JSON.`, "error");
+    }
+    const { spec: imported, errors } = parseSpec(parsed);
+    if (errors.some((err) => err.path === "spec")) return notify(`${file.name} does not contain a spec.`, "error");
+
+    setSpec(imported);
+    if (errors.length) {
+      const fields = errors.map((err) => err.path.replace(/^spec\./, "")).join(", ");
+      notify(`Spec imported; reset invalid field${errors.length === 1 ? "" : "s"}: ${fields}`, "warn");
+    } else {
+      notify("Spec imported.");
+    }
+  };
+  // Redesign mode: the server reads the uploaded page into spec fields,
+  // which are merged over the current spec (provider, model and style
+  // choices stay). Resolves true when the page was taken.
+  const extractRedesign = async (html, name) => {
+    try {
+      const { data } = await api.post("/api/redesign/extract", { html });
+      const next = parseSpec({
+        ...spec,
+        ...data.spec,
+        include: { ...spec.include, ...data.spec.include },
+        seo: { ...spec.seo, ...data.spec.seo },
+      }).spec;
+      setSpec(next);
+      setRedesign({ name, html, spec: next, source: data.source });
+      notify(`Pre-filled the spec from ${name}. Review it, then Generate.`, "success");
+      return true;
+    } catch (err) {
+      notify(err.response?.data?.error || "Could not read that page. Is the backend running?", "error");
+      return false;
+    }
+  };
+
+  const openBeforeAfter = () =>
+    setComparison({
+      title: "Before and after",
+      a: { label: `Before — ${redesign.name}`, html: redesign.html, spec: redesign.spec, untrusted: true },
+      b: { label: "After — redesign", html: preview, files: site, spec },
+    });
+
+  const exportHTML = async () => {
+    if (!preview) return notify("Nothing to export yet — click Generate first.", "warn");
+    if (!site) return download(`${kebab(spec.projectName)}-preview.html`, preview, "text/html");
+
+    try {
+      const res = await api.post("/api/export/zip", { files: site, name: spec.projectName }, { responseType: "blob" });
+      download(`${kebab(spec.projectName)}-site.zip`, res.data, "application/zip");
+    } catch {
+      notify("Could not build the ZIP archive.", "error");
+    }
+  };
+
+  // Publishes the current result as a hosted page at /p/:slug.
+  const createShare = async ({ expiresIn, password }) => {
+    try {
+      const res = await api.post("/api/shares", {
+        html: site ? site["index.html"] : preview,
+        ...(site ? { files: site } : {}),
+        title: spec.projectName,
+        expiresIn,
+        password,
+      });
+      return res.data;
+    } catch (err) {
+      notify(`Could not create a share link: ${requestError(err).message}`, "error");
+      return null;
+    }
+  };
+
+  const copyLink = async (url) => {
+    try {
+      await navigator.clipboard.writeText(url);
+      notify("Share link copied.", "success");
+    } catch {
+      notify(`Share link: ${url}`);
+    }
+  };
+
+  // Converted server-side into a runnable project scaffold (see
+  // server/lib/react-export.js).
+  const exportProject = async (framework) => {
     if (!preview) return notify("Nothing to export yet — click Generate first.", "warn");
-    download(`${kebab(spec.projectName)}-preview.html`, preview, "text/html");
+
+    try {
+      const res = await api.post(
+        "/api/export/project",
+        { framework, name: spec.projectName, ...(site ? { files: site } : { html: preview }) },
+        { responseType: "blob" }
+      );
+      download(`${kebab(spec.projectName)}-${framework}.zip`, res.data, "application/zip");
+    } catch {
+      notify("Could not build the project archive.", "error");
+    }
   };
 
-  const history = useMemo(() => {
-    const saved = safeLocalStorage.getItem(STORAGE_KEYS.history);
+  const thread = useMemo(() => {
+    const active = history.find((h) => h.id === activeId);
+    if (!active) return [];
+    const rootId = active.rootId || active.id;
+    return history
+      .filter((h) => h.id === rootId || h.rootId === rootId)
+      .sort((a, b) => a.createdAt - b.createdAt);
+  }, [history, activeId]);
+
+  const openVersion = useCallback(async (summary) => {
+    let item;
     try {
-      return saved ? JSON.parse(saved) : [];
+      item = await loadVersion(summary);
     } catch {
-      return [];
+      return notify("Could not load this version from the server.", "error");
+    }
+    if (item.files) loadSite(item.files);
+    else loadIntoPreview(item.htmlSnippet || item.html);
+    setActiveId(item.id);
+    if (item.projectId) setProjectId(item.projectId);
+    setDownloadUrl(null);
+    setWarnings(item.warnings || []);
+    setChecks(item.checks || []);
+    setAudit(item.a11y || null);
+  }, [loadVersion, loadIntoPreview, loadSite, setProjectId, notify]);
+
+  // Refinements and section rewrites come back as a child version of
+  // `active`, with the whole file map on multi-page sites.
+  const applyChildResult = useCallback((data, active, instruction) => {
+    const html = String(data.html);
+    const rootId = active.rootId || active.id;
+    const meta = { parentId: active.id, rootId, instruction, model: data.model, warnings: data.warnings, a11y: data.a11y };
+    setWarnings(data.warnings || []);
+    setAudit(data.a11y || null);
+
+    if (data.files) {
+      loadSite(data.files, page);
+      pushHistory(html, active.spec, { ...meta, files: data.files }, data.version);
+    } else {
+      loadIntoPreview(html);
+      pushHistory(html, active.spec, meta, data.version);
+    }
+    setDownloadUrl(data.downloadUrl || null);
+  }, [page, loadSite, loadIntoPreview, pushHistory]);
+
+  const onRefine = useCallback(async (instruction) => {
+    const active = history.find((h) => h.id === activeId);
+    if (!active || !preview) return notify("Load a generation to refine first.", "warn");
+
+    const rootId = active.rootId || active.id;
+    const turns = thread
+      .filter((h) => h.instruction && h.createdAt <= active.createdAt)
+      .map((h) => ({ instruction: h.instruction }));
+
+    setBusy(true);
+    try {
+      // On a multi-page site only the page being viewed is refined; the
+      // server splices it back into the file map.
+      const data = await runJob("refine", {
+        html: preview,
+        instruction,
+        turns,
+        spec: { ...active.spec, provider: spec.provider, model: spec.model },
+        projectId: active.projectId,
+        parentId: active.id,
+        rootId,
+        ...(site ? { files: site, page } : {}),
+      });
+      applyChildResult(data, active, instruction);
+      notify("Refinement applied.", "success");
+    } catch (err) {
+      if (err.cancelled) notify("Refinement cancelled.");
+      else notify(limitMessage(err) || `Refinement failed: ${err.message}`, "error");
+    } finally {
+      setBusy(false);
+    }
+  }, [history, activeId, preview, site, page, thread, spec.provider, spec.model, runJob, applyChildResult, notify]);
+
+  // Rewrites one top-level section of the page being viewed; the result is
+  // a child version like a refinement.
+  const onRegenerateSection = useCallback(async () => {
+    const active = history.find((h) => h.id === activeId);
+    if (!active || !preview || !sectionTarget) return notify("Load a generation first.", "warn");
+
+    const instruction = sectionInstruction.trim();
+    setBusy(true);
+    try {
+      const data = await runJob("section", {
+        html: preview,
+        sectionId: sectionTarget.id,
+        instruction,
+        spec: { ...active.spec, provider: spec.provider, model: spec.model },
+        projectId: active.projectId,
+        parentId: active.id,
+        rootId: active.rootId || active.id,
+        ...(site ? { files: site, page } : {}),
+      });
+      applyChildResult(data, active, `Regenerated section "${sectionTarget.id}"${instruction ? `: ${instruction}` : ""}`);
+      setSectionInstruction("");
+      notify("Section regenerated.", "success");
+    } catch (err) {
+      if (err.cancelled) notify("Section regeneration cancelled.");
+      else notify(limitMessage(err) || `Section regeneration failed: ${err.message}`, "error");
+    } finally {
+      setBusy(false);
+    }
+  }, [history, activeId, preview, site, page, sectionTarget, sectionInstruction, spec.provider, spec.model, runJob, applyChildResult, notify]);
+
+  const onPreviewLoad = () => {
+    highlightInFrame(previewRef.current, highlight?.selector);
+    attachSectionPicker(previewRef.current, {
+      onPick: (target) => {
+        setSectionTarget(target);
+        setSectionInstruction("");
+      },
+    });
+  };
+
+  // Issues on another page of a site switch the preview there first; the
+  // iframe's onLoad then applies the highlight.
+  const selectIssue = (issue) => {
+    if (issue?.file && site && issue.file !== page) showPage(issue.file);
+    setHighlight(issue);
+  };
+
+  useEffect(() => {
+    highlightInFrame(previewRef.current, highlight?.selector);
+  }, [highlight]);
+
+  const previewDoc = useMemo(() => (site ? buildPreviewDoc(site, page) : preview), [site, page, preview]);
+
+  // Loads the page at each breakpoint and lists what sticks out sideways.
+  const runOverflowCheck = async () => {
+    setCheckingOverflow(true);
+    try {
+      const results = await checkOverflow(previewDoc);
+      setOverflow({ doc: previewDoc, page: site ? page : null, results });
+      const failing = results.filter((r) => r.pageOverflow > 0 || r.items.length).length;
+      notify(failing ? `Overflow at ${failing} breakpoint(s).` : "No horizontal overflow at any breakpoint.", failing ? "warn" : "success");
+    } finally {
+      setCheckingOverflow(false);
+    }
+  };
+
+  // Shows an overflowing element at the size where it overflows.
+  const selectOverflow = (device, selector) => {
+    setViewport((v) => ({ ...v, device, rotated: false, multi: false }));
+    setHighlight({ id: `overflow:${device}:${selector}`, selector });
+  };
+
+  const onA11yFix = useCallback(async () => {
+    const active = history.find((h) => h.id === activeId);
+    if (!active || !preview) return;
+
+    const rootId = active.rootId || active.id;
+    setBusy(true);
+    try {
+      const { data } = await api.post("/api/a11y/fix", {
+        html: site ? site["index.html"] : preview,
+        ...(site ? { files: site } : {}),
+        spec: active.spec,
+        projectId: active.projectId,
+        parentId: active.id,
+        rootId,
+      });
+      if (!data.fixed.length) return notify("Nothing could be fixed automatically.", "warn");
+
+      const meta = { parentId: active.id, rootId, instruction: "Accessibility auto-fix", a11y: data.a11y };
+      if (data.files) {
+        loadSite(data.files, page);
+        pushHistory(data.html, active.spec, { ...meta, files: data.files }, data.version);
+      } else {
+        loadIntoPreview(data.html);
+        pushHistory(data.html, active.spec, meta, data.version);
+      }
+      setAudit(data.a11y);
+      setDownloadUrl(null);
+      notify(`Fixed ${data.fixed.length} accessibility issue${data.fixed.length === 1 ? "" : "s"}.`, "success");
+    } catch (err) {
+      notify(`Auto-fix failed: ${err.response?.data?.error || err.message}`, "error");
+    } finally {
+      setBusy(false);
+    }
+  }, [history, activeId, preview, site, page, loadIntoPreview, loadSite, pushHistory, notify]);
+
+  // Edit mode renders a frozen copy of the page (`editDoc`) in a script-less
+  // iframe. Edits arrive already applied to its DOM, so they only update
+  // `preview`/`site`; undo and redo reload the frame from a snapshot.
+  const startEditing = () => {
+    setHighlight(null);
+    setSectionTarget(null);
+    setEditDoc(site ? buildPreviewDoc(site, page) : preview);
+    setUndoStack([]);
+    setRedoStack([]);
+    editBaseline.current = null;
+    setEditing(true);
+    setIframeKey((k) => k + 1);
+  };
+
+  const applyEdit = useCallback((html) => {
+    setUndoStack((stack) => [...stack, { html: preview, files: site }].slice(-UNDO_LIMIT));
+    setRedoStack([]);
+    setPreview(html);
+    if (site) setSite({ ...site, [page]: html });
+  }, [preview, site, page]);
+
+  const restoreSnapshot = useCallback((snapshot) => {
+    setPreview(snapshot.html);
+    setSite(snapshot.files);
+    setEditDoc(snapshot.files ? buildPreviewDoc(snapshot.files, page) : snapshot.html);
+    setIframeKey((k) => k + 1);
+  }, [page]);
+
+  const undoEdit = useCallback(() => {
+    if (!undoStack.length) return;
+    setRedoStack((stack) => [...stack, { html: preview, files: site }]);
+    setUndoStack(undoStack.slice(0, -1));
+    restoreSnapshot(undoStack[undoStack.length - 1]);
+  }, [undoStack, preview, site, restoreSnapshot]);
+
+  const redoEdit = useCallback(() => {
+    if (!redoStack.length) return;
+    setUndoStack((stack) => [...stack, { html: preview, files: site }]);
+    setRedoStack(redoStack.slice(0, -1));
+    restoreSnapshot(redoStack[redoStack.length - 1]);
+  }, [redoStack, preview, site, restoreSnapshot]);
+
+  // The editor lives as long as the iframe document; it reaches the
+  // current handlers through a ref.
+  useEffect(() => {
+    editHandlers.current = { onChange: applyEdit, onUndo: undoEdit, onRedo: redoEdit };
+  }, [applyEdit, undoEdit, redoEdit]);
+
+  const onEditFrameLoad = () => {
+    const frame = previewRef.current;
+    detachEditor.current?.();
+    if (editBaseline.current === null && frame?.contentDocument) {
+      editBaseline.current = serializeDocument(frame.contentDocument);
+    }
+    detachEditor.current = attachEditor(frame, {
+      onChange: (html) => editHandlers.current.onChange(html),
+      onUndo: () => editHandlers.current.onUndo(),
+      onRedo: () => editHandlers.current.onRedo(),
+    });
+  };
+
+  useEffect(() => {
+    if (!editing) return;
+    const onKey = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.target.closest?.("input, textarea, select")) return;
+      const key = e.key.toLowerCase();
+      if ((key === "z" && e.shiftKey) || key === "y") {
+        e.preventDefault();
+        redoEdit();
+      } else if (key === "z") {
+        e.preventDefault();
+        undoEdit();
+      }
+    };
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, [editing, undoEdit, redoEdit]);
+
+  // Leaves edit mode. The edited document is read straight from the frame
+  // (so a text edit still in progress is kept) and, if it changed, stored
+  // as a child version like a refinement.
+  const finishEditing = useCallback(async () => {
+    const frame = previewRef.current;
+    detachEditor.current?.();
+    detachEditor.current = null;
+    const html = frame?.contentDocument ? serializeDocument(frame.contentDocument) : preview;
+
+    setEditing(false);
+    setEditDoc("");
+    setUndoStack([]);
+    setRedoStack([]);
+    setIframeKey((k) => k + 1);
+    if (html === editBaseline.current) return;
+
+    const files = site ? { ...site, [page]: html } : null;
+    const docHtml = files ? files["index.html"] : html;
+    setPreview(html);
+    if (files) setSite(files);
+
+    const active = history.find((h) => h.id === activeId);
+    const instruction = "Manual edits";
+    const rootId = active ? active.rootId || active.id : undefined;
+    let version = null;
+    if (active?.projectId) {
+      try {
+        const res = await api.post(`/api/projects/${active.projectId}/versions`, {
+          html: docHtml,
+          files,
+          spec: active.spec,
+          instruction,
+          parentId: active.id,
+          rootId,
+        });
+        version = res.data;
+      } catch {
+        notify("Edits kept locally; they could not be saved to the server.", "warn");
+      }
+    }
+    pushHistory(docHtml, active?.spec || spec, { parentId: active?.id, rootId, instruction, ...(files ? { files } : {}) }, version);
+
+    if (files) {
+      try {
+        const res = await api.post("/api/export/zip", { files, name: spec.projectName }, { responseType: "blob" });
+        setDownloadUrl(URL.createObjectURL(res.data));
+      } catch {
+        setDownloadUrl(null);
+      }
+    } else {
+      setDownloadUrl(URL.createObjectURL(new Blob([html], { type: "text/html" })));
     }
-  }, [historyTrigger]);
+    notify("Edits saved.", "success");
+  }, [preview, site, page, history, activeId, spec, pushHistory, notify]);
 
   const clearHistory = () => {
-    safeLocalStorage.removeItem(STORAGE_KEYS.history);
-    setHistoryTrigger((p) => p + 1);
-    notify("History cleared.");
+    clearCache();
+    notify(online ? "Local cache cleared. Server projects are kept." : "History cleared.");
+  };
+
+  // Keeps at most two selections; picking a third drops the oldest.
+  const toggleCompare = (id) =>
+    setCompareIds((ids) => (ids.includes(id) ? ids.filter((x) => x !== id) : [...ids, id].slice(-2)));
+
+  const openComparison = async () => {
+    const items = compareIds.map((id) => history.find((h) => h.id === id)).filter(Boolean);
+    if (items.length !== 2) return notify("Select two generations to compare.", "warn");
+    try {
+      // Oldest first, so B is the newer version.
+      const [a, b] = await Promise.all(items.sort((x, y) => x.createdAt - y.createdAt).map(loadVersion));
+      setComparison({ a, b });
+    } catch {
+      notify("Could not load both versions.", "error");
+    }
+  };
+
+  const startNewProject = () => {
+    setProjectId(null);
+    notify("The next generation starts a new project.");
   };
 
   return (
@@ -371,6 +1089,14 @@ const res = await axios.post(`${apiUrl}/api/generate`,
 
       <main className="layout">
         <aside className="panel">
+          <RedesignPanel
+            redesign={redesign}
+            busy={busy}
+            onExtract={extractRedesign}
+            onClear={() => setRedesign(null)}
+            onError={notifyError}
+          />
+
           <section className="block">
             <label className="label">Project name</label>
             <input
@@ -380,6 +1106,7 @@ const res = await axios.post(`${apiUrl}/api/generate`,
               placeholder="e.g. My Portfolio"
               maxLength={60}
             />
+            <FieldErrors errors={fieldErrors("spec.projectName")} />
           </section>
 
           <section className="block">
@@ -395,6 +1122,7 @@ const res = await axios.post(`${apiUrl}/api/generate`,
               rows={4}
               placeholder="A modern clinic website with appointment booking, doctor profiles, and health articles."
             />
+            <FieldErrors errors={fieldErrors("spec.brief")} />
           </section>
 
           <section className="grid-2 block">
@@ -405,6 +1133,7 @@ const res = await axios.post(`${apiUrl}/api/generate`,
                 <option value="multipage">Multi-page</option>
                 <option value="onepage">One Page</option>
               </select>
+              <FieldErrors errors={fieldErrors("spec.layout")} />
             </div>
             <div>
               <label className="label">Style</label>
@@ -413,6 +1142,7 @@ const res = await axios.post(`${apiUrl}/api/generate`,
                 <option value="corporate">Corporate</option>
                 <option value="playful">Playful</option>
               </select>
+              <FieldErrors errors={fieldErrors("spec.style")} />
             </div>
           </section>
 
@@ -440,22 +1170,28 @@ const res = await axios.post(`${apiUrl}/api/generate`,
                   Dark
                 </button>
               </div>
+              <FieldErrors errors={fieldErrors("spec.theme")} />
             </div>
             <div>
               <label className="label">Primary color</label>
               <input className="input color" type="color" value={spec.primaryColor} onChange={(e) => setSpec({ ...spec, primaryColor: e.target.value })} />
+              <FieldErrors errors={fieldErrors("spec.primaryColor")} />
             </div>
           </section>
 
+          <TokenPanel spec={spec} onChange={(tokens) => setSpec((s) => ({ ...s, tokens }))} />
+          <FieldErrors errors={fieldErrors("spec.tokens")} />
+
           <section className="block">
             <label className="label">Pages</label>
             <div className="chips">
-              {DEFAULT_PAGES.map((p) => (
+              {[...DEFAULT_PAGES, ...spec.pages.filter((p) => !DEFAULT_PAGES.includes(p))].map((p) => (
                 <button key={p} className={`chip ${spec.pages.includes(p) ? "selected" : ""}`} onClick={() => onTogglePage(p)}>
                   {p}
                 </button>
               ))}
             </div>
+            <FieldErrors errors={fieldErrors("spec.pages")} />
           </section>
 
           <section className="block grid-2">
@@ -467,10 +1203,49 @@ const res = await axios.post(`${apiUrl}/api/generate`,
                 <option value="formal">Formal</option>
                 <option value="bold">Bold</option>
               </select>
+              <FieldErrors errors={fieldErrors("spec.tone")} />
               <label className="label">AI model</label>
-              <select className="input" value={spec.model} onChange={(e) => setSpec({ ...spec, model: e.target.value })}>
-                <option value="chatgpt">ChatGPT</option>
+              <select
+                className="input"
+                value={activeProvider ? `${activeProvider.id}|${spec.model || ""}` : ""}
+                onChange={(e) => {
+                  const [provider, ...rest] = e.target.value.split("|");
+                  setSpec({ ...spec, provider, model: rest.join("|") });
+                }}
+                disabled={!catalog}
+              >
+                {!catalog && <option value="">Server default</option>}
+                {catalog?.providers.map((p) => (
+                  <optgroup key={p.id} label={p.label}>
+                    <option value={`${p.id}|`}>{p.label} — auto (fallback chain)</option>
+                    {p.models.map((m) => (
+                      <option key={m.id} value={`${p.id}|${m.id}`}>{m.label}</option>
+                    ))}
+                  </optgroup>
+                ))}
               </select>
+              <FieldErrors errors={[...fieldErrors("spec.provider"), ...fieldErrors("spec.model")]} />
+              {activeProvider && (
+                <p className="hint">
+                  Fallback: {[spec.model, ...activeProvider.fallbackOrder.filter((m) => m !== spec.model)].filter(Boolean).join(" → ")}
+                </p>
+              )}
+              <label className="label">API key</label>
+              <input
+                className="input"
+                type="password"
+                value={apiKey}
+                onChange={(e) => setApiKey(e.target.value)}
+                placeholder="aiwm_… (optional)"
+                autoComplete="off"
+              />
+              {usage && (
+                <p className="hint">
+                  {usage.error
+                    ? usage.error
+                    : `${usage.alias || "Anonymous"} • ${usage.usedToday}/${usage.perDay} generations today`}
+                </p>
+              )}
             </div>
             <div>
               <label className="label">Include features</label>
@@ -489,30 +1264,11 @@ const res = await axios.post(`${apiUrl}/api/generate`,
                   </label>
                 ))}
               </div>
+              <FieldErrors errors={fieldErrors("spec.include")} />
             </div>
           </section>
 
-          <section className="block">
-            <label className="label">SEO</label>
-            <input
-              className="input"
-              placeholder="Site title"
-              value={spec.seo.title}
-              onChange={(e) => setSpec({ ...spec, seo: { ...spec.seo, title: e.target.value } })}
-            />
-            <input
-              className="input"
-              placeholder="Meta description"
-              value={spec.seo.description}
-              onChange={(e) => setSpec({ ...spec, seo: { ...spec.seo, description: e.target.value } })}
-            />
-            <input
-              className="input"
-              placeholder="Keywords (comma separated)"
-              value={spec.seo.keywords}
-              onChange={(e) => setSpec({ ...spec, seo: { ...spec.seo, keywords: e.target.value } })}
-            />
-          </section>
+          <SeoPanel spec={spec} onChange={(seo) => setSpec({ ...spec, seo })} onDownload={download} errors={fieldErrors("spec.seo")} />
 
           <section className="block">
             <label className="label">Templates</label>
@@ -529,39 +1285,191 @@ const res = await axios.post(`${apiUrl}/api/generate`,
                 </button>
               ))}
             </div>
+            <FieldErrors errors={fieldErrors("spec.templateId")} />
           </section>
 
           <div className="actions">
             <button className="btn primary" onClick={onGenerate} disabled={busy}>
               {busy ? "Generating…" : "Generate (Ctrl/Cmd + G)"}
             </button>
+            <button className="btn" onClick={onGenerateVariants} disabled={busy} title="Generate with several models and temperatures in parallel, then pick one">
+              Generate {VARIANT_COUNT} variants
+            </button>
+            {busy && progress && (
+              <button className="btn" onClick={cancelJob}>Cancel</button>
+            )}
+            <label className="toggle" title="Skip the result cache and ask the model for a new take on the same spec">
+              <input type="checkbox" checked={fresh} onChange={(e) => setFresh(e.target.checked)} />
+              <span>Fresh variation</span>
+            </label>
+            <button className="btn" onClick={() => importRef.current?.click()}>Import Spec</button>
+            <input ref={importRef} type="file" accept="application/json,.json" onChange={importSpec} hidden />
             <button className="btn" onClick={exportSpec}>Export Spec</button>
             <button className="btn" onClick={exportHTML}>Export HTML</button>
+            <button className="btn" onClick={() => exportProject("vite")} title="Vite + React project, one component per section">Export React</button>
+            <button className="btn" onClick={() => exportProject("next")} title="Next.js app-router project">Export Next.js</button>
           </div>
         </aside>
 
         <section className="workspace">
           <div className="preview-toolbar">
             <h2 className="h2">Live preview</h2>
-            <span className="muted">{spec.model}</span>
+            <span className="muted">{spec.model || activeProvider?.label || ""}</span>
+            {fromCache && !busy && <span className="check" title="Identical spec and model — no new model call was made">served from cache</span>}
+            {preview && !busy && !editing && (
+              <button className="btn sm" onClick={startEditing}>Edit</button>
+            )}
+            {redesign && preview && !busy && !editing && (
+              <button className="btn sm" onClick={openBeforeAfter}>Before / after</button>
+            )}
+            {audit && !showAudit && (
+              <button className="btn sm" onClick={() => setShowAudit(true)}>
+                Accessibility: {audit.score}
+              </button>
+            )}
           </div>
 
           {downloadUrl && (
-            <a className="btn primary" href={downloadUrl} download>
-              ⬇️ Download Generated HTML
+            <a
+              className="btn primary"
+              href={downloadUrl}
+              download={site ? `${kebab(spec.projectName)}-site.zip` : true}
+            >
+              {site ? "⬇️ Download Site (ZIP)" : "⬇️ Download Generated HTML"}
             </a>
           )}
 
-          <div className="preview" style={{ borderColor: "var(--border)" }}>
-            {busy ? (
-              <div className="empty">
-                <h3>Generating your website…</h3>
-                <p className="muted">Please wait a moment</p>
-              </div>
-            ) : preview ? (
-              <iframe key={iframeKey} title="preview" srcDoc={preview} className="iframe" />
-            ) : (
-              <EmptyState onGenerate={onGenerate} />
+          {!busy && checks.length > 0 && (
+            <div className="checks">
+              {checks.map((c) => (
+                <span key={c.id} className={`check ${c.passed ? "passed" : "failed"}`} title={c.id}>
+                  {c.passed ? "✓" : "✗"} {c.label}
+                </span>
+              ))}
+            </div>
+          )}
+
+          {!busy && warnings.length > 0 && <WarningList warnings={warnings} onDismiss={() => setWarnings([])} />}
+
+          <div className={`preview-row ${audit && showAudit && !busy && !editing ? "with-side" : ""}`}>
+            <div className="preview" style={{ borderColor: "var(--border)" }}>
+              {busy && progress?.html ? (
+                <>
+                  <div className="stream-status">
+                    <span className="spinner" />
+                    Running {progress.model} ({progress.index + 1}/{progress.total}) • {(progress.chars || 0).toLocaleString()} chars
+                    {progress.note && ` • ${progress.note}`}
+                    <button className="btn sm" onClick={cancelJob}>Cancel</button>
+                  </div>
+                  <iframe title="preview (streaming)" srcDoc={progress.html} className="iframe" />
+                </>
+              ) : busy ? (
+                <div className="empty">
+                  <h3>Generating your website…</h3>
+                  <p className="muted">
+                    {progress?.model
+                      ? `Trying ${progress.model} (${progress.index + 1}/${progress.total})`
+                      : progress?.finished !== undefined
+                        ? `${progress.finished} of ${progress.total} variants done`
+                        : progress?.position
+                        ? `Queued — position ${progress.position}`
+                        : "Please wait a moment"}
+                  </p>
+                  {progress && <button className="btn" onClick={cancelJob}>Cancel</button>}
+                </div>
+              ) : preview ? (
+                <>
+                  {editing ? (
+                    <div className="edit-bar">
+                      <span className="muted">Click text to edit • click an image to change it • hover a section to move or delete it</span>
+                      <button className="btn sm" onClick={undoEdit} disabled={!undoStack.length}>Undo</button>
+                      <button className="btn sm" onClick={redoEdit} disabled={!redoStack.length}>Redo</button>
+                      <button className="btn sm primary" onClick={finishEditing}>Done</button>
+                    </div>
+                  ) : sectionTarget ? (
+                    <form
+                      className="edit-bar"
+                      onSubmit={(e) => {
+                        e.preventDefault();
+                        onRegenerateSection();
+                      }}
+                    >
+                      <span className="muted">Regenerate section: {sectionTarget.label}</span>
+                      <input
+                        className="input"
+                        value={sectionInstruction}
+                        onChange={(e) => setSectionInstruction(e.target.value)}
+                        placeholder="Optional: what should change?"
+                        aria-label="Instruction for this section"
+                        autoFocus
+                      />
+                      <button type="submit" className="btn sm primary">Regenerate</button>
+                      <button type="button" className="btn sm" onClick={() => setSectionTarget(null)}>Cancel</button>
+                    </form>
+                  ) : site && (
+                    <div className="page-switcher">
+                      {sitePageFiles(site).map((f) => (
+                        <button key={f} className={`chip ${f === page ? "selected" : ""}`} onClick={() => showPage(f)}>
+                          {f}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                  <DeviceToolbar
+                    viewport={viewport}
+                    onChange={setViewport}
+                    onCheck={runOverflowCheck}
+                    checking={checkingOverflow}
+                    disabled={editing}
+                  />
+                  {overflow?.doc === previewDoc && (
+                    <OverflowReport
+                      results={overflow.results}
+                      page={overflow.page}
+                      onSelect={selectOverflow}
+                      onClose={() => setOverflow(null)}
+                    />
+                  )}
+                  {viewport.multi && !editing ? (
+                    <div className="device-wall">
+                      {CHECKED_DEVICES.map((d) => (
+                        <DeviceStage key={d.id} size={viewportSize({ device: d.id })} label={`${d.label} • ${d.width}px`} fit>
+                          <iframe key={iframeKey} title={`preview (${d.label})`} srcDoc={previewDoc} className="iframe" />
+                        </DeviceStage>
+                      ))}
+                    </div>
+                  ) : (
+                    <DeviceStage size={viewportSize(viewport)} fit={viewport.fit}>
+                      <iframe
+                        key={iframeKey}
+                        ref={previewRef}
+                        title="preview"
+                        srcDoc={editing ? editDoc : previewDoc}
+                        sandbox={editing ? "allow-same-origin" : undefined}
+                        className="iframe"
+                        onLoad={editing ? onEditFrameLoad : onPreviewLoad}
+                      />
+                    </DeviceStage>
+                  )}
+                </>
+              ) : (
+                <EmptyState onGenerate={onGenerate} />
+              )}
+            </div>
+
+            {audit && showAudit && !busy && !editing && preview && (
+              <A11yReport
+                audit={audit}
+                page={site ? page : null}
+                busy={busy}
+                selectedId={highlight?.id}
+                onSelect={selectIssue}
+                onFix={onA11yFix}
+                onClose={() => {
+                  setShowAudit(false);
+                  setHighlight(null);
+                }}
+              />
             )}
           </div>
 
@@ -570,9 +1478,11 @@ const res = await axios.post(`${apiUrl}/api/generate`,
               className="btn"
               disabled={busy || !preview}
               onClick={() => {
-                const url = downloadUrl || URL.createObjectURL(new Blob([preview], { type: "text/html" }));
+                const inline = site || !downloadUrl;
+                const doc = site ? buildPreviewDoc(site, page) : preview;
+                const url = inline ? URL.createObjectURL(new Blob([doc], { type: "text/html" })) : downloadUrl;
                 const win = window.open(url, "_blank");
-                if (!downloadUrl) setTimeout(() => URL.revokeObjectURL(url), 15000);
+                if (inline) setTimeout(() => URL.revokeObjectURL(url), 15000);
                 if (!win || win.closed) {
                   const a = document.createElement("a");
                   a.href = url;
@@ -584,12 +1494,72 @@ const res = await axios.post(`${apiUrl}/api/generate`,
             >
               Open Generated Site in New Tab
             </button>
+            <button className="btn" disabled={busy || !preview} onClick={() => setShowShare((v) => !v)}>
+              Copy share link
+            </button>
+            <button
+              className="btn"
+              disabled={!online || !projectId}
+              onClick={() => setShowInbox((v) => !v)}
+              title="Messages and signups sent through this project's forms"
+            >
+              Form inbox
+            </button>
           </div>
 
+          {showShare && preview && (
+            <SharePanel onShare={createShare} onCopy={copyLink} onClose={() => setShowShare(false)} />
+          )}
+
+          {showInbox && online && projectId && (
+            <FormInbox
+              key={projectId}
+              api={api}
+              projectId={projectId}
+              projectName={kebab(spec.projectName)}
+              onDownload={download}
+              onError={notifyError}
+              onClose={() => setShowInbox(false)}
+            />
+          )}
+
+          {variants && (
+            <VariantGrid
+              variants={variants}
+              busy={busy}
+              onPromote={promoteVariant}
+              onCompare={compareVariants}
+              onClose={() => setVariants(null)}
+            />
+          )}
+
+          {preview && thread.length > 0 && (
+            <RefinePanel
+              thread={thread}
+              activeId={activeId}
+              busy={busy}
+              onSend={onRefine}
+              onLoad={openVersion}
+            />
+          )}
+
+          {comparison && (
+            <CompareView a={comparison.a} b={comparison.b} title={comparison.title} onClose={() => setComparison(null)} />
+          )}
+
           <div className="history">
             <div className="history-head">
               <h3>Recent generations</h3>
-              <button className="link" onClick={clearHistory}>Clear</button>
+              <div className="history-actions">
+                <span className="muted">{online ? "Synced with server" : "Offline — local cache"}</span>
+                {online && projectId && (
+                  <button className="link" onClick={startNewProject}>New project</button>
+                )}
+                {compareIds.length === 2 && (
+                  <button className="btn sm primary" onClick={openComparison}>Compare selected</button>
+                )}
+                <button className="link" onClick={clearHistory}>{online ? "Clear cache" : "Clear"}</button>
+              </div>
             </div>
             {history.length === 0 ? (
               <p className="muted">No generations yet.</p>
@@ -598,14 +1568,23 @@ const res = await axios.post(`${apiUrl}/api/generate`,
                 {history.map((h) => (
                   <li key={h.id} className="history-item">
                     <div>
-                      <div className="history-title">{h.spec.projectName}</div>
+                      <div className="history-title">
+                        {h.spec.projectName}
+                        {h.instruction && <span className="muted"> ↳ {h.instruction}</span>}
+                      </div>
                       <div className="history-meta">
                         {new Date(h.createdAt).toLocaleString()} • {h.spec.style} • {h.spec.layout}
                       </div>
                     </div>
-                    <button className="btn sm" onClick={() => loadIntoPreview(h.htmlSnippet || h.html)}>
-                      Load snippet
-                    </button>
+                    <div className="history-item-actions">
+                      <label className="toggle" title="Select for comparison">
+                        <input type="checkbox" checked={compareIds.includes(h.id)} onChange={() => toggleCompare(h.id)} />
+                        <span>Compare</span>
+                      </label>
+                      <button className="btn sm" onClick={() => openVersion(h)}>
+                        Load snippet
+                      </button>
+                    </div>
                   </li>
                 ))}
               </ul>
@@ -647,6 +1626,22 @@ function EmptyState({ onGenerate }) {
   );
 }
 
+function WarningList({ warnings, onDismiss }) {
+  return (
+    <div className="warnings">
+      <div className="warnings-head">
+        <strong>Output was checked and repaired</strong>
+        <button className="link" onClick={onDismiss}>Dismiss</button>
+      </div>
+      <ul>
+        {warnings.map((w, i) => (
+          <li key={`${w.code}-${i}`}>{w.message}</li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
 function Toast({ msg, kind }) {
   return <div className={`toast ${kind}`}>{msg}</div>;
 }
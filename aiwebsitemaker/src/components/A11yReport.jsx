@@ -0,0 +1,54 @@
+import React from "react";
+
+const IMPACT_ORDER = { serious: 0, moderate: 1, minor: 2 };
+
+const scoreClass = (score) => (score >= 90 ? "good" : score >= 70 ? "fair" : "poor");
+
+export default function A11yReport({ audit, page, busy, selectedId, onSelect, onFix, onClose }) {
+  const issues = [...audit.issues].sort((a, b) => IMPACT_ORDER[a.impact] - IMPACT_ORDER[b.impact]);
+  const fixable = issues.filter((i) => i.fixable).length;
+
+  return (
+    <aside className="a11y">
+      <div className="history-head">
+        <h3>Accessibility</h3>
+        <button className="link" onClick={onClose}>Hide</button>
+      </div>
+
+      <div className="a11y-summary">
+        <span className={`a11y-score ${scoreClass(audit.score)}`}>{audit.score}</span>
+        <span className="muted">
+          {audit.counts.serious} serious • {audit.counts.moderate} moderate • {audit.counts.minor} minor
+        </span>
+      </div>
+
+      {issues.length === 0 ? (
+        <p className="muted">No issues found.</p>
+      ) : (
+        <ul className="a11y-issues">
+          {issues.map((issue) => (
+            <li key={issue.id}>
+              <button
+                className={`a11y-issue ${issue.impact} ${issue.id === selectedId ? "selected" : ""}`}
+                onClick={() => onSelect(issue.id === selectedId ? null : issue)}
+                disabled={!issue.selector}
+                title={issue.selector ? "Highlight in preview" : undefined}
+              >
+                <span className="a11y-rule">
+                  {issue.rule} <span className="muted">WCAG {issue.wcag}</span>
+                </span>
+                <span>{issue.message}</span>
+                {issue.file && issue.file !== page && <span className="muted">on {issue.file}</span>}
+                {issue.snippet && <code>{issue.snippet}</code>}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <button className="btn primary" onClick={onFix} disabled={busy || fixable === 0}>
+        {fixable ? `Auto-fix ${fixable} issue${fixable === 1 ? "" : "s"}` : "Nothing to auto-fix"}
+      </button>
+    </aside>
+  );
+}
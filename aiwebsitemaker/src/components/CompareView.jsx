@@ -0,0 +1,151 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { collapseUnchanged, diffLines, diffSpecs } from "../lib/diff.js";
+import { buildPreviewDoc } from "../lib/site.js";
+
+const docFor = (item) =>
+  item.files ? buildPreviewDoc(item.files, "index.html") : item.htmlSnippet || item.html || "";
+
+const label = (item) =>
+  item.label || `${item.spec?.projectName || "Untitled"} — ${new Date(item.createdAt).toLocaleString()}`;
+
+// `a` and `b` are history items, or ad-hoc ones with their own `label`.
+// Items marked `untrusted` (an uploaded page) render without scripts.
+export default function CompareView({ a, b, title = "Compare generations", onClose }) {
+  const [tab, setTab] = useState("visual");
+
+  const specChanges = useMemo(() => diffSpecs(a.spec, b.spec), [a, b]);
+  const lines = useMemo(
+    () => collapseUnchanged(diffLines(a.htmlSnippet || a.html || "", b.htmlSnippet || b.html || "")),
+    [a, b]
+  );
+  const stats = useMemo(
+    () => ({
+      added: lines.filter((l) => l.type === "add").length,
+      removed: lines.filter((l) => l.type === "del").length,
+    }),
+    [lines]
+  );
+
+  return (
+    <div className="compare">
+      <div className="history-head">
+        <h3>{title}</h3>
+        <button className="link" onClick={onClose}>Close</button>
+      </div>
+
+      <div className="compare-labels">
+        <span className="tag del">A</span> {label(a)}
+        <span className="tag add">B</span> {label(b)}
+      </div>
+
+      <div className="seg compare-tabs">
+        {[
+          ["visual", "Visual"],
+          ["source", `Source (+${stats.added} −${stats.removed})`],
+          ["spec", `Spec (${specChanges.length})`],
+        ].map(([id, text]) => (
+          <button key={id} className={`chip ${tab === id ? "selected" : ""}`} onClick={() => setTab(id)}>
+            {text}
+          </button>
+        ))}
+      </div>
+
+      {tab === "visual" && (
+        <SyncedFrames left={docFor(a)} right={docFor(b)} untrusted={[!!a.untrusted, !!b.untrusted]} />
+      )}
+
+      {tab === "source" && (
+        <pre className="diff">
+          {lines.map((l, i) =>
+            l.type === "skip" ? (
+              <div key={i} className="diff-line skip">… {l.count} unchanged lines</div>
+            ) : (
+              <div key={i} className={`diff-line ${l.type}`}>
+                {l.type === "add" ? "+ " : l.type === "del" ? "- " : "  "}
+                {l.text}
+              </div>
+            )
+          )}
+        </pre>
+      )}
+
+      {tab === "spec" &&
+        (specChanges.length === 0 ? (
+          <p className="muted">Both generations used the same spec.</p>
+        ) : (
+          <table className="spec-diff">
+            <thead>
+              <tr>
+                <th>Field</th>
+                <th>A</th>
+                <th>B</th>
+              </tr>
+            </thead>
+            <tbody>
+              {specChanges.map((c) => (
+                <tr key={c.path}>
+                  <td>{c.path}</td>
+                  <td className="del">{c.before}</td>
+                  <td className="add">{c.after}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ))}
+    </div>
+  );
+}
+
+// Two previews whose scroll positions follow each other (by ratio, since
+// the documents usually differ in height). srcDoc frames share our origin,
+// so their windows are reachable directly.
+function SyncedFrames({ left, right, untrusted = [false, false] }) {
+  const leftRef = useRef(null);
+  const rightRef = useRef(null);
+
+  useEffect(() => {
+    const frames = [leftRef.current, rightRef.current];
+    let syncing = false;
+    const cleanups = [];
+
+    const attach = (from, to) => {
+      const win = from.contentWindow;
+      if (!win) return;
+      const onScroll = () => {
+        if (syncing) return;
+        const src = win.document.scrollingElement;
+        const dst = to.contentWindow?.document?.scrollingElement;
+        if (!src || !dst) return;
+        const ratio = src.scrollTop / Math.max(1, src.scrollHeight - src.clientHeight);
+        syncing = true;
+        dst.scrollTop = ratio * (dst.scrollHeight - dst.clientHeight);
+        requestAnimationFrame(() => {
+          syncing = false;
+        });
+      };
+      win.addEventListener("scroll", onScroll);
+      cleanups.push(() => win.removeEventListener("scroll", onScroll));
+    };
+
+    const wire = () => {
+      cleanups.splice(0).forEach((fn) => fn());
+      attach(frames[0], frames[1]);
+      attach(frames[1], frames[0]);
+    };
+
+    frames.forEach((f) => f.addEventListener("load", wire));
+    wire();
+
+    return () => {
+      frames.forEach((f) => f.removeEventListener("load", wire));
+      cleanups.forEach((fn) => fn());
+    };
+  }, [left, right]);
+
+  return (
+    <div className="compare-frames">
+      <iframe ref={leftRef} title="version A" srcDoc={left} sandbox={untrusted[0] ? "allow-same-origin" : undefined} className="iframe" />
+      <iframe ref={rightRef} title="version B" srcDoc={right} sandbox={untrusted[1] ? "allow-same-origin" : undefined} className="iframe" />
+    </div>
+  );
+}
@@ -0,0 +1,41 @@
+import React, { useEffect, useRef, useState } from "react";
+
+// Lays its child (a preview iframe) out at `size` ({ width, height }, or
+// null to fill the available width) and, with `fit`, scales it down so the
+// whole viewport width is visible.
+export default function DeviceStage({ size, fit, label, children }) {
+  const ref = useRef(null);
+  const [available, setAvailable] = useState(0);
+
+  useEffect(() => {
+    const el = ref.current;
+    if (!el) return undefined;
+    const observer = new ResizeObserver(([entry]) => setAvailable(entry.contentRect.width));
+    observer.observe(el);
+    return () => observer.disconnect();
+  }, []);
+
+  const scale = size && fit && available ? Math.min(1, available / size.width) : 1;
+
+  return (
+    <div className={`device-stage ${size ? "sized" : ""}`} ref={ref}>
+      {label && <div className="device-label">{label}</div>}
+      <div
+        className="device-screen"
+        style={
+          size
+            ? {
+                width: size.width,
+                height: size.height,
+                transform: scale < 1 ? `scale(${scale})` : undefined,
+                marginBottom: scale < 1 ? size.height * (scale - 1) : undefined,
+                marginRight: scale < 1 ? size.width * (scale - 1) : undefined,
+              }
+            : undefined
+        }
+      >
+        {children}
+      </div>
+    </div>
+  );
+}
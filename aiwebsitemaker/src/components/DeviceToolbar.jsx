@@ -0,0 +1,72 @@
+import React from "react";
+import { DEVICES, MAX_WIDTH, MIN_WIDTH } from "../lib/devices.js";
+
+const PRESETS = [{ id: "responsive", label: "Fill" }, ...DEVICES, { id: "custom", label: "Custom" }];
+
+// Viewport controls above the live preview. `viewport` is { device, width,
+// rotated, fit, multi }; every change goes through `onChange(next)`.
+// `onCheck` runs the overflow check, `checking` while it does.
+export default function DeviceToolbar({ viewport, onChange, onCheck, checking, disabled }) {
+  const set = (fields) => onChange({ ...viewport, ...fields });
+  const sized = viewport.device !== "responsive";
+
+  return (
+    <div className="device-toolbar">
+      <div className="seg" role="group" aria-label="Preview device">
+        {PRESETS.map((d) => (
+          <button
+            key={d.id}
+            className={`chip ${!viewport.multi && viewport.device === d.id ? "selected" : ""}`}
+            onClick={() => set({ device: d.id, multi: false })}
+            title={d.width ? `${d.width}×${d.height}` : undefined}
+            disabled={disabled}
+          >
+            {d.label}
+          </button>
+        ))}
+        <button
+          className={`chip ${viewport.multi ? "selected" : ""}`}
+          onClick={() => set({ multi: !viewport.multi })}
+          title="Phone, tablet and desktop side by side"
+          disabled={disabled}
+        >
+          All devices
+        </button>
+      </div>
+
+      {viewport.device === "custom" && !viewport.multi && (
+        <label className="device-width">
+          <input
+            className="input"
+            type="number"
+            min={MIN_WIDTH}
+            max={MAX_WIDTH}
+            step={10}
+            value={viewport.width}
+            onChange={(e) => set({ width: Number(e.target.value) })}
+            onBlur={() => set({ width: Math.min(MAX_WIDTH, Math.max(MIN_WIDTH, viewport.width || MIN_WIDTH)) })}
+            aria-label="Viewport width in pixels"
+          />
+          <span className="muted">px</span>
+        </label>
+      )}
+
+      <div className="history-actions">
+        {sized && !viewport.multi && (
+          <>
+            <button className="btn sm" onClick={() => set({ rotated: !viewport.rotated })} disabled={disabled} title="Swap width and height">
+              {viewport.rotated ? "Landscape" : "Portrait"} ⟳
+            </button>
+            <label className="toggle" title="Scale the device down to fit the workspace">
+              <input type="checkbox" checked={viewport.fit} onChange={(e) => set({ fit: e.target.checked })} />
+              <span>Zoom to fit</span>
+            </label>
+          </>
+        )}
+        <button className="btn sm" onClick={onCheck} disabled={disabled || checking}>
+          {checking ? "Checking…" : "Check overflow"}
+        </button>
+      </div>
+    </div>
+  );
+}
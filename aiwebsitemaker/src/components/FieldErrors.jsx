@@ -0,0 +1,16 @@
+import React from "react";
+
+// Problems the server's spec validation reported for one field (the
+// `details` of a 400: [{ path, message }]), shown right under it.
+export default function FieldErrors({ errors }) {
+  if (!errors?.length) return null;
+  return (
+    <ul className="field-errors" role="alert">
+      {errors.map((e) => (
+        <li key={`${e.path} ${e.message}`}>
+          {e.path.replace(/^spec\./, "")} {e.message}
+        </li>
+      ))}
+    </ul>
+  );
+}
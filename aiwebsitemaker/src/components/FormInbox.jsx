@@ -0,0 +1,100 @@
+import React, { useCallback, useEffect, useState } from "react";
+
+const TABS = [
+  ["contact", "Contact"],
+  ["newsletter", "Newsletter"],
+];
+
+// Submissions from the project's generated forms, which post to
+// /api/forms/<formToken> once the site is live. Newsletter signups can be
+// downloaded as CSV through `onDownload(filename, content, type)`.
+export default function FormInbox({ api, projectId, projectName, onDownload, onError, onClose }) {
+  const [kind, setKind] = useState("contact");
+  const [submissions, setSubmissions] = useState(null);
+
+  const load = useCallback(() => {
+    api
+      .get(`/api/projects/${projectId}/submissions`)
+      .then((res) => setSubmissions(res.data.submissions))
+      .catch(() => {
+        setSubmissions([]);
+        onError("Could not load the form inbox.");
+      });
+  }, [api, projectId, onError]);
+
+  useEffect(load, [load]);
+
+  const remove = async (id) => {
+    try {
+      await api.delete(`/api/projects/${projectId}/submissions/${id}`);
+      setSubmissions((list) => list.filter((s) => s.id !== id));
+    } catch {
+      onError("Could not delete the submission.");
+    }
+  };
+
+  const exportCsv = async () => {
+    try {
+      const res = await api.get(`/api/projects/${projectId}/submissions`, {
+        params: { kind, format: "csv" },
+        responseType: "text",
+      });
+      onDownload(`${projectName || "project"}-${kind}.csv`, res.data, "text/csv");
+    } catch {
+      onError("Could not export the submissions.");
+    }
+  };
+
+  const shown = (submissions || []).filter((s) => s.kind === kind);
+
+  return (
+    <div className="inbox">
+      <div className="history-head">
+        <h3>Form inbox</h3>
+        <div className="history-actions">
+          <button className="link" onClick={load}>Refresh</button>
+          <button className="link" onClick={onClose}>Close</button>
+        </div>
+      </div>
+
+      <div className="seg">
+        {TABS.map(([id, label]) => (
+          <button key={id} className={`chip ${kind === id ? "selected" : ""}`} onClick={() => setKind(id)}>
+            {label} ({(submissions || []).filter((s) => s.kind === id).length})
+          </button>
+        ))}
+        {kind === "newsletter" && shown.length > 0 && (
+          <button className="btn sm" onClick={exportCsv}>Export CSV</button>
+        )}
+      </div>
+
+      {submissions === null ? (
+        <p className="muted">Loading…</p>
+      ) : shown.length === 0 ? (
+        <p className="muted">
+          Nothing yet. The generated {kind === "contact" ? "contact" : "newsletter"} forms post here once the site is live.
+        </p>
+      ) : (
+        <ul className="inbox-list">
+          {shown.map((s) => (
+            <li key={s.id} className="inbox-item">
+              <div className="history-meta">
+                {new Date(s.createdAt).toLocaleString()}
+                {s.page && ` • ${s.page}`}
+              </div>
+              <dl>
+                {Object.entries(s.fields).map(([name, value]) => (
+                  <React.Fragment key={name}>
+                    <dt>{name}</dt>
+                    <dd>{value}</dd>
+                  </React.Fragment>
+                ))}
+              </dl>
+              <button className="link" onClick={() => remove(s.id)}>Delete</button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
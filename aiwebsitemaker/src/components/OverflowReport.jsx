@@ -0,0 +1,44 @@
+import React from "react";
+
+// Results of the horizontal-overflow check (lib/devices.js), one row per
+// breakpoint. `onSelect(device, selector)` shows an element at that size.
+export default function OverflowReport({ results, page, onSelect, onClose }) {
+  const failing = results.filter((r) => r.pageOverflow > 0 || r.items.length);
+
+  return (
+    <div className="overflow-report">
+      <div className="history-head">
+        <h4>
+          Overflow check{page ? ` — ${page}` : ""}:{" "}
+          {failing.length ? `${failing.length} of ${results.length} breakpoints overflow` : "no overflow"}
+        </h4>
+        <button className="link" onClick={onClose}>Hide</button>
+      </div>
+      <ul>
+        {results.map((r) => (
+          <li key={r.device}>
+            <span className={`check ${r.error ? "" : r.pageOverflow || r.items.length ? "failed" : "passed"}`}>
+              {r.error ? "?" : r.pageOverflow || r.items.length ? "✗" : "✓"} {r.label} ({r.width}px)
+            </span>
+            {r.error && <span className="muted"> {r.error}</span>}
+            {r.pageOverflow > 0 && <span className="muted"> page scrolls sideways by {r.pageOverflow}px</span>}
+            {r.items.length > 0 && (
+              <ul className="overflow-items">
+                {r.items.map((item) => (
+                  <li key={item.selector}>
+                    <button className="link" onClick={() => onSelect(r.device, item.selector)} title={item.selector}>
+                      &lt;{item.tag}&gt;
+                    </button>{" "}
+                    <span className="muted">
+                      {item.width}px wide, {item.overflow}px past the edge • <code>{item.selector}</code>
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
@@ -0,0 +1,82 @@
+import React, { useRef, useState } from "react";
+
+// Roughly what fits in one request next to the spec.
+const MAX_SOURCE_BYTES = 750_000;
+
+// Redesign mode: the user uploads or pastes an existing page and
+// `onExtract(html, name)` pre-fills the spec from it. While `redesign`
+// ({ name, source }) is set, generations keep that page's copy.
+export default function RedesignPanel({ redesign, busy, onExtract, onClear, onError }) {
+  const fileRef = useRef(null);
+  const [pasting, setPasting] = useState(false);
+  const [pasted, setPasted] = useState("");
+
+  const onFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    if (file.size > MAX_SOURCE_BYTES) return onError(`${file.name} is too large to redesign (max ${MAX_SOURCE_BYTES / 1000} KB).`);
+    onExtract(await file.text(), file.name);
+  };
+
+  const submitPasted = async (e) => {
+    e.preventDefault();
+    if (await onExtract(pasted, "Pasted source")) {
+      setPasting(false);
+      setPasted("");
+    }
+  };
+
+  if (redesign) {
+    const { source } = redesign;
+    const items = source.sections.reduce((n, s) => n + s.items, 0);
+    return (
+      <section className="block redesign">
+        <div className="history-head">
+          <label className="label">Redesigning {redesign.name}</label>
+          <button className="link" onClick={onClear}>Stop</button>
+        </div>
+        <p className="hint">
+          {source.title || "Untitled page"} • {source.sections.length} sections, {items} pieces of copy
+          {source.nav.length > 0 && ` • nav: ${source.nav.map((l) => l.label).join(", ")}`}
+        </p>
+        {source.colors.length > 0 && (
+          <div className="token-strip" aria-hidden="true">
+            {source.colors.map((c) => (
+              <span key={c} style={{ background: c }} title={c} />
+            ))}
+          </div>
+        )}
+        <p className="hint">Generate keeps this copy and replaces the design.</p>
+      </section>
+    );
+  }
+
+  return (
+    <section className="block redesign">
+      <div className="history-head">
+        <label className="label">Redesign an existing site</label>
+        <button className="link" onClick={() => setPasting((p) => !p)}>{pasting ? "Cancel" : "Paste source"}</button>
+      </div>
+      {pasting ? (
+        <form onSubmit={submitPasted}>
+          <textarea
+            className="textarea"
+            value={pasted}
+            onChange={(e) => setPasted(e.target.value)}
+            rows={5}
+            placeholder="<!doctype html>…"
+            aria-label="Existing page source"
+          />
+          <button type="submit" className="btn sm" disabled={busy || !pasted.trim()}>Extract content</button>
+        </form>
+      ) : (
+        <>
+          <button className="btn sm" onClick={() => fileRef.current?.click()} disabled={busy}>Upload HTML</button>
+          <input ref={fileRef} type="file" accept=".html,.htm,text/html" onChange={onFile} hidden />
+          <p className="hint">Pre-fills the spec from the page and keeps its real copy.</p>
+        </>
+      )}
+    </section>
+  );
+}
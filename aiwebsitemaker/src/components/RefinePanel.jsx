@@ -0,0 +1,50 @@
+import React, { useState } from "react";
+
+export default function RefinePanel({ thread, activeId, busy, onSend, onLoad }) {
+  const [draft, setDraft] = useState("");
+
+  const submit = (e) => {
+    e.preventDefault();
+    const text = draft.trim();
+    if (!text || busy) return;
+    onSend(text);
+    setDraft("");
+  };
+
+  return (
+    <div className="refine">
+      <div className="history-head">
+        <h3>Refine this version</h3>
+        <span className="muted">{thread.length} version{thread.length === 1 ? "" : "s"}</span>
+      </div>
+
+      <ol className="refine-thread">
+        {thread.map((item, i) => (
+          <li key={item.id} className={`refine-turn ${item.id === activeId ? "active" : ""}`}>
+            {item.instruction ? (
+              <div className="bubble user">{item.instruction}</div>
+            ) : (
+              <div className="bubble system">Original generation</div>
+            )}
+            <button className="link" onClick={() => onLoad(item)} disabled={busy}>
+              v{i + 1} {item.id === activeId ? "(showing)" : "— load"}
+            </button>
+          </li>
+        ))}
+      </ol>
+
+      <form className="refine-form" onSubmit={submit}>
+        <input
+          className="input"
+          value={draft}
+          onChange={(e) => setDraft(e.target.value)}
+          placeholder="e.g. Make the hero darker and add a testimonials section"
+          disabled={busy}
+        />
+        <button className="btn primary" type="submit" disabled={busy || !draft.trim()}>
+          {busy ? "Refining…" : "Send"}
+        </button>
+      </form>
+    </div>
+  );
+}
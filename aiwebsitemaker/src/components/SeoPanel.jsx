@@ -0,0 +1,73 @@
+import React, { useMemo } from "react";
+import { robotsTxt, seoScore, sitemapXml, SITE_TYPES } from "../../../shared/seo.js";
+import FieldErrors from "./FieldErrors.jsx";
+
+const scoreClass = (score) => (score >= 90 ? "good" : score >= 70 ? "fair" : "poor");
+
+const TYPE_LABELS = {
+  Organization: "Organization",
+  LocalBusiness: "Local business",
+  Product: "Product",
+  SoftwareApplication: "Software / app",
+  Person: "Person",
+};
+
+// The spec's SEO fields with a live score. Open Graph, Twitter, canonical
+// and JSON-LD tags are added to every generated page by the server;
+// multi-page downloads carry sitemap.xml and robots.txt, single pages get
+// them through `onDownload(filename, content, type)`. `errors` are the
+// server's validation problems for spec.seo.
+export default function SeoPanel({ spec, onChange, onDownload, errors = [] }) {
+  const { score, type, suggestions } = useMemo(() => seoScore(spec), [spec]);
+  const seo = spec.seo;
+  const set = (key) => (e) => onChange({ ...seo, [key]: e.target.value });
+  const errorsFor = (key) => errors.filter((e) => e.path === `spec.seo.${key}`);
+  const sitemap = sitemapXml(spec);
+
+  return (
+    <section className="block seo">
+      <div className="history-head">
+        <label className="label">SEO</label>
+        <span className={`a11y-score sm ${scoreClass(score)}`} title="SEO score">{score}</span>
+      </div>
+      <input className="input" placeholder="Site title" value={seo.title} onChange={set("title")} />
+      <FieldErrors errors={errorsFor("title")} />
+      <input className="input" placeholder="Meta description" value={seo.description} onChange={set("description")} />
+      <FieldErrors errors={errorsFor("description")} />
+      <input className="input" placeholder="Keywords (comma separated)" value={seo.keywords} onChange={set("keywords")} />
+      <FieldErrors errors={errorsFor("keywords")} />
+      <input className="input" type="url" placeholder="Site URL (https://…)" value={seo.siteUrl} onChange={set("siteUrl")} />
+      <FieldErrors errors={errorsFor("siteUrl")} />
+      <input className="input" type="url" placeholder="Social image URL" value={seo.image} onChange={set("image")} />
+      <FieldErrors errors={errorsFor("image")} />
+      <select className="input" value={seo.type} onChange={set("type")} aria-label="Structured data type">
+        <option value="auto">Site type: auto ({TYPE_LABELS[type]})</option>
+        {SITE_TYPES.map((t) => (
+          <option key={t} value={t}>{TYPE_LABELS[t]}</option>
+        ))}
+      </select>
+      <FieldErrors errors={[...errorsFor("type"), ...errors.filter((e) => e.path === "spec.seo")]} />
+
+      {suggestions.length > 0 && (
+        <ul className="seo-tips">
+          {suggestions.map((s) => (
+            <li key={s.id}>{s.message}</li>
+          ))}
+        </ul>
+      )}
+
+      {spec.layout === "multipage" ? (
+        <p className="hint">The site download includes {sitemap ? "sitemap.xml and " : ""}robots.txt.</p>
+      ) : (
+        <div className="history-actions">
+          <button className="btn sm" onClick={() => onDownload("sitemap.xml", sitemap, "application/xml")} disabled={!sitemap} title={sitemap ? "" : "Needs the site URL"}>
+            sitemap.xml
+          </button>
+          <button className="btn sm" onClick={() => onDownload("robots.txt", robotsTxt(spec), "text/plain")}>
+            robots.txt
+          </button>
+        </div>
+      )}
+    </section>
+  );
+}
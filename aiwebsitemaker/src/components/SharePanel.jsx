@@ -0,0 +1,76 @@
+import React, { useState } from "react";
+
+const EXPIRY_OPTIONS = [
+  { label: "Never expires", seconds: null },
+  { label: "1 hour", seconds: 3600 },
+  { label: "1 day", seconds: 86400 },
+  { label: "7 days", seconds: 7 * 86400 },
+  { label: "30 days", seconds: 30 * 86400 },
+];
+
+// Options for a hosted share link, and the link once it exists. `onShare`
+// resolves with the created share ({ url, expiresAt, protected }).
+export default function SharePanel({ onShare, onCopy, onClose }) {
+  const [expiry, setExpiry] = useState(0);
+  const [password, setPassword] = useState("");
+  const [share, setShare] = useState(null);
+  const [working, setWorking] = useState(false);
+
+  const submit = async (e) => {
+    e.preventDefault();
+    setWorking(true);
+    try {
+      const created = await onShare({ expiresIn: EXPIRY_OPTIONS[expiry].seconds, password });
+      if (created) {
+        setShare(created);
+        onCopy(created.url);
+      }
+    } finally {
+      setWorking(false);
+    }
+  };
+
+  return (
+    <div className="share-panel">
+      <div className="history-head">
+        <h3>Share link</h3>
+        <button className="link" onClick={onClose}>Close</button>
+      </div>
+
+      {share ? (
+        <>
+          <div className="share-url">
+            <input className="input" value={share.url} readOnly onFocus={(e) => e.target.select()} aria-label="Share link" />
+            <button className="btn sm" onClick={() => onCopy(share.url)}>Copy</button>
+          </div>
+          <p className="muted">
+            {share.protected ? "Password protected" : "Anyone with the link can view it"}
+            {" • "}
+            {share.expiresAt ? `expires ${new Date(share.expiresAt).toLocaleString()}` : "never expires"}
+          </p>
+          <button className="link" onClick={() => setShare(null)}>Create another link</button>
+        </>
+      ) : (
+        <form className="share-form" onSubmit={submit}>
+          <select className="input" value={expiry} onChange={(e) => setExpiry(Number(e.target.value))} aria-label="Link expiry">
+            {EXPIRY_OPTIONS.map((o, i) => (
+              <option key={o.label} value={i}>{o.label}</option>
+            ))}
+          </select>
+          <input
+            className="input"
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            placeholder="Password (optional)"
+            aria-label="Password (optional)"
+            autoComplete="new-password"
+          />
+          <button className="btn primary" type="submit" disabled={working}>
+            {working ? "Creating…" : "Create & copy link"}
+          </button>
+        </form>
+      )}
+    </div>
+  );
+}
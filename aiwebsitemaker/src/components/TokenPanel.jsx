@@ -0,0 +1,114 @@
+import React, { useMemo, useState } from "react";
+import { TOKEN_GROUPS, deriveTokens, normalizeTokenOverrides, tokenContrast } from "../lib/tokens.js";
+
+const GROUP_LABELS = { color: "Colours", typography: "Typography", spacing: "Spacing & shape" };
+
+const HEX = /^#[0-9a-f]{6}$/i;
+
+// Preview of the design tokens the spec will generate with. Each token can
+// be overridden; `onChange` receives the new overrides (spec.tokens).
+export default function TokenPanel({ spec, onChange }) {
+  const [open, setOpen] = useState(false);
+  const derived = useMemo(
+    () => deriveTokens({ primaryColor: spec.primaryColor, style: spec.style, theme: spec.theme }),
+    [spec.primaryColor, spec.style, spec.theme]
+  );
+  const overrides = normalizeTokenOverrides(spec.tokens);
+  const tokens = { ...derived, ...overrides };
+  const contrast = tokenContrast(tokens);
+  const failing = contrast.filter((c) => !c.passes);
+
+  // Typing the derived value back counts as a reset.
+  const setToken = (name, value) => {
+    const next = { ...overrides };
+    if (!value.trim() || value.trim() === derived[name]) delete next[name];
+    else next[name] = value;
+    onChange(next);
+  };
+
+  return (
+    <section className="block tokens">
+      <div className="history-head">
+        <label className="label">Design tokens</label>
+        <button className="link" onClick={() => setOpen((o) => !o)}>{open ? "Hide" : "Customize"}</button>
+      </div>
+
+      <div className="token-strip" aria-hidden="true">
+        {TOKEN_GROUPS.color.map((name) => (
+          <span key={name} style={{ background: tokens[name] }} title={`--${name}: ${tokens[name]}`} />
+        ))}
+      </div>
+      <p className="hint">
+        {failing.length
+          ? `${failing.length} of ${contrast.length} colour pairs below 4.5:1 contrast`
+          : `All ${contrast.length} colour pairs meet 4.5:1 contrast`}
+        {Object.keys(overrides).length > 0 && ` • ${Object.keys(overrides).length} customized`}
+      </p>
+
+      {open && (
+        <>
+          <div
+            className="token-sample"
+            style={{ background: tokens["color-bg"], color: tokens["color-text"], fontFamily: tokens["font-body"] }}
+          >
+            <strong style={{ fontFamily: tokens["font-heading"], fontWeight: tokens["font-weight-heading"], fontSize: tokens["font-size-xl"] }}>
+              Heading
+            </strong>
+            <span style={{ color: tokens["color-text-muted"] }}>Muted body copy</span>
+            <span style={{ color: tokens["color-link"] }}>A link</span>
+            <span
+              className="token-button"
+              style={{ background: tokens["color-primary"], color: tokens["color-on-primary"], borderRadius: tokens["radius-md"] }}
+            >
+              Button
+            </span>
+          </div>
+
+          <ul className="token-contrast">
+            {contrast.map((c) => (
+              <li key={c.label} className={c.passes ? "" : "fail"}>
+                <span className="token-aa" style={{ background: tokens[c.bg], color: tokens[c.fg] }}>Aa</span>
+                <span>{c.label}</span>
+                <span className="muted">{c.ratio}:1</span>
+              </li>
+            ))}
+          </ul>
+
+          {Object.entries(TOKEN_GROUPS).map(([group, names]) => (
+            <div key={group} className="token-group">
+              <p className="hint">{GROUP_LABELS[group]}</p>
+              {names.map((name) => (
+                <div key={name} className={`token-row ${overrides[name] ? "changed" : ""}`}>
+                  {group === "color" && (
+                    <input
+                      type="color"
+                      value={HEX.test(tokens[name]) ? tokens[name] : "#000000"}
+                      onChange={(e) => setToken(name, e.target.value)}
+                      aria-label={`--${name} colour`}
+                    />
+                  )}
+                  <code>--{name}</code>
+                  <input
+                    className="input"
+                    value={tokens[name]}
+                    onChange={(e) => setToken(name, e.target.value)}
+                    aria-label={`--${name}`}
+                  />
+                  {overrides[name] && (
+                    <button className="link" onClick={() => setToken(name, "")} title={`Reset to ${derived[name]}`}>
+                      Reset
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+          ))}
+
+          {Object.keys(overrides).length > 0 && (
+            <button className="btn sm" onClick={() => onChange({})}>Reset all tokens</button>
+          )}
+        </>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,61 @@
+import React, { useState } from "react";
+import { buildPreviewDoc } from "../lib/site.js";
+
+const docFor = (item) => (item.files ? buildPreviewDoc(item.files, "index.html") : item.html);
+
+const seconds = (ms) => `${(ms / 1000).toFixed(ms < 10000 ? 1 : 0)}s`;
+
+// Results of a variants run side by side as thumbnails. `onPromote(item)`
+// makes one the current result; two can be opened in the compare view
+// through `onCompare(a, b)`.
+export default function VariantGrid({ variants, busy, onPromote, onCompare, onClose }) {
+  const [picked, setPicked] = useState([]);
+  const toggle = (index) =>
+    setPicked((ids) => (ids.includes(index) ? ids.filter((i) => i !== index) : [...ids, index].slice(-2)));
+  const byIndex = (index) => variants.items.find((v) => v.index === index);
+
+  return (
+    <div className="variants">
+      <div className="history-head">
+        <h3>Variants</h3>
+        <div className="history-actions">
+          {picked.length === 2 && (
+            <button className="btn sm primary" onClick={() => onCompare(byIndex(picked[0]), byIndex(picked[1]))}>
+              Compare selected
+            </button>
+          )}
+          <button className="link" onClick={onClose}>Discard</button>
+        </div>
+      </div>
+
+      <ul className="variant-grid">
+        {variants.items.map((item) => (
+          <li key={item.index} className="variant">
+            <div className="variant-thumb">
+              <iframe title={`Variant ${item.index + 1}`} srcDoc={docFor(item)} sandbox="" loading="lazy" tabIndex={-1} />
+            </div>
+            <div className="history-title">{item.model}</div>
+            <div className="history-meta">
+              #{item.index + 1} • temperature {item.temperature} • {seconds(item.ms)}
+              {item.a11y && ` • a11y ${item.a11y.score}`}
+              {item.warnings?.length > 0 && ` • ${item.warnings.length} warning(s)`}
+            </div>
+            <div className="history-item-actions">
+              <label className="toggle" title="Select for comparison">
+                <input type="checkbox" checked={picked.includes(item.index)} onChange={() => toggle(item.index)} />
+                <span>Compare</span>
+              </label>
+              <button className="btn sm primary" onClick={() => onPromote(item)} disabled={busy}>Use this</button>
+            </div>
+          </li>
+        ))}
+      </ul>
+
+      {variants.failed.length > 0 && (
+        <p className="hint">
+          Failed: {variants.failed.map((f) => `${f.model} @ ${f.temperature} (${f.error})`).join("; ")}
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,124 @@
+// Device presets for the preview and the horizontal-overflow check that
+// loads the page at each breakpoint in a hidden frame.
+
+export const DEVICES = [
+  { id: "phone", label: "Phone", width: 390, height: 844 },
+  { id: "tablet", label: "Tablet", width: 820, height: 1180 },
+  { id: "laptop", label: "Laptop", width: 1280, height: 800 },
+  { id: "desktop", label: "Desktop", width: 1440, height: 900 },
+];
+
+// The breakpoints the overflow check and the multi-device view cover.
+export const CHECKED_DEVICES = DEVICES.filter((d) => d.id !== "laptop");
+
+export const MIN_WIDTH = 280;
+export const MAX_WIDTH = 2560;
+
+const LOAD_TIMEOUT_MS = 5000;
+const MAX_ITEMS = 10;
+
+/**
+ * The frame size for a viewport setting ({ device, width, rotated }), or
+ * null for "fill the workspace". Custom widths keep the laptop height.
+ */
+export function viewportSize({ device, width, rotated }) {
+  if (device === "responsive") return null;
+  const preset = DEVICES.find((d) => d.id === device);
+  const size = preset ? { width: preset.width, height: preset.height } : { width, height: 800 };
+  return rotated ? { width: size.height, height: size.width } : size;
+}
+
+// A selector that finds `el` again: its id when it has a unique one,
+// otherwise a tag:nth-of-type path from the nearest such ancestor.
+export function cssPath(el) {
+  const doc = el.ownerDocument;
+  const parts = [];
+  for (let node = el; node && node !== doc.body && node !== doc.documentElement; node = node.parentElement) {
+    if (node.id && doc.querySelectorAll(`#${CSS.escape(node.id)}`).length === 1) {
+      parts.unshift(`#${CSS.escape(node.id)}`);
+      return parts.join(" > ");
+    }
+    const tag = node.tagName.toLowerCase();
+    const siblings = [...node.parentElement.children].filter((c) => c.tagName === node.tagName);
+    parts.unshift(siblings.length > 1 ? `${tag}:nth-of-type(${siblings.indexOf(node) + 1})` : tag);
+  }
+  return ["body", ...parts].join(" > ");
+}
+
+// Inside a scrolling or clipping box an element can't widen the page.
+function clipped(el, win) {
+  for (let node = el.parentElement; node && node !== el.ownerDocument.body; node = node.parentElement) {
+    if (win.getComputedStyle(node).overflowX !== "visible") return true;
+  }
+  return false;
+}
+
+/**
+ * Elements of a loaded document that stick out of its viewport
+ * horizontally, outermost first: [{ selector, tag, width, overflow }].
+ * `pageOverflow` is how far the page itself scrolls sideways.
+ */
+export function findOverflow(doc) {
+  const win = doc.defaultView;
+  const viewport = doc.documentElement.clientWidth;
+  const reported = [];
+
+  for (const el of doc.body.querySelectorAll("*")) {
+    if (reported.some((r) => r.el.contains(el))) continue;
+    const rect = el.getBoundingClientRect();
+    if (!rect.width || (rect.right <= viewport + 1 && rect.left >= -1)) continue;
+    if (win.getComputedStyle(el).position === "fixed" || clipped(el, win)) continue;
+    reported.push({ el, width: Math.round(rect.width), overflow: Math.round(Math.max(rect.right - viewport, -rect.left)) });
+  }
+
+  return {
+    pageOverflow: Math.max(0, doc.documentElement.scrollWidth - viewport),
+    items: reported.slice(0, MAX_ITEMS).map(({ el, width, overflow }) => ({
+      selector: cssPath(el),
+      tag: el.tagName.toLowerCase(),
+      width,
+      overflow,
+    })),
+  };
+}
+
+// Loads `html` into an off-screen, script-free frame of the given size.
+function loadFrame(html, { width, height }) {
+  return new Promise((resolve, reject) => {
+    const frame = document.createElement("iframe");
+    frame.setAttribute("sandbox", "allow-same-origin");
+    frame.setAttribute("aria-hidden", "true");
+    frame.style.cssText = `position:fixed;left:-10000px;top:0;width:${width}px;height:${height}px;border:0;visibility:hidden`;
+    const timer = setTimeout(() => {
+      frame.remove();
+      reject(new Error("The page took too long to load"));
+    }, LOAD_TIMEOUT_MS);
+    frame.onload = () => {
+      clearTimeout(timer);
+      resolve(frame);
+    };
+    frame.srcdoc = html;
+    document.body.appendChild(frame);
+  });
+}
+
+/**
+ * Runs findOverflow at every device width, one frame at a time. Resolves
+ * to [{ device, width, pageOverflow, items }], or an `error` per device
+ * that could not be checked.
+ */
+export async function checkOverflow(html, devices = CHECKED_DEVICES) {
+  const results = [];
+  for (const device of devices) {
+    let frame;
+    try {
+      frame = await loadFrame(html, device);
+      results.push({ device: device.id, label: device.label, width: device.width, ...findOverflow(frame.contentDocument) });
+    } catch (err) {
+      results.push({ device: device.id, label: device.label, width: device.width, error: err.message, pageOverflow: 0, items: [] });
+    } finally {
+      frame?.remove();
+    }
+  }
+  return results;
+}
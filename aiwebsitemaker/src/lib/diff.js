@@ -0,0 +1,125 @@
+// Spec and line diffs for comparing two generations.
+
+function flatten(value, prefix = "", out = {}) {
+  if (value && typeof value === "object" && !Array.isArray(value)) {
+    for (const [k, v] of Object.entries(value)) flatten(v, prefix ? `${prefix}.${k}` : k, out);
+  } else {
+    out[prefix] = value;
+  }
+  return out;
+}
+
+const show = (v) => (v === undefined ? "—" : Array.isArray(v) ? v.join(", ") : String(v));
+
+/**
+ * Field-level differences between two specs, e.g.
+ * [{ path: "include.newsletter", before: "true", after: "false" }].
+ */
+export function diffSpecs(a = {}, b = {}) {
+  const fa = flatten(a);
+  const fb = flatten(b);
+  const paths = [...new Set([...Object.keys(fa), ...Object.keys(fb)])].sort();
+  return paths
+    .filter((p) => show(fa[p]) !== show(fb[p]))
+    .map((p) => ({ path: p, before: show(fa[p]), after: show(fb[p]) }));
+}
+
+// Above this many LCS cells the changed middle is shown as one replaced
+// block instead of a line-accurate diff.
+const MAX_CELLS = 4_000_000;
+
+/**
+ * Line diff returning [{ type: "same" | "add" | "del", text }].
+ */
+export function diffLines(before = "", after = "") {
+  const a = before.split("\n");
+  const b = after.split("\n");
+
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const head = a.slice(0, start).map((text) => ({ type: "same", text }));
+  const tail = a.slice(endA).map((text) => ({ type: "same", text }));
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const n = midA.length;
+  const m = midB.length;
+
+  if (n * m > MAX_CELLS) {
+    return [
+      ...head,
+      ...midA.map((text) => ({ type: "del", text })),
+      ...midB.map((text) => ({ type: "add", text })),
+      ...tail,
+    ];
+  }
+
+  // lcs[i * (m + 1) + j] = LCS length of midA[i:] and midB[j:]
+  const lcs = new Uint32Array((n + 1) * (m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i * (m + 1) + j] =
+        midA[i] === midB[j]
+          ? lcs[(i + 1) * (m + 1) + j + 1] + 1
+          : Math.max(lcs[(i + 1) * (m + 1) + j], lcs[i * (m + 1) + j + 1]);
+    }
+  }
+
+  const mid = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (midA[i] === midB[j]) {
+      mid.push({ type: "same", text: midA[i] });
+      i++;
+      j++;
+    } else if (lcs[(i + 1) * (m + 1) + j] >= lcs[i * (m + 1) + j + 1]) {
+      mid.push({ type: "del", text: midA[i++] });
+    } else {
+      mid.push({ type: "add", text: midB[j++] });
+    }
+  }
+  while (i < n) mid.push({ type: "del", text: midA[i++] });
+  while (j < m) mid.push({ type: "add", text: midB[j++] });
+
+  return [...head, ...mid, ...tail];
+}
+
+/**
+ * Collapses long runs of unchanged lines, keeping `context` lines around
+ * each change: [{ type: "skip", count }] marks an elided run.
+ */
+export function collapseUnchanged(lines, context = 3) {
+  const out = [];
+  let run = [];
+
+  const flush = (isEnd) => {
+    const keepHead = out.length ? context : 0;
+    const keepTail = isEnd ? 0 : context;
+    if (run.length > keepHead + keepTail + 1) {
+      out.push(...run.slice(0, keepHead));
+      out.push({ type: "skip", count: run.length - keepHead - keepTail });
+      out.push(...run.slice(run.length - keepTail));
+    } else {
+      out.push(...run);
+    }
+    run = [];
+  };
+
+  for (const line of lines) {
+    if (line.type === "same") {
+      run.push(line);
+    } else {
+      flush(false);
+      out.push(line);
+    }
+  }
+  flush(true);
+  return out;
+}
@@ -0,0 +1,311 @@
+// In-place editing of the preview document, plus the section picker the
+// live preview uses for "Regenerate this section". The edit-mode iframe is
+// sandboxed without scripts, so the page's own JS never mutates the DOM
+// we serialize; everything here runs from the app against the iframe's
+// (same-origin) document.
+
+// Elements the editor adds to the page. They, and anything else carrying
+// this attribute (e.g. the preview's navigation bridge), are stripped on
+// serialization.
+export const EDITOR_UI_ATTR = "data-aiwm-ui";
+
+// Marks <style>/<script> blocks that buildPreviewDoc inlined from a site's
+// shared files, so they can be turned back into links.
+export const INLINED_FROM_ATTR = "data-aiwm-src";
+
+const TEXT_SELECTOR =
+  "h1, h2, h3, h4, h5, h6, p, li, a, button, label, blockquote, figcaption, td, th, dt, dd, small, span, strong, em";
+const SECTION_SELECTOR = "header, nav, section, footer, aside, article";
+// Single-line elements: Enter finishes the edit instead of adding a break.
+const SINGLE_LINE = new Set(["H1", "H2", "H3", "H4", "H5", "H6", "A", "BUTTON", "LABEL", "SMALL", "SPAN", "STRONG", "EM"]);
+
+const EDITOR_CSS = `
+:where(${TEXT_SELECTOR}):hover { outline: 1px dashed #6366f1; outline-offset: 2px; cursor: text; }
+img:hover { outline: 2px dashed #6366f1; cursor: pointer; }
+[contenteditable] { outline: 2px solid #6366f1 !important; outline-offset: 2px; cursor: text; }
+`;
+
+const SECTION_CSS = `
+.aiwm-section-outline { position: absolute; pointer-events: none; border: 2px dashed #f59e0b; border-radius: 4px; z-index: 2147483646; display: none; }
+.aiwm-section-bar { position: absolute; z-index: 2147483647; display: none; gap: 4px; padding: 4px; background: #111827; border-radius: 6px; box-shadow: 0 4px 12px rgba(0,0,0,.25); }
+.aiwm-section-bar button { all: unset; font: 600 12px/1 system-ui, sans-serif; color: #fff; padding: 6px 8px; border-radius: 4px; cursor: pointer; }
+.aiwm-section-bar button:hover { background: #374151; }
+`;
+
+// Top-level page sections: header/nav/section/footer/aside/article that
+// are not nested in another one.
+export function topSections(doc) {
+  return [...doc.body.querySelectorAll(SECTION_SELECTOR)].filter(
+    (el) => !el.parentElement.closest(SECTION_SELECTOR) && !el.closest(`[${EDITOR_UI_ATTR}]`)
+  );
+}
+
+// The id the server uses for a top-level section (see server/lib/sections.js):
+// its `id` attribute, else its tag name, with "-2", "-3", ... on repeats.
+export function sectionId(doc, section) {
+  const seen = new Set();
+  for (const el of topSections(doc)) {
+    const base = el.getAttribute("id")?.trim() || el.tagName.toLowerCase();
+    let id = base;
+    for (let n = 2; seen.has(id); n++) id = `${base}-${n}`;
+    seen.add(id);
+    if (el === section) return id;
+  }
+  return null;
+}
+
+function sectionLabel(section) {
+  const heading = section.querySelector("h1, h2, h3, h4, h5, h6");
+  const text = (heading || section).textContent.replace(/\s+/g, " ").trim();
+  return text.length > 60 ? `${text.slice(0, 57)}...` : text || section.tagName.toLowerCase();
+}
+
+const uiElement = (doc, tag, className) => {
+  const el = doc.createElement(tag);
+  el.setAttribute(EDITOR_UI_ATTR, "");
+  if (className) el.className = className;
+  return el;
+};
+
+/**
+ * Outlines the top-level section under the pointer and floats a bar of
+ * `buttons` ({ act, label, title }) over it. `onAction(act, section)` runs
+ * when one is clicked. Returns { current, show, destroy }.
+ */
+function sectionOverlay(doc, win, buttons, onAction) {
+  const style = uiElement(doc, "style");
+  style.textContent = SECTION_CSS;
+  const outline = uiElement(doc, "div", "aiwm-section-outline");
+  const bar = uiElement(doc, "div", "aiwm-section-bar");
+  for (const { act, label, title } of buttons) {
+    const button = doc.createElement("button");
+    button.type = "button";
+    button.dataset.act = act;
+    button.title = title;
+    button.textContent = label;
+    bar.appendChild(button);
+  }
+  doc.head.appendChild(style);
+  doc.body.append(outline, bar);
+
+  let section = null;
+
+  function show(next) {
+    section = next;
+    if (!next) {
+      outline.style.display = "none";
+      bar.style.display = "none";
+      return;
+    }
+    const r = next.getBoundingClientRect();
+    const top = r.top + win.scrollY;
+    const left = r.left + win.scrollX;
+    Object.assign(outline.style, {
+      display: "block",
+      top: `${top}px`,
+      left: `${left}px`,
+      width: `${r.width}px`,
+      height: `${r.height}px`,
+    });
+    bar.style.display = "flex";
+    bar.style.top = `${top + 8}px`;
+    bar.style.left = `${Math.max(left + 8, left + r.width - bar.offsetWidth - 8)}px`;
+  }
+
+  const onMove = (e) => {
+    if (bar.contains(e.target)) return;
+    const next = topSections(doc).find((s) => s.contains(e.target)) || null;
+    if (next !== section) show(next);
+  };
+
+  // Capture phase, so the page's own handlers never see clicks on the bar.
+  const onClick = (e) => {
+    const button = e.target.closest?.("[data-act]");
+    if (!button || !bar.contains(button) || !section) return;
+    e.preventDefault();
+    e.stopPropagation();
+    onAction(button.dataset.act, section);
+  };
+
+  doc.addEventListener("mousemove", onMove);
+  doc.addEventListener("click", onClick, true);
+
+  return {
+    current: () => section,
+    show,
+    destroy: () => {
+      doc.removeEventListener("mousemove", onMove);
+      doc.removeEventListener("click", onClick, true);
+      style.remove();
+      outline.remove();
+      bar.remove();
+    },
+  };
+}
+
+/**
+ * Hover control for the live preview: a "Regenerate this section" button
+ * over each top-level section. `onPick({ id, label })` receives the
+ * section's server-side id. Returns a function that removes the control.
+ */
+export function attachSectionPicker(frame, { onPick }) {
+  const doc = frame?.contentDocument;
+  const win = frame?.contentWindow;
+  if (!doc?.body || !win) return () => {};
+
+  const overlay = sectionOverlay(
+    doc,
+    win,
+    [{ act: "regenerate", label: "↻ Regenerate this section", title: "Rewrite just this section" }],
+    (act, section) => {
+      const id = sectionId(doc, section);
+      if (id) onPick({ id, label: sectionLabel(section) });
+    }
+  );
+  return overlay.destroy;
+}
+
+/**
+ * The document as HTML, without editor artifacts and with inlined site
+ * assets turned back into <link>/<script src> references.
+ */
+export function serializeDocument(doc) {
+  const root = doc.documentElement.cloneNode(true);
+
+  root.querySelectorAll(`[${EDITOR_UI_ATTR}]`).forEach((el) => el.remove());
+  root.querySelectorAll("[contenteditable]").forEach((el) => el.removeAttribute("contenteditable"));
+
+  root.querySelectorAll(`style[${INLINED_FROM_ATTR}]`).forEach((el) => {
+    const link = doc.createElement("link");
+    link.setAttribute("rel", "stylesheet");
+    link.setAttribute("href", el.getAttribute(INLINED_FROM_ATTR));
+    el.replaceWith(link);
+  });
+  root.querySelectorAll(`script[${INLINED_FROM_ATTR}]`).forEach((el) => {
+    el.setAttribute("src", el.getAttribute(INLINED_FROM_ATTR));
+    el.removeAttribute(INLINED_FROM_ATTR);
+    el.textContent = "";
+  });
+
+  const doctype = doc.doctype ? `<!DOCTYPE ${doc.doctype.name}>\n` : "";
+  return doctype + root.outerHTML;
+}
+
+/**
+ * Turns the document in `frame` into an editor: click text to edit it,
+ * click an image to swap its source, hover a section to move or delete
+ * it. `onChange(html)` receives the serialized document after each edit;
+ * `onUndo`/`onRedo` are called for Ctrl/Cmd+Z and Ctrl/Cmd+Shift+Z (or
+ * Ctrl+Y) outside a text edit. Returns a function that detaches the editor.
+ */
+export function attachEditor(frame, { onChange, onUndo, onRedo }) {
+  const doc = frame?.contentDocument;
+  const win = frame?.contentWindow;
+  if (!doc?.body || !win) return () => {};
+
+  const style = uiElement(doc, "style");
+  style.textContent = EDITOR_CSS;
+  doc.head.appendChild(style);
+
+  let editing = null;
+  let original = "";
+
+  const commit = () => onChange(serializeDocument(doc));
+
+  function finishEditing(keep) {
+    if (!editing) return;
+    const el = editing;
+    editing = null;
+    el.removeAttribute("contenteditable");
+    if (!keep) el.innerHTML = original;
+    else if (el.innerHTML !== original) commit();
+  }
+
+  function sectionAction(act, section) {
+    finishEditing(true);
+    const all = topSections(doc);
+    const i = all.indexOf(section);
+    if (act === "up" && i > 0) all[i - 1].before(section);
+    else if (act === "down" && i >= 0 && i < all.length - 1) all[i + 1].after(section);
+    else if (act === "delete") {
+      section.remove();
+      overlay.show(null);
+    } else return;
+    if (overlay.current()) overlay.show(section);
+    commit();
+  }
+
+  const overlay = sectionOverlay(
+    doc,
+    win,
+    [
+      { act: "up", label: "↑", title: "Move section up" },
+      { act: "down", label: "↓", title: "Move section down" },
+      { act: "delete", label: "Delete", title: "Delete section" },
+    ],
+    sectionAction
+  );
+
+  const onClick = (e) => {
+    if (e.target.closest?.(`[${EDITOR_UI_ATTR}]`)) return;
+    if (editing?.contains(e.target)) return;
+
+    // Nothing in the page should navigate or submit while editing.
+    e.preventDefault();
+    finishEditing(true);
+
+    const img = e.target.closest?.("img");
+    if (img) {
+      const src = window.prompt("Image URL", img.getAttribute("src") || "");
+      if (src !== null && src.trim() && src.trim() !== img.getAttribute("src")) {
+        img.setAttribute("src", src.trim());
+        commit();
+      }
+      return;
+    }
+
+    const el = e.target.closest?.(TEXT_SELECTOR);
+    if (!el || el.closest(`[${EDITOR_UI_ATTR}]`)) return;
+    editing = el;
+    original = el.innerHTML;
+    el.setAttribute("contenteditable", "true");
+    el.focus();
+  };
+
+  const onKey = (e) => {
+    if (editing) {
+      if (e.key === "Escape") finishEditing(false);
+      else if (e.key === "Enter" && !e.shiftKey && SINGLE_LINE.has(editing.tagName)) {
+        e.preventDefault();
+        finishEditing(true);
+      }
+      return;
+    }
+    if (!(e.ctrlKey || e.metaKey)) return;
+    const key = e.key.toLowerCase();
+    if ((key === "z" && e.shiftKey) || key === "y") {
+      e.preventDefault();
+      onRedo?.();
+    } else if (key === "z") {
+      e.preventDefault();
+      onUndo?.();
+    }
+  };
+
+  const onFocusOut = (e) => {
+    if (editing && e.target === editing) finishEditing(true);
+  };
+
+  doc.addEventListener("click", onClick, true);
+  doc.addEventListener("keydown", onKey);
+  doc.addEventListener("focusout", onFocusOut);
+
+  return () => {
+    finishEditing(true);
+    overlay.destroy();
+    doc.removeEventListener("click", onClick, true);
+    doc.removeEventListener("keydown", onKey);
+    doc.removeEventListener("focusout", onFocusOut);
+    style.remove();
+  };
+}
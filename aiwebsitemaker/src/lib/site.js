@@ -0,0 +1,85 @@
+// Helpers for multi-page results ({ "index.html": "...", "styles.css": ... }).
+
+import { EDITOR_UI_ATTR, INLINED_FROM_ATTR } from "./editor.js";
+
+const FILE_MARKER_RE = /^<<<FILE\s+([^>\n]+?)\s*>>>[ \t]*$/gm;
+
+export const sitePageFiles = (files = {}) =>
+  Object.keys(files)
+    .filter((f) => f.endsWith(".html"))
+    .sort((a, b) => (a === "index.html" ? -1 : b === "index.html" ? 1 : 0));
+
+// The iframe can't resolve relative URLs inside srcDoc, so shared assets are
+// inlined and clicks on links to other pages are forwarded to the app,
+// which swaps the page itself.
+const NAV_BRIDGE = `<script ${EDITOR_UI_ATTR}>
+document.addEventListener("click", function (e) {
+  var a = e.target.closest && e.target.closest("a[href]");
+  if (!a) return;
+  var m = /^(?:\\.\\/)?([\\w.-]+\\.html)(#.*)?$/.exec(a.getAttribute("href"));
+  if (!m) return;
+  e.preventDefault();
+  parent.postMessage({ type: "aiwm:navigate", page: m[1] }, "*");
+});
+</script>`;
+
+export function buildPreviewDoc(files, page) {
+  let html = files?.[page] || "";
+  const local = (url) => files[String(url).replace(/^\.\//, "")];
+
+  html = html.replace(/<link\b[^>]*>/gi, (tag) => {
+    if (!/rel=["']?stylesheet/i.test(tag)) return tag;
+    const href = /href=["']([^"']+)["']/i.exec(tag)?.[1];
+    const css = href && local(href);
+    return css != null ? `<style ${INLINED_FROM_ATTR}="${href}">\n${css}\n</style>` : tag;
+  });
+
+  html = html.replace(/<script\b([^>]*)\bsrc=["']([^"']+)["']([^>]*)><\/script>/gi, (tag, pre, src, post) => {
+    const js = local(src);
+    return js != null ? `<script${pre} ${INLINED_FROM_ATTR}="${src}"${post}>\n${js}\n</script>` : tag;
+  });
+
+  return /<\/body>/i.test(html)
+    ? html.replace(/<\/body>/i, `${NAV_BRIDGE}\n</body>`)
+    : html + NAV_BRIDGE;
+}
+
+// While a multi-page result streams in, show the HTML page currently being
+// written (or the last complete one while the stylesheet streams).
+export function partialPreview(text = "") {
+  const marks = [...text.matchAll(FILE_MARKER_RE)];
+  if (!marks.length) return text;
+
+  for (let i = marks.length - 1; i >= 0; i--) {
+    if (!marks[i][1].trim().endsWith(".html")) continue;
+    const end = i + 1 < marks.length ? marks[i + 1].index : text.length;
+    return text.slice(marks[i].index + marks[i][0].length, end).trim();
+  }
+  return "";
+}
+
+const HIGHLIGHT_STYLE_ID = "aiwm-highlight";
+
+// Outlines every element matching `selector` inside a same-origin preview
+// iframe and scrolls the first into view. Works through an injected
+// stylesheet so the page's own markup is never touched; a falsy selector
+// clears the highlight.
+export function highlightInFrame(frame, selector) {
+  const doc = frame?.contentDocument;
+  if (!doc?.head) return;
+  doc.getElementById(HIGHLIGHT_STYLE_ID)?.remove();
+  if (!selector) return;
+
+  let target;
+  try {
+    target = doc.querySelector(selector);
+  } catch {
+    return; // e.g. a stylesheet selector with :hover
+  }
+  const style = doc.createElement("style");
+  style.id = HIGHLIGHT_STYLE_ID;
+  style.setAttribute(EDITOR_UI_ATTR, "");
+  style.textContent = `${selector} { outline: 3px solid #ef4444 !important; outline-offset: 2px !important; }`;
+  doc.head.appendChild(style);
+  target?.scrollIntoView({ block: "center", behavior: "smooth" });
+}
@@ -0,0 +1,39 @@
+// Keys and a throwing-safe wrapper for everything the app keeps in
+// localStorage.
+
+export const STORAGE_KEYS = {
+  spec: "aiwm/spec",
+  history: "aiwm/history",
+  theme: "aiwm/theme",
+  project: "aiwm/project",
+  apiKey: "aiwm/api-key",
+};
+
+export const safeLocalStorage = {
+  getItem: (key) => {
+    try {
+      return localStorage.getItem(key);
+    } catch (err) {
+      console.error("localStorage.getItem failed:", err);
+      return null;
+    }
+  },
+  setItem: (key, value) => {
+    try {
+      localStorage.setItem(key, value);
+    } catch (err) {
+      console.error("localStorage.setItem failed:", err);
+    }
+  },
+  removeItem: (key) => {
+    try {
+      localStorage.removeItem(key);
+    } catch (err) {
+      console.error("localStorage.removeItem failed:", err);
+    }
+  },
+};
+export const safeId = () =>
+  typeof crypto !== "undefined" && crypto.randomUUID
+    ? crypto.randomUUID()
+    : Math.random().toString(36).slice(2);
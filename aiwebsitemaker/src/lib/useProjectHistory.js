@@ -0,0 +1,115 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { STORAGE_KEYS, safeId, safeLocalStorage } from "./storage.js";
+
+const CACHE_LIMIT = 20;
+
+function readCache() {
+  try {
+    return JSON.parse(safeLocalStorage.getItem(STORAGE_KEYS.history) || "[]");
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Generation history backed by the server's /api/projects store. Versions
+ * listed by the server carry metadata only; the HTML of recent items is
+ * kept in localStorage, which also serves as the whole history while the
+ * backend is unreachable.
+ */
+export default function useProjectHistory(api) {
+  const [projectId, setProjectId] = useState(() => safeLocalStorage.getItem(STORAGE_KEYS.project));
+  const [projects, setProjects] = useState(null);
+  const [cache, setCache] = useState(readCache);
+
+  useEffect(() => {
+    if (projectId) safeLocalStorage.setItem(STORAGE_KEYS.project, projectId);
+    else safeLocalStorage.removeItem(STORAGE_KEYS.project);
+  }, [projectId]);
+
+  useEffect(() => {
+    safeLocalStorage.setItem(STORAGE_KEYS.history, JSON.stringify(cache));
+  }, [cache]);
+
+  const refresh = useCallback(async () => {
+    try {
+      const res = await api.get("/api/projects", { params: { versions: 1 } });
+      setProjects(res.data.projects);
+    } catch {
+      setProjects(null);
+    }
+  }, [api]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const history = useMemo(() => {
+    if (!projects) return cache;
+    const cached = new Map(cache.map((h) => [h.id, h]));
+    const remote = projects.flatMap((p) =>
+      p.versions.map((v) => ({ ...cached.get(v.id), ...v, projectId: p.id, projectName: p.name }))
+    );
+    const remoteIds = new Set(remote.map((v) => v.id));
+    return [...remote, ...cache.filter((h) => !remoteIds.has(h.id))].sort((a, b) => b.createdAt - a.createdAt);
+  }, [projects, cache]);
+
+  // Returns the current project id, creating a project on first use.
+  // Resolves to null when the backend is unavailable.
+  const ensureProject = useCallback(async (spec) => {
+    if (projectId && (!projects || projects.some((p) => p.id === projectId))) return projectId;
+    try {
+      const res = await api.post("/api/projects", { spec, name: spec.projectName });
+      setProjectId(res.data.id);
+      refresh();
+      return res.data.id;
+    } catch {
+      return null;
+    }
+  }, [api, projectId, projects, refresh]);
+
+  const cacheItem = useCallback((item) => {
+    setCache((prev) => [item, ...prev.filter((h) => h.id !== item.id)].slice(0, CACHE_LIMIT));
+  }, []);
+
+  // `version` is the stored summary returned by the server, if any.
+  const record = useCallback((html, specSnapshot, meta = {}, version = null) => {
+    const item = {
+      id: version?.id || safeId(),
+      spec: { ...specSnapshot },
+      createdAt: version?.createdAt || Date.now(),
+      htmlSnippet: html,
+      ...meta,
+      ...(version ? { projectId: version.projectId } : {}),
+    };
+    cacheItem(item);
+    if (version) refresh();
+    return item;
+  }, [cacheItem, refresh]);
+
+  // Fetches the HTML of a version that is not in the local cache.
+  const loadVersion = useCallback(async (item) => {
+    if (item.htmlSnippet || item.html || item.files || !item.projectId) return item;
+    const res = await api.get(`/api/projects/${item.projectId}/versions/${item.id}`);
+    const full = { ...item, htmlSnippet: res.data.html, files: res.data.files };
+    cacheItem(full);
+    return full;
+  }, [api, cacheItem]);
+
+  const clearCache = useCallback(() => setCache([]), []);
+
+  // The public token the project's generated forms post with.
+  const formTokenFor = useCallback((id) => projects?.find((p) => p.id === id)?.formToken || null, [projects]);
+
+  return {
+    history,
+    online: !!projects,
+    projectId,
+    setProjectId,
+    ensureProject,
+    formTokenFor,
+    record,
+    loadVersion,
+    clearCache,
+  };
+}
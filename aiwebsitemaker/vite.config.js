@@ -1,5 +1,9 @@
 export default {
   server: {
+    // The spec schema lives in ../shared, next to the server that uses it too.
+    fs: {
+      allow: [".", "../shared"]
+    },
     proxy: {
       "/api": {
         target: process.env.VITE_API_URL || "https://aiwebsitegenerator.onrender.com",
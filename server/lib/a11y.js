@@ -0,0 +1,616 @@
+import { parse } from "node-html-parser";
+import { TOKENS_STYLE_ID } from "./tokens.js";
+
+/* =======================
+   Accessibility audit
+   ======================= */
+
+// Offline WCAG checks over generated HTML. Each rule reports the elements
+// that fail it; `fix` (when present) repairs one element in place and
+// returns true if it changed anything.
+
+const IMPACT_WEIGHT = { serious: 10, moderate: 4, minor: 1 };
+// A single rule can't take more than this off the score, so a gallery of
+// twenty unlabeled images doesn't hide every other problem.
+const RULE_CAP = 30;
+
+const PARSE_OPTIONS = { comment: true };
+const LABELLED_INPUTS = "input, select, textarea";
+const UNLABELLED_TYPES = new Set(["hidden", "submit", "reset", "button", "image"]);
+
+const humanize = (text) =>
+  String(text || "")
+    .replace(/\.[a-z0-9]+$/i, "")
+    .replace(/[-_]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim()
+    .replace(/^./, (c) => c.toUpperCase());
+
+const textOf = (el) => el.textContent.replace(/\s+/g, " ").trim();
+
+function accessibleName(el) {
+  return (
+    el.getAttribute("aria-label")?.trim() ||
+    el.getAttribute("aria-labelledby")?.trim() ||
+    el.getAttribute("title")?.trim() ||
+    textOf(el) ||
+    el
+      .querySelectorAll("img")
+      .map((img) => img.getAttribute("alt")?.trim())
+      .find(Boolean) ||
+    ""
+  );
+}
+
+// CSS path from <body> using ids where available, so the client can find
+// the element again inside the preview iframe.
+function selectorFor(el) {
+  if (el.tagName === "HTML" || el.closest("head")) return null;
+  const parts = [];
+  let node = el;
+
+  while (node?.tagName && !["BODY", "HTML"].includes(node.tagName)) {
+    const tag = node.tagName.toLowerCase();
+    const id = node.getAttribute("id");
+    if (id && /^[A-Za-z][\w-]*$/.test(id)) {
+      parts.unshift(`#${id}`);
+      break;
+    }
+    const siblings = (node.parentNode?.childNodes || []).filter(
+      (n) => n.nodeType === 1 && n.tagName === node.tagName
+    );
+    parts.unshift(
+      siblings.length > 1
+        ? `${tag}:nth-of-type(${siblings.indexOf(node) + 1})`
+        : tag
+    );
+    node = node.parentNode;
+  }
+
+  if (!parts.length) return "body";
+  return parts[0].startsWith("#") ? parts.join(" > ") : `body > ${parts.join(" > ")}`;
+}
+
+const snippetOf = (el) => {
+  const html = el.outerHTML.replace(/\s+/g, " ");
+  const open = html.slice(0, html.indexOf(">") + 1) || html;
+  return open.length > 140 ? `${open.slice(0, 137)}...` : open;
+};
+
+/* ---------- colour maths ---------- */
+
+const NAMED_COLORS = { white: "#ffffff", black: "#000000" };
+
+export function parseColor(value) {
+  const v = String(value || "").trim().toLowerCase();
+  if (NAMED_COLORS[v]) return parseColor(NAMED_COLORS[v]);
+
+  let m = /^#([0-9a-f]{3})$/.exec(v);
+  if (m) return m[1].split("").map((c) => parseInt(c + c, 16));
+  m = /^#([0-9a-f]{6})$/.exec(v);
+  if (m) return [0, 2, 4].map((i) => parseInt(m[1].slice(i, i + 2), 16));
+  m = /^rgba?\(\s*(\d+)[\s,]+(\d+)[\s,]+(\d+)\s*(?:[,/]\s*([\d.]+%?)\s*)?\)$/.exec(v);
+  if (m) {
+    // Translucent colours depend on what's underneath; don't guess.
+    if (m[4] !== undefined && parseFloat(m[4]) < (m[4].endsWith("%") ? 100 : 1)) return null;
+    return [m[1], m[2], m[3]].map(Number);
+  }
+  return null;
+}
+
+function luminance([r, g, b]) {
+  const [R, G, B] = [r, g, b].map((c) => {
+    const s = c / 255;
+    return s <= 0.03928 ? s / 12.92 : ((s + 0.055) / 1.055) ** 2.4;
+  });
+  return 0.2126 * R + 0.7152 * G + 0.0722 * B;
+}
+
+export function contrastRatio(a, b) {
+  const [hi, lo] = [luminance(a), luminance(b)].sort((x, y) => y - x);
+  return (hi + 0.05) / (lo + 0.05);
+}
+
+const toHex = (rgb) => `#${rgb.map((c) => c.toString(16).padStart(2, "0")).join("")}`;
+
+// Whichever of black or white reads better on `bg`.
+const bestTextOn = (bg) =>
+  contrastRatio([0, 0, 0], bg) >= contrastRatio([255, 255, 255], bg)
+    ? "#000000"
+    : "#ffffff";
+
+// A background declaration only counts if it is a single solid colour.
+const solidBackground = (decls) =>
+  parseColor(decls["background-color"]) || parseColor(decls.background);
+
+function parseDeclarations(body) {
+  const decls = {};
+  for (const part of body.split(";")) {
+    const i = part.indexOf(":");
+    if (i < 0) continue;
+    decls[part.slice(0, i).trim().toLowerCase()] = part
+      .slice(i + 1)
+      .replace(/!important/i, "")
+      .trim();
+  }
+  return decls;
+}
+
+// Flat `selector { declarations }` rules from the page's <style> blocks.
+// Rules nested in media queries are picked up as if they were top-level.
+const CSS_RULE = /([^{}@]+)\{([^{}]*)\}/g;
+
+function cssRules(root) {
+  const rules = [];
+  root.querySelectorAll("style").forEach((style, styleIndex) => {
+    const css = style.textContent.replace(/\/\*[\s\S]*?\*\//g, "");
+    for (const m of css.matchAll(CSS_RULE)) {
+      rules.push({
+        style,
+        styleIndex,
+        selector: m[1].trim(),
+        body: m[2],
+        decls: parseDeclarations(m[2]),
+      });
+    }
+  });
+  return resolveCustomProperties(rules);
+}
+
+const ROOT_SELECTORS = new Set([":root", "html"]);
+const VAR_REF = /var\(\s*(--[\w-]+)\s*(?:,\s*([^()]*))?\)/g;
+
+// Substitutes var(--name) with the value declared on :root/html (e.g. the
+// design tokens), so token-based colours can be checked like literal ones.
+function resolveCustomProperties(rules) {
+  const vars = {};
+  for (const rule of rules) {
+    if (!rule.selector.split(",").some((s) => ROOT_SELECTORS.has(s.trim()))) continue;
+    for (const [name, value] of Object.entries(rule.decls)) {
+      if (name.startsWith("--")) vars[name] = value;
+    }
+  }
+  if (!Object.keys(vars).length) return rules;
+
+  const resolve = (value, depth = 0) =>
+    depth > 5 || !value.includes("var(")
+      ? value
+      : resolve(value.replace(VAR_REF, (ref, name, fallback) => vars[name] ?? fallback ?? ref), depth + 1);
+
+  for (const rule of rules) {
+    rule.decls = Object.fromEntries(
+      Object.entries(rule.decls).map(([name, value]) => [name, resolve(value)])
+    );
+  }
+  return rules;
+}
+
+function pageBackground(rules, theme) {
+  for (const selector of ["body", "html", ":root"]) {
+    const rule = rules.find((r) => r.selector.split(",").map((s) => s.trim()).includes(selector));
+    const bg = rule && solidBackground(rule.decls);
+    if (bg) return bg;
+  }
+  return theme === "dark" ? [17, 24, 39] : [255, 255, 255];
+}
+
+/* ---------- rules ---------- */
+
+const RULES = [
+  {
+    id: "html-lang",
+    wcag: "3.1.1",
+    impact: "moderate",
+    find: (root) => {
+      const html = root.querySelector("html");
+      return html && !html.getAttribute("lang")?.trim() ? [html] : [];
+    },
+    message: () => "The <html> element has no lang attribute.",
+    fix: (el) => {
+      el.setAttribute("lang", "en");
+      return true;
+    },
+  },
+  {
+    id: "document-title",
+    wcag: "2.4.2",
+    impact: "moderate",
+    find: (root) => {
+      const title = root.querySelector("title");
+      return title && textOf(title) ? [] : [root.querySelector("head") || root];
+    },
+    message: () => "The page has no <title>.",
+    fix: (el, { root, spec }) => {
+      const h1 = root.querySelector("h1");
+      const text = spec?.projectName || (h1 && textOf(h1)) || "Website";
+      const title = `<title>${escapeText(text)}</title>`;
+      const existing = el.querySelector("title");
+      if (existing) existing.set_content(escapeText(text));
+      else if (el.tagName === "HEAD") el.insertAdjacentHTML("afterbegin", title);
+      else if (root.querySelector("html")) {
+        root.querySelector("html").insertAdjacentHTML("afterbegin", `<head>${title}</head>`);
+      } else return false;
+      return true;
+    },
+  },
+  {
+    id: "viewport-zoom",
+    wcag: "1.4.4",
+    impact: "serious",
+    find: (root) =>
+      root
+        .querySelectorAll('meta[name="viewport"]')
+        .filter((m) => /user-scalable\s*=\s*(no|0)|maximum-scale\s*=\s*1(\.0)?\b/i.test(m.getAttribute("content") || "")),
+    message: () => "The viewport meta tag prevents users from zooming.",
+    fix: (el) => {
+      el.setAttribute("content", "width=device-width, initial-scale=1");
+      return true;
+    },
+  },
+  {
+    id: "image-alt",
+    wcag: "1.1.1",
+    impact: "serious",
+    find: (root) => root.querySelectorAll("img").filter((img) => img.getAttribute("alt") === undefined),
+    message: () => "Image has no alt attribute.",
+    // Prefer the prompt the generator recorded, then the file name; with
+    // neither, mark the image decorative.
+    fix: (el) => {
+      const src = (el.getAttribute("src") || "").split(/[?#]/)[0];
+      const file = src.startsWith("data:") ? "" : src.split("/").pop();
+      el.setAttribute(
+        "alt",
+        el.getAttribute("data-image-prompt") || el.getAttribute("title") || humanize(file)
+      );
+      return true;
+    },
+  },
+  {
+    id: "heading-order",
+    wcag: "1.3.1",
+    impact: "moderate",
+    find: (root) => skippedHeadings(root).map(({ el }) => el),
+    message: (el, { root }) => {
+      const hit = skippedHeadings(root).find((h) => h.el === el);
+      return `Heading jumps from level ${hit.prev} to ${hit.level}.`;
+    },
+    // aria-level fixes the outline without changing the heading's styling.
+    fix: (el, { root }) => {
+      const hit = skippedHeadings(root).find((h) => h.el === el);
+      if (!hit) return false;
+      el.setAttribute("aria-level", String(hit.prev + 1));
+      return true;
+    },
+  },
+  {
+    id: "page-has-h1",
+    wcag: "1.3.1",
+    impact: "minor",
+    find: (root) => {
+      const body = root.querySelector("body");
+      return body && !headingsOf(root).some((h) => h.level === 1) ? [body] : [];
+    },
+    message: () => "The page has no level-one heading.",
+  },
+  {
+    id: "form-label",
+    wcag: "3.3.2",
+    impact: "serious",
+    find: (root) =>
+      root.querySelectorAll(LABELLED_INPUTS).filter((el) => !hasLabel(el, root)),
+    message: (el) =>
+      el.getAttribute("placeholder")
+        ? `Form field relies on its placeholder ("${el.getAttribute("placeholder")}") instead of a label.`
+        : "Form field has no label.",
+    fix: (el) => {
+      const text =
+        el.getAttribute("placeholder") ||
+        humanize(el.getAttribute("name") || el.getAttribute("id") || "");
+      if (!text) return false;
+      el.setAttribute("aria-label", text);
+      return true;
+    },
+  },
+  {
+    id: "link-name",
+    wcag: "2.4.4",
+    impact: "serious",
+    find: (root) => root.querySelectorAll("a[href]").filter((a) => !accessibleName(a)),
+    message: () => "Link has no text or accessible name.",
+    fix: (el) => {
+      const href = el.getAttribute("href") || "";
+      const text = href.startsWith("#")
+        ? humanize(href.slice(1))
+        : humanize(href.replace(/^[a-z]+:\/\/(www\.)?/i, "").split(/[/?#]/)[0]);
+      if (!text) return false;
+      el.setAttribute("aria-label", text);
+      return true;
+    },
+  },
+  {
+    id: "button-name",
+    wcag: "4.1.2",
+    impact: "serious",
+    find: (root) => root.querySelectorAll("button").filter((b) => !accessibleName(b)),
+    message: () => "Button has no text or accessible name.",
+  },
+  {
+    id: "duplicate-id",
+    wcag: "4.1.1",
+    impact: "minor",
+    find: (root) => {
+      const seen = new Set();
+      return root.querySelectorAll("[id]").filter((el) => {
+        const id = el.getAttribute("id");
+        if (seen.has(id)) return true;
+        seen.add(id);
+        return false;
+      });
+    },
+    message: (el) => `Duplicate id "${el.getAttribute("id")}".`,
+  },
+];
+
+function escapeText(text) {
+  return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;");
+}
+
+function headingsOf(root) {
+  return root.querySelectorAll("h1, h2, h3, h4, h5, h6").map((el) => ({
+    el,
+    level: Number(el.getAttribute("aria-level")) || Number(el.tagName[1]),
+  }));
+}
+
+// Headings that go more than one level deeper than the one before them.
+function skippedHeadings(root) {
+  const skipped = [];
+  let prev = 0;
+  for (const h of headingsOf(root)) {
+    if (prev && h.level > prev + 1) skipped.push({ ...h, prev });
+    prev = h.level;
+  }
+  return skipped;
+}
+
+function hasLabel(el, root) {
+  const type = (el.getAttribute("type") || "").toLowerCase();
+  if (el.tagName === "INPUT" && UNLABELLED_TYPES.has(type)) return true;
+  if (el.getAttribute("aria-label")?.trim() || el.getAttribute("aria-labelledby")?.trim()) return true;
+  if (el.getAttribute("title")?.trim()) return true;
+
+  const id = el.getAttribute("id");
+  if (id && root.querySelectorAll("label").some((l) => l.getAttribute("for") === id && textOf(l))) {
+    return true;
+  }
+  for (let node = el.parentNode; node?.tagName; node = node.parentNode) {
+    if (node.tagName === "LABEL") return Boolean(textOf(node));
+  }
+  return false;
+}
+
+// Text colour against background, both from stylesheet rules and inline
+// styles, plus how the spec's primary colour holds up as a button fill and
+// as link text on the page background.
+function contrastIssues(root, spec) {
+  const issues = [];
+  const rules = cssRules(root);
+
+  for (const rule of rules) {
+    const fg = parseColor(rule.decls.color);
+    const bg = solidBackground(rule.decls);
+    if (!fg || !bg) continue;
+    const ratio = contrastRatio(fg, bg);
+    if (ratio >= 4.5) continue;
+    issues.push({
+      rule: "color-contrast",
+      wcag: "1.4.3",
+      impact: "serious",
+      message: `Text ${rule.decls.color} on ${toHex(bg)} has a contrast of ${ratio.toFixed(2)}:1 (needs 4.5:1).`,
+      selector: rule.selector,
+      snippet: `${rule.selector} { ${rule.body.trim()} }`,
+      fix: { kind: "css", rule, color: bestTextOn(bg) },
+    });
+  }
+
+  for (const el of root.querySelectorAll("[style]")) {
+    const decls = parseDeclarations(el.getAttribute("style"));
+    const fg = parseColor(decls.color);
+    const bg = solidBackground(decls);
+    if (!fg || !bg) continue;
+    const ratio = contrastRatio(fg, bg);
+    if (ratio >= 4.5) continue;
+    issues.push({
+      rule: "color-contrast",
+      wcag: "1.4.3",
+      impact: "serious",
+      message: `Text ${decls.color} on ${toHex(bg)} has a contrast of ${ratio.toFixed(2)}:1 (needs 4.5:1).`,
+      selector: selectorFor(el),
+      snippet: snippetOf(el),
+      fix: { kind: "inline", el, color: bestTextOn(bg) },
+    });
+  }
+
+  // Design tokens already pair the primary colour with readable text and
+  // link colours, and the rules above check how they are used.
+  const primary = parseColor(spec?.primaryColor);
+  const source = root.toString().toLowerCase();
+  const tokens = root.querySelector(`style#${TOKENS_STYLE_ID}`);
+  if (primary && !tokens && source.includes(spec.primaryColor.toLowerCase())) {
+    const white = contrastRatio([255, 255, 255], primary);
+    if (white < 4.5) {
+      issues.push({
+        rule: "primary-contrast",
+        wcag: "1.4.3",
+        impact: "moderate",
+        message: `White text on the primary colour ${spec.primaryColor} has a contrast of ${white.toFixed(2)}:1; buttons using it may be hard to read.`,
+        selector: null,
+        snippet: null,
+      });
+    }
+    const bg = pageBackground(rules, spec.theme);
+    const onPage = contrastRatio(primary, bg);
+    if (onPage < 4.5) {
+      issues.push({
+        rule: "primary-contrast",
+        wcag: "1.4.3",
+        impact: "moderate",
+        message: `The primary colour ${spec.primaryColor} on the page background ${toHex(bg)} has a contrast of ${onPage.toFixed(2)}:1; links and accent text using it may be hard to read.`,
+        selector: null,
+        snippet: null,
+      });
+    }
+  }
+
+  return issues;
+}
+
+function collectIssues(root, spec) {
+  const issues = [];
+  const ctx = { root, spec };
+
+  for (const rule of RULES) {
+    for (const el of rule.find(root)) {
+      issues.push({
+        rule: rule.id,
+        wcag: rule.wcag,
+        impact: rule.impact,
+        message: rule.message(el, ctx),
+        selector: el === root ? null : selectorFor(el),
+        snippet: el.tagName ? snippetOf(el) : null,
+        fix: rule.fix && { kind: "rule", rule, el },
+      });
+    }
+  }
+
+  return [...issues, ...contrastIssues(root, spec)];
+}
+
+export function scoreIssues(issues) {
+  const perRule = {};
+  for (const issue of issues) {
+    perRule[issue.rule] = (perRule[issue.rule] || 0) + IMPACT_WEIGHT[issue.impact];
+  }
+  const penalty = Object.values(perRule).reduce((sum, p) => sum + Math.min(p, RULE_CAP), 0);
+  return Math.max(0, 100 - penalty);
+}
+
+const publicIssue = ({ fix, ...issue }, index, file) => ({
+  id: `${file ? `${file}:` : ""}${issue.rule}:${index}`,
+  ...issue,
+  ...(file ? { file } : {}),
+  fixable: Boolean(fix),
+});
+
+function summarize(issues) {
+  const counts = { serious: 0, moderate: 0, minor: 0 };
+  for (const issue of issues) counts[issue.impact] += 1;
+  return { score: scoreIssues(issues), counts, issues };
+}
+
+/**
+ * Audits one document (`html`) or every page of a site (`files`). Returns
+ * `{ score, counts, issues }`; issues on a multi-page site carry `file`.
+ */
+export function auditAccessibility({ html, files }, spec = {}) {
+  const pages = files
+    ? Object.entries(files).filter(([name]) => name.endsWith(".html"))
+    : [[null, html || ""]];
+
+  const issues = pages.flatMap(([file, source]) =>
+    collectIssues(parse(source, PARSE_OPTIONS), spec).map((issue, i) =>
+      publicIssue(issue, i, file)
+    )
+  );
+  return summarize(issues);
+}
+
+// Fixing one heading can expose a skip further down the page, so fixes run
+// in passes until one changes nothing.
+const MAX_FIX_PASSES = 4;
+
+function applyFixes(root, spec) {
+  const fixed = [];
+  const cssEdits = new Map();
+
+  for (const issue of collectIssues(root, spec)) {
+    const { fix } = issue;
+    if (!fix) continue;
+
+    if (fix.kind === "rule") {
+      if (fix.rule.fix(fix.el, { root, spec })) fixed.push(issue.rule);
+    } else if (fix.kind === "inline") {
+      const style = fix.el
+        .getAttribute("style")
+        .replace(/(^|;)\s*color\s*:[^;]*/i, `$1color: ${fix.color}`);
+      fix.el.setAttribute("style", style);
+      fixed.push(issue.rule);
+    } else if (fix.kind === "css") {
+      cssEdits.set(fix.rule.style, [...(cssEdits.get(fix.rule.style) || []), fix]);
+    }
+  }
+
+  for (const [style, edits] of cssEdits) {
+    let css = style.textContent;
+    for (const { rule, color } of edits) {
+      const body = rule.body.replace(/(^|;|\s)color\s*:[^;]*/i, `$1color: ${color}`);
+      const pattern = new RegExp(
+        `(${escapeRegExp(rule.selector)}\\s*\\{)${escapeRegExp(rule.body)}\\}`
+      );
+      if (!pattern.test(css)) continue;
+      css = css.replace(pattern, (_, open) => `${open}${body}}`);
+      fixed.push("color-contrast");
+    }
+    style.set_content(css);
+  }
+
+  return fixed;
+}
+
+function fixDocument(source, spec) {
+  const root = parse(source, PARSE_OPTIONS);
+  const fixed = [];
+
+  for (let pass = 0; pass < MAX_FIX_PASSES; pass++) {
+    const changed = applyFixes(root, spec);
+    if (!changed.length) break;
+    fixed.push(...changed);
+  }
+
+  return { html: root.toString(), fixed };
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Applies every automatic fix, then re-audits. Returns the repaired
+ * `html`/`files`, the rules that were fixed and the new audit.
+ */
+export function autoFixAccessibility({ html, files }, spec = {}) {
+  const fixed = [];
+  let nextHtml = html;
+  let nextFiles = files;
+
+  if (files) {
+    nextFiles = Object.fromEntries(
+      Object.entries(files).map(([name, content]) => {
+        if (!name.endsWith(".html")) return [name, content];
+        const out = fixDocument(content, spec);
+        fixed.push(...out.fixed.map((rule) => `${name}:${rule}`));
+        return [name, out.html];
+      })
+    );
+    nextHtml = nextFiles["index.html"] || html;
+  } else {
+    const out = fixDocument(html || "", spec);
+    fixed.push(...out.fixed);
+    nextHtml = out.html;
+  }
+
+  return {
+    html: nextHtml,
+    ...(nextFiles ? { files: nextFiles } : {}),
+    fixed,
+    a11y: auditAccessibility({ html: nextHtml, files: nextFiles }, spec),
+  };
+}
@@ -0,0 +1,300 @@
+import crypto from "node:crypto";
+import { createJsonStore } from "./store.js";
+import { log } from "./logger.js";
+
+// Client API keys for the generation endpoints. Only a SHA-256 hash of each
+// secret is stored; the secret itself is returned once, when the key is
+// issued. Key shape: { id, alias, hash, prefix, perMinute, perDay,
+// createdAt, revokedAt, usage: { total, lastUsedAt, days: { "YYYY-MM-DD": n } } }.
+
+const store = createJsonStore("keys", { keys: [] });
+
+const KEY_PREFIX = "aiwm_";
+const USAGE_DAYS_KEPT = 30;
+const MINUTE = 60_000;
+
+const now = () => Date.now();
+const hashSecret = (secret) => crypto.createHash("sha256").update(secret).digest("hex");
+const dayOf = (ms) => new Date(ms).toISOString().slice(0, 10);
+
+// Seconds until the daily quotas reset (midnight UTC).
+const secondsUntilTomorrow = (ms) => {
+  const next = new Date(ms);
+  next.setUTCHours(24, 0, 0, 0);
+  return Math.ceil((next - ms) / 1000);
+};
+
+export class AuthError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 401;
+  }
+}
+
+export class RateLimitError extends Error {
+  constructor(message, retryAfter) {
+    super(message);
+    this.status = 429;
+    this.retryAfter = retryAfter;
+  }
+}
+
+const positive = (value, fallback) => {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? Math.floor(n) : fallback;
+};
+
+/**
+ * Limits from the environment. Keys issued without explicit limits get
+ * the `key` defaults; requests without a key (allowed unless
+ * REQUIRE_API_KEY=true) share the stricter per-IP `anonymous` limits.
+ */
+export function loadLimitConfig(env = process.env) {
+  return {
+    requireKey: env.REQUIRE_API_KEY === "true",
+    adminToken: env.ADMIN_TOKEN || null,
+    key: {
+      perMinute: positive(env.KEY_RATE_LIMIT_PER_MINUTE, 10),
+      perDay: positive(env.KEY_DAILY_QUOTA, 200),
+    },
+    anonymous: {
+      perMinute: positive(env.ANON_RATE_LIMIT_PER_MINUTE, 5),
+      perDay: positive(env.ANON_DAILY_QUOTA, 50),
+    },
+  };
+}
+
+const keySummary = ({ hash, usage, ...key }) => ({
+  ...key,
+  usage: {
+    total: usage.total,
+    lastUsedAt: usage.lastUsedAt,
+    today: usage.days[dayOf(now())] || 0,
+    days: usage.days,
+  },
+});
+
+export function listKeys() {
+  return store.read().keys.map(keySummary);
+}
+
+export function issueKey({ alias, perMinute, perDay } = {}) {
+  const secret = `${KEY_PREFIX}${crypto.randomBytes(24).toString("base64url")}`;
+  const key = {
+    id: crypto.randomUUID(),
+    alias: String(alias || "").trim().slice(0, 60) || "unnamed",
+    hash: hashSecret(secret),
+    prefix: secret.slice(0, KEY_PREFIX.length + 6),
+    perMinute: perMinute === undefined ? null : positive(perMinute, null),
+    perDay: perDay === undefined ? null : positive(perDay, null),
+    createdAt: now(),
+    revokedAt: null,
+    usage: { total: 0, lastUsedAt: null, days: {} },
+  };
+  store.update((d) => d.keys.push(key));
+  return { ...keySummary(key), secret };
+}
+
+export function revokeKey(id) {
+  const key = store.read().keys.find((k) => k.id === id);
+  if (!key) return null;
+  store.update(() => {
+    key.revokedAt = key.revokedAt || now();
+  });
+  return keySummary(key);
+}
+
+function findBySecret(secret) {
+  const hash = hashSecret(secret);
+  const key = store.read().keys.find((k) => k.hash === hash);
+  if (!key) throw new AuthError("Unknown API key");
+  if (key.revokedAt) throw new AuthError("API key has been revoked");
+  return key;
+}
+
+// `Authorization: Bearer <key>`; null when the header is absent.
+export function readBearer(req) {
+  const header = req.get("authorization") || "";
+  const match = /^Bearer\s+(\S+)$/i.exec(header.trim());
+  if (header && !match) throw new AuthError("Authorization header must be 'Bearer <key>'");
+  return match ? match[1] : null;
+}
+
+/**
+ * Per-key (or per-IP) sliding-window rate limits plus daily quotas.
+ * `consume(bucket, count)` either records `count` generations (one request
+ * against the per-minute limit) or throws RateLimitError with the number
+ * of seconds to wait.
+ */
+export function createLimiter() {
+  const windows = new Map();
+  // Anonymous daily counts live in memory only; keyed usage is persisted.
+  const anonymousDays = new Map();
+
+  function recent(id, at) {
+    const hits = (windows.get(id) || []).filter((t) => at - t < MINUTE);
+    if (hits.length) windows.set(id, hits);
+    else windows.delete(id);
+    return hits;
+  }
+
+  function dailyCount(bucket, day) {
+    return bucket.key
+      ? bucket.key.usage.days[day] || 0
+      : anonymousDays.get(`${bucket.id}:${day}`) || 0;
+  }
+
+  function consume(bucket, count = 1) {
+    const at = now();
+    const day = dayOf(at);
+    const { perMinute, perDay } = bucket.limits;
+
+    const used = dailyCount(bucket, day);
+    if (used + count > perDay) {
+      throw new RateLimitError(
+        used < perDay
+          ? `Only ${perDay - used} of the daily ${perDay} generations left, ${count} requested`
+          : `Daily quota of ${perDay} generations reached`,
+        secondsUntilTomorrow(at)
+      );
+    }
+
+    const hits = recent(bucket.id, at);
+    if (hits.length >= perMinute) {
+      throw new RateLimitError(
+        `Rate limit of ${perMinute} requests per minute exceeded`,
+        Math.max(1, Math.ceil((hits[0] + MINUTE - at) / 1000))
+      );
+    }
+    hits.push(at);
+    windows.set(bucket.id, hits);
+
+    if (bucket.key) {
+      const { usage } = bucket.key;
+      store.update(() => {
+        usage.days[day] = used + count;
+        usage.total += count;
+        usage.lastUsedAt = at;
+        const days = Object.keys(usage.days).sort();
+        for (const old of days.slice(0, -USAGE_DAYS_KEPT)) delete usage.days[old];
+      });
+    } else {
+      for (const id of anonymousDays.keys()) {
+        if (!id.endsWith(`:${day}`)) anonymousDays.delete(id);
+      }
+      anonymousDays.set(`${bucket.id}:${day}`, used + count);
+    }
+
+    return status(bucket, at);
+  }
+
+  function status(bucket, at = now()) {
+    const { perMinute, perDay } = bucket.limits;
+    const usedToday = dailyCount(bucket, dayOf(at));
+    return {
+      alias: bucket.key?.alias || null,
+      perMinute,
+      perDay,
+      remainingThisMinute: Math.max(0, perMinute - recent(bucket.id, at).length),
+      usedToday,
+      remainingToday: Math.max(0, perDay - usedToday),
+      resetsIn: secondsUntilTomorrow(at),
+    };
+  }
+
+  function anonymousUsage() {
+    const day = dayOf(now());
+    return [...anonymousDays]
+      .filter(([id]) => id.endsWith(`:${day}`))
+      .map(([id, today]) => ({ bucket: id.slice(0, -day.length - 1), today }));
+  }
+
+  return { consume, status, anonymousUsage };
+}
+
+// Works out who is calling: a key holder, or an anonymous client by IP.
+export function resolveBucket(req, config) {
+  const secret = readBearer(req);
+  if (!secret) {
+    if (config.requireKey) throw new AuthError("An API key is required");
+    return { id: `ip:${req.ip}`, key: null, limits: config.anonymous };
+  }
+  const key = findBySecret(secret);
+  return {
+    id: `key:${key.id}`,
+    key,
+    limits: {
+      perMinute: key.perMinute || config.key.perMinute,
+      perDay: key.perDay || config.key.perDay,
+    },
+  };
+}
+
+// Constant-time comparison for the admin token.
+export function isAdminToken(token, config) {
+  if (!config.adminToken || !token) return false;
+  const a = Buffer.from(hashSecret(token));
+  const b = Buffer.from(hashSecret(config.adminToken));
+  return crypto.timingSafeEqual(a, b);
+}
+
+const callerKey = (bucket) => bucket.key && { id: bucket.key.id, alias: bucket.key.alias };
+
+// Answers a failed key check: 401 for a bad or missing key.
+function rejectCaller(res, err) {
+  if (!err.status) log.error("Backend error", err);
+  res.status(err.status || 500).json({ error: err.message });
+}
+
+/**
+ * Express middleware for routes that read or write stored data without
+ * calling a model: sets `req.apiKey` for a valid key and answers 401 for
+ * a bad one, or for none when REQUIRE_API_KEY is on. Nothing is charged.
+ */
+export function authenticate({ config }) {
+  return (req, res, next) => {
+    try {
+      req.apiKey = callerKey(resolveBucket(req, config));
+    } catch (err) {
+      return rejectCaller(res, err);
+    }
+    next();
+  };
+}
+
+/**
+ * Express middleware for the generation endpoints: authenticates the
+ * caller like `authenticate` and adds `req.chargeGenerations()`, which the
+ * route calls once the body has been validated, so a rejected request
+ * costs nothing. It charges `cost(req)` generations (one by default),
+ * reports what is left in headers and throws RateLimitError (with
+ * Retry-After set) when over the limit.
+ */
+export function meterGenerations({ config, limiter, cost = () => 1 }) {
+  return (req, res, next) => {
+    let bucket;
+    try {
+      bucket = resolveBucket(req, config);
+    } catch (err) {
+      return rejectCaller(res, err);
+    }
+
+    req.apiKey = callerKey(bucket);
+    req.chargeGenerations = () => {
+      let usage;
+      try {
+        usage = limiter.consume(bucket, cost(req));
+      } catch (err) {
+        if (err.retryAfter) res.set("Retry-After", String(err.retryAfter));
+        throw err;
+      }
+      res.set({
+        "X-RateLimit-Limit": String(usage.perMinute),
+        "X-RateLimit-Remaining": String(usage.remainingThisMinute),
+        "X-Quota-Limit": String(usage.perDay),
+        "X-Quota-Remaining": String(usage.remainingToday),
+      });
+    };
+    next();
+  };
+}
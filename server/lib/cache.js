@@ -0,0 +1,116 @@
+import crypto from "node:crypto";
+import { PROMPT_VERSION } from "./prompt.js";
+
+/* =======================
+   Generation result cache
+   ======================= */
+
+const positive = (value, fallback) => {
+  const n = Number(value);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+};
+
+export function loadCacheConfig(env = process.env) {
+  return {
+    ttlMs: positive(env.CACHE_TTL_SECONDS, 3600) * 1000,
+    maxEntries: Math.floor(positive(env.CACHE_MAX_ENTRIES, 100)),
+    maxBytes: positive(env.CACHE_MAX_MB, 25) * 1024 * 1024,
+  };
+}
+
+// JSON with sorted object keys, so equal specs hash equally regardless of
+// the order the client serialized them in.
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((k) => `${JSON.stringify(k)}:${canonicalJson(value[k])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+const squash = (text) => text.replace(/\s+/g, " ").trim();
+
+/**
+ * Cache key for a generation: the normalized spec (see normalizeSpec),
+ * with whitespace and colour case evened out, plus the model chain that
+ * will serve it, the prompt version and, for redesigns, the outline of the
+ * source page.
+ */
+export function generationCacheKey(safe, chain, { source } = {}) {
+  const spec = {
+    ...safe,
+    projectName: squash(safe.projectName),
+    brief: squash(safe.brief),
+    primaryColor: safe.primaryColor.toLowerCase(),
+    pages: safe.pages.map(squash),
+    seo: Object.fromEntries(Object.entries(safe.seo).map(([k, v]) => [k, squash(v)])),
+  };
+  const models = chain.map(({ provider, model }) => `${provider.id}/${model}`);
+
+  return crypto
+    .createHash("sha256")
+    .update(canonicalJson({ prompt: PROMPT_VERSION, models, spec, ...(source ? { source } : {}) }))
+    .digest("hex");
+}
+
+/**
+ * In-memory LRU of finished response bodies with a TTL and limits on both
+ * entry count and total (serialized) size. A zero TTL or size disables it.
+ */
+export function createResultCache({ ttlMs, maxEntries, maxBytes }) {
+  const entries = new Map();
+  let bytes = 0;
+  let hits = 0;
+  let misses = 0;
+
+  const enabled = ttlMs > 0 && maxEntries > 0 && maxBytes > 0;
+
+  function drop(key) {
+    const entry = entries.get(key);
+    if (!entry) return;
+    bytes -= entry.size;
+    entries.delete(key);
+  }
+
+  function get(key) {
+    const entry = entries.get(key);
+    if (!entry || entry.expiresAt <= Date.now()) {
+      drop(key);
+      misses += 1;
+      return null;
+    }
+    // Re-insert to mark as most recently used.
+    entries.delete(key);
+    entries.set(key, entry);
+    hits += 1;
+    return structuredClone(entry.body);
+  }
+
+  function set(key, body) {
+    if (!enabled) return;
+    const size = Buffer.byteLength(JSON.stringify(body));
+    if (size > maxBytes) return;
+
+    drop(key);
+    entries.set(key, { body: structuredClone(body), size, expiresAt: Date.now() + ttlMs });
+    bytes += size;
+
+    for (const oldest of entries.keys()) {
+      if (entries.size <= maxEntries && bytes <= maxBytes) break;
+      drop(oldest);
+    }
+  }
+
+  return {
+    get,
+    set,
+    clear: () => {
+      entries.clear();
+      bytes = 0;
+    },
+    stats: () => ({ enabled, entries: entries.size, bytes, hits, misses }),
+  };
+}
@@ -0,0 +1,276 @@
+import crypto from "node:crypto";
+import { parse } from "node-html-parser";
+import { createJsonStore } from "./store.js";
+import { RateLimitError } from "./api-keys.js";
+import { escapeHtml } from "./html.js";
+
+/* =======================
+   Form submissions
+   ======================= */
+
+// Contact and newsletter forms on generated sites post to
+// /api/forms/:formToken, the project's public form token (never its id,
+// which would open the inbox to anyone viewing the site). Submissions are
+// kept per site, keyed by project id: { id, siteId, kind, fields, page,
+// createdAt }, newest last. Fields whose names start with "_" are ours: `_form` names the kind
+// and `_gotcha` is a honeypot that real visitors never see.
+
+const store = createJsonStore("forms", { submissions: [] });
+
+const now = () => Date.now();
+
+export const FORM_KINDS = ["contact", "newsletter"];
+
+const HONEYPOT = "_gotcha";
+const MAX_FIELDS = 20;
+const MAX_NAME = 60;
+const MAX_VALUE = 5000;
+const MAX_PER_SITE = 1000;
+const HOUR = 60 * 60 * 1000;
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export class SubmissionError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 400;
+  }
+}
+
+const positive = (value, fallback) => {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+};
+
+/**
+ * FORMS_RATE_LIMIT_PER_HOUR caps accepted submissions per site (default
+ * 30). Forms post to PUBLIC_URL, or when it is unset to the origin the
+ * saving request came in on.
+ */
+export function loadFormConfig(env = process.env) {
+  return {
+    perHour: positive(env.FORMS_RATE_LIMIT_PER_HOUR, 30),
+    publicUrl: (env.PUBLIC_URL || "").replace(/\/+$/, "") || null,
+  };
+}
+
+export const formAction = (config, formToken, origin) =>
+  `${config.publicUrl || origin}/api/forms/${encodeURIComponent(formToken)}`;
+
+/**
+ * Per-site sliding-window limit on accepted submissions, in memory.
+ */
+export function createFormLimiter(config) {
+  const windows = new Map();
+  return (siteId) => {
+    const at = now();
+    const hits = (windows.get(siteId) || []).filter((t) => at - t < HOUR);
+    if (hits.length >= config.perHour) {
+      throw new RateLimitError(
+        "Too many submissions for this site, please try again later",
+        Math.max(1, Math.ceil((hits[0] + HOUR - at) / 1000))
+      );
+    }
+    hits.push(at);
+    windows.set(siteId, hits);
+  };
+}
+
+/* ---------- submissions ---------- */
+
+const isSpam = (body) => typeof body?.[HONEYPOT] === "string" && body[HONEYPOT].trim() !== "";
+
+function cleanFields(body) {
+  const fields = {};
+  for (const [rawName, rawValue] of Object.entries(body || {})) {
+    const name = rawName.trim().slice(0, MAX_NAME);
+    if (!name || name.startsWith("_")) continue;
+    const value = (Array.isArray(rawValue) ? rawValue.join(", ") : String(rawValue ?? "")).trim();
+    if (!value) continue;
+    if (Object.keys(fields).length >= MAX_FIELDS) break;
+    fields[name] = value.slice(0, MAX_VALUE);
+  }
+  return fields;
+}
+
+// The form's own `_form` field, else a guess: anything with a message is
+// a contact form, a lone email address a newsletter signup.
+function kindOf(body, fields) {
+  if (FORM_KINDS.includes(body._form)) return body._form;
+  const names = Object.keys(fields);
+  if (names.length === 1 && /e-?mail/i.test(names[0])) return "newsletter";
+  return "contact";
+}
+
+/**
+ * Validates and stores a posted form. Returns the stored submission, or
+ * null for honeypot hits, which are dropped but look accepted to the bot.
+ */
+export function addSubmission(siteId, body, { page = null, limit } = {}) {
+  if (isSpam(body)) return null;
+
+  const fields = cleanFields(body);
+  if (!Object.keys(fields).length) throw new SubmissionError("The form was empty");
+  const kind = kindOf(body, fields);
+
+  const emails = Object.entries(fields).filter(([name]) => /e-?mail/i.test(name));
+  if (emails.some(([, value]) => !EMAIL.test(value))) throw new SubmissionError("Please enter a valid email address");
+  if (kind === "newsletter" && !emails.length) throw new SubmissionError("An email address is required");
+
+  limit?.(siteId);
+
+  const submission = { id: crypto.randomUUID(), siteId, kind, fields, page, createdAt: now() };
+  store.update((d) => {
+    d.submissions.push(submission);
+    const mine = d.submissions.filter((s) => s.siteId === siteId);
+    if (mine.length > MAX_PER_SITE) {
+      const drop = new Set(mine.slice(0, mine.length - MAX_PER_SITE).map((s) => s.id));
+      d.submissions = d.submissions.filter((s) => !drop.has(s.id));
+    }
+  });
+  return submission;
+}
+
+// Newest first, optionally of one kind.
+export const listSubmissions = (siteId, { kind } = {}) =>
+  store
+    .read()
+    .submissions.filter((s) => s.siteId === siteId && (!kind || s.kind === kind))
+    .reverse();
+
+export function deleteSubmission(siteId, id) {
+  return store.update((d) => {
+    const before = d.submissions.length;
+    d.submissions = d.submissions.filter((s) => !(s.siteId === siteId && s.id === id));
+    return d.submissions.length < before;
+  });
+}
+
+export function deleteSiteSubmissions(siteId) {
+  if (!store.read().submissions.some((s) => s.siteId === siteId)) return;
+  store.update((d) => {
+    d.submissions = d.submissions.filter((s) => s.siteId !== siteId);
+  });
+}
+
+// Leading =, +, - or @ would make spreadsheets evaluate the cell.
+const csvCell = (value) => {
+  const text = /^[=+\-@]/.test(value) ? `'${value}` : value;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Submissions as CSV: a date and kind column, then one column per field
+ * name in order of first appearance.
+ */
+export function submissionsCsv(submissions) {
+  const names = [...new Set(submissions.flatMap((s) => Object.keys(s.fields)))];
+  const rows = [
+    ["date", "kind", ...names],
+    ...submissions.map((s) => [new Date(s.createdAt).toISOString(), s.kind, ...names.map((n) => s.fields[n] || "")]),
+  ];
+  return rows.map((row) => row.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+/* ---------- wiring generated forms ---------- */
+
+const SKIPPED_INPUTS = new Set(["submit", "button", "reset", "image", "file"]);
+
+// "contact" or "newsletter" for a form we can serve, null for the rest
+// (login, search, ...). The enclosing block's id or class decides first.
+function formKind(form) {
+  if (form.querySelector('input[type="password"], input[type="search"]') || /search/i.test(form.getAttribute("role") || "")) {
+    return null;
+  }
+  for (let node = form; node?.tagName; node = node.parentNode) {
+    const names = `${node.getAttribute("id") || ""} ${node.getAttribute("class") || ""}`;
+    if (/newsletter|subscribe/i.test(names)) return "newsletter";
+    if (/contact|enquir|inquir/i.test(names)) return "contact";
+  }
+  if (form.querySelector("textarea")) return "contact";
+  const inputs = form.querySelectorAll("input").filter((i) => !SKIPPED_INPUTS.has(i.getAttribute("type")) && i.getAttribute("type") !== "hidden");
+  if (inputs.length === 1 && inputs[0].getAttribute("type") === "email") return "newsletter";
+  return null;
+}
+
+const fieldSlug = (text = "") =>
+  text
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 40);
+
+// Controls post nothing without a name; give each unnamed one the most
+// telling name available.
+function nameFields(form, root) {
+  const taken = new Set(form.querySelectorAll("[name]").map((el) => el.getAttribute("name")));
+  for (const el of form.querySelectorAll("input, textarea, select")) {
+    const type = (el.getAttribute("type") || "").toLowerCase();
+    if (el.getAttribute("name") || SKIPPED_INPUTS.has(type)) continue;
+
+    const id = el.getAttribute("id");
+    const label =
+      (id && root.querySelectorAll("label").find((l) => l.getAttribute("for") === id)) ||
+      (el.parentNode?.tagName === "LABEL" ? el.parentNode : null);
+    const base =
+      (type === "email" && "email") ||
+      (el.tagName === "TEXTAREA" && "message") ||
+      fieldSlug(label?.textContent) ||
+      fieldSlug(el.getAttribute("placeholder")) ||
+      fieldSlug(id) ||
+      "field";
+
+    let name = base;
+    for (let n = 2; taken.has(name); n++) name = `${base}-${n}`;
+    taken.add(name);
+    el.setAttribute("name", name);
+  }
+}
+
+const honeypot = () =>
+  `<div aria-hidden="true" style="position:absolute;left:-9999px;width:1px;height:1px;overflow:hidden"><label>Leave this field empty <input type="text" name="${HONEYPOT}" tabindex="-1" autocomplete="off"/></label></div>`;
+
+function wireDocument(html, action) {
+  if (!/<form\b/i.test(html)) return { html, count: 0 };
+  const root = parse(html, { comment: true });
+  let count = 0;
+
+  for (const form of root.querySelectorAll("form")) {
+    const kind = formKind(form);
+    if (!kind) continue;
+    count++;
+    form.setAttribute("action", action);
+    form.setAttribute("method", "post");
+    form.removeAttribute("onsubmit");
+    nameFields(form, root);
+    if (!form.querySelector('input[name="_form"]')) {
+      form.insertAdjacentHTML("afterbegin", `<input type="hidden" name="_form" value="${escapeHtml(kind)}"/>`);
+    }
+    if (!form.querySelector(`input[name="${HONEYPOT}"]`)) form.insertAdjacentHTML("beforeend", honeypot());
+  }
+  return count ? { html: root.toString(), count } : { html, count };
+}
+
+/**
+ * Points the contact and newsletter forms of a generation result
+ * ({ html, files? }) at `action`, naming their fields and adding the
+ * `_form` and honeypot fields. Other forms are left alone. Returns the
+ * rewritten { html, files } and the number of forms connected.
+ */
+export function wireForms({ html, files }, action) {
+  let count = 0;
+  if (files) {
+    const next = {};
+    for (const [name, content] of Object.entries(files)) {
+      if (!name.endsWith(".html")) {
+        next[name] = content;
+        continue;
+      }
+      const wired = wireDocument(content, action);
+      count += wired.count;
+      next[name] = wired.html;
+    }
+    return { html: next["index.html"] || html, files: next, count };
+  }
+  const wired = wireDocument(html, action);
+  return { html: wired.html, count: wired.count };
+}
@@ -0,0 +1,365 @@
+import { stripFences, ensureFullDoc } from "./html.js";
+import { wantsEventStream, openEventStream } from "./sse.js";
+import { isMultipage, lastSiteSegment, parseSiteFiles, sitePages } from "./site.js";
+import {
+  cssLooksTruncated,
+  hasBodyContent,
+  looksTruncated,
+  repairHtml,
+} from "./repair.js";
+import { toZipDataUrl } from "./zip.js";
+import { log } from "./logger.js";
+
+export const toDownloadUrl = (html) =>
+  "data:text/html;base64," + Buffer.from(html, "utf8").toString("base64");
+
+const MAX_CONTINUATIONS = 2;
+
+const CONTINUE_PROMPT =
+  "Your previous reply was cut off. Continue EXACTLY where it stopped. " +
+  "Output only the remaining text — do not repeat anything already written, " +
+  "no explanations, no markdown fences.";
+
+// Turns raw model text into { html, files?, warnings } after structural
+// repair. Multi-page specs produce a file map whose index.html doubles as
+// `html` for single-document clients. Section rewrites stay fragments; the
+// caller's `finalize` splices them into the page.
+export function parseOutput(text, spec, task) {
+  if (task?.kind === "section") {
+    const { html, warnings } = repairHtml(stripFences(text));
+    // A fragment has no <title> of its own.
+    return { html, warnings: warnings.filter((w) => w.code !== "missing-title") };
+  }
+  if (isMultipage(spec) && task?.kind !== "refine") {
+    const { files, warnings } = parseSiteFiles(text, spec);
+    return { html: files["index.html"] || "", files, warnings };
+  }
+  return repairHtml(ensureFullDoc(stripFences(text), spec));
+}
+
+function outputLooksTruncated(text, finishReason, spec, task) {
+  if (finishReason === "length") return true;
+  if (!isMultipage(spec) || task?.kind === "refine" || task?.kind === "section") {
+    return looksTruncated(stripFences(text), finishReason);
+  }
+  const { name, body } = lastSiteSegment(text);
+  return name.endsWith(".css") || name.endsWith(".js")
+    ? cssLooksTruncated(body)
+    : looksTruncated(body, finishReason);
+}
+
+// Models often re-emit the last few lines before continuing.
+function dropOverlap(prev, next) {
+  const max = Math.min(400, prev.length, next.length);
+  for (let k = max; k >= 16; k--) {
+    if (prev.endsWith(next.slice(0, k))) return next.slice(k);
+  }
+  return next;
+}
+
+const stripContinuationFences = (s = "") =>
+  s.replace(/^\s*```(?:html|css)?[ \t]*\n/i, "").replace(/\n?```\s*$/, "");
+
+/**
+ * Calls the provider and, while the output looks cut off (finish_reason
+ * "length", unclosed body/html/script/style, a tag ending mid-way), asks
+ * the same model to continue from where it stopped.
+ */
+async function completeWithContinuation({
+  provider,
+  model,
+  temperature,
+  prompt,
+  messages,
+  spec,
+  task,
+  signal,
+  onToken,
+  onContinue,
+}) {
+  const base = messages || [{ role: "user", content: prompt }];
+  let { text, finishReason } = await provider.complete({
+    model,
+    temperature,
+    prompt,
+    messages,
+    spec,
+    task,
+    signal,
+    onToken,
+  });
+  let continued = 0;
+
+  while (
+    continued < MAX_CONTINUATIONS &&
+    !signal?.aborted &&
+    outputLooksTruncated(text, finishReason, spec, task)
+  ) {
+    continued++;
+    onContinue?.(continued);
+
+    const next = await provider.complete({
+      model,
+      temperature,
+      messages: [
+        ...base,
+        { role: "assistant", content: text },
+        { role: "user", content: CONTINUE_PROMPT },
+      ],
+      spec,
+      task: { kind: "continue", parent: task, text },
+      signal,
+      onToken,
+    });
+
+    const piece = dropOverlap(text, stripContinuationFences(next.text));
+    if (!piece.trim()) break;
+    text += piece;
+    finishReason = next.finishReason;
+  }
+
+  return {
+    text,
+    continued,
+    truncated: outputLooksTruncated(text, finishReason, spec, task),
+  };
+}
+
+// Walks the provider/model fallback chain until one returns usable HTML.
+// An attempt may carry a `temperature` (see lib/variants.js); otherwise the
+// provider's default applies.
+// `prompt` or `messages` is forwarded to the provider; `task` carries extra
+// context (e.g. the document being refined) that only some providers use.
+// `finalize({ html, files, warnings })` may post-process each parsed result
+// (synchronously or with a promise) and return it with extra fields (e.g.
+// `checks`).
+// onModel(attempt, index) fires before each attempt, onModelError(attempt,
+// err) after a failed one, onContinue(attempt, round) before a truncation
+// continuation and onToken(delta, attempt) per streamed chunk.
+// onAttemptEnd(attempt, { ok, ms, error }) reports how each attempt went
+// (see lib/reliability.js); cancelled attempts are not reported.
+export async function generateWithFallback({
+  chain,
+  prompt,
+  messages,
+  spec,
+  task,
+  finalize,
+  onModel,
+  onModelError,
+  onContinue,
+  onToken,
+  onAttemptEnd,
+  signal,
+}) {
+  let html = "";
+  let files = null;
+  let warnings = [];
+  let extra = {};
+  let used = null;
+  let lastErr;
+  const tried = [];
+
+  for (const [index, attempt] of chain.entries()) {
+    if (signal?.aborted) break;
+    const { provider, model, temperature } = attempt;
+    onModel?.(attempt, index);
+    const started = Date.now();
+    let failure = "Model did not return usable HTML";
+
+    try {
+      const { text, continued, truncated } = await completeWithContinuation({
+        provider,
+        model,
+        temperature,
+        prompt,
+        messages,
+        spec,
+        task,
+        signal,
+        onToken: onToken ? (delta) => onToken(delta, attempt) : undefined,
+        onContinue: onContinue ? (round) => onContinue(attempt, round) : undefined,
+      });
+      ({ html, files = null, warnings } = parseOutput(text, spec, task));
+
+      if (continued) {
+        warnings.unshift({
+          code: "continued",
+          message: `Output hit the length limit; ${model} was asked to continue ${continued} time(s)`,
+        });
+      }
+      if (truncated) {
+        warnings.unshift({
+          code: "truncated",
+          message: "Output still looks truncated; missing parts were closed automatically",
+        });
+      }
+
+      if (finalize) {
+        ({ html, files = null, warnings, ...extra } = await finalize({ html, files, warnings }));
+      }
+
+      if (html && html.length > 50 && hasBodyContent(html)) {
+        used = attempt;
+        failure = null;
+        break;
+      }
+    } catch (e) {
+      lastErr = e;
+      failure = e.message;
+      onModelError?.(attempt, e);
+    } finally {
+      tried.push(model);
+      if (!signal?.aborted) onAttemptEnd?.(attempt, { ok: !failure, ms: Date.now() - started, error: failure });
+    }
+  }
+
+  return {
+    ...extra,
+    html: used ? html : "",
+    files,
+    warnings,
+    provider: used?.provider.id || null,
+    model: used?.model || null,
+    tried,
+    lastErr,
+  };
+}
+
+/**
+ * Runs a generation and answers either with JSON or, when the client asked
+ * for it, as Server-Sent Events:
+ *
+ *   model  { provider, model, index, total }  a fallback model is being tried
+ *   token  { model, delta }                   raw model output as it arrives
+ *   model-error { provider, model, error }    that model failed, moving on
+ *   continue { provider, model, round }       output was cut off, continuing
+ *   done   { html, downloadUrl, provider, model, tried, warnings, files?, pages? }
+ *   error  { error, details, tried }
+ *
+ * The `done` payload is the same object the JSON mode returns. An optional
+ * `onSuccess(body)` may return extra fields to merge into a successful body
+ * (e.g. the stored project version).
+ *
+ * With `cache: { store, key }` a previous result for `key` is answered
+ * straight away and fresh results are stored; `cache: { bypass: true }`
+ * skips the lookup. Either way the body's `cache` field reports "hit",
+ * "miss" or "bypass".
+ */
+export async function respondWithGeneration(req, res, options) {
+  if (!wantsEventStream(req)) {
+    const body = await produceResponse(options);
+    return body.error ? res.status(502).json(body) : res.json(body);
+  }
+
+  const send = openEventStream(res);
+  const controller = new AbortController();
+
+  res.on("close", () => {
+    if (!res.writableEnded) controller.abort();
+  });
+
+  const heartbeat = setInterval(() => {
+    if (!res.writableEnded) res.write(": ping\n\n");
+  }, 15000);
+
+  try {
+    const body = await produceResponse({
+      ...options,
+      signal: controller.signal,
+      onModel: ({ provider, model }, index) =>
+        send("model", {
+          provider: provider.id,
+          model,
+          index,
+          total: options.chain.length,
+        }),
+      onModelError: ({ provider, model }, err) =>
+        send("model-error", {
+          provider: provider.id,
+          model,
+          error: err.message,
+        }),
+      onContinue: ({ provider, model }, round) =>
+        send("continue", { provider: provider.id, model, round }),
+      onToken: (delta, { model }) => send("token", { model, delta }),
+    });
+
+    if (controller.signal.aborted) return;
+    send(body.error ? "error" : "done", body);
+  } catch (err) {
+    log.error("Generation failed", err);
+    send("error", { error: err.message });
+  } finally {
+    clearInterval(heartbeat);
+    res.end();
+  }
+}
+
+/**
+ * The response body for a generation, without the HTTP side: served from
+ * `options.cache` when possible, otherwise generated (taking the same
+ * hooks and `signal` as generateWithFallback). Failures come back as a
+ * body with `error`.
+ */
+export async function produceResponse(options) {
+  const cached = options.cache?.store?.get(options.cache.key);
+  if (cached) return withSuccessFields({ ...cached, cache: "hit" }, options);
+
+  const result = await generateWithFallback(options);
+  if (options.signal?.aborted) return { error: "Generation was cancelled", cancelled: true };
+  return finishBody(result, options);
+}
+
+// Caches a successful body (before project fields are added, so a later
+// hit can be saved to a different project) and adds the success fields.
+async function finishBody(result, options) {
+  let body = toResponse(result);
+  const { cache } = options;
+  if (!body.error && cache) {
+    cache.store?.set(cache.key, body);
+    body = { ...body, cache: cache.store ? "miss" : "bypass" };
+  }
+  return withSuccessFields(body, options);
+}
+
+async function withSuccessFields(body, { onSuccess }) {
+  if (body.error || !onSuccess) return body;
+  return { ...body, ...(await onSuccess(body)) };
+}
+
+function toResponse({ html, files, warnings, checks, a11y, provider, model, tried, lastErr }) {
+  if (!html || html.length < 20) {
+    return {
+      error: "Model did not return usable HTML",
+      details: lastErr?.message,
+      tried,
+    };
+  }
+
+  if (files) {
+    return {
+      html,
+      files,
+      pages: sitePages(files),
+      downloadUrl: toZipDataUrl(files),
+      provider,
+      model,
+      tried,
+      warnings,
+      checks,
+      a11y,
+    };
+  }
+
+  return {
+    html,
+    downloadUrl: toDownloadUrl(html),
+    provider,
+    model,
+    tried,
+    warnings,
+    checks,
+    a11y,
+  };
+}
@@ -0,0 +1,46 @@
+export const escapeHtml = (s = "") =>
+  String(s).replace(
+    /[&<>"']/g,
+    (m) =>
+      ({
+        "&": "&amp;",
+        "<": "&lt;",
+        ">": "&gt;",
+        '"': "&quot;",
+        "'": "&#39;",
+      }[m])
+  );
+
+export const stripFences = (s = "") =>
+  s
+    .trim()
+    .replace(/^```(html)?\s*/i, "")
+    .replace(/```$/i, "")
+    .trim();
+
+export const ensureFullDoc = (html = "", spec = {}) => {
+  const hasHtml =
+    /<\s*html[\s>]/i.test(html) || /<!doctype html>/i.test(html);
+
+  if (hasHtml) return html;
+
+  const safeTitle = escapeHtml((spec.projectName || "Website").toString());
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8"/>
+<meta name="viewport" content="width=device-width,initial-scale=1"/>
+<title>${safeTitle}</title>
+</head>
+<body>
+${html}
+</body>
+</html>`;
+};
+
+export const kebab = (str = "") =>
+  String(str)
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/(^-|-$)/g, "");
@@ -0,0 +1,214 @@
+import { parse } from "node-html-parser";
+import { placeholderImages } from "../providers/images.js";
+
+// Offline images. Model output tends to hot-link stock photo URLs that
+// break, or point at files it never produced. Every such image slot (an
+// <img>, or a url() in a background declaration) gets a locally generated
+// image instead, inlined as a data: URL so the page, its zip and its
+// exports render without network access. Other external images, and any
+// source the user already had on the page, are left as they are.
+
+// Sources that already work offline.
+const LOCAL_SRC = /^(?:data:|blob:)/i;
+
+// Stock photo and placeholder services models hot-link to (often with
+// made-up photo ids).
+const PLACEHOLDER_HOST =
+  /(?:^|\.)(?:unsplash\.com|picsum\.photos|placeholder\.com|placehold\.co|placehold\.it|placekitten\.com|placeimg\.com|dummyimage\.com|loremflickr\.com|lorempixel\.com|fakeimg\.pl|pexels\.com|pixabay\.com)$/i;
+
+// Resolves relative sources; anything left on this origin is a site path.
+const SITE_BASE = "https://site.invalid/";
+
+const IMG_TAG = /<img\b[^>]*>/gi;
+const PICTURE_SOURCE = /<source\b[^>]*\bsrcset\s*=\s*["']?([^\s"'>,]*)[^>]*>\s*/gi;
+const BACKGROUND_DECL = /(background(?:-image)?\s*:)([^;{}]*)/gi;
+const CSS_URL = /url\(\s*(['"]?)([^'")]*)\1\s*\)/gi;
+
+const KIND_HINTS = [
+  ["avatar", /avatar|portrait|headshot|profile|testimonial|team|author|founder|customer|person|people|doctor|staff/i],
+  ["logo", /logo|brand|icon|badge/i],
+];
+
+const DEFAULT_SIZES = {
+  avatar: [256, 256],
+  logo: [160, 160],
+  illustration: [1200, 675],
+  background: [1600, 900],
+};
+
+/**
+ * Whether an image source is a slot to fill: empty, a path to a file the
+ * site doesn't have, or a hot-linked placeholder. Sources in `keep` (set
+ * by the user) stay.
+ */
+function needsImage(src, { keep, files }) {
+  const value = (src || "").trim();
+  if (!value || value === "#") return true;
+  if (LOCAL_SRC.test(value) || keep.has(value)) return false;
+  let url;
+  try {
+    url = new URL(value, SITE_BASE);
+  } catch {
+    return true;
+  }
+  if (url.href.startsWith(SITE_BASE)) return typeof files?.[decodeURIComponent(url.pathname.slice(1))] !== "string";
+  return /^https?:$/.test(url.protocol) && PLACEHOLDER_HOST.test(url.hostname);
+}
+
+const dimension = (value) => {
+  const n = parseInt(value, 10);
+  return n > 0 && n <= 4096 ? n : null;
+};
+
+function slotKind(text) {
+  const hit = KIND_HINTS.find(([, re]) => re.test(text));
+  return hit ? hit[0] : "illustration";
+}
+
+function slotFromImg(el) {
+  const alt = el.getAttribute("alt") || "";
+  const prompt = el.getAttribute("data-image-prompt") || alt;
+  const kind = slotKind(`${prompt} ${alt} ${el.getAttribute("class") || ""} ${el.getAttribute("id") || ""}`);
+  const [w, h] = DEFAULT_SIZES[kind];
+  return {
+    kind,
+    alt,
+    prompt,
+    src: el.getAttribute("src") || "",
+    width: dimension(el.getAttribute("width")) || w,
+    height: dimension(el.getAttribute("height")) || h,
+  };
+}
+
+const dataUrl = ({ mime, data }) => `data:${mime};base64,${Buffer.from(data).toString("base64")}`;
+
+/**
+ * Generates images through `provider` (see providers/images.js), falling
+ * back to the placeholder provider when it fails. Identical slots share
+ * one image.
+ */
+function createRenderer({ provider, tokens, signal, failures }) {
+  const done = new Map();
+  return (slot) => {
+    const key = JSON.stringify(slot);
+    if (!done.has(key)) {
+      done.set(
+        key,
+        Promise.resolve()
+          .then(() => provider.generate(slot, { tokens, signal }))
+          .catch((err) => {
+            failures.push(err);
+            return placeholderImages.generate(slot, { tokens });
+          })
+          .then(dataUrl)
+      );
+    }
+    return done.get(key);
+  };
+}
+
+async function replaceAsync(text, re, replacer) {
+  const jobs = [];
+  text.replace(re, (...args) => {
+    jobs.push(replacer(...args));
+    return "";
+  });
+  const results = await Promise.all(jobs);
+  let i = 0;
+  return text.replace(re, () => results[i++]);
+}
+
+function rewriteCss(css, render, ctx) {
+  return replaceAsync(css, BACKGROUND_DECL, async (decl, prop, value) =>
+    prop +
+    (await replaceAsync(value, CSS_URL, async (ref, quote, url) => {
+      if (!needsImage(url, ctx)) return ref;
+      ctx.count++;
+      const [width, height] = DEFAULT_SIZES.background;
+      // Unquoted: base64 needs no escaping and this may sit in a style="" attribute.
+      return `url(${await render({ kind: "background", alt: "", prompt: url, src: url, width, height })})`;
+    }))
+  );
+}
+
+async function rewriteHtml(html, render, ctx) {
+  let out = await replaceAsync(html, IMG_TAG, async (tag) => {
+    const el = parse(tag).querySelector("img");
+    if (!el || !needsImage(el.getAttribute("src"), ctx)) return tag;
+    ctx.count++;
+    const slot = slotFromImg(el);
+    el.setAttribute("src", await render(slot));
+    el.removeAttribute("srcset");
+    if (!el.getAttribute("data-image-prompt") && slot.prompt) el.setAttribute("data-image-prompt", slot.prompt);
+    return el.toString();
+  });
+  // <picture> sources would win over the replaced <img>.
+  out = out.replace(PICTURE_SOURCE, (tag, url) => (needsImage(url, ctx) ? "" : tag));
+  out = await replaceAsync(out, /(<style\b[^>]*>)([\s\S]*?)(<\/style>)/gi, async (m, open, css, close) =>
+    open + (await rewriteCss(css, render, ctx)) + close
+  );
+  return replaceAsync(out, /(\sstyle\s*=\s*")([^"]*)(")/gi, async (m, open, css, close) =>
+    open + (await rewriteCss(css, render, ctx)) + close
+  );
+}
+
+// Every image source in `html`: <img> src and background url()s.
+export function imageSources(html = "") {
+  const sources = [];
+  for (const tag of html.match(IMG_TAG) || []) {
+    const src = parse(tag).querySelector("img")?.getAttribute("src");
+    if (src) sources.push(src.trim());
+  }
+  for (const [, , value] of html.matchAll(BACKGROUND_DECL)) {
+    for (const [, , url] of value.matchAll(CSS_URL)) sources.push(url.trim());
+  }
+  return sources;
+}
+
+/**
+ * Replaces missing, broken and hot-linked placeholder images in a
+ * generation result ({ html, files?, warnings }) with generated ones.
+ * `keep` lists sources to leave alone (see imageSources), e.g. those on
+ * the page being refined. `tokens` (design tokens) theme the placeholders.
+ */
+export async function localizeImages(out, { provider = placeholderImages, tokens = {}, signal, keep = [] } = {}) {
+  const failures = [];
+  const render = createRenderer({ provider, tokens, signal, failures });
+  // Counts replacements; `keep` and `files` decide what needs one.
+  const ctx = { count: 0, keep: new Set(keep), files: out.files };
+
+  let { html, files } = out;
+  if (files) {
+    files = Object.fromEntries(
+      await Promise.all(
+        Object.entries(files).map(async ([name, content]) => [
+          name,
+          name.endsWith(".html")
+            ? await rewriteHtml(content, render, ctx)
+            : name.endsWith(".css")
+              ? await rewriteCss(content, render, ctx)
+              : content,
+        ])
+      )
+    );
+    html = files["index.html"] || html;
+  } else if (html) {
+    html = await rewriteHtml(html, render, ctx);
+  }
+
+  const warnings = [...(out.warnings || [])];
+  if (ctx.count) {
+    warnings.push({
+      code: "images-localized",
+      message: `Replaced ${ctx.count} missing or placeholder image(s) with generated ones`,
+    });
+  }
+  if (failures.length) {
+    warnings.push({
+      code: "image-provider-failed",
+      message: `${provider.label || provider.id} failed for ${failures.length} image(s) (${failures[0].message}); placeholders were used`,
+    });
+  }
+
+  return { ...out, html, ...(files ? { files } : {}), warnings };
+}
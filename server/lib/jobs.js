@@ -0,0 +1,173 @@
+import crypto from "node:crypto";
+import { log, logContext, withLogContext } from "./logger.js";
+
+/* =======================
+   Generation jobs
+   ======================= */
+
+// Jobs run in-process: at most `concurrency` at a time, the rest wait in
+// FIFO order. Finished jobs are kept for `ttlMs` so clients can collect the
+// result, then forgotten.
+//
+// Job shape (as returned by `describe`): { id, kind, status, position,
+// progress: { provider, model, index, total, chars, round }, result, error,
+// createdAt, startedAt, finishedAt }. Status is queued | running | done |
+// failed | cancelled. Variants jobs report progress as { finished, total }.
+
+export class QueueFullError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 503;
+  }
+}
+
+const positive = (value, fallback) => {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? Math.floor(n) : fallback;
+};
+
+export function loadJobConfig(env = process.env) {
+  return {
+    concurrency: positive(env.JOB_CONCURRENCY, 2),
+    maxQueued: positive(env.JOB_QUEUE_LIMIT, 50),
+    ttlMs: positive(env.JOB_TTL_SECONDS, 600) * 1000,
+  };
+}
+
+const FINISHED = new Set(["done", "failed", "cancelled"]);
+
+export function createJobQueue({ concurrency, maxQueued, ttlMs }) {
+  const jobs = new Map();
+  const waiting = [];
+  let running = 0;
+
+  function expireLater(job) {
+    setTimeout(() => jobs.delete(job.id), ttlMs).unref?.();
+  }
+
+  function finish(job, status, fields = {}) {
+    Object.assign(job, fields, { status, finishedAt: Date.now() });
+    job.partial = "";
+    expireLater(job);
+  }
+
+  async function start(job) {
+    running += 1;
+    job.status = "running";
+    job.startedAt = Date.now();
+
+    const { signal } = job.controller;
+    const hooks = {
+      signal,
+      onModel: ({ provider, model }, index) => {
+        job.partial = "";
+        job.progress = { provider: provider.id, model, index, total: job.total, chars: 0, round: 0 };
+      },
+      onContinue: (attempt, round) => {
+        if (job.progress) job.progress.round = round;
+      },
+      onToken: (delta) => {
+        job.partial += delta;
+        if (job.progress) job.progress.chars = job.partial.length;
+      },
+      onModelError: ({ model }, err) => {
+        if (!signal.aborted) job.modelErrors.push({ model, error: err.message });
+      },
+      onFinish: (finished, total) => {
+        job.progress = { finished, total };
+      },
+    };
+
+    try {
+      const body = await withLogContext({ ...job.logContext, jobId: job.id }, () => job.run(hooks));
+      if (job.status === "cancelled") return;
+      if (body.error) finish(job, "failed", { error: body.error, result: body });
+      else finish(job, "done", { result: body });
+    } catch (err) {
+      if (job.status === "cancelled") return;
+      log.error("Job failed", { ...job.logContext, jobId: job.id, err });
+      finish(job, "failed", { error: err.message });
+    } finally {
+      running -= 1;
+      next();
+    }
+  }
+
+  function next() {
+    while (running < concurrency && waiting.length) start(waiting.shift());
+  }
+
+  /**
+   * Queues `run(hooks)`, which must resolve to a response body (see
+   * produceResponse) and should honour `hooks.signal`. `total` is the
+   * length of the model chain (or the number of variants), for progress
+   * reporting. `owner` is kept on the job for the routes to check; it is
+   * not part of `describe`.
+   */
+  function submit({ kind, owner = null, total, run }) {
+    if (waiting.length >= maxQueued) {
+      throw new QueueFullError("Too many queued generations; try again shortly");
+    }
+    const job = {
+      id: crypto.randomUUID(),
+      kind,
+      owner,
+      total,
+      run,
+      status: "queued",
+      progress: null,
+      partial: "",
+      modelErrors: [],
+      // Log lines from the job carry the id of the request that queued it.
+      logContext: logContext(),
+      result: null,
+      error: null,
+      controller: new AbortController(),
+      createdAt: Date.now(),
+      startedAt: null,
+      finishedAt: null,
+    };
+    jobs.set(job.id, job);
+    waiting.push(job);
+    next();
+    return job;
+  }
+
+  // Aborts a running job's upstream request, or drops it from the queue.
+  // Finished jobs are left as they are.
+  function cancel(id) {
+    const job = jobs.get(id);
+    if (!job || FINISHED.has(job.status)) return job || null;
+
+    const queued = waiting.indexOf(job);
+    if (queued >= 0) waiting.splice(queued, 1);
+    job.controller.abort();
+    finish(job, "cancelled", { error: "Cancelled" });
+    return job;
+  }
+
+  function describe(job, { partial = false } = {}) {
+    return {
+      id: job.id,
+      kind: job.kind,
+      status: job.status,
+      position: job.status === "queued" ? waiting.indexOf(job) + 1 : null,
+      progress: job.progress,
+      modelErrors: job.modelErrors,
+      error: job.error,
+      result: job.result,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      ...(partial && job.status === "running" ? { partial: job.partial } : {}),
+    };
+  }
+
+  return {
+    submit,
+    cancel,
+    get: (id) => jobs.get(id) || null,
+    describe,
+    stats: () => ({ running, queued: waiting.length, concurrency }),
+  };
+}
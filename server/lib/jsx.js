@@ -0,0 +1,239 @@
+/* =======================
+   HTML to JSX
+   ======================= */
+
+// Renders node-html-parser nodes as JSX source. Deterministic and purely
+// syntactic: attribute names are mapped to their React spellings, inline
+// styles become objects and inline event handlers become arrow functions;
+// nothing is evaluated.
+
+const VOID_TAGS = new Set([
+  "area", "base", "br", "col", "embed", "hr", "img", "input",
+  "link", "meta", "param", "source", "track", "wbr",
+]);
+
+const ATTR_NAMES = {
+  class: "className",
+  for: "htmlFor",
+  tabindex: "tabIndex",
+  readonly: "readOnly",
+  maxlength: "maxLength",
+  minlength: "minLength",
+  colspan: "colSpan",
+  rowspan: "rowSpan",
+  cellpadding: "cellPadding",
+  cellspacing: "cellSpacing",
+  autocomplete: "autoComplete",
+  autofocus: "autoFocus",
+  autoplay: "autoPlay",
+  contenteditable: "contentEditable",
+  crossorigin: "crossOrigin",
+  enctype: "encType",
+  formaction: "formAction",
+  srcset: "srcSet",
+  srcdoc: "srcDoc",
+  novalidate: "noValidate",
+  frameborder: "frameBorder",
+  allowfullscreen: "allowFullScreen",
+  datetime: "dateTime",
+  accesskey: "accessKey",
+  charset: "charSet",
+  "http-equiv": "httpEquiv",
+  "accept-charset": "acceptCharset",
+  playsinline: "playsInline",
+  spellcheck: "spellCheck",
+  usemap: "useMap",
+  referrerpolicy: "referrerPolicy",
+  inputmode: "inputMode",
+  enterkeyhint: "enterKeyHint",
+  fetchpriority: "fetchPriority",
+  "xlink:href": "xlinkHref",
+  "xml:space": "xmlSpace",
+  "xmlns:xlink": "xmlnsXlink",
+};
+
+// Attributes that are written bare (`<input required>`) in HTML.
+const BOOLEAN_ATTRS = new Set([
+  "allowfullscreen", "async", "autofocus", "autoplay", "checked", "controls",
+  "default", "defer", "disabled", "formnovalidate", "hidden", "loop",
+  "multiple", "muted", "novalidate", "open", "playsinline", "readonly",
+  "required", "reversed", "selected",
+]);
+
+const EVENT_NAMES = {
+  click: "Click",
+  dblclick: "DoubleClick",
+  mousedown: "MouseDown",
+  mouseup: "MouseUp",
+  mouseover: "MouseOver",
+  mouseout: "MouseOut",
+  mouseenter: "MouseEnter",
+  mouseleave: "MouseLeave",
+  mousemove: "MouseMove",
+  keydown: "KeyDown",
+  keyup: "KeyUp",
+  keypress: "KeyPress",
+  contextmenu: "ContextMenu",
+  touchstart: "TouchStart",
+  touchend: "TouchEnd",
+  touchmove: "TouchMove",
+};
+
+const camel = (name) => name.replace(/[-:]([a-z])/g, (_, c) => c.toUpperCase());
+
+// Splits a style attribute on ";" outside parentheses and quotes, so
+// `url(data:...;base64,...)` stays in one piece.
+function styleDeclarations(style) {
+  const out = [];
+  let depth = 0;
+  let quote = null;
+  let start = 0;
+  for (let i = 0; i < style.length; i++) {
+    const c = style[i];
+    if (quote) {
+      if (c === quote) quote = null;
+    } else if (c === '"' || c === "'") quote = c;
+    else if (c === "(") depth++;
+    else if (c === ")") depth = Math.max(0, depth - 1);
+    else if (c === ";" && !depth) {
+      out.push(style.slice(start, i));
+      start = i + 1;
+    }
+  }
+  out.push(style.slice(start));
+  return out.map((d) => d.trim()).filter(Boolean);
+}
+
+export function styleObject(style) {
+  const entries = styleDeclarations(style).flatMap((decl) => {
+    const colon = decl.indexOf(":");
+    if (colon < 1) return [];
+    const prop = decl.slice(0, colon).trim().toLowerCase();
+    const value = decl.slice(colon + 1).trim();
+    const key = prop.startsWith("--")
+      ? JSON.stringify(prop)
+      : camel(prop.replace(/^-ms-/, "ms-"));
+    return [`${key}: ${JSON.stringify(value)}`];
+  });
+  return `{{ ${entries.join(", ")} }}`;
+}
+
+// `this` in an inline handler is the element it is attached to.
+const handlerSource = (code) =>
+  `{(event) => { ${code.trim().replace(/;$/, "").replace(/\bthis\b/g, "event.currentTarget")}; }}`;
+
+const quoteAttr = (value) =>
+  /["\\{}&\n]/.test(value) ? `{${JSON.stringify(value)}}` : `"${value}"`;
+
+// Returns { source, link }; `link` is true when the element should be
+// rendered as the router's <Link>.
+export function jsxAttributes(el, ctx = {}) {
+  const tag = el.rawTagName.toLowerCase();
+  const out = [];
+  let link = false;
+
+  for (const [rawName, value] of Object.entries(el.attributes)) {
+    const name = rawName.toLowerCase();
+
+    if (/^on[a-z]+$/.test(name)) {
+      const event = name.slice(2);
+      const reactName = `on${EVENT_NAMES[event] || event[0].toUpperCase() + event.slice(1)}`;
+      out.push(`${reactName}=${handlerSource(value)}`);
+      ctx.interactive = true;
+      continue;
+    }
+    if (name === "style") {
+      out.push(`style=${styleObject(value)}`);
+      continue;
+    }
+    if (name === "href" && tag === "a" && ctx.route) {
+      const route = ctx.route(value);
+      if (route) {
+        out.push(`${ctx.linkProp}=${quoteAttr(route)}`);
+        ctx.usesLink = true;
+        link = true;
+        continue;
+      }
+    }
+    if (tag === "option" && name === "selected") continue;
+
+    let jsxName =
+      ATTR_NAMES[name] ||
+      (ctx.svg && !/^(data|aria)-/.test(name) ? camel(rawName) : rawName);
+    if ((tag === "input" || tag === "textarea") && name === "value") jsxName = "defaultValue";
+    if (tag === "input" && name === "checked") jsxName = "defaultChecked";
+
+    out.push(value === "" && BOOLEAN_ATTRS.has(name) ? jsxName : `${jsxName}=${quoteAttr(value)}`);
+  }
+
+  // <select> takes its initial value from the selected option.
+  if (tag === "select") {
+    const selected = el.querySelectorAll("option").find((o) => o.hasAttribute("selected"));
+    if (selected) {
+      out.push(`defaultValue=${quoteAttr(selected.getAttribute("value") ?? selected.text.trim())}`);
+    }
+  }
+  if (tag === "textarea" && el.text) out.push(`defaultValue=${quoteAttr(el.text)}`);
+
+  return { source: out.length ? ` ${out.join(" ")}` : "", link };
+}
+
+function textSource(node, pre) {
+  if (pre) return `{${JSON.stringify(node.text)}}`;
+  const raw = node.rawText.replace(/\s+/g, " ");
+  return /[{}<>&]/.test(raw) ? `{${JSON.stringify(node.text.replace(/\s+/g, " "))}}` : raw;
+}
+
+const isBlank = (node) => node.nodeType === 3 && !node.rawText.trim();
+
+/**
+ * JSX for `node` at indentation `depth`. `ctx` options:
+ *   component(el)  component name to render in place of an element, or null
+ *   route(href)    in-app route for a link, or null to keep a plain href
+ *   linkProp       prop carrying the route on <Link> ("to" or "href")
+ * and it collects `interactive` (has event handlers) and `usesLink`.
+ */
+export function toJsx(node, depth, ctx) {
+  const pad = "  ".repeat(depth);
+
+  if (node.nodeType === 3) return pad + textSource(node, ctx.pre);
+  if (node.nodeType !== 1) return "";
+
+  const name = ctx.component?.(node);
+  if (name) return `${pad}<${name} />`;
+
+  const lower = node.rawTagName.toLowerCase();
+  const inner = {
+    ...ctx,
+    svg: ctx.svg || lower === "svg",
+    pre: ctx.pre || lower === "pre",
+  };
+  const out = elementJsx(node, lower, pad, depth, inner);
+  ctx.interactive ||= inner.interactive;
+  ctx.usesLink ||= inner.usesLink;
+  return out;
+}
+
+function elementJsx(node, lower, pad, depth, inner) {
+  const { source: attrs, link } = jsxAttributes(node, inner);
+  const tag = link ? "Link" : node.rawTagName;
+
+  const children = node.childNodes.filter(
+    (c) => (c.nodeType === 1 && !["script", "style"].includes(c.rawTagName.toLowerCase())) || c.nodeType === 3
+  );
+  if (VOID_TAGS.has(lower) || lower === "textarea" || !children.some((c) => !isBlank(c) || inner.pre)) {
+    return `${pad}<${tag}${attrs} />`;
+  }
+
+  // Mixed text and elements stay on one line so JSX keeps the spacing
+  // between them; element-only content is laid out one child per line.
+  if (inner.pre || children.some((c) => c.nodeType === 3 && !isBlank(c))) {
+    const body = children
+      .map((c) => (isBlank(c) && !inner.pre ? " " : toJsx(c, 0, inner)))
+      .join("");
+    return `${pad}<${tag}${attrs}>${body}</${tag}>`;
+  }
+
+  const lines = children.filter((c) => !isBlank(c)).map((c) => toJsx(c, depth + 1, inner));
+  return `${pad}<${tag}${attrs}>\n${lines.join("\n")}\n${pad}</${tag}>`;
+}
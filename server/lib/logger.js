@@ -0,0 +1,93 @@
+import crypto from "node:crypto";
+import { AsyncLocalStorage } from "node:async_hooks";
+
+/* =======================
+   Structured logging
+   ======================= */
+
+// One JSON object per line: { time, level, msg, requestId?, jobId?, ... }.
+// The request id (and job id) comes from the context the line was logged
+// in, so code deep inside a generation doesn't have to pass it around.
+// LOG_LEVEL picks the lowest level written (debug, info, warn, error or
+// silent; info by default).
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+const context = new AsyncLocalStorage();
+
+// Read per line, since .env is only loaded once the modules are.
+const threshold = () => LEVELS[process.env.LOG_LEVEL] ?? LEVELS.info;
+
+// Errors don't survive JSON.stringify; keep what's useful from them.
+function serializeError(err) {
+  return {
+    name: err.name,
+    message: err.message,
+    ...(err.status ? { status: err.status } : {}),
+    stack: err.stack,
+  };
+}
+
+function write(level, msg, fields) {
+  if (LEVELS[level] < threshold()) return;
+  const extra = fields instanceof Error ? { err: fields } : fields || {};
+  const line = { time: new Date().toISOString(), level, msg, ...context.getStore(), ...extra };
+  if (line.err instanceof Error) line.err = serializeError(line.err);
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${JSON.stringify(line)}\n`);
+}
+
+// log.error("Generation failed", err) or log.info("Saved", { projectId }).
+export const log = {
+  debug: (msg, fields) => write("debug", msg, fields),
+  info: (msg, fields) => write("info", msg, fields),
+  warn: (msg, fields) => write("warn", msg, fields),
+  error: (msg, fields) => write("error", msg, fields),
+};
+
+// The fields every line logged from here on carries (e.g. { requestId }).
+export const logContext = () => context.getStore() || {};
+
+// Runs `fn` with `fields` as its log context, e.g. work queued by one
+// request that another request's callback ends up starting.
+export const withLogContext = (fields, fn) => context.run(fields, fn);
+
+// A client's own X-Request-Id is kept when it is short and plain enough to
+// log safely; otherwise one is made up.
+const REQUEST_ID = /^[\w.:-]{1,100}$/;
+
+// "/api/projects/:id" rather than the concrete URL, so metrics stay
+// bounded. Requests no route answered are "unmatched".
+export const routeLabel = (req) => (req.route ? `${req.baseUrl}${req.route.path}` : "unmatched");
+
+/**
+ * Express middleware: gives each request an id (echoed in X-Request-Id),
+ * logs it once it has been answered and calls `onFinish(req, res, ms)` for
+ * metrics. Routes in `quiet` (e.g. health probes) are logged at debug.
+ */
+export function requestLogger({ onFinish, quiet = [] } = {}) {
+  return (req, res, next) => {
+    const incoming = req.get("x-request-id");
+    const requestId = incoming && REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+    const started = process.hrtime.bigint();
+    req.id = requestId;
+    res.set("X-Request-Id", requestId);
+
+    res.on("finish", () => {
+      const ms = Number(process.hrtime.bigint() - started) / 1e6;
+      onFinish?.(req, res, ms);
+      const fields = {
+        requestId,
+        method: req.method,
+        route: routeLabel(req),
+        path: req.originalUrl.split("?")[0],
+        status: res.statusCode,
+        ms: Math.round(ms),
+      };
+      if (res.statusCode >= 500) log.warn("Request failed", fields);
+      else if (quiet.includes(fields.route)) log.debug("Request", fields);
+      else log.info("Request", fields);
+    });
+
+    context.run({ requestId }, next);
+  };
+}
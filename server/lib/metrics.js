@@ -0,0 +1,98 @@
+/* =======================
+   Prometheus metrics
+   ======================= */
+
+// A small in-process registry rendered in the Prometheus text format
+// (version 0.0.4) at GET /metrics. Counters and histograms are updated as
+// things happen; gauges are read from a callback at scrape time.
+
+export const METRICS_CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+// Seconds; generations take far longer than ordinary requests.
+export const HTTP_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120];
+export const MODEL_BUCKETS = [0.5, 1, 2.5, 5, 10, 20, 30, 45, 60, 90, 120, 180, 300];
+
+const escapeLabel = (value) => String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+
+function labelText(labels) {
+  const entries = Object.entries(labels);
+  if (!entries.length) return "";
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(",")}}`;
+}
+
+const number = (n) => (n === Infinity ? "+Inf" : n === -Infinity ? "-Inf" : String(n));
+
+// Label sets are keyed in declaration order so { a, b } and { b, a } match.
+const seriesKey = (names, labels) => JSON.stringify(names.map((n) => labels[n] ?? ""));
+const pick = (names, labels) => Object.fromEntries(names.map((n) => [n, labels[n] ?? ""]));
+
+export function createMetrics() {
+  const families = [];
+
+  function register(name, help, type, render) {
+    if (families.some((f) => f.name === name)) throw new Error(`Metric ${name} is already registered`);
+    families.push({ name, help, type, render });
+  }
+
+  function counter(name, help, labelNames = []) {
+    const series = new Map();
+    register(name, help, "counter", () =>
+      [...series.values()].map(({ labels, value }) => `${name}${labelText(labels)} ${number(value)}`)
+    );
+    return {
+      inc(labels = {}, by = 1) {
+        const key = seriesKey(labelNames, labels);
+        const entry = series.get(key) || { labels: pick(labelNames, labels), value: 0 };
+        entry.value += by;
+        series.set(key, entry);
+      },
+    };
+  }
+
+  function histogram(name, help, labelNames = [], buckets = HTTP_BUCKETS) {
+    const series = new Map();
+    register(name, help, "histogram", () =>
+      [...series.values()].flatMap(({ labels, counts, sum, count }) => [
+        ...buckets.map((le, i) => `${name}_bucket${labelText({ ...labels, le: number(le) })} ${counts[i]}`),
+        `${name}_bucket${labelText({ ...labels, le: "+Inf" })} ${count}`,
+        `${name}_sum${labelText(labels)} ${number(sum)}`,
+        `${name}_count${labelText(labels)} ${count}`,
+      ])
+    );
+    return {
+      observe(labels, value) {
+        const key = seriesKey(labelNames, labels);
+        let entry = series.get(key);
+        if (!entry) {
+          entry = { labels: pick(labelNames, labels), counts: buckets.map(() => 0), sum: 0, count: 0 };
+          series.set(key, entry);
+        }
+        // Buckets are cumulative: every bucket at or above the value counts it.
+        buckets.forEach((le, i) => {
+          if (value <= le) entry.counts[i] += 1;
+        });
+        entry.sum += value;
+        entry.count += 1;
+      },
+    };
+  }
+
+  // `collect()` returns [{ labels, value }] (or a bare number) when scraped.
+  function gauge(name, help, collect) {
+    register(name, help, "gauge", () => {
+      const values = collect();
+      const list = typeof values === "number" ? [{ labels: {}, value: values }] : values;
+      return list.map(({ labels = {}, value }) => `${name}${labelText(labels)} ${number(value)}`);
+    });
+  }
+
+  function render() {
+    return (
+      families
+        .flatMap(({ name, help, type, render: lines }) => [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...lines()])
+        .join("\n") + "\n"
+    );
+  }
+
+  return { counter, histogram, gauge, render };
+}
@@ -0,0 +1,148 @@
+import crypto from "node:crypto";
+import { createJsonStore } from "./store.js";
+
+// Projects hold the latest spec plus an ordered list of generated versions.
+// Version shape mirrors the client's history items so the UI can use them
+// directly: { id, createdAt, spec, html, files?, model, provider, prompt,
+// instruction?, parentId?, rootId?, warnings, checks }.
+//
+// A project belongs to the API key it was created with (`owner`, the key
+// id, or null for anonymous callers) and is not found for anyone else.
+// Functions taking `owner` skip that check when it is left out, for
+// internal callers. `formToken` is the public id generated forms post to
+// (lib/forms.js), so published sites don't reveal the project id.
+
+const store = createJsonStore("projects", { projects: [] });
+
+const now = () => Date.now();
+
+const newFormToken = () => crypto.randomBytes(18).toString("base64url");
+
+// The owner value for a request's `req.apiKey`.
+export const projectOwner = (apiKey) => apiKey?.id ?? null;
+
+export class NotFoundError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 404;
+  }
+}
+
+// Version listing without the heavy fields.
+export const versionSummary = ({ html, files, prompt, ...meta }) => ({
+  ...meta,
+  multipage: !!files,
+  size: (html || "").length,
+});
+
+const projectSummary = (p, { withVersions = false } = {}) => ({
+  id: p.id,
+  name: p.name,
+  formToken: formTokenOf(p),
+  spec: p.spec,
+  createdAt: p.createdAt,
+  updatedAt: p.updatedAt,
+  versionCount: p.versions.length,
+  ...(withVersions ? { versions: p.versions.map(versionSummary) } : {}),
+});
+
+const ownedBy = (project, owner) => owner === undefined || (project.owner ?? null) === owner;
+
+function find(id, owner) {
+  const project = store.read().projects.find((p) => p.id === id);
+  if (!project || !ownedBy(project, owner)) throw new NotFoundError(`Project ${id} not found`);
+  return project;
+}
+
+// Projects from before form tokens get one on first use.
+function formTokenOf(project) {
+  if (!project.formToken) {
+    store.update(() => {
+      project.formToken = newFormToken();
+    });
+  }
+  return project.formToken;
+}
+
+export function listProjects({ withVersions = false, owner } = {}) {
+  return store
+    .read()
+    .projects.filter((p) => ownedBy(p, owner))
+    .sort((a, b) => b.updatedAt - a.updatedAt)
+    .map((p) => projectSummary(p, { withVersions }));
+}
+
+export function getProject(id, owner) {
+  const p = find(id, owner);
+  return { ...projectSummary(p), versions: p.versions.map(versionSummary) };
+}
+
+// The project whose forms post with `token`; NotFoundError if none.
+export function findByFormToken(token) {
+  const project = store.read().projects.find((p) => p.formToken && p.formToken === token);
+  if (!project) throw new NotFoundError("Form not found");
+  return projectSummary(project);
+}
+
+export function createProject({ name, spec = {}, owner = null }) {
+  const project = {
+    id: crypto.randomUUID(),
+    name: name || spec.projectName || "Untitled Project",
+    owner,
+    formToken: newFormToken(),
+    spec,
+    createdAt: now(),
+    updatedAt: now(),
+    versions: [],
+  };
+  store.update((d) => d.projects.push(project));
+  return projectSummary(project);
+}
+
+export function updateProject(id, { name, spec }, owner) {
+  const project = find(id, owner);
+  store.update(() => {
+    if (typeof name === "string" && name.trim()) project.name = name.trim();
+    if (spec && typeof spec === "object") project.spec = spec;
+    project.updatedAt = now();
+  });
+  return projectSummary(project);
+}
+
+export function deleteProject(id, owner) {
+  find(id, owner);
+  store.update((d) => {
+    d.projects = d.projects.filter((p) => p.id !== id);
+  });
+}
+
+export function addVersion(projectId, version) {
+  const project = find(projectId);
+  const entry = {
+    ...version,
+    id: crypto.randomUUID(),
+    projectId,
+    createdAt: now(),
+  };
+  store.update(() => {
+    project.versions.push(entry);
+    if (version.spec) project.spec = version.spec;
+    project.updatedAt = entry.createdAt;
+  });
+  return entry;
+}
+
+export function getVersion(projectId, versionId, owner) {
+  const version = find(projectId, owner).versions.find((v) => v.id === versionId);
+  if (!version) throw new NotFoundError(`Version ${versionId} not found`);
+  return version;
+}
+
+export function deleteVersion(projectId, versionId, owner) {
+  const project = find(projectId, owner);
+  getVersion(projectId, versionId);
+  store.update(() => {
+    project.versions = project.versions.filter((v) => v.id !== versionId);
+    project.updatedAt = now();
+  });
+}
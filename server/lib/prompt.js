@@ -0,0 +1,205 @@
+import { escapeHtml, kebab } from "./html.js";
+import { FILE_MARKER, pageFileName } from "./site.js";
+import { normalizeTokenOverrides, resolveTokens, TOKENS_STYLE_ID } from "./tokens.js";
+import { sourceOutline } from "./redesign.js";
+import { defaultSpec, parseSpec, SPEC_SCHEMA } from "../../shared/spec-schema.js";
+
+const TEMPLATES = {
+  "clean-landing": "Clean Landing — minimal hero with one clear call to action, followed by a feature grid",
+  "corporate-site": "Corporate Site — classic business layout: hero, services, about, team, contact",
+  portfolio: "Portfolio — showcase of case studies and an image gallery",
+  saas: "SaaS — product hero, feature highlights, a pricing table with tiers and a strong CTA",
+};
+
+const STYLES = {
+  minimal: "minimal: generous whitespace, simple sans-serif typography, few decorative elements",
+  corporate: "corporate: structured grid, serif or professional headings, restrained colors",
+  playful: "playful: rounded shapes, bright accents, friendly display typography, subtle motion",
+};
+
+const LAYOUTS = {
+  landing: "Landing page: a single long page focused on conversion",
+  onepage: "One page: every page listed below becomes a section on a single page, with an id equal to its slug and nav links pointing to #slug",
+  multipage: "Multi-page: a separate HTML file per page with shared navigation",
+};
+
+export const FEATURE_KEYS = Object.keys(SPEC_SCHEMA.properties.include.properties);
+
+const FEATURES = {
+  cms: "A blog/articles section listing at least three posts (title, date, excerpt, \"Read more\" link), inside an element with id=\"blog\"",
+  auth: "Login and sign-up entry points in the header, plus a login form (email + password) inside an element with id=\"auth\"",
+  contactForm: "A contact form inside an element with id=\"contact\" with labelled name, email and message fields and a submit button. Plain HTML form with name attributes and no JavaScript submit handler: it is connected to a form backend for you",
+  newsletter: "A newsletter signup block inside an element with id=\"newsletter\" with a labelled email input (name=\"email\") and a Subscribe button. No JavaScript submit handler: it is connected to a form backend for you",
+  analytics: "An analytics placeholder: a <script data-analytics> tag in <head> containing only a comment where the tracking snippet goes",
+  imageGen: "Image slots for hero, feature and team imagery: <img> tags with descriptive alt text, width and height, a data-image-prompt attribute describing the ideal image and an empty src (images are generated for each slot)",
+};
+
+// Bump whenever buildPrompt's output changes meaningfully, so results
+// cached under the old prompt are no longer served.
+export const PROMPT_VERSION = 5;
+
+const DEFAULTS = defaultSpec();
+
+const str = (v, fallback = "") => v.trim() || fallback;
+
+/**
+ * The spec as the prompt sees it: migrated, with invalid or missing fields
+ * set to their schema defaults (see shared/spec-schema.js) and text trimmed.
+ */
+export function normalizeSpec(input = {}) {
+  const { spec } = parseSpec(input);
+
+  return {
+    projectName: str(spec.projectName, DEFAULTS.projectName),
+    brief: str(spec.brief),
+    primaryColor: spec.primaryColor,
+    style: str(spec.style, DEFAULTS.style),
+    tone: str(spec.tone, DEFAULTS.tone),
+    theme: spec.theme,
+    layout: spec.layout,
+    templateId: str(spec.templateId),
+    pages: spec.pages.map((p) => p.trim()).filter(Boolean),
+    include: spec.include,
+    seo: {
+      title: str(spec.seo.title),
+      description: str(spec.seo.description),
+      keywords: str(spec.seo.keywords),
+      siteUrl: str(spec.seo.siteUrl),
+      image: str(spec.seo.image),
+      type: spec.seo.type,
+    },
+    tokens: normalizeTokenOverrides(spec.tokens),
+  };
+}
+
+// The exact <head> tags the site must carry, built from spec.seo.
+export function seoTags(safe) {
+  const title = safe.seo.title || safe.projectName;
+  const description = safe.seo.description || safe.brief;
+  const tags = [`<title>${escapeHtml(title)}</title>`];
+  if (description) {
+    tags.push(`<meta name="description" content="${escapeHtml(description)}"/>`);
+  }
+  if (safe.seo.keywords) {
+    tags.push(`<meta name="keywords" content="${escapeHtml(safe.seo.keywords)}"/>`);
+  }
+  return tags;
+}
+
+/**
+ * One explicit instruction per spec choice. Kept as a list so each rule can
+ * be inspected (and checked afterwards) on its own.
+ */
+export function specInstructions(safe) {
+  const rules = [];
+
+  rules.push(`Layout — ${LAYOUTS[safe.layout]}`);
+  if (TEMPLATES[safe.templateId]) {
+    rules.push(`Template — ${TEMPLATES[safe.templateId]}`);
+  }
+  rules.push(`Visual style — ${STYLES[safe.style] || safe.style}`);
+  rules.push(`Tone of copy — ${safe.tone}`);
+  rules.push(`Primary/brand color — ${safe.primaryColor}; use it for buttons, links and accents`);
+
+  rules.push(
+    `Design tokens — a <style id="${TOKENS_STYLE_ID}"> block defining these CSS custom properties is added to every page for you; ` +
+      "do not write or redefine it, and take every colour, font, font size, spacing, radius and shadow from var(--name) instead of literal values:\n  " +
+      Object.entries(resolveTokens(safe)).map(([name, value]) => `--${name}: ${value}`).join("\n  ")
+  );
+
+  rules.push(
+    safe.theme === "dark"
+      ? 'Theme — dark: near-black background, light text, primary color for accents. Put data-theme="dark" on <html> and <meta name="color-scheme" content="dark"/> in <head>'
+      : 'Theme — light: white or very light background with dark text. Put data-theme="light" on <html> and <meta name="color-scheme" content="light"/> in <head>'
+  );
+
+  for (const key of FEATURE_KEYS) {
+    if (safe.include[key]) rules.push(`Feature — ${FEATURES[key]}`);
+  }
+  rules.push("Images — never hot-link external image URLs; any image without a local source is replaced with a generated placeholder");
+
+  rules.push(
+    `SEO — include these tags verbatim in <head>:\n  ${seoTags(safe).join("\n  ")}\n  Do not add canonical, Open Graph, Twitter or JSON-LD tags: they are added for you`
+  );
+
+  return rules;
+}
+
+// Redesign mode: the existing site's copy (see lib/redesign.js) replaces
+// inventing new content.
+const redesignBlock = (source) => `
+
+Existing site (this is a redesign):
+Keep its real content. Reuse the headings, copy, navigation labels, calls to action, contact details and image descriptions below word for word and in the same order, and only write new copy where the new layout strictly needs it. Change the visual design, markup and layout, not the message.
+
+${sourceOutline(source)}`;
+
+const contextBlock = (safe, source) => `Context:
+Project Name: ${safe.projectName}
+
+Brief:
+${safe.brief}
+
+Requirements:
+${specInstructions(safe).map((r) => `- ${r}`).join("\n")}${source ? redesignBlock(source) : ""}`;
+
+/**
+ * The generation prompt for a normalized spec. `source` (from extractSite)
+ * turns it into a redesign of that page.
+ */
+export function buildPrompt(safe, { source } = {}) {
+  if (safe.layout === "multipage") return buildMultipagePrompt(safe, source);
+
+  const pages = safe.layout === "onepage"
+    ? safe.pages.map((p) => `${p} (id="${kebab(p)}")`)
+    : safe.pages;
+
+  return `
+You are a senior frontend engineer and UX designer.
+
+Generate a production-quality, fully responsive, single-file website.
+
+Rules:
+- Return ONLY valid HTML
+- ONE complete HTML document
+- Inline or internal CSS only
+- Vanilla JavaScript only
+
+${contextBlock(safe, source)}
+
+Pages:
+${pages.join(", ")}
+
+Output:
+Return ONLY the final HTML document.
+`;
+}
+
+function buildMultipagePrompt(safe, source) {
+  return `
+You are a senior frontend engineer and UX designer.
+
+Generate a production-quality, fully responsive, multi-page static website.
+
+Rules:
+- One HTML file per page, plus ONE shared stylesheet named styles.css
+- Optionally ONE shared script named script.js (vanilla JavaScript only)
+- Every page links styles.css and has the same navigation menu
+- Navigation links use the exact file names below (e.g. href="about.html")
+- Feature blocks go on the most fitting page (contact form on the contact page if there is one)
+- Return ONLY the files, each preceded by a marker line: ${FILE_MARKER} <filename>>>
+- No markdown fences, no explanations
+
+Files:
+${safe.pages.map((p) => `- ${pageFileName(p)} (${p})`).join("\n")}
+- styles.css
+
+${contextBlock(safe, source)}
+
+Output format example:
+${FILE_MARKER} index.html>>>
+<!doctype html>...
+${FILE_MARKER} styles.css>>>
+body { ... }
+`;
+}
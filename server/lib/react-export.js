@@ -0,0 +1,516 @@
+import { parse } from "node-html-parser";
+import { escapeHtml, kebab } from "./html.js";
+import { jsxAttributes, toJsx } from "./jsx.js";
+import { topLevelSections } from "./sections.js";
+import { cleanFileName, sitePages } from "./site.js";
+
+/* =======================
+   React / Next.js export
+   ======================= */
+
+// Converts a generated document (or multi-page file map) into a runnable
+// project: one component per top-level section, <style> blocks moved into
+// CSS files and inline scripts turned into effects. No model is involved,
+// so the same input always yields the same project.
+
+export const EXPORT_FRAMEWORKS = ["vite", "next"];
+
+const PARSE_OPTIONS = { comment: true };
+const JS_TYPES = new Set(["", "text/javascript", "application/javascript", "module"]);
+const REACT_VERSION = "^19.1.1";
+
+// Names the generated modules already use for something else.
+const RESERVED = new Set(["App", "Link", "Script", "Fragment", "React", "RootLayout"]);
+
+// `DOMContentLoaded`/`load` have already fired by the time an effect runs.
+const READY_RE = /\b(?:document|window)\.addEventListener\(\s*(["'])(?:DOMContentLoaded|load)\1\s*,\s*/g;
+
+const pascal = (text) =>
+  String(text)
+    .split(/[^a-zA-Z0-9]+/)
+    .filter(Boolean)
+    .map((w) => w[0].toUpperCase() + w.slice(1))
+    .join("");
+
+const indent = (text, depth) =>
+  text
+    .split("\n")
+    .map((line) => (line.trim() ? "  ".repeat(depth) + line : ""))
+    .join("\n");
+
+function dedent(code) {
+  const lines = code.replace(/^\s*\n|\s+$/g, "").split("\n");
+  const margin = Math.min(
+    ...lines.filter((l) => l.trim()).map((l) => /^[ \t]*/.exec(l)[0].length)
+  );
+  return lines.map((l) => l.slice(Number.isFinite(margin) ? margin : 0)).join("\n");
+}
+
+/* ---------- page analysis ---------- */
+
+function ownerSection(el, sectionEls) {
+  for (let node = el; node?.tagName; node = node.parentNode) {
+    if (sectionEls.has(node)) return node;
+  }
+  return null;
+}
+
+/**
+ * Splits one HTML page into what the project needs: head tags, global and
+ * per-section CSS, page and per-section scripts, and the body.
+ */
+function analyzePage(html, files = {}) {
+  const root = parse(html, PARSE_OPTIONS);
+  const body = root.querySelector("body") || root;
+  const sections = topLevelSections(body);
+  const sectionEls = new Set(sections.map((s) => s.el));
+  const sectionCss = new Map();
+  const sectionScripts = new Map();
+  const push = (map, key, value) => map.set(key, [...(map.get(key) || []), value]);
+
+  const page = {
+    root,
+    body,
+    sections,
+    sectionCss,
+    sectionScripts,
+    lang: root.querySelector("html")?.getAttribute("lang") || "en",
+    title: root.querySelector("title")?.text.trim() || "",
+    description: "",
+    headTags: [],
+    jsonLd: [],
+    externalScripts: [],
+    css: [],
+    scripts: [],
+  };
+
+  for (const el of root.querySelectorAll("style")) {
+    const owner = ownerSection(el, sectionEls);
+    if (owner) push(sectionCss, owner, el.innerHTML);
+    else page.css.push(el.innerHTML);
+  }
+
+  for (const el of root.querySelectorAll("link")) {
+    const href = el.getAttribute("href") || "";
+    const local = cleanFileName(href);
+    if (/stylesheet/i.test(el.getAttribute("rel") || "") && local && files[local]) {
+      page.css.push(files[local]);
+    } else {
+      page.headTags.push(el);
+    }
+  }
+
+  for (const el of root.querySelectorAll("meta")) {
+    const name = (el.getAttribute("name") || "").toLowerCase();
+    if (el.hasAttribute("charset") || name === "viewport") continue;
+    if (name === "description") page.description = el.getAttribute("content") || "";
+    else page.headTags.push(el);
+  }
+
+  for (const el of root.querySelectorAll("script")) {
+    const type = (el.getAttribute("type") || "").toLowerCase();
+    const src = el.getAttribute("src");
+    if (type === "application/ld+json") {
+      page.jsonLd.push(el.innerHTML.trim());
+    } else if (!JS_TYPES.has(type)) {
+      continue;
+    } else if (src) {
+      const local = cleanFileName(src);
+      if (local && files[local]) page.scripts.push(files[local]);
+      else page.externalScripts.push(src);
+    } else if (el.innerHTML.trim()) {
+      const owner = ownerSection(el, sectionEls);
+      if (owner) push(sectionScripts, owner, el.innerHTML);
+      else page.scripts.push(el.innerHTML);
+    }
+  }
+
+  return page;
+}
+
+/* ---------- module source ---------- */
+
+// An inline script as the body of a mount effect. Top-level functions are
+// put back on `window` because inline on* handlers call them by name.
+function effectSource(code) {
+  let body = dedent(code).replace(READY_RE, "onReady(");
+  const globals = [...body.matchAll(/^(?:async\s+)?function\s+([A-Za-z_$][\w$]*)\s*\(/gm)].map((m) => m[1]);
+  if (globals.length) {
+    body += `\n\n// Inline event handlers in the markup call these by name.\n${globals
+      .map((g) => `window.${g} = ${g};`)
+      .join("\n")}`;
+  }
+  return `  useEffect(() => {\n${indent(body, 2)}\n  }, []);\n`;
+}
+
+/**
+ * A component module. `imports` are finished import lines; `effects` are
+ * script bodies; `jsx` is the markup at depth 0 (wrapped in a fragment
+ * when it has several roots); `exports` is code placed before the
+ * component (e.g. Next.js metadata).
+ */
+function moduleSource({ name, jsx, roots = 1, effects = [], imports = [], client = false, exports = "" }) {
+  const blocks = [];
+  if (client) blocks.push('"use client";');
+
+  const importLines = [
+    ...(effects.length ? ['import { useEffect } from "react";'] : []),
+    ...imports,
+  ];
+  if (importLines.length) blocks.push(importLines.join("\n"));
+
+  const effectCode = effects.map(effectSource);
+  if (effectCode.some((e) => e.includes("onReady("))) {
+    blocks.push("// The page has already loaded by the time an effect runs.\nconst onReady = (fn) => fn();");
+  }
+  if (exports) blocks.push(exports.trim());
+
+  const markup = !jsx ? "null" : roots > 1 ? `<>\n${indent(jsx, 1)}\n</>` : jsx;
+  const body = [...effectCode, `  return (\n${indent(markup, 2)}\n  );\n`].join("\n");
+  blocks.push(`export default function ${name}() {\n${body}}`);
+
+  return `${blocks.join("\n\n")}\n`;
+}
+
+/* ---------- project assembly ---------- */
+
+const routeFor = (file) => (file === "index.html" ? "/" : `/${file.replace(/\.html$/, "")}`);
+
+// In-app route for a link to another page of the site, keeping any #hash.
+function siteRouter(pageFiles) {
+  return (href) => {
+    const m = /^(?:\.\/|\/)?([a-z0-9][a-z0-9._-]*\.html)(#[\w-]*)?$/i.exec(href.trim());
+    const file = m && m[1].toLowerCase();
+    return file && pageFiles.has(file) ? routeFor(file) + (m[2] || "") : null;
+  };
+}
+
+/**
+ * Builds the component modules shared by both frameworks. Sections that
+ * render identically on several pages (header, nav, footer) become one
+ * component; differing sections with the same name get the page's name
+ * appended.
+ */
+function buildComponents(pages, { framework, multipage }) {
+  const components = new Map();
+  const route = multipage ? siteRouter(new Set(pages.map((p) => p.file))) : null;
+  const linkProp = framework === "next" ? "href" : "to";
+  const linkImport = framework === "next" ? 'import Link from "next/link";' : 'import { Link } from "react-router-dom";';
+  const reserved = new Set([
+    ...RESERVED,
+    ...pages.flatMap((p) => [p.componentName, p.componentName.replace(/Page$/, "Content")]),
+  ]);
+
+  // First free (or identical) name of base, base + page, base + page + n.
+  function register(base, pageName, build) {
+    for (let n = 0; ; n++) {
+      const name = n === 0 ? base : n === 1 ? `${base}${pageName}` : `${base}${pageName}${n}`;
+      if (reserved.has(name)) continue;
+      const module = build(name);
+      const existing = components.get(name);
+      if (!existing) {
+        components.set(name, module);
+        return name;
+      }
+      if (existing.source === module.source) return name;
+    }
+  }
+
+  for (const page of pages) {
+    const { analysis } = page;
+    page.sectionNames = new Map();
+
+    for (const { id, el } of analysis.sections) {
+      const ctx = { route, linkProp };
+      const jsx = toJsx(el, 0, ctx);
+      const css = (analysis.sectionCss.get(el) || []).map((c) => dedent(c)).join("\n\n");
+      const effects = analysis.sectionScripts.get(el) || [];
+      let base = pascal(id) || "Section";
+      if (/^\d/.test(base)) base = `Section${base}`;
+      if (reserved.has(base)) base = `${base}Section`;
+
+      const build = (name) => {
+        const imports = [
+          ...(ctx.usesLink ? [linkImport] : []),
+          ...(css ? [`import "./${name}.css";`] : []),
+        ];
+        return {
+          css,
+          source: moduleSource({
+            name,
+            jsx,
+            effects,
+            imports,
+            client: framework === "next" && (effects.length > 0 || ctx.interactive),
+          }),
+        };
+      };
+      page.sectionNames.set(el, register(base, page.componentName.replace(/Page$/, ""), build));
+    }
+
+    // The rest of the body, with sections replaced by their components.
+    const ctx = { route, linkProp, component: (el) => page.sectionNames.get(el) || null };
+    const roots = analysis.body.childNodes.filter(
+      (n) => (n.nodeType === 1 && !["script", "style"].includes(n.rawTagName.toLowerCase())) ||
+        (n.nodeType === 3 && n.rawText.trim())
+    );
+    page.jsx = roots.map((n) => toJsx(n, 0, ctx)).join("\n");
+    page.roots = roots.length;
+    page.interactive = Boolean(ctx.interactive);
+    page.imports = [
+      ...(ctx.usesLink ? [linkImport] : []),
+      ...[...new Set(page.sectionNames.values())].sort(),
+    ];
+  }
+
+  return components;
+}
+
+// Head tags other than title/description/charset/viewport, as HTML.
+const headHtml = (page) =>
+  [
+    ...page.headTags.map((el) => el.toString()),
+    ...page.jsonLd.map((json) => `<script type="application/ld+json">\n${json}\n</script>`),
+    ...page.externalScripts.map((src) => `<script src="${escapeHtml(src)}"></script>`),
+  ];
+
+function packageJson(name, framework, multipage) {
+  const pkg =
+    framework === "next"
+      ? {
+          name,
+          version: "0.1.0",
+          private: true,
+          scripts: { dev: "next dev", build: "next build", start: "next start" },
+          dependencies: { next: "^15.0.0", react: REACT_VERSION, "react-dom": REACT_VERSION },
+        }
+      : {
+          name,
+          version: "0.1.0",
+          private: true,
+          type: "module",
+          scripts: { dev: "vite", build: "vite build", preview: "vite preview" },
+          dependencies: {
+            react: REACT_VERSION,
+            "react-dom": REACT_VERSION,
+            ...(multipage ? { "react-router-dom": "^6.20.1" } : {}),
+          },
+          devDependencies: { "@vitejs/plugin-react": "^4.3.1", vite: "^5.2.0" },
+        };
+  return `${JSON.stringify(pkg, null, 2)}\n`;
+}
+
+function readme(title, framework) {
+  const run = framework === "next" ? "npm run dev   # http://localhost:3000" : "npm run dev   # http://localhost:5173";
+  const layout =
+    framework === "next"
+      ? "- `app/layout.jsx` holds the document head; each page is an `app/**/page.jsx` route.\n- `components/` has one component per top-level page section."
+      : "- `index.html` holds the document head; `src/App.jsx` renders the page (or routes between pages).\n- `src/components/` has one component per top-level page section.";
+  return `# ${title}
+
+Exported from AI Website Generator.
+
+\`\`\`bash
+npm install
+${run}
+\`\`\`
+
+${layout}
+- Page-wide CSS is in the global stylesheet; styles that lived inside a section sit next to its component.
+- Inline \`<script>\`s run as \`useEffect\` hooks when their component mounts. Inline \`on*\` attributes became React event handlers.
+`;
+}
+
+function viteProject(pages, components, { title, multipage }) {
+  const index = pages[0].analysis;
+  const out = {};
+  const head = [
+    '<meta charset="UTF-8" />',
+    '<meta name="viewport" content="width=device-width, initial-scale=1.0" />',
+    `<title>${escapeHtml(index.title || title)}</title>`,
+    ...(index.description ? [`<meta name="description" content="${escapeHtml(index.description)}" />`] : []),
+    ...headHtml(index),
+  ];
+  const bodyAttrs = index.body.rawAttrs ? ` ${index.body.rawAttrs}` : "";
+
+  out["index.html"] = `<!doctype html>
+<html lang="${index.lang}">
+  <head>
+${indent(head.join("\n"), 2)}
+  </head>
+  <body${bodyAttrs}>
+    <div id="root"></div>
+    <script type="module" src="/src/main.jsx"></script>
+  </body>
+</html>
+`;
+  out["vite.config.js"] = `import { defineConfig } from "vite";
+import react from "@vitejs/plugin-react";
+
+export default defineConfig({
+  plugins: [react()],
+});
+`;
+  out["src/main.jsx"] = `import { createRoot } from "react-dom/client";
+${multipage ? 'import { BrowserRouter } from "react-router-dom";\n' : ""}import App from "./App.jsx";
+import "./index.css";
+
+// No <StrictMode>: effects converted from the page's scripts are not
+// written to run twice.
+createRoot(document.getElementById("root")).render(${multipage ? "\n  <BrowserRouter>\n    <App />\n  </BrowserRouter>\n" : "<App />"});
+`;
+
+  for (const [name, { source, css }] of components) {
+    out[`src/components/${name}.jsx`] = source;
+    if (css) out[`src/components/${name}.css`] = `${css}\n`;
+  }
+
+  const pageModule = (page, dir) => {
+    const imports = page.imports.map((i) =>
+      i.startsWith("import ") ? i : `import ${i} from "${dir}/components/${i}.jsx";`
+    );
+    const effects = [...page.analysis.scripts];
+    // Each route sets its own document title.
+    if (multipage && page.analysis.title) effects.unshift(`document.title = ${JSON.stringify(page.analysis.title)};`);
+    return moduleSource({ name: page.componentName, jsx: page.jsx, roots: page.roots, effects, imports });
+  };
+
+  if (!multipage) {
+    out["src/App.jsx"] = pageModule({ ...pages[0], componentName: "App" }, ".");
+  } else {
+    for (const page of pages) out[`src/pages/${page.componentName}.jsx`] = pageModule(page, "..");
+    out["src/App.jsx"] = `import { Route, Routes } from "react-router-dom";
+${pages.map((p) => `import ${p.componentName} from "./pages/${p.componentName}.jsx";`).join("\n")}
+
+export default function App() {
+  return (
+    <Routes>
+${pages.map((p) => `      <Route path="${routeFor(p.file)}" element={<${p.componentName} />} />`).join("\n")}
+    </Routes>
+  );
+}
+`;
+  }
+
+  return out;
+}
+
+function nextProject(pages, components, { title, multipage }) {
+  const index = pages[0].analysis;
+  const out = {};
+
+  // Head tags as JSX for the root layout.
+  const headJsx = [
+    ...index.headTags.map((el) => toJsx(el, 0, {})),
+    ...index.jsonLd.map(
+      (json) => `<script type="application/ld+json" dangerouslySetInnerHTML={{ __html: ${JSON.stringify(json)} }} />`
+    ),
+  ];
+  const scripts = index.externalScripts.map((src) => `<Script src=${JSON.stringify(src)} strategy="afterInteractive" />`);
+  // Fragments without a <body> fall back to the parse root, which has no
+  // tag or attributes of its own.
+  const bodyAttrs = index.body === index.root ? "" : jsxAttributes(index.body).source;
+  const metadata = [
+    `  title: ${JSON.stringify(index.title || title)},`,
+    ...(index.description ? [`  description: ${JSON.stringify(index.description)},`] : []),
+  ];
+
+  out["next.config.mjs"] = `/** @type {import("next").NextConfig} */
+const nextConfig = {};
+
+export default nextConfig;
+`;
+  out["app/layout.jsx"] = `${scripts.length ? 'import Script from "next/script";\n' : ""}import "./globals.css";
+
+export const metadata = {
+${metadata.join("\n")}
+};
+
+export default function RootLayout({ children }) {
+  return (
+    <html lang="${index.lang}">
+${headJsx.length ? `      <head>\n${indent(headJsx.join("\n"), 4)}\n      </head>\n` : ""}      <body${bodyAttrs}>
+        {children}
+${scripts.map((s) => `        ${s}`).join("\n")}${scripts.length ? "\n" : ""}      </body>
+    </html>
+  );
+}
+`;
+
+  for (const [name, { source, css }] of components) {
+    out[`components/${name}.jsx`] = source;
+    if (css) out[`components/${name}.css`] = `${css}\n`;
+  }
+
+  for (const page of pages) {
+    const dir = page.file === "index.html" ? "app" : `app/${page.file.replace(/\.html$/, "")}`;
+    const up = page.file === "index.html" ? ".." : "../..";
+    const sectionImport = (prefix) => (i) => (i.startsWith("import ") ? i : `import ${i} from "${prefix}/${i}.jsx";`);
+    const pageTitle = multipage && page.file !== "index.html" && page.analysis.title
+      ? `export const metadata = {\n  title: ${JSON.stringify(page.analysis.title)},\n};`
+      : "";
+
+    // Page-level scripts and handlers need a client component; the route
+    // itself stays a server component so it can export metadata.
+    if (page.analysis.scripts.length || page.interactive) {
+      const name = `${page.componentName.replace(/Page$/, "")}Content`;
+      out[`components/${name}.jsx`] = moduleSource({
+        name,
+        jsx: page.jsx,
+        roots: page.roots,
+        effects: page.analysis.scripts,
+        imports: page.imports.map(sectionImport(".")),
+        client: true,
+      });
+      out[`${dir}/page.jsx`] = moduleSource({
+        name: page.componentName,
+        jsx: `<${name} />`,
+        imports: [`import ${name} from "${up}/components/${name}.jsx";`],
+        exports: pageTitle,
+      });
+    } else {
+      out[`${dir}/page.jsx`] = moduleSource({
+        name: page.componentName,
+        jsx: page.jsx,
+        roots: page.roots,
+        imports: page.imports.map(sectionImport(`${up}/components`)),
+        exports: pageTitle,
+      });
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Converts `html` (or the pages of `files`) into a project for `framework`
+ * ("vite" or "next") and returns its { "path": contents } file map.
+ */
+export function exportReactProject({ html, files, name, framework = "vite" }) {
+  const multipage = Boolean(files);
+  const sources = multipage
+    ? sitePages(files).map(({ file }) => ({ file, html: files[file] }))
+    : [{ file: "index.html", html }];
+
+  const pages = sources.map(({ file, html: pageHtml }) => ({
+    file,
+    componentName: `${pascal(file === "index.html" ? "home" : file.replace(/\.html$/, "")) || "Home"}Page`,
+    analysis: analyzePage(pageHtml, files || {}),
+  }));
+
+  const components = buildComponents(pages, { framework, multipage });
+  const title = pages[0].analysis.title || name || "Website";
+  const css = [...new Set(pages.flatMap((p) => p.analysis.css.map((c) => dedent(c))))].join("\n\n");
+  const project =
+    framework === "next"
+      ? nextProject(pages, components, { title, multipage })
+      : viteProject(pages, components, { title, multipage });
+
+  return {
+    "package.json": packageJson(kebab(name || title) || "website", framework, multipage),
+    "README.md": readme(title, framework),
+    [framework === "next" ? "app/globals.css" : "src/index.css"]: `${css}\n`,
+    ".gitignore": `node_modules\n${framework === "next" ? ".next\nout" : "dist"}\n`,
+    ...project,
+  };
+}
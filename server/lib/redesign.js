@@ -0,0 +1,257 @@
+import { parse } from "node-html-parser";
+import { contrastRatio, parseColor } from "./a11y.js";
+import { topLevelSections } from "./sections.js";
+
+/* =======================
+   Redesign sources
+   ======================= */
+
+// Redesign mode starts from a client's existing page instead of a brief.
+// extractSite reads the page once for two things: a pre-filled spec (name,
+// pages from the nav, brand colour, theme, SEO, detected features) and an
+// outline of its real copy that the prompt asks the model to keep.
+
+export const MAX_SOURCE_LENGTH = 750_000;
+
+const MAX_ITEM_CHARS = 600;
+const MAX_OUTLINE_CHARS = 12000;
+const MAX_NAV_LINKS = 12;
+
+const GENERIC_TITLES = /^(home|homepage|home page|welcome|index|start)$/i;
+const ANALYTICS = /gtag\(|googletagmanager|google-analytics|plausible|matomo|segment\.com|data-analytics/i;
+const CSS_COLOR = /#[0-9a-f]{6}\b|#[0-9a-f]{3}\b|rgba?\([^)]*\)/gi;
+
+const squash = (text = "") => text.replace(/\s+/g, " ").trim();
+const clip = (text, max) => (text.length > max ? `${text.slice(0, max - 3)}...` : text);
+
+/**
+ * Null when `html` can be used as a redesign source, otherwise the reason
+ * it can't, naming the request `field` it came from.
+ */
+export function sourceHtmlError(html, field = "sourceHtml") {
+  if (typeof html !== "string" || !html.trim()) return `${field} must be a non-empty HTML string`;
+  if (html.length > MAX_SOURCE_LENGTH) return `${field} must be at most ${MAX_SOURCE_LENGTH} characters`;
+  if (!/<[a-z][^>]*>/i.test(html)) return `${field} does not look like HTML`;
+  return null;
+}
+
+/* ---------- brand colours ---------- */
+
+const toHex = (rgb) => `#${rgb.map((c) => c.toString(16).padStart(2, "0")).join("")}`;
+
+// Greys, near-white and near-black say nothing about the brand.
+function isChromatic([r, g, b]) {
+  const max = Math.max(r, g, b);
+  const min = Math.min(r, g, b);
+  const lightness = (max + min) / 510;
+  return max - min >= 64 && lightness > 0.15 && lightness < 0.9;
+}
+
+// Chromatic colours used in the page's CSS, most frequent first.
+function brandColors(css) {
+  const counts = new Map();
+  for (const match of css.match(CSS_COLOR) || []) {
+    const rgb = parseColor(match);
+    if (!rgb || !isChromatic(rgb)) continue;
+    const hex = toHex(rgb);
+    counts.set(hex, (counts.get(hex) || 0) + 1);
+  }
+  return [...counts].sort((a, b) => b[1] - a[1]).map(([hex]) => hex);
+}
+
+// A primary colour the page states outright: its theme-color or (for pages
+// this app generated) its --color-primary token.
+function declaredPrimary(root, css) {
+  const meta = parseColor(root.querySelector('meta[name="theme-color"]')?.getAttribute("content"));
+  if (meta && isChromatic(meta)) return toHex(meta);
+  const token = parseColor(/--color-primary\s*:\s*([^;}]+)/i.exec(css)?.[1]);
+  return token ? toHex(token) : null;
+}
+
+function detectTheme(root, css) {
+  const html = root.querySelector("html");
+  if (/dark/i.test(html?.getAttribute("data-theme") || "")) return "dark";
+  if (/^\s*dark/i.test(root.querySelector('meta[name="color-scheme"]')?.getAttribute("content") || "")) return "dark";
+
+  const bodyRule = /(?:^|[}\s,])(?:body|html|:root)\s*\{([^}]*)\}/i.exec(css)?.[1] || "";
+  const bodyStyle = root.querySelector("body")?.getAttribute("style") || "";
+  const background = /background(?:-color)?\s*:\s*([^;]+)/i.exec(`${bodyStyle};${bodyRule}`)?.[1];
+  const bg = parseColor(squash(background || "").split(" ")[0]);
+  return bg && contrastRatio(bg, [255, 255, 255]) > contrastRatio(bg, [0, 0, 0]) ? "dark" : "light";
+}
+
+/* ---------- names and navigation ---------- */
+
+function detectName(root, title) {
+  const siteName = root.querySelector('meta[property="og:site_name"]')?.getAttribute("content");
+  if (squash(siteName)) return squash(siteName);
+
+  const brand = root.querySelector('header [class*="logo"], header [class*="brand"], nav [class*="logo"], nav [class*="brand"], [id*="logo"]');
+  const brandText = squash(brand?.textContent || brand?.getAttribute("alt") || brand?.querySelector("img")?.getAttribute("alt"));
+  if (brandText && brandText.length <= 60) return brandText;
+
+  const part = title.split(/\s+[|–—·:-]\s+/).map(squash).find((p) => p && !GENERIC_TITLES.test(p));
+  return part || squash(root.querySelector("h1")?.textContent) || "";
+}
+
+// Links of the main navigation (the first <nav>, else the <header>).
+function navLinks(root) {
+  const container = root.querySelector("nav") || root.querySelector("header");
+  if (!container) return [];
+  const seen = new Set();
+  return container
+    .querySelectorAll("a[href]")
+    .map((a) => ({ label: clip(squash(a.textContent), 60), href: a.getAttribute("href").trim() }))
+    .filter(({ label, href }) => {
+      if (!label || /^(mailto|tel|javascript):/i.test(href) || seen.has(label.toLowerCase())) return false;
+      seen.add(label.toLowerCase());
+      return true;
+    })
+    .slice(0, MAX_NAV_LINKS);
+}
+
+// In-page anchors mean one long page, real paths a multi-page site.
+function detectLayout(nav) {
+  const anchors = nav.filter((l) => l.href.startsWith("#")).length;
+  const paths = nav.length - anchors;
+  if (paths >= 2 && paths > anchors) return "multipage";
+  return anchors >= 2 ? "onepage" : "landing";
+}
+
+function detectFeatures(root, scripts) {
+  const forms = root.querySelectorAll("form");
+  const hasText = (re) => root.querySelectorAll("a, button").some((el) => re.test(el.textContent));
+  return {
+    cms:
+      root.querySelectorAll("article").length >= 2 ||
+      !!root.querySelector('[id*="blog"], [class*="blog"], [id*="news"], [id*="posts"]'),
+    auth: !!root.querySelector('input[type="password"]') || hasText(/\b(log ?in|sign ?in|sign ?up)\b/i),
+    contactForm: forms.some((f) => f.querySelector("textarea")),
+    newsletter: forms.some(
+      (f) => f.querySelector('input[type="email"]') && !f.querySelector("textarea, input[type=\"password\"]")
+    ),
+    analytics: ANALYTICS.test(scripts),
+    imageGen: root.querySelectorAll("img").length >= 2,
+  };
+}
+
+/* ---------- copy outline ---------- */
+
+// Elements whose text is copy worth keeping, read as one item each. Loose
+// text elsewhere (a copyright line in a <footer>) is kept as well.
+const TEXT_TAGS = new Set(["h1", "h2", "h3", "h4", "h5", "h6", "p", "li", "blockquote", "figcaption", "dt", "dd", "address", "th", "td", "button", "label", "a"]);
+
+// The page's copy in document order, grouped by top-level section (see
+// lib/sections.js): [{ id, tag, heading, items: [{ tag, text }] }]. Copy
+// outside any section lands in a group of its own.
+function outlineSections(root) {
+  const body = root.querySelector("body") || root;
+  const owners = new Map(topLevelSections(body).map(({ id, el }) => [el, { id, tag: el.tagName.toLowerCase() }]));
+  const groups = [];
+
+  const add = (owner, tag, text) => {
+    if (!text) return;
+    let group = groups[groups.length - 1];
+    if (!group || group.id !== owner.id) {
+      group = { ...owner, heading: "", items: [] };
+      groups.push(group);
+    }
+    if (!group.heading && /^h[1-6]$/.test(tag)) group.heading = clip(text, 120);
+    group.items.push({ tag, text: clip(text, MAX_ITEM_CHARS) });
+  };
+
+  const walk = (node, owner) => {
+    for (const child of node.childNodes) {
+      if (child.nodeType === 3) {
+        add(owner, node.tagName?.toLowerCase() || "text", squash(child.text));
+        continue;
+      }
+      if (child.nodeType !== 1) continue;
+      const tag = child.tagName.toLowerCase();
+      if (TEXT_TAGS.has(tag)) {
+        add(owner, tag, squash(child.textContent) || squash(child.querySelector("img")?.getAttribute("alt")));
+      }
+      else if (tag === "img") add(owner, tag, squash(child.getAttribute("alt")));
+      else walk(child, owners.get(child) || owner);
+    }
+  };
+  walk(body, { id: "page", tag: "body" });
+  return groups;
+}
+
+/**
+ * Reads an existing page. Returns `spec`, the spec fields it implies (merge
+ * them over the user's spec), and `source`, the content the redesign must
+ * keep: { title, description, nav, sections, colors }.
+ */
+export function extractSite(html) {
+  const root = parse(html, { comment: false });
+
+  const css = [
+    ...root.querySelectorAll("style").map((el) => el.textContent),
+    ...root.querySelectorAll("[style]").map((el) => el.getAttribute("style")),
+  ].join("\n");
+  const scripts = root
+    .querySelectorAll("script")
+    .map((el) => `${el.getAttribute("src") || ""} ${el.hasAttribute("data-analytics") ? "data-analytics" : ""} ${el.textContent}`)
+    .join("\n");
+  const theme = detectTheme(root, css);
+  root.querySelectorAll("script, style, noscript, template, svg").forEach((el) => el.remove());
+
+  const title = squash(root.querySelector("title")?.textContent);
+  const description = squash(root.querySelector('meta[name="description"]')?.getAttribute("content"));
+  const keywords = squash(root.querySelector('meta[name="keywords"]')?.getAttribute("content"));
+  const canonical = squash(root.querySelector('link[rel="canonical"]')?.getAttribute("href") || root.querySelector('meta[property="og:url"]')?.getAttribute("content"));
+  const ogImage = squash(root.querySelector('meta[property="og:image"]')?.getAttribute("content"));
+  const colors = brandColors(css).slice(0, 6);
+  const primaryColor = declaredPrimary(root, css) || colors[0];
+  const nav = navLinks(root);
+  const sections = outlineSections(root);
+  const projectName = clip(detectName(root, title), 60);
+
+  const intro =
+    description ||
+    sections.flatMap((s) => s.items).find((i) => i.tag === "p" && i.text.length >= 60)?.text ||
+    "";
+  const spec = {
+    projectName: projectName || "Untitled Project",
+    brief: clip(`Redesign of the existing ${projectName || "company"} website, keeping its real content. ${intro}`.trim(), 2000),
+    layout: detectLayout(nav),
+    theme,
+    ...(primaryColor ? { primaryColor } : {}),
+    pages: nav.length ? nav.map((l) => l.label) : ["Home"],
+    include: detectFeatures(root, scripts),
+    seo: {
+      title: clip(title, 120),
+      description: clip(description, 320),
+      keywords: clip(keywords, 300),
+      siteUrl: /^https?:\/\/[^\s/]+/i.exec(canonical)?.[0] || "",
+      image: /^https?:\/\/\S+$/i.test(ogImage) && ogImage.length <= 1000 ? ogImage : "",
+    },
+  };
+
+  return { spec, source: { title, description, nav, sections, colors } };
+}
+
+/**
+ * The `source` from extractSite as prompt text, cut to MAX_OUTLINE_CHARS.
+ */
+export function sourceOutline(source) {
+  const lines = [];
+  if (source.title) lines.push(`Page title: ${source.title}`);
+  if (source.description) lines.push(`Meta description: ${source.description}`);
+  if (source.nav.length) lines.push(`Navigation: ${source.nav.map((l) => l.label).join(" | ")}`);
+  if (source.colors.length) lines.push(`Brand colours: ${source.colors.join(", ")}`);
+
+  for (const section of source.sections) {
+    lines.push("", `<${section.tag}>${section.heading ? ` ${section.heading}` : ""}`);
+    for (const item of section.items) lines.push(`- [${item.tag}] ${item.text}`);
+  }
+
+  let out = "";
+  for (const line of lines) {
+    if (out.length + line.length + 1 > MAX_OUTLINE_CHARS) return `${out}\n(outline truncated)`;
+    out += `${out ? "\n" : ""}${line}`;
+  }
+  return out;
+}
@@ -0,0 +1,39 @@
+const REFINE_RULES = `You are a senior frontend engineer editing an existing single-file website.
+
+Rules:
+- Apply ONLY the requested change; keep all other content, copy, structure and styling intact
+- Return the COMPLETE revised HTML document, not a diff or fragment
+- Inline or internal CSS only
+- Vanilla JavaScript only
+- Return ONLY valid HTML, no explanations`;
+
+const MAX_TURNS = 10;
+
+// Earlier turns are replayed as short user/assistant pairs so the model knows
+// what has already been asked for; only the latest document is sent in full.
+export function buildRefineMessages({ html, instruction, turns = [] }) {
+  const history = turns
+    .filter((t) => t && typeof t.instruction === "string" && t.instruction.trim())
+    .slice(-MAX_TURNS)
+    .flatMap((t) => [
+      { role: "user", content: t.instruction.trim() },
+      { role: "assistant", content: "Done — the change is applied to the document." },
+    ]);
+
+  return [
+    { role: "system", content: REFINE_RULES },
+    ...history,
+    {
+      role: "user",
+      content: `Current document:
+
+${html}
+
+Change request:
+${instruction.trim()}
+
+Output:
+Return ONLY the final revised HTML document.`,
+    },
+  ];
+}
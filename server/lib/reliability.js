@@ -0,0 +1,159 @@
+import { log } from "./logger.js";
+
+/* =======================
+   Model reliability
+   ======================= */
+
+// Every model attempt (see generateWithFallback) is recorded per
+// provider/model. A model that fails `failureThreshold` times in a row is
+// "open": fallback chains skip it for `cooldownMs`. Once that passes it is
+// "half-open" and gets tried again; a success closes it, another failure
+// opens it for twice as long (up to `maxCooldownMs`). The remaining models
+// are tried in order of their success rate over the last `window` attempts.
+
+const positive = (value, fallback) => {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? Math.floor(n) : fallback;
+};
+
+export function loadCircuitConfig(env = process.env) {
+  return {
+    failureThreshold: positive(env.CIRCUIT_FAILURE_THRESHOLD, 3),
+    cooldownMs: positive(env.CIRCUIT_COOLDOWN_SECONDS, 120) * 1000,
+    maxCooldownMs: positive(env.CIRCUIT_MAX_COOLDOWN_SECONDS, 1800) * 1000,
+    window: positive(env.CIRCUIT_WINDOW, 20),
+  };
+}
+
+export const CIRCUIT_STATES = ["closed", "half-open", "open"];
+
+const keyOf = ({ provider, model }) => `${provider.id}/${model}`;
+
+export function createModelTracker({ failureThreshold, cooldownMs, maxCooldownMs, window }) {
+  const models = new Map();
+
+  function entry(attempt) {
+    const key = keyOf(attempt);
+    let stats = models.get(key);
+    if (!stats) {
+      stats = {
+        provider: attempt.provider.id,
+        model: attempt.model,
+        attempts: 0,
+        failures: 0,
+        recent: [],
+        consecutiveFailures: 0,
+        openings: 0,
+        openUntil: 0,
+        avgMs: null,
+        lastError: null,
+        lastFailureAt: null,
+        lastSuccessAt: null,
+      };
+      models.set(key, stats);
+    }
+    return stats;
+  }
+
+  function stateOf(stats, now = Date.now()) {
+    if (!stats) return "closed";
+    if (stats.openUntil > now) return "open";
+    return stats.openings ? "half-open" : "closed";
+  }
+
+  // Successes over the recent window, smoothed towards 50% so a model with
+  // one lucky (or unlucky) attempt doesn't jump the queue.
+  function score(stats) {
+    if (!stats) return 0.5;
+    const ok = stats.recent.filter(Boolean).length;
+    return (ok + 1) / (stats.recent.length + 2);
+  }
+
+  /**
+   * Records one attempt: `ok` when the model produced usable output, with
+   * how long it took and, for failures, why.
+   */
+  function record(attempt, { ok, ms, error }) {
+    const stats = entry(attempt);
+    const now = Date.now();
+    const before = stateOf(stats, now);
+
+    stats.attempts += 1;
+    stats.recent.push(ok);
+    if (stats.recent.length > window) stats.recent.shift();
+    stats.avgMs = stats.avgMs === null ? ms : Math.round(stats.avgMs * 0.8 + ms * 0.2);
+
+    if (ok) {
+      stats.consecutiveFailures = 0;
+      stats.lastSuccessAt = now;
+      if (before !== "closed") log.info("Circuit closed", { provider: stats.provider, model: stats.model });
+      stats.openings = 0;
+      stats.openUntil = 0;
+      return;
+    }
+
+    stats.failures += 1;
+    stats.consecutiveFailures += 1;
+    stats.lastError = error || "Unknown error";
+    stats.lastFailureAt = now;
+    // Attempts that started before the circuit opened don't extend it.
+    if (before === "open" || stats.consecutiveFailures < failureThreshold) return;
+
+    stats.openings += 1;
+    const cooldown = Math.min(maxCooldownMs, cooldownMs * 2 ** (stats.openings - 1));
+    stats.openUntil = now + cooldown;
+    log.warn("Circuit opened", {
+      provider: stats.provider,
+      model: stats.model,
+      consecutiveFailures: stats.consecutiveFailures,
+      cooldownMs: cooldown,
+      lastError: stats.lastError,
+    });
+  }
+
+  /**
+   * The chain to actually try: open models dropped, the rest by observed
+   * success rate (configured order breaks ties). The first `pinned`
+   * attempts (a model the client asked for) stay in front unless open.
+   * When every model is open, the one that recovers first is still tried
+   * so requests don't fail without an attempt.
+   */
+  function order(chain, { pinned = 0 } = {}) {
+    const now = Date.now();
+    const usable = chain.filter((a) => stateOf(models.get(keyOf(a)), now) !== "open");
+    if (!usable.length) {
+      const soonest = [...chain].sort((a, b) => models.get(keyOf(a)).openUntil - models.get(keyOf(b)).openUntil);
+      return soonest.slice(0, 1);
+    }
+    const front = usable.filter((a) => chain.indexOf(a) < pinned);
+    const rest = usable
+      .filter((a) => chain.indexOf(a) >= pinned)
+      .sort((a, b) => score(models.get(keyOf(b))) - score(models.get(keyOf(a))));
+    return [...front, ...rest];
+  }
+
+  const state = (attempt) => stateOf(models.get(keyOf(attempt)));
+
+  function describe(stats, now = Date.now()) {
+    const ok = stats.recent.filter(Boolean).length;
+    return {
+      provider: stats.provider,
+      model: stats.model,
+      state: stateOf(stats, now),
+      attempts: stats.attempts,
+      failures: stats.failures,
+      successRate: stats.recent.length ? Number((ok / stats.recent.length).toFixed(3)) : null,
+      consecutiveFailures: stats.consecutiveFailures,
+      avgMs: stats.avgMs,
+      retryAt: stats.openUntil > now ? new Date(stats.openUntil).toISOString() : null,
+      lastError: stats.lastError,
+      lastFailureAt: stats.lastFailureAt && new Date(stats.lastFailureAt).toISOString(),
+      lastSuccessAt: stats.lastSuccessAt && new Date(stats.lastSuccessAt).toISOString(),
+    };
+  }
+
+  // Per-model stats for every model that has been tried, for /api/health.
+  const snapshot = () => [...models.values()].map((stats) => describe(stats));
+
+  return { record, order, state, snapshot };
+}
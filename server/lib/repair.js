@@ -0,0 +1,232 @@
+// Lightweight HTML structure checker and repairer for model output. It is
+// not a spec-compliant parser; it tracks just enough (tag stack, raw-text
+// elements, comments, unterminated tags) to spot truncation and close what
+// the model left open.
+
+const VOID_TAGS = new Set([
+  "area", "base", "br", "col", "embed", "hr", "img", "input",
+  "link", "meta", "param", "source", "track", "wbr",
+]);
+
+const RAW_TEXT_TAGS = new Set(["script", "style", "textarea", "title"]);
+
+// Elements whose end tag browsers infer; leaving them open is harmless.
+const OPTIONAL_CLOSE = new Set([
+  "p", "li", "dt", "dd", "option", "optgroup", "tr", "td", "th",
+  "thead", "tbody", "tfoot", "colgroup", "rp", "rt", "html", "head", "body",
+]);
+
+const warning = (code, message) => ({ code, message });
+
+function findTagEnd(html, from) {
+  let quote = null;
+  for (let j = from + 1; j < html.length; j++) {
+    const c = html[j];
+    if (quote) {
+      if (c === quote) quote = null;
+    } else if ((c === '"' || c === "'") && /=\s*$/.test(html.slice(Math.max(from, j - 8), j))) {
+      quote = c;
+    } else if (c === ">") {
+      return j;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Scans `html` and reports its structure:
+ *   open        elements never closed, outermost first ({ name, index })
+ *   stray       end tags with no matching start tag ({ name, start, end })
+ *   misnested   non-optional elements implicitly closed by an outer end tag
+ *   openComment index of an unterminated <!-- or -1
+ *   openRaw     unterminated <script>/<style>/... ({ name, index }) or null
+ *   incomplete  index of a tag cut off before its ">" or -1
+ */
+export function scanHtml(html = "") {
+  const open = [];
+  const stray = [];
+  const misnested = [];
+  const lower = html.toLowerCase();
+  let openComment = -1;
+  let openRaw = null;
+  let incomplete = -1;
+  let i = 0;
+
+  while (i < html.length) {
+    const lt = html.indexOf("<", i);
+    if (lt === -1) break;
+
+    if (html.startsWith("<!--", lt)) {
+      const end = html.indexOf("-->", lt + 4);
+      if (end === -1) {
+        openComment = lt;
+        break;
+      }
+      i = end + 3;
+      continue;
+    }
+
+    if (html[lt + 1] === "!" || html[lt + 1] === "?") {
+      const end = html.indexOf(">", lt);
+      if (end === -1) {
+        incomplete = lt;
+        break;
+      }
+      i = end + 1;
+      continue;
+    }
+
+    const m = /^<(\/?)([a-zA-Z][\w:-]*)/.exec(html.slice(lt, lt + 64));
+    if (!m) {
+      i = lt + 1;
+      continue;
+    }
+
+    const end = findTagEnd(html, lt);
+    if (end === -1) {
+      incomplete = lt;
+      break;
+    }
+
+    const name = m[2].toLowerCase();
+    i = end + 1;
+
+    if (m[1]) {
+      const idx = open.map((t) => t.name).lastIndexOf(name);
+      if (idx === -1) {
+        stray.push({ name, start: lt, end: end + 1 });
+      } else {
+        for (const t of open.splice(idx).slice(1)) {
+          if (!OPTIONAL_CLOSE.has(t.name)) misnested.push(t);
+        }
+      }
+      continue;
+    }
+
+    if (VOID_TAGS.has(name) || html[end - 1] === "/") continue;
+
+    open.push({ name, index: lt });
+
+    if (RAW_TEXT_TAGS.has(name)) {
+      const close = lower.indexOf(`</${name}`, i);
+      if (close === -1) {
+        openRaw = { name, index: lt };
+        break;
+      }
+      i = close;
+    }
+  }
+
+  return { open, stray, misnested, openComment, openRaw, incomplete };
+}
+
+/**
+ * Heuristic: did generation stop before the document was finished?
+ */
+export function looksTruncated(html = "", finishReason = null) {
+  if (finishReason === "length") return true;
+
+  const scan = scanHtml(html);
+  if (scan.openComment !== -1 || scan.openRaw || scan.incomplete !== -1) {
+    return true;
+  }
+
+  return (
+    (/<html[\s>]/i.test(html) && !/<\/html>/i.test(html)) ||
+    (/<body[\s>]/i.test(html) && !/<\/body>/i.test(html))
+  );
+}
+
+// Stylesheets are checked by brace balance, which is all truncation breaks.
+export const cssLooksTruncated = (css = "") =>
+  (css.match(/{/g) || []).length !== (css.match(/}/g) || []).length;
+
+/**
+ * Closes whatever a truncated or sloppy document left open and returns
+ * { html, warnings } describing every change and any remaining problem.
+ */
+export function repairHtml(input = "") {
+  let html = input;
+  const warnings = [];
+  let scan = scanHtml(html);
+
+  if (scan.openComment !== -1) {
+    html += " -->";
+    warnings.push(warning("unclosed-comment", "Closed an unterminated HTML comment"));
+    scan = scanHtml(html);
+  }
+
+  if (scan.incomplete !== -1) {
+    html = html.slice(0, scan.incomplete).trimEnd();
+    warnings.push(warning("incomplete-tag", "Dropped a tag that was cut off mid-way"));
+    scan = scanHtml(html);
+  }
+
+  if (scan.openRaw) {
+    const { name } = scan.openRaw;
+    html += `\n</${name}>`;
+    warnings.push(
+      warning(
+        `truncated-${name}`,
+        `A <${name}> block was cut off and closed; it may not work as intended`
+      )
+    );
+    scan = scanHtml(html);
+  }
+
+  const stray = scan.stray.filter((t) => !OPTIONAL_CLOSE.has(t.name));
+  if (stray.length) {
+    for (const t of [...stray].reverse()) {
+      html = html.slice(0, t.start) + html.slice(t.end);
+    }
+    warnings.push(
+      warning(
+        "stray-end-tags",
+        `Removed ${stray.length} stray closing tag(s): ${[...new Set(stray.map((t) => `</${t.name}>`))].join(", ")}`
+      )
+    );
+    scan = scanHtml(html);
+  }
+
+  const unclosed = scan.open.filter((t) => !OPTIONAL_CLOSE.has(t.name));
+  if (unclosed.length) {
+    html += "\n" + [...unclosed].reverse().map((t) => `</${t.name}>`).join("");
+    warnings.push(
+      warning(
+        "unclosed-elements",
+        `Closed ${unclosed.length} unclosed element(s): ${[...new Set(unclosed.map((t) => t.name))].join(", ")}`
+      )
+    );
+  }
+
+  if (/<body[\s>]/i.test(html) && !/<\/body>/i.test(html)) {
+    html += "\n</body>";
+  }
+  if (/<html[\s>]/i.test(html) && !/<\/html>/i.test(html)) {
+    html += "\n</html>";
+  }
+
+  if (scan.misnested.length) {
+    warnings.push(
+      warning(
+        "misnested-elements",
+        `Found ${scan.misnested.length} element(s) closed out of order: ${[...new Set(scan.misnested.map((t) => t.name))].join(", ")}`
+      )
+    );
+  }
+
+  if (!/<title[\s>]/i.test(html)) {
+    warnings.push(warning("missing-title", "The document has no <title>"));
+  }
+
+  return { html, warnings };
+}
+
+// True when the <body> holds at least one element or some visible text.
+export function hasBodyContent(html = "") {
+  const body = /<body[^>]*>([\s\S]*?)(<\/body>|$)/i.exec(html)?.[1] ?? html;
+  const visible = body
+    .replace(/<!--[\s\S]*?-->/g, "")
+    .replace(/<(script|style)\b[\s\S]*?<\/\1>/gi, "");
+  return /<[a-z]/i.test(visible) || /\S/.test(visible);
+}
@@ -0,0 +1,146 @@
+import { parse } from "node-html-parser";
+
+/* =======================
+   Page sections
+   ======================= */
+
+// Top-level sections are header/nav/section/footer/aside/article elements
+// that are not nested inside another one (wrappers such as <main> don't
+// count). Each gets a stable id: its own `id` attribute when it has one,
+// otherwise its tag name, with "-2", "-3", ... appended on repeats. The
+// preview computes the same ids from the rendered DOM.
+
+const SECTION_SELECTOR = "header, nav, section, footer, aside, article";
+const SECTION_TAGS = new Set(SECTION_SELECTOR.split(", ").map((t) => t.toUpperCase()));
+const PARSE_OPTIONS = { comment: true };
+const MARKER = "<!-- SECTION TO REWRITE -->";
+
+export class SectionNotFoundError extends Error {
+  constructor(sectionId, available) {
+    super(`Section "${sectionId}" not found (available: ${available.join(", ") || "none"})`);
+    this.status = 400;
+  }
+}
+
+function isTopLevel(el) {
+  for (let node = el.parentNode; node?.tagName; node = node.parentNode) {
+    if (SECTION_TAGS.has(node.tagName)) return false;
+  }
+  return true;
+}
+
+function labelOf(el) {
+  const heading = el.querySelector("h1, h2, h3, h4, h5, h6");
+  const text = (heading || el).textContent.replace(/\s+/g, " ").trim();
+  return text.length > 60 ? `${text.slice(0, 57)}...` : text;
+}
+
+// [{ id, el }] for the top-level sections under a parsed `root`.
+export function topLevelSections(root) {
+  const seen = new Set();
+  return root
+    .querySelectorAll(SECTION_SELECTOR)
+    .filter(isTopLevel)
+    .map((el) => {
+      const base = el.getAttribute("id")?.trim() || el.tagName.toLowerCase();
+      let id = base;
+      for (let n = 2; seen.has(id); n++) id = `${base}-${n}`;
+      seen.add(id);
+      return { id, el };
+    });
+}
+
+// [{ id, tag, label }] for every top-level section of `html`.
+export function listSections(html = "") {
+  return topLevelSections(parse(html, PARSE_OPTIONS)).map(({ id, el }) => ({
+    id,
+    tag: el.tagName.toLowerCase(),
+    label: labelOf(el),
+  }));
+}
+
+/**
+ * Splits `html` around section `sectionId`: the section's own markup and
+ * the rest of the document with a marker where it stood. Throws
+ * SectionNotFoundError when there is no such section.
+ */
+export function extractSection(html, sectionId) {
+  const root = parse(html, PARSE_OPTIONS);
+  const sections = topLevelSections(root);
+  const found = sections.find((s) => s.id === sectionId);
+  if (!found) throw new SectionNotFoundError(sectionId, sections.map((s) => s.id));
+
+  const section = found.el.outerHTML;
+  found.el.replaceWith(MARKER);
+  return {
+    section,
+    tag: found.el.tagName.toLowerCase(),
+    context: root.toString(),
+  };
+}
+
+/**
+ * Puts a rewritten section back in place of section `sectionId`. The model
+ * output may hold just the element or a whole document; the first element
+ * with the original id (or tag) is used, and the original id is kept so
+ * in-page links still land on it.
+ */
+export function replaceSection(html, sectionId, output) {
+  const root = parse(html, PARSE_OPTIONS);
+  const found = topLevelSections(root).find((s) => s.id === sectionId);
+  if (!found) throw new Error(`Section "${sectionId}" not found`);
+
+  const tag = found.el.tagName.toLowerCase();
+  const elementId = found.el.getAttribute("id");
+  const out = parse(output, PARSE_OPTIONS);
+  const next =
+    (elementId && out.querySelectorAll("[id]").find((el) => el.getAttribute("id") === elementId)) ||
+    out.querySelector(tag) ||
+    out.querySelector(SECTION_SELECTOR);
+  if (!next) throw new Error(`Model did not return a <${tag}> element`);
+
+  if (elementId) next.setAttribute("id", elementId);
+  found.el.replaceWith(next.outerHTML);
+  return root.toString();
+}
+
+const SECTION_RULES = `You are a senior frontend engineer rewriting ONE section of an existing website.
+
+Rules:
+- Return ONLY the rewritten section: a single <TAG> element with its full contents
+- Keep the element's tag and id so navigation links keep working
+- Match the existing design: reuse the document's CSS classes, colours, fonts and spacing
+- If the section needs new styles, put them in a <style> element inside the section
+- Vanilla JavaScript only, inside the section
+- Do not repeat the rest of the document, no explanations, no markdown fences`;
+
+/**
+ * Messages asking for a new version of one section. The rest of the page
+ * (and a site's shared stylesheet, when given) goes along as style context.
+ */
+export function buildSectionMessages({ html, sectionId, instruction, css }) {
+  const { section, tag, context } = extractSection(html, sectionId);
+  const request = instruction?.trim()
+    ? instruction.trim()
+    : "Write a fresh, improved version of this section: better copy, layout and visual polish, same purpose.";
+
+  return [
+    { role: "system", content: SECTION_RULES.replace("TAG", tag) },
+    {
+      role: "user",
+      content: `Surrounding document (the section's place is marked ${MARKER}):
+
+${context}
+${css ? `\nShared stylesheet (styles.css):\n\n${css}\n` : ""}
+Section to rewrite:
+
+${section}
+
+Change request:
+${request}
+
+Output:
+Return ONLY the rewritten <${tag}> element.`,
+    },
+  ];
+}
@@ -0,0 +1,164 @@
+import crypto from "node:crypto";
+import { promisify } from "node:util";
+import { createJsonStore } from "./store.js";
+import { NotFoundError } from "./projects.js";
+
+// Hosted share links. A share is a frozen copy of one generation served at
+// /p/:slug. Shape: { slug, title, html, files?, createdAt, expiresAt,
+// password: { salt, hash } | null, deleteHash, views }. The delete token
+// is returned once, on creation; only its hash is kept.
+
+const store = createJsonStore("shares", { shares: [] });
+
+const now = () => Date.now();
+
+const SLUG_BYTES = 6;
+const MAX_TTL_SECONDS = 365 * 24 * 3600;
+const VIEW_FLUSH_MS = 30_000;
+
+// Page views counted since the last flush, by slug. Writing the store on
+// every view would rewrite the whole file per request.
+const pendingViews = new Map();
+
+function flushViews() {
+  if (!pendingViews.size) return;
+  const counts = new Map(pendingViews);
+  pendingViews.clear();
+  store.update((d) => {
+    for (const share of d.shares) share.views += counts.get(share.slug) || 0;
+  });
+}
+
+setInterval(flushViews, VIEW_FLUSH_MS).unref();
+
+export class GoneError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 410;
+  }
+}
+
+export class ForbiddenError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 403;
+  }
+}
+
+const scrypt = promisify(crypto.scrypt);
+
+// scrypt is deliberately slow; the async form keeps it off the event loop.
+const hashPassword = async (password, salt) => (await scrypt(String(password), salt, 32)).toString("hex");
+const hashToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+
+const positive = (value, fallback) => {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? Math.floor(n) : fallback;
+};
+
+/**
+ * SHARE_SECRET signs the cookies that remember a correct password (a
+ * random per-process secret is used when unset, so restarts ask again).
+ * PUBLIC_URL is the backend's public origin for absolute share URLs.
+ * SHARE_UNLOCK_ATTEMPTS_PER_MINUTE caps password guesses per share and
+ * client IP (default 5).
+ */
+export function loadShareConfig(env = process.env) {
+  return {
+    secret: env.SHARE_SECRET || crypto.randomBytes(32).toString("hex"),
+    publicUrl: (env.PUBLIC_URL || "").replace(/\/+$/, "") || null,
+    unlockPerMinute: positive(env.SHARE_UNLOCK_ATTEMPTS_PER_MINUTE, 5),
+  };
+}
+
+export const shareSummary = ({ html, files, password, deleteHash, ...share }) => ({
+  ...share,
+  views: share.views + (pendingViews.get(share.slug) || 0),
+  multipage: !!files,
+  protected: !!password,
+});
+
+function dropExpired() {
+  const at = now();
+  if (store.read().shares.some((s) => s.expiresAt && s.expiresAt <= at)) {
+    store.update((d) => {
+      d.shares = d.shares.filter((s) => !s.expiresAt || s.expiresAt > at);
+    });
+  }
+}
+
+/**
+ * Stores a share. `expiresIn` is in seconds (null or 0 for no expiry);
+ * an empty password leaves the share public.
+ */
+export async function createShare({ html, files = null, title, expiresIn = null, password = "" }) {
+  // Hashed first: the slug is picked and stored without yielding in between.
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = password ? await hashPassword(password, salt) : null;
+
+  dropExpired();
+
+  const taken = new Set(store.read().shares.map((s) => s.slug));
+  let slug;
+  do slug = crypto.randomBytes(SLUG_BYTES).toString("base64url");
+  while (taken.has(slug));
+
+  const deleteToken = crypto.randomBytes(18).toString("base64url");
+  const ttl = Math.min(Number(expiresIn) || 0, MAX_TTL_SECONDS);
+  const share = {
+    slug,
+    title: String(title || "").trim().slice(0, 120) || "Shared website",
+    html,
+    ...(files ? { files } : {}),
+    createdAt: now(),
+    expiresAt: ttl > 0 ? now() + ttl * 1000 : null,
+    password: hash ? { salt, hash } : null,
+    deleteHash: hashToken(deleteToken),
+    views: 0,
+  };
+  store.update((d) => d.shares.push(share));
+  return { ...shareSummary(share), deleteToken };
+}
+
+// The stored share; NotFoundError for unknown slugs, GoneError once expired.
+export function getShare(slug) {
+  const share = store.read().shares.find((s) => s.slug === slug);
+  if (!share) throw new NotFoundError(`Share ${slug} not found`);
+  if (share.expiresAt && share.expiresAt <= now()) {
+    dropExpired();
+    throw new GoneError("This share link has expired");
+  }
+  return share;
+}
+
+export function deleteShare(slug, token) {
+  const share = getShare(slug);
+  const a = Buffer.from(hashToken(token || ""), "hex");
+  const b = Buffer.from(share.deleteHash, "hex");
+  if (!crypto.timingSafeEqual(a, b)) throw new ForbiddenError("Invalid delete token");
+  pendingViews.delete(slug);
+  store.update((d) => {
+    d.shares = d.shares.filter((s) => s.slug !== slug);
+  });
+}
+
+// Counted in memory and written every VIEW_FLUSH_MS.
+export function recordView(share) {
+  pendingViews.set(share.slug, (pendingViews.get(share.slug) || 0) + 1);
+}
+
+export async function checkPassword(share, password) {
+  if (!share.password) return true;
+  const a = Buffer.from(await hashPassword(password || "", share.password.salt), "hex");
+  const b = Buffer.from(share.password.hash, "hex");
+  return crypto.timingSafeEqual(a, b);
+}
+
+// Proof of a correct password, kept in a cookie scoped to the share. It is
+// tied to the stored hash, so changing or deleting the share revokes it.
+export function accessToken(share, secret) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${share.slug}:${share.password?.hash || ""}`)
+    .digest("base64url");
+}
@@ -0,0 +1,153 @@
+import { ensureFullDoc, kebab, stripFences } from "./html.js";
+import { repairHtml } from "./repair.js";
+
+// Multi-page output: the model returns every file of the site separated by
+// marker lines, which we turn into a { "index.html": "...", ... } map.
+export const FILE_MARKER = "<<<FILE";
+
+export const pageFileName = (page) =>
+  kebab(page) === "home" || !kebab(page) ? "index.html" : `${kebab(page)}.html`;
+
+export const isMultipage = (spec = {}) => spec.layout === "multipage";
+
+const ALLOWED_FILE = /^[a-z0-9][a-z0-9._-]*\.(html|css|js|xml|txt)$/;
+
+export const cleanFileName = (name) => {
+  const base = String(name).trim().split(/[\\/]/).pop().toLowerCase();
+  return ALLOWED_FILE.test(base) ? base : null;
+};
+
+export const MAX_SITE_FILES = 50;
+export const SITE_FILES_ERROR = `files must map up to ${MAX_SITE_FILES} *.html/*.css/*.js/*.xml/*.txt names to strings, including index.html`;
+
+// Checks a { "index.html": "...", ... } map sent by a client before it is
+// stored: clean names, string contents, an index page and a bounded count.
+export const isSiteFiles = (files) =>
+  !!files &&
+  typeof files === "object" &&
+  !Array.isArray(files) &&
+  typeof files["index.html"] === "string" &&
+  Object.keys(files).length <= MAX_SITE_FILES &&
+  Object.entries(files).every(([file, content]) => cleanFileName(file) === file && typeof content === "string");
+
+const FILE_MARKER_RE = /^<<<FILE\s+([^>\n]+?)\s*>>>[ \t]*$/gm;
+
+// Returns { files, warnings }; each page is structurally repaired before the
+// site is normalized.
+export function parseSiteFiles(text = "", spec = {}) {
+  const files = {};
+  const warnings = [];
+  const marks = [...text.matchAll(FILE_MARKER_RE)];
+
+  if (!marks.length) {
+    files["index.html"] = ensureFullDoc(stripFences(text), spec);
+  } else {
+    marks.forEach((m, i) => {
+      const name = cleanFileName(m[1]);
+      const end = i + 1 < marks.length ? marks[i + 1].index : text.length;
+      const body = stripFences(text.slice(m.index + m[0].length, end));
+      if (name && body) files[name] = body;
+    });
+  }
+
+  for (const [name, body] of Object.entries(files)) {
+    if (!name.endsWith(".html")) continue;
+    const repaired = repairHtml(ensureFullDoc(body, spec));
+    files[name] = repaired.html;
+    warnings.push(
+      ...repaired.warnings.map((w) => ({ ...w, file: name, message: `${name}: ${w.message}` }))
+    );
+  }
+
+  return { files: normalizeSite(files, spec), warnings };
+}
+
+// The file currently being written at the end of a (possibly truncated)
+// multi-page response.
+export function lastSiteSegment(text = "") {
+  const marks = [...text.matchAll(FILE_MARKER_RE)];
+  if (!marks.length) return { name: "index.html", body: stripFences(text) };
+  const last = marks[marks.length - 1];
+  return {
+    name: cleanFileName(last[1]) || "",
+    body: text.slice(last.index + last[0].length),
+  };
+}
+
+/**
+ * Makes a parsed file map self-consistent: every page is a full document,
+ * links the shared stylesheet/script and uses real file names in nav links
+ * (models like to emit "#about" or "/about" even when asked not to).
+ */
+export function normalizeSite(files, spec = {}) {
+  const pages = Object.keys(files).filter((f) => f.endsWith(".html"));
+  const out = { ...files };
+
+  if (!out["index.html"] && pages.length) {
+    out["index.html"] = out[pages[0]];
+    delete out[pages[0]];
+  }
+
+  const htmlFiles = Object.keys(out).filter((f) => f.endsWith(".html"));
+  const slugToFile = new Map(htmlFiles.map((f) => [f.replace(/\.html$/, ""), f]));
+  if (slugToFile.has("index")) slugToFile.set("home", "index.html");
+
+  const rewriteHref = (href) => {
+    if (href === "/" || href === "./") return "index.html";
+    const m = /^(?:#|\/|\.\/)?([a-z0-9-]+)(?:\.html)?\/?(#[\w-]*)?$/i.exec(href);
+    const target = m && slugToFile.get(m[1].toLowerCase());
+    return target ? target + (m[2] || "") : href;
+  };
+
+  for (const file of htmlFiles) {
+    let html = ensureFullDoc(out[file], spec);
+
+    if (out["styles.css"] && !/href=["']?(\.\/)?styles\.css/i.test(html)) {
+      html = html.replace(
+        /<\/head>/i,
+        `<link rel="stylesheet" href="styles.css"/>\n</head>`
+      );
+    }
+    if (out["script.js"] && !/src=["']?(\.\/)?script\.js/i.test(html)) {
+      html = html.replace(
+        /<\/body>/i,
+        `<script src="script.js"></script>\n</body>`
+      );
+    }
+
+    html = html.replace(
+      /(<a\b[^>]*\bhref=)(["'])([^"']*)\2/gi,
+      (_, start, q, href) => `${start}${q}${rewriteHref(href)}${q}`
+    );
+
+    out[file] = html;
+  }
+
+  return out;
+}
+
+export const sitePages = (files = {}) =>
+  Object.keys(files)
+    .filter((f) => f.endsWith(".html"))
+    .sort((a, b) => (a === "index.html" ? -1 : b === "index.html" ? 1 : 0))
+    .map((file) => ({
+      file,
+      title:
+        /<title[^>]*>([^<]*)<\/title>/i.exec(files[file])?.[1]?.trim() || file,
+    }));
+
+// A page with the site's own stylesheet and script inlined, for serving it
+// where relative asset requests can't be relied on.
+export function inlineSiteAssets(html, files = {}) {
+  return html
+    .replace(/<link\b[^>]*\bhref=["']?(?:\.\/)?([\w.-]+\.css)["']?[^>]*>/gi, (tag, name) =>
+      files[name] !== undefined && /\bstylesheet\b/i.test(tag)
+        ? `<style>\n${files[name].replace(/<\/style/gi, "<\\/style")}\n</style>`
+        : tag
+    )
+    .replace(/<script\b([^>]*)\bsrc=["']?(?:\.\/)?([\w.-]+\.js)["']?([^>]*)>\s*<\/script>/gi, (tag, before, name, after) => {
+      if (files[name] === undefined) return tag;
+      const attrs = `${before} ${after}`.replace(/\s+/g, " ").trim();
+      return `<script${attrs ? ` ${attrs}` : ""}>\n${files[name].replace(/<\/script/gi, "<\\/script")}\n</script>`;
+    });
+}
@@ -0,0 +1,187 @@
+import { parse } from "node-html-parser";
+import { kebab } from "./html.js";
+import { seoTags } from "./prompt.js";
+import { resolveTokens, tokensStyleTag, TOKENS_STYLE_ID } from "./tokens.js";
+import { robotsTxt, sitemapXml, socialTags } from "../../shared/seo.js";
+
+const has = (re) => (html) => re.test(html);
+
+// Each detector looks at the concatenated HTML of every page.
+const FEATURE_CHECKS = {
+  contactForm: {
+    label: "Contact form",
+    test: (html) => /<form[\s\S]*?<textarea/i.test(html),
+  },
+  newsletter: {
+    label: "Newsletter signup",
+    test: (html) =>
+      /newsletter|subscribe/i.test(html) &&
+      /<input[^>]*type=["']?email/i.test(html),
+  },
+  analytics: {
+    label: "Analytics snippet",
+    test: has(/<script[^>]*data-analytics|gtag\(|googletagmanager|plausible|umami/i),
+  },
+  auth: {
+    label: "Login / sign-up",
+    test: (html) =>
+      /log\s?in|sign\s?in|sign\s?up/i.test(html) &&
+      /<input[^>]*type=["']?password/i.test(html),
+  },
+  cms: {
+    label: "Blog / articles",
+    test: has(/id=["']?blog|<article\b/i),
+  },
+  imageGen: {
+    label: "Image slots",
+    test: has(/<img\b/i),
+  },
+};
+
+const TEMPLATE_CHECKS = {
+  saas: { label: "Pricing table", test: has(/pricing/i) },
+  portfolio: { label: "Gallery / case studies", test: has(/gallery|case stud|portfolio/i) },
+};
+
+// `tag` carries spec text, so it goes in through a function: a string
+// replacement would expand any `$&` or `$$` in it.
+function upsertHeadTag(html, find, tag) {
+  if (find.test(html)) return html.replace(find, () => tag);
+  if (/<\/head>/i.test(html)) return html.replace(/<\/head>/i, () => `${tag}\n</head>`);
+  return html;
+}
+
+// Where an earlier copy of each generated <head> tag sits, so applying
+// the tags twice replaces rather than duplicates them.
+function headTagPattern(tag) {
+  if (tag.startsWith("<title")) return /<title[^>]*>[\s\S]*?<\/title>/i;
+  if (tag.startsWith('<link rel="canonical"')) return /<link[^>]*rel=["']?canonical["']?[^>]*>/i;
+  if (tag.startsWith("<script")) return /<script[^>]*type=["']?application\/ld\+json["']?[^>]*>[\s\S]*?<\/script>/i;
+  const [, attr, name] = /(name|property)="([^"]+)"/.exec(tag);
+  return new RegExp(`<meta[^>]*${attr}=["']?${name}["']?[^>]*>`, "i");
+}
+
+// The page's own <title> as plain text (socialTags escapes it again).
+const pageTitle = (html) => {
+  const tag = /<title[^>]*>[\s\S]*?<\/title>/i.exec(html)?.[0];
+  return tag ? parse(tag).text.trim() : "";
+};
+
+/**
+ * Writes the spec's SEO tags into <head>: title, description and keywords,
+ * then the canonical link, Open Graph and Twitter tags and JSON-LD (see
+ * shared/seo.js) for page `file`. With `keepTitle` (secondary pages of a
+ * multi-page site) an existing page title is left alone and reused for the
+ * social tags.
+ */
+export function applySeo(html, safe, { keepTitle = false, file = "index.html" } = {}) {
+  const [title, ...metas] = seoTags(safe);
+  let out = html;
+
+  if (!keepTitle || !/<title[\s>]/i.test(out)) {
+    out = upsertHeadTag(out, headTagPattern(title), title);
+  }
+  const social = socialTags(safe, { file, title: keepTitle ? pageTitle(out) : null });
+  for (const tag of [...metas, ...social]) {
+    out = upsertHeadTag(out, headTagPattern(tag), tag);
+  }
+  return out;
+}
+
+// sitemap.xml (when the spec has a site URL) and robots.txt for a
+// multi-page site's files.
+export function seoFiles(files, safe) {
+  const pages = Object.keys(files).filter((name) => name.endsWith(".html"));
+  const sitemap = sitemapXml(safe, ["index.html", ...pages.filter((name) => name !== "index.html")]);
+  return { ...(sitemap ? { "sitemap.xml": sitemap } : {}), "robots.txt": robotsTxt(safe) };
+}
+
+const TOKENS_STYLE = new RegExp(`<style[^>]*\\bid=["']?${TOKENS_STYLE_ID}\\b[^>]*>[\\s\\S]*?<\\/style>`, "i");
+
+// Writes the spec's design tokens into <head>, replacing any earlier copy.
+export const applyTokens = (html, safe) =>
+  upsertHeadTag(html, TOKENS_STYLE, tokensStyleTag(resolveTokens(safe)));
+
+export function runSpecChecks(html, safe) {
+  const checks = [];
+
+  for (const [key, { label, test }] of Object.entries(FEATURE_CHECKS)) {
+    if (safe.include[key]) {
+      checks.push({ id: `feature:${key}`, label, passed: test(html) });
+    }
+  }
+
+  const template = TEMPLATE_CHECKS[safe.templateId];
+  if (template) {
+    checks.push({
+      id: `template:${safe.templateId}`,
+      label: template.label,
+      passed: template.test(html),
+    });
+  }
+
+  const dark = /data-theme=["']?dark|color-scheme["']?\s+content=["']?dark/i.test(html);
+  checks.push({
+    id: `theme:${safe.theme}`,
+    label: `${safe.theme === "dark" ? "Dark" : "Light"} theme`,
+    passed: safe.theme === "dark" ? dark : !dark,
+  });
+
+  if (safe.layout === "onepage") {
+    for (const p of safe.pages) {
+      const id = kebab(p);
+      checks.push({
+        id: `section:${id}`,
+        label: `Section #${id}`,
+        passed: new RegExp(`id=["']?${id}["'\\s>]`, "i").test(html),
+      });
+    }
+  }
+
+  return checks;
+}
+
+/**
+ * Post-generation step for generations, refines and section rewrites:
+ * injects the SEO tags and design tokens, adds sitemap.xml and robots.txt
+ * to multi-page sites and verifies that the output contains what the spec
+ * asked for. Failed checks become warnings so the UI can surface them.
+ */
+export function enforceSpec({ html, files, warnings = [] }, safe) {
+  let nextHtml = html;
+  let nextFiles = files;
+
+  if (files) {
+    nextFiles = Object.fromEntries(
+      Object.entries(files).map(([name, content]) => [
+        name,
+        name.endsWith(".html")
+          ? applyTokens(applySeo(content, safe, { keepTitle: name !== "index.html", file: name }), safe)
+          : content,
+      ])
+    );
+    Object.assign(nextFiles, seoFiles(nextFiles, safe));
+    nextHtml = nextFiles["index.html"] || html;
+  } else if (html) {
+    nextHtml = applyTokens(applySeo(html, safe), safe);
+  }
+
+  const combined = nextFiles
+    ? Object.values(nextFiles).join("\n")
+    : nextHtml;
+  const checks = runSpecChecks(combined, safe);
+  const missing = checks.filter((c) => !c.passed);
+
+  return {
+    html: nextHtml,
+    files: nextFiles,
+    checks,
+    warnings: [
+      ...warnings,
+      ...missing.map((c) => ({
+        code: "missing-feature",
+        message: `Requested but not found in the output: ${c.label}`,
+      })),
+    ],
+  };
+}
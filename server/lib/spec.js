@@ -0,0 +1,27 @@
+import { parseSpec } from "../../shared/spec-schema.js";
+
+// Request-side use of the shared spec schema (shared/spec-schema.js).
+
+export class SpecValidationError extends Error {
+  constructor(details) {
+    super(`Invalid spec: ${details.map((d) => `${d.path} ${d.message}`).join("; ")}`);
+    this.status = 400;
+    this.details = details;
+  }
+}
+
+/**
+ * The migrated spec, with defaults filled in, from a request body. Throws
+ * SpecValidationError listing every problem; `required` names text fields
+ * that must not be blank.
+ */
+export function checkSpec(input = {}, { required = [] } = {}) {
+  const { spec, errors } = parseSpec(input);
+  for (const key of required) {
+    if (!errors.some((e) => e.path === `spec.${key}`) && !String(spec[key] ?? "").trim()) {
+      errors.push({ path: `spec.${key}`, message: "is required" });
+    }
+  }
+  if (errors.length) throw new SpecValidationError(errors);
+  return spec;
+}
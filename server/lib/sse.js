@@ -0,0 +1,20 @@
+export const wantsEventStream = (req) =>
+  req.body?.stream === true ||
+  (req.get("accept") || "").includes("text/event-stream");
+
+// Switches the response into an SSE stream and returns a send(event, data)
+// helper that becomes a no-op once the client has gone away.
+export const openEventStream = (res) => {
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream; charset=utf-8",
+    "Cache-Control": "no-cache, no-transform",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+  res.flushHeaders?.();
+
+  return (event, data) => {
+    if (res.writableEnded || res.destroyed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+};
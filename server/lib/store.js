@@ -0,0 +1,64 @@
+import fs from "node:fs";
+import fsp from "node:fs/promises";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { log } from "./logger.js";
+
+const serverDir = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+
+export const DATA_DIR = process.env.DATA_DIR
+  ? path.resolve(process.env.DATA_DIR)
+  : path.join(serverDir, "data");
+
+/**
+ * JSON-file backed state. Reads are served from memory; `update(fn)`
+ * mutates in place and schedules a write (coalesced, atomic via rename).
+ */
+export function createJsonStore(name, initial) {
+  const file = path.join(DATA_DIR, `${name}.json`);
+  let data = load();
+  let writing = null;
+  let dirty = false;
+
+  function load() {
+    try {
+      return JSON.parse(fs.readFileSync(file, "utf8"));
+    } catch (err) {
+      if (err.code === "ENOENT") return structuredClone(initial);
+      throw new Error(`Cannot read ${file}: ${err.message}`);
+    }
+  }
+
+  async function flush() {
+    while (dirty) {
+      dirty = false;
+      const tmp = `${file}.tmp`;
+      await fsp.mkdir(DATA_DIR, { recursive: true });
+      await fsp.writeFile(tmp, JSON.stringify(data));
+      await fsp.rename(tmp, file);
+    }
+  }
+
+  function schedule() {
+    dirty = true;
+    if (writing) return;
+    writing = flush()
+      .catch((err) => log.error("Store write failed", { store: name, err }))
+      .finally(() => {
+        writing = null;
+        if (dirty) schedule();
+      });
+  }
+
+  return {
+    file,
+    read: () => data,
+    update(fn) {
+      const result = fn(data);
+      schedule();
+      return result;
+    },
+    // Resolves once pending writes are on disk.
+    settled: () => writing || Promise.resolve(),
+  };
+}
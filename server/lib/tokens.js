@@ -0,0 +1,250 @@
+import { contrastRatio, parseColor } from "./a11y.js";
+
+// Design tokens: a palette, type scale and spacing derived from the spec's
+// primary colour, style and theme. They ship with every generated page as
+// CSS custom properties in <style id="design-tokens">, and generated CSS is
+// asked to use var(--name) instead of literal values. The app mirrors this
+// module (aiwebsitemaker/src/lib/tokens.js) for its live token preview, so
+// changes here belong there too.
+
+export const TOKENS_STYLE_ID = "design-tokens";
+
+// WCAG AA for normal-size text.
+const MIN_CONTRAST = 4.5;
+
+const FALLBACK_PRIMARY = [79, 70, 229];
+
+const SANS = 'Inter, system-ui, -apple-system, "Segoe UI", Roboto, sans-serif';
+const SERIF = 'Georgia, "Times New Roman", serif';
+const ROUNDED = 'Nunito, "Trebuchet MS", system-ui, sans-serif';
+
+// Per-style choices. `tint` is how much of the primary hue the neutrals
+// (background, surfaces, borders) carry; `accentShift` rotates the hue for
+// the secondary accent.
+const STYLE_PRESETS = {
+  minimal: { fontBody: SANS, fontHeading: SANS, headingWeight: 600, ratio: 1.25, space: 1.25, radius: 8, tint: 0.06, accentShift: 30, lineHeight: 1.7 },
+  corporate: { fontBody: SANS, fontHeading: SERIF, headingWeight: 700, ratio: 1.2, space: 1, radius: 4, tint: 0.12, accentShift: 180, lineHeight: 1.6 },
+  playful: { fontBody: ROUNDED, fontHeading: ROUNDED, headingWeight: 800, ratio: 1.333, space: 1.125, radius: 16, tint: 0.45, accentShift: 150, lineHeight: 1.65 },
+};
+
+const SHADES = { 50: 0.97, 100: 0.93, 200: 0.86, 300: 0.76, 400: 0.64, 500: 0.52, 600: 0.43, 700: 0.34, 800: 0.26, 900: 0.18 };
+
+const SPACE_STEPS = [0.25, 0.5, 0.75, 1, 1.5, 2, 3, 4];
+
+// Name groups, in the order they are emitted and shown.
+export const TOKEN_GROUPS = {
+  color: [
+    ...Object.keys(SHADES).map((n) => `color-primary-${n}`),
+    "color-primary",
+    "color-primary-hover",
+    "color-on-primary",
+    "color-accent",
+    "color-on-accent",
+    "color-bg",
+    "color-surface",
+    "color-border",
+    "color-text",
+    "color-text-muted",
+    "color-link",
+  ],
+  typography: [
+    "font-body",
+    "font-heading",
+    "font-weight-heading",
+    "line-height-body",
+    "line-height-heading",
+    "font-size-sm",
+    "font-size-base",
+    "font-size-lg",
+    "font-size-xl",
+    "font-size-2xl",
+    "font-size-3xl",
+    "font-size-4xl",
+  ],
+  spacing: [
+    ...SPACE_STEPS.map((_, i) => `space-${i + 1}`),
+    "radius-sm",
+    "radius-md",
+    "radius-lg",
+    "radius-pill",
+    "shadow-md",
+  ],
+};
+
+export const TOKEN_NAMES = Object.values(TOKEN_GROUPS).flat();
+
+// Foreground/background pairs that must stay readable.
+export const CONTRAST_PAIRS = [
+  { label: "Body text", fg: "color-text", bg: "color-bg" },
+  { label: "Text on surfaces", fg: "color-text", bg: "color-surface" },
+  { label: "Muted text", fg: "color-text-muted", bg: "color-bg" },
+  { label: "Muted text on surfaces", fg: "color-text-muted", bg: "color-surface" },
+  { label: "Links", fg: "color-link", bg: "color-bg" },
+  { label: "Button text", fg: "color-on-primary", bg: "color-primary" },
+  { label: "Accent text", fg: "color-on-accent", bg: "color-accent" },
+];
+
+/* ---------- colour maths ---------- */
+
+const clamp = (v, lo = 0, hi = 1) => Math.min(hi, Math.max(lo, v));
+const round = (v, places = 3) => Number(v.toFixed(places));
+
+const toHex = (rgb) => `#${rgb.map((c) => c.toString(16).padStart(2, "0")).join("")}`;
+
+function toHsl([r, g, b]) {
+  const [R, G, B] = [r / 255, g / 255, b / 255];
+  const max = Math.max(R, G, B);
+  const min = Math.min(R, G, B);
+  const l = (max + min) / 2;
+  if (max === min) return [0, 0, l];
+
+  const d = max - min;
+  const s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+  const h =
+    max === R ? (G - B) / d + (G < B ? 6 : 0)
+    : max === G ? (B - R) / d + 2
+    : (R - G) / d + 4;
+  return [h * 60, s, l];
+}
+
+function fromHsl([h, s, l]) {
+  const a = s * Math.min(l, 1 - l);
+  const f = (n) => {
+    const k = (n + h / 30) % 12;
+    return Math.round(255 * (l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1))));
+  };
+  return [f(0), f(8), f(4)];
+}
+
+const hsl = (h, s, l) => fromHsl([((h % 360) + 360) % 360, clamp(s), clamp(l)]);
+
+// Moves the lightness of [h, s, l] in `step` increments until the colour
+// reaches MIN_CONTRAST against every background (or runs out of range).
+function readableOn(backgrounds, [h, s, l], step) {
+  let rgb = hsl(h, s, l);
+  for (let i = 0; i < 1 / Math.abs(step); i++) {
+    if (backgrounds.every((bg) => contrastRatio(rgb, bg) >= MIN_CONTRAST)) break;
+    l = clamp(l + step);
+    rgb = hsl(h, s, l);
+  }
+  return rgb;
+}
+
+// Black-ish or white text, whichever reads better on `bg`.
+const textOn = (bg, dark) =>
+  contrastRatio(dark, bg) >= contrastRatio([255, 255, 255], bg) ? dark : [255, 255, 255];
+
+// Darkens [h, s, l] until one of `dark` or white reaches MIN_CONTRAST on it.
+function fillFor(dark, [h, s, l]) {
+  let rgb = hsl(h, s, l);
+  while (contrastRatio(textOn(rgb, dark), rgb) < MIN_CONTRAST && l > 0) {
+    l = clamp(l - 0.02);
+    rgb = hsl(h, s, l);
+  }
+  return rgb;
+}
+
+/* ---------- derivation ---------- */
+
+// Free-text styles ("modern, clean") fall back to the closest preset.
+const presetFor = (style) =>
+  STYLE_PRESETS[style] ||
+  STYLE_PRESETS[Object.keys(STYLE_PRESETS).find((k) => String(style || "").toLowerCase().includes(k))] ||
+  STYLE_PRESETS.minimal;
+
+/**
+ * The full token set for a spec, keyed by custom property name without the
+ * leading dashes. Only primaryColor, style and theme are read.
+ */
+export function deriveTokens({ primaryColor, style, theme } = {}) {
+  const preset = presetFor(style);
+  const dark = theme === "dark";
+  const primary = parseColor(primaryColor) || FALLBACK_PRIMARY;
+  const [h, s, pl] = toHsl(primary);
+  const tint = Math.min(s, preset.tint);
+
+  const bg = dark ? hsl(h, tint, 0.08) : hsl(h, tint, preset.tint > 0.2 ? 0.985 : 1);
+  const surface = dark ? hsl(h, tint, 0.13) : hsl(h, tint, 0.96);
+  const border = dark ? hsl(h, tint, 0.25) : hsl(h, tint, 0.87);
+  const ink = hsl(h, Math.min(s, 0.25), 0.1);
+  // Text and links move away from the background until they pass.
+  const away = dark ? 0.02 : -0.02;
+  const text = readableOn([bg, surface], [h, Math.min(s, 0.2), dark ? 0.93 : 0.12], away);
+  const muted = readableOn([bg, surface], [h, Math.min(s, 0.12), dark ? 0.68 : 0.4], away);
+  const link = readableOn([bg], [h, s, pl], away);
+  const accent = fillFor(ink, [h + preset.accentShift, Math.max(s, 0.55), dark ? 0.6 : 0.5]);
+
+  const scale = (n) => `${round(preset.ratio ** n)}rem`;
+
+  return {
+    ...Object.fromEntries(Object.entries(SHADES).map(([n, l]) => [`color-primary-${n}`, toHex(hsl(h, s, l))])),
+    "color-primary": toHex(primary),
+    "color-primary-hover": toHex(hsl(h, s, pl + (dark ? 0.08 : -0.08))),
+    "color-on-primary": toHex(textOn(primary, ink)),
+    "color-accent": toHex(accent),
+    "color-on-accent": toHex(textOn(accent, ink)),
+    "color-bg": toHex(bg),
+    "color-surface": toHex(surface),
+    "color-border": toHex(border),
+    "color-text": toHex(text),
+    "color-text-muted": toHex(muted),
+    "color-link": toHex(link),
+    "font-body": preset.fontBody,
+    "font-heading": preset.fontHeading,
+    "font-weight-heading": String(preset.headingWeight),
+    "line-height-body": String(preset.lineHeight),
+    "line-height-heading": "1.2",
+    "font-size-sm": scale(-1),
+    "font-size-base": "1rem",
+    "font-size-lg": scale(1),
+    "font-size-xl": scale(2),
+    "font-size-2xl": scale(3),
+    "font-size-3xl": scale(4),
+    "font-size-4xl": scale(5),
+    ...Object.fromEntries(SPACE_STEPS.map((step, i) => [`space-${i + 1}`, `${round(step * preset.space)}rem`])),
+    "radius-sm": `${preset.radius / 2}px`,
+    "radius-md": `${preset.radius}px`,
+    "radius-lg": `${preset.radius * 2}px`,
+    "radius-pill": "999px",
+    "shadow-md": dark ? "0 4px 16px rgb(0 0 0 / 0.45)" : "0 4px 16px rgb(15 23 42 / 0.08)",
+  };
+}
+
+// Characters that could end the declaration, the rule or the <style> block.
+const UNSAFE_VALUE = /[;{}<>\\]|\/\*/;
+
+/**
+ * Keeps the user's token overrides that name a known token and hold a
+ * value that is safe to drop into a declaration.
+ */
+export function normalizeTokenOverrides(value) {
+  if (!value || typeof value !== "object" || Array.isArray(value)) return {};
+  return Object.fromEntries(
+    TOKEN_NAMES.filter((name) => typeof value[name] === "string")
+      .map((name) => [name, value[name].trim()])
+      .filter(([, v]) => v && v.length <= 120 && !UNSAFE_VALUE.test(v))
+  );
+}
+
+// Derived tokens with the spec's overrides applied.
+export const resolveTokens = (safe) => ({ ...deriveTokens(safe), ...normalizeTokenOverrides(safe.tokens) });
+
+export const tokensCss = (tokens) =>
+  `:root {\n${Object.entries(tokens).map(([name, value]) => `  --${name}: ${value};`).join("\n")}\n}`;
+
+export const tokensStyleTag = (tokens) =>
+  `<style id="${TOKENS_STYLE_ID}">\n${tokensCss(tokens)}\n</style>`;
+
+/**
+ * Contrast of each CONTRAST_PAIRS entry. Pairs whose colours were
+ * overridden with something other than a solid colour are skipped.
+ */
+export function tokenContrast(tokens) {
+  return CONTRAST_PAIRS.flatMap(({ label, fg, bg }) => {
+    const a = parseColor(tokens[fg]);
+    const b = parseColor(tokens[bg]);
+    if (!a || !b) return [];
+    const ratio = round(contrastRatio(a, b), 2);
+    return [{ label, fg, bg, ratio, passes: ratio >= MIN_CONTRAST }];
+  });
+}
@@ -0,0 +1,136 @@
+import { produceResponse } from "./generation.js";
+
+/* =======================
+   Variants
+   ======================= */
+
+// Variants mode runs several generations of one spec side by side instead
+// of walking the fallback chain: one per model/temperature pair, a few at
+// a time, with every usable result returned so the user can compare them
+// and promote one. Each variant uses a single model, so a failure drops
+// that variant instead of falling back.
+
+export class VariantError extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 400;
+  }
+}
+
+// Temperatures worked through once every model has had a turn at the
+// providers' default (0.4).
+const SPREAD = [0.4, 0.9, 0.1, 1.2];
+
+const positive = (value, fallback) => {
+  const n = Number(value);
+  return Number.isFinite(n) && n > 0 ? Math.floor(n) : fallback;
+};
+
+/**
+ * VARIANTS_MAX caps how many variants one request may ask for (default 4),
+ * VARIANTS_CONCURRENCY how many of them run at once (default 2).
+ */
+export function loadVariantConfig(env = process.env) {
+  return { max: positive(env.VARIANTS_MAX, 4), concurrency: positive(env.VARIANTS_CONCURRENCY, 2) };
+}
+
+// What a request's `variants` will cost, for metering before validation;
+// the plan itself rejects anything invalid.
+export function variantCount(variants, config) {
+  const n = Array.isArray(variants) ? variants.length : Number.isInteger(variants) ? variants : 0;
+  return Math.min(Math.max(n, 1), config.max);
+}
+
+/**
+ * Turns a request's `variants` into attempts ({ provider, model,
+ * temperature }) for generateWithFallback. `variants` is either a count,
+ * spread over the spec's model chain and then over temperatures, or a list
+ * of { provider?, model?, temperature? }. `resolve({ provider, model })`
+ * returns the attempt for a model, or null when it is not available.
+ */
+export function planVariants(variants, { chain, resolve, config }) {
+  if (Number.isInteger(variants)) {
+    if (variants < 2 || variants > config.max) {
+      throw new VariantError(`variants must be between 2 and ${config.max}`);
+    }
+    return Array.from({ length: variants }, (_, i) => ({
+      ...chain[i % chain.length],
+      temperature: SPREAD[Math.floor(i / chain.length) % SPREAD.length],
+    }));
+  }
+
+  if (!Array.isArray(variants) || variants.length < 2 || variants.length > config.max) {
+    throw new VariantError(`variants must be a number or a list of 2 to ${config.max} { model, temperature } entries`);
+  }
+  return variants.map((variant, i) => {
+    const { provider, model, temperature = SPREAD[0] } = variant || {};
+    if ((provider !== undefined && typeof provider !== "string") || (model !== undefined && typeof model !== "string")) {
+      throw new VariantError(`variants[${i}]: provider and model must be strings`);
+    }
+    if (typeof temperature !== "number" || temperature < 0 || temperature > 2) {
+      throw new VariantError(`variants[${i}].temperature must be a number from 0 to 2`);
+    }
+    const attempt = resolve({ provider, model });
+    if (!attempt) throw new VariantError(`variants[${i}]: model "${model}" is not available`);
+    return { ...attempt, temperature };
+  });
+}
+
+// "openrouter / some-model, temperature 0.9", for the saved version.
+export const variantLabel = ({ provider, model, temperature }) =>
+  [[provider?.id || provider, model].filter(Boolean).join(" / "), typeof temperature === "number" && `temperature ${temperature}`]
+    .filter(Boolean)
+    .join(", ");
+
+/**
+ * Runs every planned variant, `concurrency` at a time, with the generation
+ * `options` (see produceResponse), without the cache or `onSuccess`:
+ * nothing is saved until a variant is promoted. `onFinish(finished,
+ * total)` fires as each one settles. Resolves to { variants, failed } where
+ * each variant is a response body plus { index, provider, model,
+ * temperature, ms }, or to a body with `error` when none succeeded.
+ */
+export async function runVariants(plan, options, { signal, onFinish, concurrency = plan.length } = {}) {
+  let finished = 0;
+  let next = 0;
+  const results = [];
+
+  async function run(attempt, index) {
+    const started = Date.now();
+    const body = await produceResponse({
+      ...options,
+      chain: [attempt],
+      cache: undefined,
+      onSuccess: undefined,
+      signal,
+    }).catch((err) => ({ error: err.message }));
+    onFinish?.(++finished, plan.length);
+    return {
+      index,
+      provider: attempt.provider.id,
+      model: attempt.model,
+      temperature: attempt.temperature,
+      ms: Date.now() - started,
+      ...(body.error ? { error: body.details || body.error } : body),
+    };
+  }
+
+  // Each worker takes the next unstarted variant until none are left.
+  async function worker() {
+    while (next < plan.length && !signal?.aborted) {
+      const index = next++;
+      results[index] = await run(plan[index], index);
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(concurrency, plan.length) }, worker));
+
+  if (signal?.aborted) return { error: "Generation was cancelled", cancelled: true };
+  const variants = results.filter((r) => !r.error);
+  const failed = results
+    .filter((r) => r.error)
+    .map(({ index, provider, model, temperature, ms, error }) => ({ index, provider, model, temperature, ms, error }));
+  if (!variants.length) {
+    return { error: "No variant returned usable HTML", details: failed.map((f) => `${f.model}: ${f.error}`).join("; "), failed };
+  }
+  return { variants, failed };
+}
@@ -0,0 +1,94 @@
+import fetch from "node-fetch";
+import { log } from "../lib/logger.js";
+
+// Shared client for OpenAI-style /chat/completions endpoints (OpenRouter,
+// Ollama, llama.cpp, vLLM, ...). Resolves with { text, finishReason }.
+export async function chatCompletion({
+  url,
+  headers = {},
+  model,
+  prompt,
+  messages,
+  temperature = 0.4,
+  maxTokens = 5500,
+  onToken,
+  signal,
+  label = "LLM",
+}) {
+  const stream = typeof onToken === "function";
+
+  const res = await fetch(url, {
+    method: "POST",
+    headers: { "Content-Type": "application/json", ...headers },
+    body: JSON.stringify({
+      model,
+      messages: messages || [{ role: "user", content: prompt }],
+      temperature,
+      max_tokens: maxTokens,
+      stream,
+    }),
+    signal,
+  });
+
+  if (!res.ok) {
+    const raw = await res.text();
+    log.warn(`${label} request failed`, { status: res.status, body: raw.slice(0, 2000) });
+    throw new Error(raw || `${label} responded with ${res.status}`);
+  }
+
+  if (!stream) {
+    const data = JSON.parse(await res.text());
+    const choice = data?.choices?.[0];
+    return {
+      text: choice?.message?.content || "",
+      finishReason: choice?.finish_reason || null,
+    };
+  }
+
+  return readCompletionStream(res.body, onToken);
+}
+
+// OpenAI-style SSE: "data: {json}" lines, ": comment" keep-alives and a
+// final "data: [DONE]".
+async function readCompletionStream(body, onToken) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+  let text = "";
+  let finishReason = null;
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+
+    let idx;
+    while ((idx = buffer.indexOf("\n")) >= 0) {
+      const line = buffer.slice(0, idx).trim();
+      buffer = buffer.slice(idx + 1);
+
+      if (!line.startsWith("data:")) continue;
+      const payload = line.slice(5).trim();
+      if (payload === "[DONE]") return { text, finishReason };
+
+      let data;
+      try {
+        data = JSON.parse(payload);
+      } catch {
+        continue;
+      }
+
+      if (data?.error) {
+        throw new Error(data.error.message || JSON.stringify(data.error));
+      }
+
+      const choice = data?.choices?.[0];
+      if (choice?.finish_reason) finishReason = choice.finish_reason;
+
+      const delta = choice?.delta?.content || "";
+      if (delta) {
+        text += delta;
+        onToken(delta);
+      }
+    }
+  }
+
+  return { text, finishReason };
+}
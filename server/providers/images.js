@@ -0,0 +1,119 @@
+import crypto from "node:crypto";
+import { escapeHtml } from "../lib/html.js";
+
+// Image providers fill the image slots found by lib/images.js. A provider
+// is { id, label, generate(slot, { tokens, signal }) } where `slot` is
+// { kind: "illustration" | "avatar" | "logo" | "background", alt, prompt,
+// src, width, height } and `generate` resolves to { mime, data } (data a
+// string or Buffer). Only the offline placeholder provider ships; a real
+// image model plugs in as another factory below.
+
+const factories = {
+  placeholder: () => placeholderImages,
+};
+
+/**
+ * IMAGE_PROVIDER picks the provider (default "placeholder").
+ */
+export function loadImageConfig(env = process.env) {
+  return { provider: (env.IMAGE_PROVIDER || "placeholder").trim() };
+}
+
+export function createImageProvider(config) {
+  const factory = factories[config.provider];
+  if (!factory) {
+    throw new Error(`Unknown IMAGE_PROVIDER "${config.provider}" (expected one of: ${Object.keys(factories).join(", ")})`);
+  }
+  return factory(config);
+}
+
+/* ---------- deterministic placeholders ---------- */
+
+// A stream of numbers in [0, 1) seeded by `text`, so the same slot always
+// gets the same picture.
+function seeded(text) {
+  const bytes = crypto.createHash("sha256").update(text).digest();
+  let i = 0;
+  return () => bytes[i++ % bytes.length] / 256;
+}
+
+const pick = (rand, list) => list[Math.floor(rand() * list.length)];
+
+// Palette from the design tokens, with fallbacks for callers without them.
+function paletteOf(tokens) {
+  const t = (name, fallback) => (/^#[0-9a-f]{6}$/i.test(tokens[name] || "") ? tokens[name] : fallback);
+  return {
+    light: t("color-primary-200", "#c7d2fe"),
+    mid: t("color-primary-400", "#818cf8"),
+    main: t("color-primary", "#4f46e5"),
+    deep: t("color-primary-700", "#3730a3"),
+    accent: t("color-accent", "#f59e0b"),
+    fills: ["color-primary-600", "color-primary-700", "color-primary-800", "color-primary-900"].map((n, i) =>
+      t(n, ["#4338ca", "#3730a3", "#312e81", "#1e1b4b"][i])
+    ),
+  };
+}
+
+const STOP_WORDS = new Set(["a", "an", "the", "of", "photo", "portrait", "headshot", "picture", "image", "avatar", "profile", "for", "and", "our", "team", "member"]);
+
+// "Portrait of Jane Doe, CEO" -> "JD".
+function initialsOf(text) {
+  const words = String(text).replace(/[^\p{L}\s]/gu, " ").split(/\s+/).filter(Boolean);
+  const names = words.filter((w) => /^\p{Lu}/u.test(w) && !STOP_WORDS.has(w.toLowerCase()));
+  const chosen = (names.length ? names : words.filter((w) => !STOP_WORDS.has(w.toLowerCase()))).slice(0, 2);
+  return chosen.map((w) => w[0].toUpperCase()).join("") || "?";
+}
+
+const svg = (width, height, body) =>
+  `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" preserveAspectRatio="xMidYMid slice">${body}</svg>`;
+
+function gradient(id, rand, from, to) {
+  const angle = Math.floor(rand() * 360);
+  return `<defs><linearGradient id="${id}" gradientTransform="rotate(${angle} .5 .5)"><stop offset="0" stop-color="${from}"/><stop offset="1" stop-color="${to}"/></linearGradient></defs>`;
+}
+
+function illustration({ width, height }, rand, p) {
+  const blobs = Array.from({ length: 3 + Math.floor(rand() * 3) }, () => {
+    const r = Math.round((0.12 + rand() * 0.3) * Math.min(width, height));
+    const cx = Math.round(rand() * width);
+    const cy = Math.round(rand() * height);
+    return `<circle cx="${cx}" cy="${cy}" r="${r}" fill="${pick(rand, [p.light, p.accent, "#ffffff"])}" fill-opacity="${(0.15 + rand() * 0.3).toFixed(2)}"/>`;
+  });
+  const base = Math.round(height * (0.6 + rand() * 0.15));
+  const crest = Math.round(height * (0.35 + rand() * 0.2));
+  const hills = `<path d="M0 ${base} Q ${Math.round(width * (0.2 + rand() * 0.3))} ${crest} ${Math.round(width * 0.55)} ${base} T ${width} ${base} V ${height} H 0 Z" fill="${p.deep}" fill-opacity="0.55"/>`;
+  return gradient("g", rand, p.mid, p.main) + `<rect width="100%" height="100%" fill="url(#g)"/>${blobs.join("")}${hills}`;
+}
+
+function avatar({ width, height, alt, prompt }, rand, p) {
+  const size = Math.min(width, height);
+  const text = escapeHtml(initialsOf(alt || prompt));
+  return `<rect width="100%" height="100%" fill="${pick(rand, p.fills)}"/><text x="50%" y="50%" dy=".35em" text-anchor="middle" font-family="system-ui, sans-serif" font-weight="600" font-size="${Math.round(size * 0.38)}" fill="#ffffff">${text}</text>`;
+}
+
+function logo({ width, height, alt, prompt }, rand, p) {
+  const size = Math.min(width, height);
+  const letter = escapeHtml(initialsOf(alt || prompt).slice(0, 1));
+  return gradient("g", rand, p.main, p.deep) + `<rect x="${(width - size) / 2}" y="${(height - size) / 2}" width="${size}" height="${size}" rx="${Math.round(size * 0.22)}" fill="url(#g)"/><text x="50%" y="50%" dy=".35em" text-anchor="middle" font-family="system-ui, sans-serif" font-weight="700" font-size="${Math.round(size * 0.5)}" fill="#ffffff">${letter}</text>`;
+}
+
+function background(slot, rand, p) {
+  return gradient("g", rand, p.main, pick(rand, [p.deep, p.accent])) + `<rect width="100%" height="100%" fill="url(#g)"/>`;
+}
+
+const RENDERERS = { illustration, avatar, logo, background };
+
+// Deterministic SVG artwork themed to the palette: gradients with soft
+// shapes for illustrations and backgrounds, initials for avatars and logos.
+export const placeholderImages = {
+  id: "placeholder",
+  label: "Offline placeholders",
+  async generate(slot, { tokens = {} } = {}) {
+    const rand = seeded(`${slot.kind}|${slot.prompt}|${slot.alt}|${slot.src}`);
+    const render = RENDERERS[slot.kind] || illustration;
+    return {
+      mime: "image/svg+xml",
+      data: svg(slot.width, slot.height, render(slot, rand, paletteOf(tokens))),
+    };
+  },
+};
@@ -0,0 +1,160 @@
+import fs from "node:fs";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import {
+  createOpenRouterProvider,
+  OPENROUTER_DEFAULT_MODELS,
+} from "./openrouter.js";
+import { createOpenAICompatibleProvider } from "./openai-compatible.js";
+import { createMockProvider } from "./mock.js";
+import { log } from "../lib/logger.js";
+
+const serverDir = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+
+const factories = {
+  openrouter: createOpenRouterProvider,
+  "openai-compatible": createOpenAICompatibleProvider,
+  mock: createMockProvider,
+};
+
+const splitList = (s) =>
+  (s || "")
+    .split(",")
+    .map((x) => x.trim())
+    .filter(Boolean);
+
+function readConfigFile(file) {
+  if (!fs.existsSync(file)) return {};
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (err) {
+    throw new Error(`Invalid provider config ${file}: ${err.message}`);
+  }
+}
+
+/**
+ * Builds the provider definitions from providers.json (or PROVIDERS_CONFIG)
+ * and the environment. Entries in the file win over env-derived ones.
+ *
+ *   OPENROUTER_API_KEY, OPENROUTER_MODELS        -> "openrouter"
+ *   OPENAI_COMPAT_BASE_URL, OPENAI_COMPAT_MODELS,
+ *   OPENAI_COMPAT_API_KEY, OPENAI_COMPAT_LABEL   -> "local"
+ *   ENABLE_MOCK_PROVIDER=true|false              -> adds or drops "mock"
+ *   DEFAULT_PROVIDER                             -> default provider id
+ *
+ * The mock is on by default outside production (NODE_ENV=production), and
+ * in production only when enabled or chosen as the default.
+ */
+export function loadProviderConfig(env = process.env) {
+  const file = env.PROVIDERS_CONFIG
+    ? path.resolve(env.PROVIDERS_CONFIG)
+    : path.join(serverDir, "providers.json");
+  const fileConfig = readConfigFile(file);
+  const providers = { ...(fileConfig.providers || {}) };
+
+  if (env.OPENROUTER_API_KEY && !providers.openrouter) {
+    providers.openrouter = {
+      type: "openrouter",
+      models: splitList(env.OPENROUTER_MODELS),
+    };
+  }
+
+  if (env.OPENAI_COMPAT_BASE_URL && !providers.local) {
+    providers.local = {
+      type: "openai-compatible",
+      label: env.OPENAI_COMPAT_LABEL || "Local (OpenAI-compatible)",
+      baseUrl: env.OPENAI_COMPAT_BASE_URL,
+      apiKeyEnv: "OPENAI_COMPAT_API_KEY",
+      models: splitList(env.OPENAI_COMPAT_MODELS),
+    };
+  }
+
+  const defaultProvider = fileConfig.defaultProvider || env.DEFAULT_PROVIDER;
+  const mockEnabled = env.ENABLE_MOCK_PROVIDER
+    ? env.ENABLE_MOCK_PROVIDER !== "false"
+    : env.NODE_ENV !== "production" || defaultProvider === "mock";
+  if (mockEnabled && !providers.mock) {
+    providers.mock = { type: "mock" };
+  }
+
+  return { defaultProvider, providers };
+}
+
+export function createProviderRegistry(config, env = process.env) {
+  const providers = new Map();
+
+  for (const [id, def] of Object.entries(config.providers)) {
+    const type = def.type || id;
+    const factory = factories[type];
+    if (!factory) throw new Error(`Unknown provider type "${type}" for ${id}`);
+
+    const apiKey =
+      def.apiKey ||
+      (def.apiKeyEnv && env[def.apiKeyEnv]) ||
+      (type === "openrouter" ? env.OPENROUTER_API_KEY : undefined);
+
+    if (type === "openrouter" && !apiKey) {
+      log.warn("Skipping provider: no API key configured", { provider: id });
+      continue;
+    }
+
+    const models =
+      def.models && def.models.length
+        ? def.models
+        : type === "openrouter"
+          ? OPENROUTER_DEFAULT_MODELS
+          : undefined;
+
+    providers.set(id, factory({ ...def, id, apiKey, models }));
+  }
+
+  const ids = [...providers.keys()];
+  let defaultProvider = providers.has(config.defaultProvider)
+    ? config.defaultProvider
+    : ids.find((id) => providers.get(id).type !== "mock") || ids[0];
+
+  // Falling back to the mock would answer every generation with a canned
+  // page, so in production it has to be chosen by name.
+  if (defaultProvider && defaultProvider !== config.defaultProvider && providers.get(defaultProvider).type === "mock") {
+    if (env.NODE_ENV === "production") defaultProvider = undefined;
+    else log.warn("No LLM providers configured; falling back to the mock provider");
+  }
+
+  return {
+    defaultProvider,
+
+    get: (id) => providers.get(id),
+
+    /**
+     * Returns the ordered [{ provider, model }] attempts for a spec. An
+     * unknown spec.provider (e.g. the legacy "chatgpt") means the default.
+     * spec.model is moved to the front of the chain; OpenRouter only
+     * accepts models from its configured list so a client can't pick a
+     * paid model on the shared key.
+     */
+    resolveChain({ provider: providerId, model } = {}) {
+      const provider =
+        providers.get(providerId) || providers.get(defaultProvider);
+      if (!provider) return [];
+
+      let models = [...provider.models];
+      const acceptsAny = provider.type === "openai-compatible";
+      if (model && (acceptsAny || models.includes(model))) {
+        models = [model, ...models.filter((m) => m !== model)];
+      }
+
+      return models.map((m) => ({ provider, model: m }));
+    },
+
+    describe: () => ({
+      defaultProvider,
+      providers: [...providers.values()].map((p) => ({
+        id: p.id,
+        label: p.label,
+        type: p.type,
+        models: p.models.map((m) => ({ id: m, label: m })),
+        fallbackOrder: [...p.models],
+      })),
+    }),
+  };
+}
@@ -0,0 +1,221 @@
+import { escapeHtml, kebab } from "../lib/html.js";
+import { FILE_MARKER, isMultipage, pageFileName } from "../lib/site.js";
+import { normalizeSpec, seoTags } from "../lib/prompt.js";
+import { resolveTokens, tokensStyleTag } from "../lib/tokens.js";
+
+// Deterministic offline provider: the same spec always yields the same
+// document, which makes it usable for local development and demos without
+// any API key.
+
+const mockPages = (safe) =>
+  safe.pages.length ? safe.pages : ["Home", "About", "Contact"];
+
+// Everything comes from the design tokens injected alongside.
+function mockStyles() {
+  return `*{box-sizing:border-box}
+body{margin:0;font-family:var(--font-body);font-size:var(--font-size-base);line-height:var(--line-height-body);background:var(--color-bg);color:var(--color-text)}
+h1,h2,h3{font-family:var(--font-heading);font-weight:var(--font-weight-heading);line-height:var(--line-height-heading)}
+h1{font-size:var(--font-size-4xl);margin:0 0 var(--space-3)}
+h2{font-size:var(--font-size-2xl)}
+header{background:var(--color-primary);color:var(--color-on-primary);padding:var(--space-8) var(--space-5);text-align:center}
+nav ul{display:flex;gap:var(--space-5);justify-content:center;list-style:none;margin:0;padding:var(--space-3);flex-wrap:wrap}
+nav a{color:var(--color-link);font-weight:600;text-decoration:none}
+main{max-width:960px;margin:0 auto;padding:var(--space-5)}
+section{padding:var(--space-6) 0;border-bottom:1px solid var(--color-border)}
+label{display:block;margin-top:var(--space-3);font-weight:600}
+input,textarea{width:100%;padding:var(--space-3);background:var(--color-surface);color:var(--color-text);border:1px solid var(--color-border);border-radius:var(--radius-md)}
+button{margin-top:var(--space-3);background:var(--color-primary);color:var(--color-on-primary);border:0;border-radius:var(--radius-md);padding:var(--space-3) var(--space-5)}
+button:hover{background:var(--color-primary-hover)}
+footer{text-align:center;padding:var(--space-5);color:var(--color-text-muted)}`;
+}
+
+function mockHead(safe, { title, stylesheet } = {}) {
+  const [seoTitle, ...metas] = seoTags(safe);
+  return `<meta charset="utf-8"/>
+<meta name="viewport" content="width=device-width,initial-scale=1"/>
+<meta name="color-scheme" content="${safe.theme}"/>
+${title ? `<title>${escapeHtml(title)}</title>` : seoTitle}
+${metas.join("\n")}
+${safe.include.analytics ? "<script data-analytics>/* analytics snippet goes here */</script>" : ""}
+${tokensStyleTag(resolveTokens(safe))}
+${stylesheet ? `<link rel="stylesheet" href="${stylesheet}"/>` : `<style>\n${mockStyles()}\n</style>`}`;
+}
+
+// One block per requested `include` feature. Their ids differ from the
+// page section ids (kebab-cased page names) so the two never clash.
+function mockFeatureBlocks(safe) {
+  const name = escapeHtml(safe.projectName);
+  const blocks = [];
+
+  if (safe.templateId === "saas") {
+    blocks.push(`<section id="pricing-plans"><h2>Pricing</h2>${["Starter", "Pro", "Team"]
+      .map((tier) => `<div class="tier"><h3>${tier}</h3><button type="button">Choose ${tier}</button></div>`)
+      .join("")}</section>`);
+  }
+  if (safe.templateId === "portfolio") {
+    blocks.push(`<section id="case-studies"><h2>Case studies</h2><p>Selected portfolio work.</p></section>`);
+  }
+  if (safe.include.imageGen) {
+    blocks.push(`<section id="image-gallery"><img src="hero.svg" alt="Illustration for ${name}" data-image-prompt="hero illustration for ${name}"/></section>`);
+  }
+  if (safe.include.cms) {
+    blocks.push(`<section id="latest-articles"><h2>Latest articles</h2>${[1, 2, 3]
+      .map((n) => `<article><h3>Article ${n}</h3><p>Excerpt ${n}.</p><a href="#latest-articles">Read more</a></article>`)
+      .join("")}</section>`);
+  }
+  if (safe.include.auth) {
+    blocks.push(`<section id="login"><h2>Log in</h2><form><label for="auth-email">Email</label><input id="auth-email" type="email"/><label for="auth-password">Password</label><input id="auth-password" type="password"/><button type="submit">Sign in</button></form></section>`);
+  }
+  if (safe.include.newsletter) {
+    blocks.push(`<section id="newsletter-signup"><h2>Newsletter</h2><form><label for="nl-email">Email</label><input id="nl-email" type="email"/><button type="submit">Subscribe</button></form></section>`);
+  }
+  if (safe.include.contactForm) {
+    blocks.push(`<section id="contact-form"><h2>Contact us</h2><form><label for="c-name">Name</label><input id="c-name"/><label for="c-email">Email</label><input id="c-email" type="email"/><label for="c-message">Message</label><textarea id="c-message" rows="4"></textarea><button type="submit">Send</button></form></section>`);
+  }
+
+  return blocks.join("\n");
+}
+
+// A redesign keeps the source page's copy: one section per content section
+// of the original (see lib/redesign.js), its text items as paragraphs. The
+// mock's own header, nav and footer stand in for the original's.
+function mockSourceSections(source) {
+  return source.sections
+    .filter((s) => !["header", "nav", "footer"].includes(s.tag))
+    .map(
+      (s, i) => `
+  <section id="${kebab(s.heading) || `part-${i + 1}`}">
+    ${s.items
+      .map((item) =>
+        /^h[1-6]$/.test(item.tag) ? `<h2>${escapeHtml(item.text)}</h2>` : `<p>${escapeHtml(item.text)}</p>`
+      )
+      .join("\n    ")}
+  </section>`
+    )
+    .join("");
+}
+
+export function renderMockSite(spec = {}, source = null) {
+  const safe = normalizeSpec(spec);
+  const name = escapeHtml(safe.projectName);
+  const pages = mockPages(safe);
+
+  const nav = pages
+    .map((p) => `<li><a href="#${kebab(p)}">${escapeHtml(p)}</a></li>`)
+    .join("");
+  const sections = source
+    ? mockSourceSections(source)
+    : pages
+        .map(
+          (p) => `
+  <section id="${kebab(p)}">
+    <h2>${escapeHtml(p)}</h2>
+    <p>${escapeHtml(p)} content for ${name}.</p>
+  </section>`
+        )
+        .join("");
+
+  return `<!doctype html>
+<html lang="en" data-theme="${safe.theme}">
+<head>
+${mockHead(safe)}
+</head>
+<body>
+<header>
+  <h1>${name}</h1>
+  <p>${escapeHtml(safe.brief)}</p>
+</header>
+<nav><ul>${nav}</ul></nav>
+<main>${sections}
+${mockFeatureBlocks(safe)}
+</main>
+<footer>&copy; ${name}</footer>
+</body>
+</html>`;
+}
+
+// Multi-page variant, emitted in the same marker format the models are
+// asked for.
+export function renderMockSiteFiles(spec = {}, source = null) {
+  const safe = normalizeSpec(spec);
+  const name = escapeHtml(safe.projectName);
+  const pages = mockPages(safe);
+
+  const nav = pages
+    .map((p) => `<li><a href="${pageFileName(p)}">${escapeHtml(p)}</a></li>`)
+    .join("");
+
+  const parts = pages.map((p, i) => {
+    const title = escapeHtml(p);
+    return `${FILE_MARKER} ${pageFileName(p)}>>>
+<!doctype html>
+<html lang="en" data-theme="${safe.theme}">
+<head>
+${mockHead(safe, { title: i === 0 ? null : `${p} | ${safe.projectName}`, stylesheet: "styles.css" })}
+</head>
+<body>
+<header><h1>${name}</h1><p>${title}</p></header>
+<nav><ul>${nav}</ul></nav>
+<main><h2>${title}</h2><p>${escapeHtml(safe.brief)}</p>
+${i === 0 && source ? mockSourceSections(source) : ""}
+${i === 0 ? mockFeatureBlocks(safe) : ""}
+</main>
+<footer>&copy; ${name}</footer>
+</body>
+</html>`;
+  });
+
+  return [...parts, `${FILE_MARKER} styles.css>>>\n${mockStyles()}`].join("\n");
+}
+
+// Offline stand-in for an edit: keeps the document and records the request
+// so the refinement thread still produces distinct versions.
+export function applyMockRefinement(html = "", instruction = "") {
+  const note = `<!-- refinement: ${instruction.replace(/--/g, "- -")} -->\n`;
+  return /<\/body>/i.test(html)
+    ? html.replace(/<\/body>/i, () => `${note}</body>`)
+    : html + "\n" + note;
+}
+
+// Same for a section rewrite: the section comes back with the request
+// noted just inside its closing tag.
+export function applyMockSectionRewrite(section = "", instruction = "") {
+  const note = `<!-- regenerated${instruction ? `: ${instruction.replace(/--/g, "- -")}` : ""} -->\n`;
+  return section.replace(/(<\/[a-z]+>)\s*$/i, (_, tail) => note + tail);
+}
+
+export function createMockProvider({
+  id = "mock",
+  label = "Offline mock",
+  models = ["mock-basic"],
+} = {}) {
+  return {
+    id,
+    label,
+    type: "mock",
+    models,
+    async complete({ spec, task, onToken, signal }) {
+      // Mock output is never cut off, so there is nothing to continue.
+      if (task?.kind === "continue") return { text: "", finishReason: "stop" };
+
+      const text =
+        task?.kind === "refine"
+          ? applyMockRefinement(task.html, task.instruction)
+          : task?.kind === "section"
+            ? applyMockSectionRewrite(task.section, task.instruction)
+            : isMultipage(spec)
+              ? renderMockSiteFiles(spec, task?.source)
+              : renderMockSite(spec, task?.source);
+
+      if (typeof onToken === "function") {
+        for (let i = 0; i < text.length; i += 64) {
+          if (signal?.aborted) throw new Error("Aborted");
+          onToken(text.slice(i, i + 64));
+          await new Promise((resolve) => setImmediate(resolve));
+        }
+      }
+
+      return { text, finishReason: "stop" };
+    },
+  };
+}
@@ -0,0 +1,28 @@
+import { chatCompletion } from "./chat.js";
+
+// Any server speaking the OpenAI chat API, e.g. Ollama
+// (http://localhost:11434/v1) or llama.cpp (http://localhost:8080/v1).
+export function createOpenAICompatibleProvider({
+  id,
+  label,
+  baseUrl,
+  apiKey,
+  models = [],
+}) {
+  if (!baseUrl) throw new Error(`Provider "${id}" is missing baseUrl`);
+  const url = baseUrl.replace(/\/+$/, "") + "/chat/completions";
+
+  return {
+    id,
+    label: label || id,
+    type: "openai-compatible",
+    models,
+    complete: (opts) =>
+      chatCompletion({
+        ...opts,
+        label: id.toUpperCase(),
+        url,
+        headers: apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+      }),
+  };
+}
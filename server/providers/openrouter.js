@@ -0,0 +1,32 @@
+import { chatCompletion } from "./chat.js";
+
+export const OPENROUTER_DEFAULT_MODELS = [
+  "mistralai/devstral-2512:free",
+  "nvidia/nemotron-3-nano-30b-a3b:free",
+  "nex-agi/deepseek-v3.1-nex-n1:free",
+];
+
+export function createOpenRouterProvider({
+  id = "openrouter",
+  label = "OpenRouter",
+  apiKey,
+  models = OPENROUTER_DEFAULT_MODELS,
+}) {
+  return {
+    id,
+    label,
+    type: "openrouter",
+    models,
+    complete: (opts) =>
+      chatCompletion({
+        ...opts,
+        label: "OPENROUTER",
+        url: "https://openrouter.ai/api/v1/chat/completions",
+        headers: {
+          Authorization: `Bearer ${apiKey}`,
+          "HTTP-Referer": "https://aiwebsitegenerator.onrender.com",
+          "X-Title": "AI Website Generator",
+        },
+      }),
+  };
+}
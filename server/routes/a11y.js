@@ -0,0 +1,74 @@
+import express from "express";
+import { auditAccessibility, autoFixAccessibility } from "../lib/a11y.js";
+import { normalizeSpec } from "../lib/prompt.js";
+import { addVersion, getProject, projectOwner, versionSummary } from "../lib/projects.js";
+import { checkSpec } from "../lib/spec.js";
+import { log } from "../lib/logger.js";
+
+const router = express.Router();
+
+const AUTO_FIX_NOTE = "Accessibility auto-fix";
+
+// Same document shape as /api/refine: one `html` string, optionally with the
+// whole multi-page site in `files`.
+function readDocument(body) {
+  const { html, files } = body || {};
+  if (typeof html !== "string" || !html.trim()) return { error: "html is required" };
+  if (
+    files !== undefined &&
+    (typeof files !== "object" || files === null || Array.isArray(files) ||
+      Object.values(files).some((v) => typeof v !== "string"))
+  ) {
+    return { error: "files must map file names to strings" };
+  }
+  return { html, files };
+}
+
+const fail = (res, err) => {
+  if (!err.status) log.error("Backend error", err);
+  res.status(err.status || 500).json({ error: err.message, details: err.details });
+};
+
+router.post("/audit", (req, res) => {
+  try {
+    const doc = readDocument(req.body);
+    if (doc.error) return res.status(400).json({ error: doc.error });
+
+    res.json(auditAccessibility(doc, normalizeSpec(req.body.spec || {})));
+  } catch (err) {
+    fail(res, err);
+  }
+});
+
+router.post("/fix", (req, res) => {
+  try {
+    const doc = readDocument(req.body);
+    if (doc.error) return res.status(400).json({ error: doc.error });
+
+    const { projectId, parentId, rootId } = req.body;
+    // Validated like every other spec that ends up in a saved version.
+    const spec = req.body.spec === undefined ? undefined : checkSpec(req.body.spec);
+    if (projectId) getProject(projectId, projectOwner(req.apiKey));
+
+    const result = autoFixAccessibility(doc, normalizeSpec(spec));
+    if (!projectId || !result.fixed.length) return res.json(result);
+
+    const version = addVersion(projectId, {
+      html: result.html,
+      files: result.files,
+      spec,
+      model: null,
+      provider: null,
+      prompt: AUTO_FIX_NOTE,
+      instruction: AUTO_FIX_NOTE,
+      parentId,
+      rootId,
+      a11y: result.a11y,
+    });
+    res.json({ ...result, projectId, version: versionSummary(version) });
+  } catch (err) {
+    fail(res, err);
+  }
+});
+
+export default router;
@@ -0,0 +1,45 @@
+import express from "express";
+import { isAdminToken, issueKey, listKeys, readBearer, revokeKey } from "../lib/api-keys.js";
+
+// Key management and usage, guarded by `Authorization: Bearer $ADMIN_TOKEN`.
+// Without ADMIN_TOKEN the routes are not reachable at all.
+export default function createAdminRouter({ config, limiter }) {
+  const router = express.Router();
+
+  router.use((req, res, next) => {
+    if (!config.adminToken) return res.status(404).json({ error: "Admin API is disabled" });
+    let token;
+    try {
+      token = readBearer(req);
+    } catch {
+      token = null;
+    }
+    if (!isAdminToken(token, config)) return res.status(401).json({ error: "Invalid admin token" });
+    next();
+  });
+
+  router.get("/keys", (req, res) => {
+    res.json({
+      defaults: { key: config.key, anonymous: config.anonymous },
+      requireKey: config.requireKey,
+      keys: listKeys(),
+      anonymous: limiter.anonymousUsage(),
+    });
+  });
+
+  router.post("/keys", (req, res) => {
+    const { alias, perMinute, perDay } = req.body || {};
+    if (typeof alias !== "string" || !alias.trim()) {
+      return res.status(400).json({ error: "alias is required" });
+    }
+    res.status(201).json(issueKey({ alias, perMinute, perDay }));
+  });
+
+  router.delete("/keys/:id", (req, res) => {
+    const key = revokeKey(req.params.id);
+    if (!key) return res.status(404).json({ error: `Key ${req.params.id} not found` });
+    res.json(key);
+  });
+
+  return router;
+}
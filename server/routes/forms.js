@@ -0,0 +1,79 @@
+import express from "express";
+import cors from "cors";
+import { addSubmission, createFormLimiter } from "../lib/forms.js";
+import { escapeHtml } from "../lib/html.js";
+import { findByFormToken } from "../lib/projects.js";
+import { log } from "../lib/logger.js";
+
+// Public endpoint the forms of generated sites post to (see lib/forms.js
+// for the wiring). Sites are hosted anywhere, so any origin may post, and
+// both plain form posts (answered with a small page) and fetch() calls
+// asking for JSON are supported. The inbox itself lives under
+// /api/projects/:id/submissions.
+
+// Our own markup, no scripts.
+const PAGE_CSP = "default-src 'none'; style-src 'unsafe-inline'; frame-ancestors *; base-uri 'none'";
+
+function resultPage(res, status, title, message, back) {
+  res
+    .status(status)
+    .set({ "Content-Security-Policy": PAGE_CSP, "Cache-Control": "no-store", "X-Content-Type-Options": "nosniff" })
+    .type("html")
+    .send(`<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8"/>
+<meta name="viewport" content="width=device-width,initial-scale=1"/>
+<title>${escapeHtml(title)}</title>
+<style>
+body{margin:0;min-height:100vh;display:grid;place-items:center;font-family:system-ui,sans-serif;background:#f8fafc;color:#0f172a}
+main{max-width:360px;padding:32px;background:#fff;border:1px solid #e2e8f0;border-radius:12px}
+h1{font-size:1.25rem;margin:0 0 8px}
+p{color:#475569}
+a{color:#4338ca;font-weight:600}
+</style>
+</head>
+<body>
+<main>
+<h1>${escapeHtml(title)}</h1>
+<p>${escapeHtml(message)}</p>
+${back ? `<p><a href="${escapeHtml(back)}">Back to the site</a></p>` : ""}
+</main>
+</body>
+</html>`);
+}
+
+// The page the form was on, when the browser tells us and it is a web page.
+const refererOf = (req) => {
+  const referer = req.get("referer") || "";
+  return /^https?:\/\//i.test(referer) ? referer.slice(0, 500) : null;
+};
+
+export default function createFormsRouter(config) {
+  const router = express.Router();
+  const limit = createFormLimiter(config);
+
+  router.use(cors());
+  router.use(express.urlencoded({ extended: false, limit: "64kb" }));
+  router.use(express.json({ limit: "64kb" }));
+
+  router.post("/:formToken", (req, res) => {
+    const json = req.accepts(["html", "json"]) === "json";
+    const page = refererOf(req);
+    const reply = (status, title, message) =>
+      json ? res.status(status).json(status < 400 ? { ok: true, message } : { error: message }) : resultPage(res, status, title, message, page);
+
+    try {
+      const project = findByFormToken(req.params.formToken);
+      addSubmission(project.id, req.body || {}, { page, limit });
+      reply(200, "Thank you!", "Your message was sent.");
+    } catch (err) {
+      if (!err.status) log.error("Backend error", err);
+      if (err.retryAfter) res.set("Retry-After", String(err.retryAfter));
+      const message = err.status === 404 ? "This form is no longer accepting submissions." : err.status ? err.message : "Something went wrong, please try again.";
+      reply(err.status || 500, "Not sent", message);
+    }
+  });
+
+  return router;
+}
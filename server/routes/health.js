@@ -0,0 +1,61 @@
+import crypto from "node:crypto";
+import express from "express";
+import { readBearer } from "../lib/api-keys.js";
+import { METRICS_CONTENT_TYPE } from "../lib/metrics.js";
+
+const startedAt = Date.now();
+
+const sameSecret = (a, b) => {
+  const hash = (s) => crypto.createHash("sha256").update(s).digest();
+  return crypto.timingSafeEqual(hash(a), hash(b));
+};
+
+// GET /api/health for load balancers and uptime checks, GET /metrics for
+// Prometheus. With METRICS_TOKEN set, /metrics wants it as a bearer token.
+export default function createHealthRouter({ providers, tracker, jobs, metrics, metricsToken }) {
+  const router = express.Router();
+
+  // "unavailable" (503) once every model of the default provider is open,
+  // "degraded" while any model is.
+  router.get("/api/health", (req, res) => {
+    const { defaultProvider, providers: list } = providers.describe();
+    const tried = tracker.snapshot();
+    const stats = (id, model) => tried.find((m) => m.provider === id && m.model === model);
+
+    const described = list.map(({ id, type, fallbackOrder }) => ({
+      id,
+      type,
+      models: fallbackOrder.map((model) => {
+        const { provider, ...rest } = stats(id, model) || { state: "closed", attempts: 0 };
+        return { ...rest, model };
+      }),
+    }));
+    const models = described.flatMap((p) => p.models);
+    const usable = described.find((p) => p.id === defaultProvider)?.models.some((m) => m.state !== "open");
+    const status = !usable ? "unavailable" : models.some((m) => m.state === "open") ? "degraded" : "ok";
+
+    res.status(status === "unavailable" ? 503 : 200).json({
+      status,
+      startedAt: new Date(startedAt).toISOString(),
+      uptimeSeconds: Math.round((Date.now() - startedAt) / 1000),
+      defaultProvider,
+      providers: described,
+      jobs: jobs.stats(),
+    });
+  });
+
+  router.get("/metrics", (req, res) => {
+    if (metricsToken) {
+      let token;
+      try {
+        token = readBearer(req);
+      } catch {
+        token = null;
+      }
+      if (!token || !sameSecret(token, metricsToken)) return res.status(401).json({ error: "Invalid metrics token" });
+    }
+    res.type(METRICS_CONTENT_TYPE).send(metrics.render());
+  });
+
+  return router;
+}
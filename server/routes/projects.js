@@ -0,0 +1,147 @@
+import express from "express";
+import {
+  addVersion,
+  createProject,
+  deleteProject,
+  deleteVersion,
+  getProject,
+  getVersion,
+  listProjects,
+  projectOwner,
+  updateProject,
+  versionSummary,
+} from "../lib/projects.js";
+import { checkSpec } from "../lib/spec.js";
+import { deleteSiteSubmissions, deleteSubmission, FORM_KINDS, listSubmissions, submissionsCsv } from "../lib/forms.js";
+import { kebab } from "../lib/html.js";
+import { isSiteFiles, SITE_FILES_ERROR } from "../lib/site.js";
+import { log } from "../lib/logger.js";
+
+const router = express.Router();
+
+// Mounted behind `authenticate` (lib/api-keys.js): callers only see the
+// projects of the API key they send (or the anonymous ones without one).
+const owner = (req) => projectOwner(req.apiKey);
+
+// Wraps a sync handler so NotFoundError & co. become JSON responses. A
+// handler either returns the body or answers itself.
+const handle = (fn) => (req, res) => {
+  try {
+    const result = fn(req, res);
+    if (result !== undefined && !res.headersSent) res.json(result);
+  } catch (err) {
+    if (!err.status) log.error("Backend error", err);
+    res.status(err.status || 500).json({ error: err.message, details: err.details });
+  }
+};
+
+router.get(
+  "/",
+  handle((req) => ({
+    projects: listProjects({ withVersions: req.query.versions === "1", owner: owner(req) }),
+  }))
+);
+
+router.post(
+  "/",
+  handle((req, res) => {
+    const { name, spec } = req.body || {};
+    res.status(201).json(createProject({ name, spec: spec === undefined ? undefined : checkSpec(spec), owner: owner(req) }));
+  })
+);
+
+router.get("/:id", handle((req) => getProject(req.params.id, owner(req))));
+
+router.patch(
+  "/:id",
+  handle((req) => {
+    const { name, spec } = req.body || {};
+    return updateProject(req.params.id, { name, spec: spec === undefined ? undefined : checkSpec(spec) }, owner(req));
+  })
+);
+
+router.delete(
+  "/:id",
+  handle((req, res) => {
+    deleteProject(req.params.id, owner(req));
+    deleteSiteSubmissions(req.params.id);
+    res.status(204).end();
+  })
+);
+
+router.post(
+  "/:id/versions",
+  handle((req, res) => {
+    const { html, files, spec, model, provider, prompt, instruction, parentId, rootId, warnings, checks, a11y } =
+      req.body || {};
+    getProject(req.params.id, owner(req));
+    if (typeof html !== "string" || !html.trim()) {
+      return res.status(400).json({ error: "html is required" });
+    }
+    if (files !== undefined && files !== null && !isSiteFiles(files)) {
+      return res.status(400).json({ error: SITE_FILES_ERROR });
+    }
+    const version = addVersion(req.params.id, {
+      html,
+      files: files || undefined,
+      spec: spec === undefined ? undefined : checkSpec(spec),
+      model: model || null,
+      provider: provider || null,
+      prompt: prompt || null,
+      instruction,
+      parentId,
+      rootId,
+      warnings,
+      checks,
+      a11y,
+    });
+    res.status(201).json(versionSummary(version));
+  })
+);
+
+router.get(
+  "/:id/versions/:versionId",
+  handle((req) => getVersion(req.params.id, req.params.versionId, owner(req)))
+);
+
+router.delete(
+  "/:id/versions/:versionId",
+  handle((req, res) => {
+    deleteVersion(req.params.id, req.params.versionId, owner(req));
+    res.status(204).end();
+  })
+);
+
+// Form inbox: what visitors sent through the project's generated forms
+// (see lib/forms.js). ?kind=contact|newsletter filters, ?format=csv
+// downloads instead.
+router.get(
+  "/:id/submissions",
+  handle((req, res) => {
+    const project = getProject(req.params.id, owner(req));
+    const { kind, format } = req.query;
+    if (kind !== undefined && !FORM_KINDS.includes(kind)) {
+      return res.status(400).json({ error: `kind must be one of: ${FORM_KINDS.join(", ")}` });
+    }
+    const submissions = listSubmissions(project.id, { kind });
+    if (format !== "csv") return { submissions };
+
+    res
+      .type("text/csv")
+      .attachment(`${kebab(project.name) || "project"}-${kind || "submissions"}.csv`)
+      .send(submissionsCsv(submissions));
+  })
+);
+
+router.delete(
+  "/:id/submissions/:submissionId",
+  handle((req, res) => {
+    getProject(req.params.id, owner(req));
+    if (!deleteSubmission(req.params.id, req.params.submissionId)) {
+      return res.status(404).json({ error: `Submission ${req.params.submissionId} not found` });
+    }
+    res.status(204).end();
+  })
+);
+
+export default router;
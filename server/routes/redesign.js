@@ -0,0 +1,27 @@
+import express from "express";
+import { extractSite, sourceHtmlError } from "../lib/redesign.js";
+
+const router = express.Router();
+
+// Reads an uploaded page into spec fields to pre-fill the form, plus a
+// summary of the content the redesign will keep. No model is involved; the
+// generation itself goes through /api/generate with `sourceHtml`.
+router.post("/extract", (req, res) => {
+  const { html } = req.body || {};
+  const error = sourceHtmlError(html, "html");
+  if (error) return res.status(400).json({ error });
+
+  const { spec, source } = extractSite(html);
+  res.json({
+    spec,
+    source: {
+      title: source.title,
+      description: source.description,
+      nav: source.nav,
+      colors: source.colors,
+      sections: source.sections.map(({ id, tag, heading, items }) => ({ id, tag, heading, items: items.length })),
+    },
+  });
+});
+
+export default router;
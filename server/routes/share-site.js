@@ -0,0 +1,192 @@
+import express from "express";
+import { escapeHtml } from "../lib/html.js";
+import { createLimiter } from "../lib/api-keys.js";
+import { accessToken, checkPassword, getShare, recordView } from "../lib/shares.js";
+import { cleanFileName, inlineSiteAssets } from "../lib/site.js";
+import { log } from "../lib/logger.js";
+
+// Public pages for share links: GET /p/:slug (and /p/:slug/<file> for
+// multi-page sites). Shared HTML is untrusted model output served from
+// the API's origin, so it runs under a sandboxing CSP: an opaque origin
+// (no access to our cookies or API), no network calls, no framing, and
+// form posts only to the form endpoint (routes/forms.js).
+
+const shareCsp = (origin) =>
+  [
+    "default-src 'none'",
+    "script-src 'unsafe-inline' https:",
+    "style-src 'unsafe-inline' https:",
+    "img-src data: blob: https:",
+    "font-src data: https:",
+    "media-src data: https:",
+    "connect-src 'none'",
+    `form-action ${origin}/api/forms/`,
+    "frame-ancestors 'none'",
+    "base-uri 'none'",
+    "sandbox allow-scripts allow-forms allow-popups allow-popups-to-escape-sandbox",
+  ].join("; ");
+
+// The password form is our own markup: no scripts at all.
+const FORM_CSP = "default-src 'none'; style-src 'unsafe-inline'; form-action 'self'; frame-ancestors 'none'; base-uri 'none'";
+
+// Public shares may be cached briefly, never past their expiry.
+const MAX_AGE = 300;
+
+const COOKIE = "aiwm_share";
+
+const CONTENT_TYPES = { html: "text/html", css: "text/css", js: "text/javascript", xml: "application/xml", txt: "text/plain" };
+
+function readCookie(req, name) {
+  for (const part of (req.get("cookie") || "").split(";")) {
+    const [key, ...value] = part.trim().split("=");
+    if (key === name) return decodeURIComponent(value.join("="));
+  }
+  return null;
+}
+
+function statusPage(res, status, title, message, extra = "") {
+  res
+    .status(status)
+    .set({
+      "Content-Security-Policy": FORM_CSP,
+      "Cache-Control": "no-store",
+      "X-Content-Type-Options": "nosniff",
+      "Referrer-Policy": "no-referrer",
+      "X-Robots-Tag": "noindex",
+    })
+    .type("html")
+    .send(`<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8"/>
+<meta name="viewport" content="width=device-width,initial-scale=1"/>
+<title>${escapeHtml(title)}</title>
+<style>
+body{margin:0;min-height:100vh;display:grid;place-items:center;font-family:system-ui,sans-serif;background:#f8fafc;color:#0f172a}
+main{max-width:360px;padding:32px;background:#fff;border:1px solid #e2e8f0;border-radius:12px}
+h1{font-size:1.25rem;margin:0 0 8px}
+p{color:#475569}
+label{display:block;font-weight:600;margin:16px 0 6px}
+input{width:100%;box-sizing:border-box;padding:10px;border:1px solid #cbd5e1;border-radius:8px}
+button{margin-top:12px;padding:10px 16px;border:0;border-radius:8px;background:#4f46e5;color:#fff;font-weight:600}
+.error{color:#b91c1c}
+</style>
+</head>
+<body>
+<main>
+<h1>${escapeHtml(title)}</h1>
+<p>${escapeHtml(message)}</p>
+${extra}
+</main>
+</body>
+</html>`);
+}
+
+const passwordPage = (res, share, error, status = 401) =>
+  statusPage(
+    res,
+    status,
+    share.title,
+    "This shared site is password protected.",
+    `<form method="post">
+${error ? `<p class="error">${escapeHtml(error)}</p>` : ""}
+<label for="password">Password</label>
+<input id="password" name="password" type="password" autocomplete="current-password" required autofocus/>
+<button type="submit">View site</button>
+</form>`
+  );
+
+export default function createShareSiteRouter(config) {
+  const router = express.Router();
+  // Password guesses per share and client IP; only the per-minute window
+  // applies, there is no daily cap.
+  const attempts = createLimiter();
+  const unlockLimits = { perMinute: config.unlockPerMinute, perDay: Infinity };
+
+  // Resolves the share or answers with a 404/410 page.
+  function load(req, res) {
+    try {
+      return getShare(req.params.slug);
+    } catch (err) {
+      if (!err.status) {
+        log.error("Backend error", err);
+        statusPage(res, 500, "Something went wrong", "The shared site could not be loaded.");
+      } else if (err.status === 410) {
+        statusPage(res, 410, "Link expired", "This share link has expired.");
+      } else {
+        statusPage(res, 404, "Not found", "There is no shared site at this address.");
+      }
+      return null;
+    }
+  }
+
+  const unlocked = (req, share) =>
+    !share.password || readCookie(req, COOKIE) === accessToken(share, config.secret);
+
+  function serve(req, res) {
+    const share = load(req, res);
+    if (!share) return;
+    if (!unlocked(req, share)) return passwordPage(res, share);
+
+    // Multi-page sites are served under /p/:slug/ so relative links work.
+    const file = req.params.file ? cleanFileName(req.params.file) : "index.html";
+    if (share.files && !req.params.file && !req.originalUrl.split("?")[0].endsWith("/")) {
+      return res.redirect(302, `${req.baseUrl}/${share.slug}/`);
+    }
+    const content = share.files ? share.files[file] : file === "index.html" ? share.html : undefined;
+    if (typeof content !== "string") {
+      return statusPage(res, 404, "Not found", "This shared site has no such page.");
+    }
+
+    const ext = file.split(".").pop();
+    const body = ext === "html" && share.files ? inlineSiteAssets(content, share.files) : content;
+    const maxAge = share.expiresAt
+      ? Math.min(MAX_AGE, Math.max(0, Math.floor((share.expiresAt - Date.now()) / 1000)))
+      : MAX_AGE;
+
+    res.set({
+      "Content-Type": `${CONTENT_TYPES[ext]}; charset=utf-8`,
+      "Cache-Control": share.password ? "private, no-store" : `public, max-age=${maxAge}`,
+      "Content-Security-Policy": shareCsp(config.publicUrl || `${req.protocol}://${req.get("host")}`),
+      "X-Content-Type-Options": "nosniff",
+      "Referrer-Policy": "no-referrer",
+      "X-Robots-Tag": "noindex",
+    });
+    if (share.password) res.set("Vary", "Cookie");
+    if (ext === "html") recordView(share);
+    res.send(body);
+  }
+
+  router.get("/:slug", serve);
+  router.get("/:slug/:file", serve);
+
+  // The password form posts back to the page it was shown on.
+  async function unlock(req, res) {
+    const share = load(req, res);
+    if (!share) return;
+    if (!share.password) return res.redirect(303, req.originalUrl);
+    try {
+      attempts.consume({ id: `${share.slug}:${req.ip}`, key: null, limits: unlockLimits });
+    } catch (err) {
+      if (err.status !== 429) throw err;
+      res.set("Retry-After", String(err.retryAfter));
+      return passwordPage(res, share, `Too many attempts, try again in ${err.retryAfter} seconds.`, 429);
+    }
+    if (!(await checkPassword(share, req.body?.password))) return passwordPage(res, share, "Wrong password, try again.");
+
+    res.cookie(COOKIE, accessToken(share, config.secret), {
+      path: `${req.baseUrl}/${share.slug}`,
+      httpOnly: true,
+      sameSite: "lax",
+      secure: req.secure,
+      ...(share.expiresAt ? { expires: new Date(share.expiresAt) } : {}),
+    });
+    res.redirect(303, req.originalUrl);
+  }
+
+  const form = express.urlencoded({ extended: false, limit: "2kb" });
+  router.post("/:slug", form, unlock);
+  router.post("/:slug/:file", form, unlock);
+
+  return router;
+}
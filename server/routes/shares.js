@@ -0,0 +1,65 @@
+import express from "express";
+import { createShare, deleteShare, getShare, shareSummary } from "../lib/shares.js";
+import { isSiteFiles, SITE_FILES_ERROR } from "../lib/site.js";
+import { log } from "../lib/logger.js";
+
+// Creating and managing share links; the shared pages themselves are
+// served by routes/share-site.js.
+export default function createSharesRouter(config) {
+  const router = express.Router();
+
+  const shareUrl = (req, slug) =>
+    `${config.publicUrl || `${req.protocol}://${req.get("host")}`}/p/${slug}`;
+
+  const handle = (fn) => async (req, res) => {
+    try {
+      await fn(req, res);
+    } catch (err) {
+      if (!err.status) log.error("Backend error", err);
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  };
+
+  router.post(
+    "/",
+    handle(async (req, res) => {
+      const { html, files, title, expiresIn = null, password = "" } = req.body || {};
+
+      if (typeof html !== "string" || !html.trim()) {
+        return res.status(400).json({ error: "html is required" });
+      }
+      if (files !== undefined && files !== null && !isSiteFiles(files)) {
+        return res.status(400).json({ error: SITE_FILES_ERROR });
+      }
+      if (expiresIn !== null && !(Number.isFinite(expiresIn) && expiresIn > 0)) {
+        return res.status(400).json({ error: "expiresIn must be a positive number of seconds or null" });
+      }
+      if (typeof password !== "string" || password.length > 200) {
+        return res.status(400).json({ error: "password must be a string of at most 200 characters" });
+      }
+
+      req.chargeGenerations();
+      const share = await createShare({ html, files: files || null, title, expiresIn, password });
+      res.status(201).json({ ...share, url: shareUrl(req, share.slug) });
+    })
+  );
+
+  router.get(
+    "/:slug",
+    handle((req, res) => {
+      const share = shareSummary(getShare(req.params.slug));
+      res.json({ ...share, url: shareUrl(req, share.slug) });
+    })
+  );
+
+  // Needs the delete token handed out on creation (X-Delete-Token header).
+  router.delete(
+    "/:slug",
+    handle((req, res) => {
+      deleteShare(req.params.slug, req.get("x-delete-token"));
+      res.status(204).end();
+    })
+  );
+
+  return router;
+}
@@ -1,11 +1,89 @@
 import express from "express";
 import cors from "cors";
 import dotenv from "dotenv";
-import fetch from "node-fetch";
+import { produceResponse, respondWithGeneration, toDownloadUrl } from "./lib/generation.js";
+import { createJobQueue, loadJobConfig } from "./lib/jobs.js";
+import { buildRefineMessages } from "./lib/refine.js";
+import { buildSectionMessages, extractSection, replaceSection } from "./lib/sections.js";
+import { cleanFileName, isMultipage } from "./lib/site.js";
+import { buildPrompt, normalizeSpec } from "./lib/prompt.js";
+import { extractSite, sourceHtmlError, sourceOutline } from "./lib/redesign.js";
+import { resolveTokens } from "./lib/tokens.js";
+import { checkSpec } from "./lib/spec.js";
+import { SPEC_SCHEMA } from "../shared/spec-schema.js";
+import { imageSources, localizeImages } from "./lib/images.js";
+import { enforceSpec } from "./lib/spec-checks.js";
+import { addVersion, getProject, projectOwner, versionSummary } from "./lib/projects.js";
+import projectsRouter from "./routes/projects.js";
+import a11yRouter from "./routes/a11y.js";
+import redesignRouter from "./routes/redesign.js";
+import createAdminRouter from "./routes/admin.js";
+import createSharesRouter from "./routes/shares.js";
+import createShareSiteRouter from "./routes/share-site.js";
+import createFormsRouter from "./routes/forms.js";
+import { formAction, loadFormConfig, wireForms } from "./lib/forms.js";
+import { loadShareConfig } from "./lib/shares.js";
+import { auditAccessibility } from "./lib/a11y.js";
+import {
+  authenticate,
+  createLimiter,
+  loadLimitConfig,
+  meterGenerations,
+  resolveBucket,
+} from "./lib/api-keys.js";
+import { createResultCache, generationCacheKey, loadCacheConfig } from "./lib/cache.js";
+import { loadVariantConfig, planVariants, runVariants, variantCount, variantLabel } from "./lib/variants.js";
+import { kebab } from "./lib/html.js";
+import { createZip, toZipDataUrl } from "./lib/zip.js";
+import { EXPORT_FRAMEWORKS, exportReactProject } from "./lib/react-export.js";
+import { createProviderRegistry, loadProviderConfig } from "./providers/index.js";
+import { createImageProvider, loadImageConfig } from "./providers/images.js";
+import { log, requestLogger, routeLabel } from "./lib/logger.js";
+import { createMetrics, MODEL_BUCKETS } from "./lib/metrics.js";
+import { CIRCUIT_STATES, createModelTracker, loadCircuitConfig } from "./lib/reliability.js";
+import createHealthRouter from "./routes/health.js";
 dotenv.config();
 
 const app = express();
 
+// Every request gets an id (X-Request-Id) that its log lines carry, and is
+// counted and timed per route for /metrics.
+const metrics = createMetrics();
+const httpRequests = metrics.counter("http_requests_total", "HTTP requests answered", ["method", "route", "status"]);
+const httpDuration = metrics.histogram(
+  "http_request_duration_seconds",
+  "Time to answer HTTP requests",
+  ["method", "route"]
+);
+app.use(
+  requestLogger({
+    quiet: ["/api/health", "/metrics"],
+    onFinish: (req, res, ms) => {
+      const route = routeLabel(req);
+      httpRequests.inc({ method: req.method, route, status: res.statusCode });
+      httpDuration.observe({ method: req.method, route }, ms / 1000);
+    },
+  })
+);
+
+// Behind a reverse proxy, rate limits need the client's address rather
+// than the proxy's (e.g. TRUST_PROXY=1 for one hop).
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set("trust proxy", Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
+
+// Shared sites are opened directly in the browser (and post their password
+// form from our own origin), so they are mounted ahead of the CORS check.
+// So are form submissions, which come from generated sites hosted anywhere.
+const shares = loadShareConfig();
+app.use("/p", createShareSiteRouter(shares));
+const forms = loadFormConfig();
+app.use("/api/forms", createFormsRouter(forms));
+if (!forms.publicUrl) {
+  log.warn("PUBLIC_URL is not set; generated forms and share links will use the host of each request");
+}
+
 
 
 const allowedOrigins = [
@@ -28,193 +106,562 @@ app.use(
 
       return callback(new Error("Not allowed by CORS"));
     },
-    methods: ["GET", "POST", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization"],
+    methods: ["GET", "POST", "PATCH", "DELETE", "OPTIONS"],
+    allowedHeaders: ["Content-Type", "Authorization", "X-Delete-Token", "X-Request-Id"],
+    exposedHeaders: [
+      "X-Request-Id",
+      "Retry-After",
+      "X-RateLimit-Limit",
+      "X-RateLimit-Remaining",
+      "X-Quota-Limit",
+      "X-Quota-Remaining",
+    ],
   })
 );
 
 
 app.use(express.json({ limit: "1mb" }));
 
-const { OPENROUTER_API_KEY } = process.env;
+const providers = createProviderRegistry(loadProviderConfig());
 
-if (!OPENROUTER_API_KEY) {
-  console.error("Missing OPENROUTER_API_KEY in .env");
+if (!providers.defaultProvider) {
+  log.error("No LLM providers configured (set OPENROUTER_API_KEY or providers.json, or DEFAULT_PROVIDER=mock for offline output)");
   process.exit(1);
 }
+log.info("Default LLM provider", { provider: providers.defaultProvider });
+
+// How each model has been doing: failing models are skipped for a while
+// and the rest are tried best-first (lib/reliability.js).
+const tracker = createModelTracker(loadCircuitConfig());
+const modelRequests = metrics.counter(
+  "model_requests_total",
+  "Model attempts by outcome",
+  ["provider", "model", "outcome"]
+);
+const modelDuration = metrics.histogram(
+  "model_request_duration_seconds",
+  "Time per model attempt, including continuations",
+  ["provider", "model"],
+  MODEL_BUCKETS
+);
+metrics.gauge("model_circuit_state", "Circuit state per model: 0 closed, 1 half-open, 2 open", () =>
+  tracker.snapshot().map((m) => ({ labels: { provider: m.provider, model: m.model }, value: CIRCUIT_STATES.indexOf(m.state) }))
+);
+metrics.gauge("model_failure_ratio", "Share of failed attempts over each model's recent window", () =>
+  tracker
+    .snapshot()
+    .filter((m) => m.successRate !== null)
+    .map((m) => ({ labels: { provider: m.provider, model: m.model }, value: Number((1 - m.successRate).toFixed(3)) }))
+);
 
-const stripFences = (s = "") =>
-  s
-    .trim()
-    .replace(/^```(html)?\s*/i, "")
-    .replace(/```$/i, "")
-    .trim();
-
-const ensureFullDoc = (html = "", spec = {}) => {
-  const hasHtml =
-    /<\s*html[\s>]/i.test(html) || /<!doctype html>/i.test(html);
-
-  if (hasHtml) return html;
-
-  const title = (spec.projectName || "Website").toString();
-  const safeTitle = title.replace(
-    /[&<>"']/g,
-    (m) =>
-      ({
-        "&": "&amp;",
-        "<": "&lt;",
-        ">": "&gt;",
-        '"': "&quot;",
-        "'": "&#39;",
-      }[m])
-  );
-
-  return `<!doctype html>
-<html lang="en">
-<head>
-<meta charset="utf-8"/>
-<meta name="viewport" content="width=device-width,initial-scale=1"/>
-<title>${safeTitle}</title>
-</head>
-<body>
-${html}
-</body>
-</html>`;
-};
+function recordAttempt(attempt, { ok, ms, error }) {
+  const labels = { provider: attempt.provider.id, model: attempt.model };
+  tracker.record(attempt, { ok, ms, error });
+  modelRequests.inc({ ...labels, outcome: ok ? "success" : "failure" });
+  modelDuration.observe(labels, ms / 1000);
+  if (!ok) log.warn("Model attempt failed", { ...labels, ms, error });
+}
+
+// Every call to a generation endpoint spends model requests on our shared
+// provider keys, so callers are metered per API key (or per IP). Routes
+// charge once the body has been validated (req.chargeGenerations()).
+// Variants are charged one generation each.
+const limits = loadLimitConfig();
+const limiter = createLimiter();
+const variantConfig = loadVariantConfig();
+const variantCost = (req) => variantCount(req.body?.variants, variantConfig);
+const metered = meterGenerations({
+  config: limits,
+  limiter,
+  cost: (req) => (req.body?.kind === "variants" ? variantCost(req) : 1),
+});
+const meteredVariants = meterGenerations({ config: limits, limiter, cost: variantCost });
+// Creating a share counts against the caller's per-minute rate limit but
+// spends none of the daily generation quota.
+const meteredShares = meterGenerations({ config: limits, limiter, cost: () => 0 });
+// The other /api routes that store or process client data need a valid key
+// too once REQUIRE_API_KEY is on; they are not charged.
+const authenticated = authenticate({ config: limits });
+
+// Identical specs on the same model chain reuse the earlier result.
+const resultCache = createResultCache(loadCacheConfig());
+
+const jobs = createJobQueue(loadJobConfig());
+metrics.gauge("generation_jobs_running", "Generation jobs running", () => jobs.stats().running);
+metrics.gauge("generation_jobs_queued", "Generation jobs waiting to run", () => jobs.stats().queued);
 
 /* =======================
-   OpenRouter call
+   Route
    ======================= */
 
-async function callOpenRouter({ model, prompt }) {
-  const res = await fetch("https://openrouter.ai/api/v1/chat/completions", {
-    method: "POST",
-    headers: {
-      Authorization: `Bearer ${OPENROUTER_API_KEY}`,
-      "Content-Type": "application/json",
-      "HTTP-Referer": "https://aiwebsitegenerator.onrender.com",
-      "X-Title": "AI Website Generator",
-    },
-    body: JSON.stringify({
-      model,
-      messages: [{ role: "user", content: prompt }],
-      temperature: 0.4,
-      max_tokens: 5500,
-    }),
+// Without PUBLIC_URL, form actions point at the host the request came in
+// on (set TRUST_PROXY behind a proxy so the scheme is right).
+const requestOrigin = (req) => `${req.protocol}://${req.get("host")}`;
+
+// Points a result's contact and newsletter forms at the project's form
+// inbox (lib/forms.js). Returns the body fields that change, if any. This
+// runs after caching because the form action differs per project.
+function connectForms(body, projectId, origin) {
+  const action = formAction(forms, getProject(projectId).formToken, origin);
+  const { html, files, count } = wireForms(body, action);
+  if (!count) return {};
+  return {
+    html,
+    ...(files ? { files, downloadUrl: toZipDataUrl(files) } : { downloadUrl: toDownloadUrl(html) }),
+    warnings: [
+      ...(body.warnings || []),
+      { code: "forms-connected", message: `Connected ${count} form(s) to the project's form inbox` },
+    ],
+  };
+}
+
+// When the request names a project, successful results get their forms
+// connected and are appended to it as a new version; the stored summary is
+// returned alongside. `origin` is the requesting host (requestOrigin).
+const saveVersionTo = (projectId, meta, origin) =>
+  projectId
+    ? (body) => {
+        const connected = connectForms(body, projectId, origin);
+        const out = { ...body, ...connected };
+        const version = addVersion(projectId, {
+          html: out.html,
+          files: out.files,
+          model: out.model,
+          provider: out.provider,
+          warnings: out.warnings,
+          checks: out.checks,
+          a11y: out.a11y,
+          ...meta,
+        });
+        return { ...connected, projectId, version: versionSummary(version) };
+      }
+    : undefined;
+
+// Saved versions record which client key produced them.
+const stampKey = (spec, apiKey) => (apiKey ? { ...spec, apiKeyAlias: apiKey.alias } : spec);
+
+// Every generated or refined result ships with its accessibility audit.
+const withAudit = (out, safe) => ({ ...out, a11y: auditAccessibility(out, safe) });
+
+// ...and, with AI image gen ticked, with missing and placeholder images
+// replaced by generated ones. Images already on `before` (the page being
+// edited or redesigned) are the user's and stay.
+const imageProvider = createImageProvider(loadImageConfig());
+const withImages = (out, safe, before = "") =>
+  safe.include.imageGen
+    ? localizeImages(out, { provider: imageProvider, tokens: resolveTokens(safe), keep: imageSources(before) })
+    : out;
+
+const badRequest = (message) => Object.assign(new Error(message), { status: 400 });
+
+// The models to try for a spec, in the order the tracker currently
+// prefers; a model the client picked stays first while it works.
+function resolveChain(spec) {
+  const chain = providers.resolveChain(spec);
+  if (!chain.length) throw badRequest(`No models available for provider "${spec.provider}"`);
+  return tracker.order(chain, { pinned: spec.model && chain[0].model === spec.model ? 1 : 0 });
+}
+
+// Validates a /api/generate body and turns it into respondWithGeneration
+// options. Shared with generation jobs; throws errors with `status`.
+// A `sourceHtml` page makes it a redesign of that page (lib/redesign.js).
+function generateOptions(body, apiKey, origin) {
+  const { projectId, cache, sourceHtml } = body || {};
+
+  const spec = checkSpec(body?.spec, { required: ["brief"] });
+  if (cache !== undefined && cache !== "default" && cache !== "bypass") {
+    throw badRequest('cache must be "default" or "bypass"');
+  }
+  if (sourceHtml !== undefined && sourceHtmlError(sourceHtml)) throw badRequest(sourceHtmlError(sourceHtml));
+  if (projectId) getProject(projectId, projectOwner(apiKey));
+
+  const safe = normalizeSpec(spec);
+  if (isMultipage(spec) && !safe.pages.length) safe.pages = ["Home"];
+
+  const source = sourceHtml === undefined ? null : extractSite(sourceHtml).source;
+  const prompt = buildPrompt(safe, { source });
+  const chain = resolveChain(spec);
+
+  return {
+    chain,
+    prompt,
+    spec,
+    task: source ? { kind: "redesign", source } : undefined,
+    // Keyed on the configured chain, which doesn't move with circuit state.
+    cache:
+      cache === "bypass"
+        ? { bypass: true }
+        : {
+            store: resultCache,
+            key: generationCacheKey(safe, providers.resolveChain(spec), { source: source && sourceOutline(source) }),
+          },
+    finalize: async (out) => withAudit(await withImages(enforceSpec(out, safe), safe, sourceHtml), safe),
+    onAttemptEnd: recordAttempt,
+    onSuccess: saveVersionTo(projectId, { spec: stampKey(spec, apiKey), prompt }, origin),
+  };
+}
+
+// Same for /api/refine.
+function refineOptions(body, apiKey, origin) {
+  const {
+    html,
+    instruction,
+    turns,
+    spec: input,
+    projectId,
+    parentId,
+    rootId,
+    files,
+    page,
+  } = body || {};
+
+  if (typeof html !== "string" || !html.trim()) throw badRequest("html is required");
+  if (typeof instruction !== "string" || !instruction.trim()) {
+    throw badRequest("instruction is required");
+  }
+  if (files && (typeof files !== "object" || !cleanFileName(page) || !files[page])) {
+    throw badRequest("page must name an HTML file in files");
+  }
+  if (projectId) getProject(projectId, projectOwner(apiKey));
+  const spec = checkSpec(input);
+
+  const chain = resolveChain(spec);
+  const safe = normalizeSpec(spec);
+  const messages = buildRefineMessages({
+    html,
+    instruction,
+    turns: Array.isArray(turns) ? turns : [],
   });
 
-  const raw = await res.text();
+  return {
+    chain,
+    messages,
+    spec,
+    task: { kind: "refine", html, instruction },
+    onAttemptEnd: recordAttempt,
+    // On a multi-page site only `page` was refined; splice it back in.
+    finalize: async (result) => {
+      const out = await withImages(result, safe, html);
+      if (!files) return withAudit(enforceSpec(out, safe), safe);
+      const next = { ...files, [page]: out.html };
+      return withAudit(enforceSpec({ ...out, files: next, html: next["index.html"] }, safe), safe);
+    },
+    onSuccess: saveVersionTo(projectId, {
+      spec: stampKey(spec, apiKey),
+      prompt: instruction,
+      instruction,
+      parentId,
+      rootId,
+    }, origin),
+  };
+}
 
-  if (!res.ok) {
-    console.error("OPENROUTER ERROR:", raw);
-    throw new Error(raw);
+// Same for /api/generate/section: rewrites one top-level section (see
+// lib/sections.js) of `html`, with the rest of the page as style context.
+function sectionOptions(body, apiKey, origin) {
+  const {
+    html,
+    sectionId,
+    instruction = "",
+    spec: input,
+    projectId,
+    parentId,
+    rootId,
+    files,
+    page,
+  } = body || {};
+
+  if (typeof html !== "string" || !html.trim()) throw badRequest("html is required");
+  if (typeof sectionId !== "string" || !sectionId.trim()) throw badRequest("sectionId is required");
+  if (typeof instruction !== "string") throw badRequest("instruction must be a string");
+  if (files && (typeof files !== "object" || !cleanFileName(page) || !files[page])) {
+    throw badRequest("page must name an HTML file in files");
   }
+  if (projectId) getProject(projectId, projectOwner(apiKey));
+  const spec = checkSpec(input);
+
+  const { section } = extractSection(html, sectionId);
+  const chain = resolveChain(spec);
+  const safe = normalizeSpec(spec);
+  const messages = buildSectionMessages({
+    html,
+    sectionId,
+    instruction,
+    css: typeof files?.["styles.css"] === "string" ? files["styles.css"] : "",
+  });
+  const label = `Regenerated section "${sectionId}"${instruction.trim() ? `: ${instruction.trim()}` : ""}`;
+
+  return {
+    chain,
+    messages,
+    spec,
+    task: { kind: "section", html, sectionId, section, instruction },
+    onAttemptEnd: recordAttempt,
+    finalize: async (result) => {
+      const out = await withImages(result, safe, html);
+      const pageHtml = replaceSection(html, sectionId, out.html);
+      if (!files) return withAudit(enforceSpec({ ...out, html: pageHtml }, safe), safe);
+      const next = { ...files, [page]: pageHtml };
+      return withAudit(enforceSpec({ ...out, files: next, html: next["index.html"] }, safe), safe);
+    },
+    onSuccess: saveVersionTo(projectId, {
+      spec: stampKey(spec, apiKey),
+      prompt: label,
+      instruction: label,
+      parentId,
+      rootId,
+    }, origin),
+  };
+}
 
-  const data = JSON.parse(raw);
-  return data?.choices?.[0]?.message?.content || "";
+// Same for /api/generate/variants: the /api/generate options plus the
+// planned variants (lib/variants.js), one attempt each.
+function variantsOptions(body, apiKey, origin) {
+  const options = generateOptions({ ...body, cache: undefined }, apiKey, origin);
+  const plan = planVariants(body.variants, {
+    chain: options.chain,
+    config: variantConfig,
+    resolve: ({ provider, model }) => {
+      const chain = providers.resolveChain({ ...options.spec, provider: provider ?? options.spec.provider, model });
+      return model ? chain.find((a) => a.model === model) || null : chain[0] || null;
+    },
+  });
+  return { plan, options };
 }
 
-/* =======================
-   Route
-   ======================= */
+const GENERATION_KINDS = {
+  generate: generateOptions,
+  refine: refineOptions,
+  section: sectionOptions,
+};
 
-app.post("/api/generate", async (req, res) => {
+app.post("/api/generate", metered, async (req, res) => {
   try {
-    const { spec } = req.body || {};
-
-    if (!spec?.brief) {
-      return res.status(400).json({ error: "spec.brief is required" });
-    }
+    const options = generateOptions(req.body, req.apiKey, requestOrigin(req));
+    req.chargeGenerations();
+    return await respondWithGeneration(req, res, options);
+  } catch (err) {
+    if (!err.status) log.error("Backend error", err);
+    res.status(err.status || 500).json({ error: err.message, details: err.details });
+  }
+});
 
-    const safe = {
-      projectName: spec.projectName || "Website",
-      brief: spec.brief || "",
-      primaryColor: spec.primaryColor || "#4f46e5",
-      style: spec.style || "modern, clean",
-      tone: spec.tone || "professional",
-      pages: Array.isArray(spec.pages) ? spec.pages : [],
-    };
+app.post("/api/refine", metered, async (req, res) => {
+  try {
+    const options = refineOptions(req.body, req.apiKey, requestOrigin(req));
+    req.chargeGenerations();
+    return await respondWithGeneration(req, res, options);
+  } catch (err) {
+    if (!err.status) log.error("Backend error", err);
+    res.status(err.status || 500).json({ error: err.message, details: err.details });
+  }
+});
 
-   const prompt = `
-You are a senior frontend engineer and UX designer.
+app.post("/api/generate/section", metered, async (req, res) => {
+  try {
+    const options = sectionOptions(req.body, req.apiKey, requestOrigin(req));
+    req.chargeGenerations();
+    return await respondWithGeneration(req, res, options);
+  } catch (err) {
+    if (!err.status) log.error("Backend error", err);
+    res.status(err.status || 500).json({ error: err.message, details: err.details });
+  }
+});
 
-Generate a production-quality, fully responsive, single-file website.
+// Generates several variants in parallel and answers with all of them;
+// nothing is saved until one is promoted below.
+app.post("/api/generate/variants", meteredVariants, async (req, res) => {
+  try {
+    const { plan, options } = variantsOptions(req.body, req.apiKey, requestOrigin(req));
+    req.chargeGenerations();
+    const body = await runVariants(plan, options, { concurrency: variantConfig.concurrency });
+    res.status(body.error ? 502 : 200).json(body);
+  } catch (err) {
+    if (!err.status) log.error("Backend error", err);
+    res.status(err.status || 500).json({ error: err.message, details: err.details });
+  }
+});
 
-Rules:
-- Return ONLY valid HTML
-- ONE complete HTML document
-- Inline or internal CSS only
-- Vanilla JavaScript only
+// Saves the variant the user picked as a new version of the project, with
+// its forms connected like any other generation.
+app.post("/api/generate/variants/promote", authenticated, (req, res) => {
+  try {
+    const { projectId, spec: input, variant } = req.body || {};
+    if (typeof projectId !== "string" || !projectId) throw badRequest("projectId is required");
+    if (typeof variant?.html !== "string" || !variant.html.trim()) throw badRequest("variant.html is required");
+    const { files } = variant;
+    if (
+      files != null &&
+      (typeof files !== "object" ||
+        typeof files["index.html"] !== "string" ||
+        !Object.entries(files).every(([file, content]) => cleanFileName(file) === file && typeof content === "string"))
+    ) {
+      throw badRequest("variant.files must map *.html/*.css/*.js/*.xml/*.txt names to strings, including index.html");
+    }
+    getProject(projectId, projectOwner(req.apiKey));
+    const spec = checkSpec(input);
+
+    const save = saveVersionTo(
+      projectId,
+      { spec: stampKey(spec, req.apiKey), prompt: `Variant ${variantLabel(variant)}` },
+      requestOrigin(req)
+    );
+    const { html, model = null, provider = null, warnings, checks, a11y } = variant;
+    res.status(201).json(save({ html, files: files || undefined, model, provider, warnings, checks, a11y }));
+  } catch (err) {
+    if (!err.status) log.error("Backend error", err);
+    res.status(err.status || 500).json({ error: err.message, details: err.details });
+  }
+});
 
-Context:
-Project Name: ${safe.projectName}
+/* =======================
+   Jobs
+   ======================= */
 
-Brief:
-${safe.brief}
+// The same generations as above, run in the background: POST answers 202
+// with a job id right away and clients poll GET until the job is done.
+// DELETE cancels, aborting the upstream model request. A job belongs to the
+// key that queued it (or to anonymous callers, like projects do); anyone
+// else gets a 404.
+app.post("/api/jobs", metered, (req, res) => {
+  try {
+    const { kind = "generate", ...body } = req.body || {};
+    let job;
+    if (kind === "variants") {
+      const { plan, options } = variantsOptions(body, req.apiKey, requestOrigin(req));
+      req.chargeGenerations();
+      job = jobs.submit({
+        kind,
+        owner: projectOwner(req.apiKey),
+        total: plan.length,
+        run: ({ signal, onFinish }) => runVariants(plan, options, { signal, onFinish, concurrency: variantConfig.concurrency }),
+      });
+    } else {
+      const buildOptions = GENERATION_KINDS[kind];
+      if (!buildOptions) {
+        throw badRequest(`kind must be one of: ${[...Object.keys(GENERATION_KINDS), "variants"].join(", ")}`);
+      }
+      const options = buildOptions(body, req.apiKey, requestOrigin(req));
+      req.chargeGenerations();
+      job = jobs.submit({
+        kind,
+        owner: projectOwner(req.apiKey),
+        total: options.chain.length,
+        run: (hooks) => produceResponse({ ...options, ...hooks }),
+      });
+    }
+    res.status(202).location(`/api/jobs/${job.id}`).json(jobs.describe(job));
+  } catch (err) {
+    if (!err.status) log.error("Backend error", err);
+    res.status(err.status || 500).json({ error: err.message, details: err.details });
+  }
+});
 
-Pages:
-${safe.pages.join(", ")}
+const ownJob = (req) => {
+  const job = jobs.get(req.params.id);
+  return job && job.owner === projectOwner(req.apiKey) ? job : null;
+};
 
-Primary Color:
-${safe.primaryColor}
+// `?partial=1` includes the model output received so far.
+app.get("/api/jobs/:id", authenticated, (req, res) => {
+  const job = ownJob(req);
+  if (!job) return res.status(404).json({ error: `Job ${req.params.id} not found` });
+  res.json(jobs.describe(job, { partial: req.query.partial === "1" }));
+});
 
-Tone:
-${safe.tone}
+app.delete("/api/jobs/:id", authenticated, (req, res) => {
+  if (!ownJob(req)) return res.status(404).json({ error: `Job ${req.params.id} not found` });
+  res.json(jobs.describe(jobs.cancel(req.params.id)));
+});
 
-Style:
-${safe.style}
+app.post("/api/export/zip", authenticated, (req, res) => {
+  const { files, name } = req.body || {};
 
-Output:
-Return ONLY the final HTML document.
-`;
+  if (!files || typeof files !== "object" || Array.isArray(files)) {
+    return res.status(400).json({ error: "files must be an object" });
+  }
 
+  const entries = Object.entries(files).map(([file, content]) => [
+    cleanFileName(file),
+    content,
+  ]);
+  const invalid = entries.find(([file, content]) => !file || typeof content !== "string");
+  if (invalid || !entries.length) {
+    return res.status(400).json({ error: "files must map *.html/*.css/*.js/*.xml/*.txt names to strings" });
+  }
 
-    let html = "";
-    let lastErr;
-    const tried = [];
+  const zipName = `${kebab(name || "website") || "website"}.zip`;
+  res.set({
+    "Content-Type": "application/zip",
+    "Content-Disposition": `attachment; filename="${zipName}"`,
+  });
+  res.send(createZip(Object.fromEntries(entries)));
+});
 
-    const modelIds = [
-      "mistralai/devstral-2512:free",
-      "nvidia/nemotron-3-nano-30b-a3b:free",
-      "nex-agi/deepseek-v3.1-nex-n1:free",
-    ];
+// The generated page (or multi-page site) as a React project: Vite + React
+// by default, or a Next.js app with `framework: "next"`.
+app.post("/api/export/project", authenticated, (req, res) => {
+  const { html, files, name, framework = "vite" } = req.body || {};
 
-    for (const model of modelIds) {
-      try {
-        const text = await callOpenRouter({ model, prompt });
-        html = ensureFullDoc(stripFences(text), spec);
-        if (html && html.length > 50) break;
-      } catch (e) {
-        lastErr = e;
-      } finally {
-        tried.push(model);
-      }
-    }
+  if (!EXPORT_FRAMEWORKS.includes(framework)) {
+    return res.status(400).json({ error: `framework must be one of: ${EXPORT_FRAMEWORKS.join(", ")}` });
+  }
+  if (files !== undefined && files !== null) {
+    const valid =
+      typeof files === "object" &&
+      !Array.isArray(files) &&
+      typeof files["index.html"] === "string" &&
+      Object.entries(files).every(([file, content]) => cleanFileName(file) === file && typeof content === "string");
+    if (!valid) return res.status(400).json({ error: "files must map *.html/*.css/*.js/*.xml/*.txt names to strings, including index.html" });
+  } else if (typeof html !== "string" || !html.trim()) {
+    return res.status(400).json({ error: "html or files is required" });
+  }
 
-    if (!html || html.length < 20) {
-      return res.status(502).json({
-        error: "Model did not return usable HTML",
-        details: lastErr?.message,
-        tried,
-      });
-    }
+  try {
+    const project = exportReactProject({ html, files: files || null, name, framework });
+    const zipName = `${kebab(name || "website") || "website"}-${framework}.zip`;
+    res.set({
+      "Content-Type": "application/zip",
+      "Content-Disposition": `attachment; filename="${zipName}"`,
+    });
+    res.send(createZip(project));
+  } catch (err) {
+    log.error("Backend error", err);
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    const downloadUrl =
-      "data:text/html;base64," +
-      Buffer.from(html, "utf8").toString("base64");
+app.use("/api/projects", authenticated, projectsRouter);
+app.use("/api/a11y", authenticated, a11yRouter);
+app.use("/api/redesign", authenticated, redesignRouter);
+app.use("/api/admin", createAdminRouter({ config: limits, limiter }));
+app.use("/api/shares", meteredShares, createSharesRouter(shares));
+app.use(createHealthRouter({ providers, tracker, jobs, metrics, metricsToken: process.env.METRICS_TOKEN }));
 
-    return res.json({ html, downloadUrl });
+// Remaining limits for the caller's key (or IP), without spending any.
+app.get("/api/usage", (req, res) => {
+  try {
+    res.json(limiter.status(resolveBucket(req, limits)));
   } catch (err) {
-    console.error("BACKEND ERROR:", err);
-    res.status(500).json({ error: err.message });
+    if (!err.status) log.error("Backend error", err);
+    res.status(err.status || 500).json({ error: err.message, details: err.details });
   }
 });
 
+app.get("/api/models", (req, res) => {
+  res.json(providers.describe());
+});
+
+// The JSON Schema specs are validated against (shared with the app).
+app.get("/api/spec/schema", (req, res) => {
+  res.json(SPEC_SCHEMA);
+});
+
 /* =======================
    Server
    ======================= */
 
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, () => {
-  console.log(`Server started on port ${PORT}`);
+  log.info("Server started", { port: Number(PORT) });
 });
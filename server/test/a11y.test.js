@@ -0,0 +1,42 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { auditAccessibility, autoFixAccessibility, contrastRatio, parseColor } from "../lib/a11y.js";
+
+const page = (head, body) =>
+  `<!doctype html><html lang="en"><head><title>Test</title>${head}</head><body><main><h1>Test</h1>${body}</main></body></html>`;
+
+test("parseColor reads hex, rgb() and named colours but not translucent ones", () => {
+  assert.deepEqual(parseColor("#fff"), [255, 255, 255]);
+  assert.deepEqual(parseColor("#2f6feb"), [47, 111, 235]);
+  assert.deepEqual(parseColor("rgb(1, 2, 3)"), [1, 2, 3]);
+  assert.deepEqual(parseColor("black"), [0, 0, 0]);
+  assert.equal(parseColor("rgba(0, 0, 0, 0.5)"), null);
+  assert.equal(parseColor("var(--color-text)"), null);
+});
+
+test("contrastRatio runs from 1 to 21", () => {
+  assert.equal(contrastRatio([0, 0, 0], [255, 255, 255]), 21);
+  assert.equal(contrastRatio([255, 255, 255], [0, 0, 0]), 21);
+  assert.equal(contrastRatio([120, 120, 120], [120, 120, 120]), 1);
+});
+
+test("autoFixAccessibility fixes low-contrast CSS rules without touching the rest", () => {
+  const html = page(
+    '<style>.note{background:#fff;color:#ddd;content:"$& $$"}</style>',
+    '<p class="note">Faint text</p>'
+  );
+  const { html: fixed, fixed: rules } = autoFixAccessibility({ html });
+
+  assert.deepEqual(rules, ["color-contrast"]);
+  assert.match(fixed, /\.note\{background:#fff;color: #000000;content:"\$& \$\$"\}/);
+});
+
+test("autoFixAccessibility adds missing alt text and the audit clears", () => {
+  const html = page("", '<img src="photo.png">');
+  assert.ok(auditAccessibility({ html }).issues.some((i) => i.rule === "image-alt"));
+
+  const out = autoFixAccessibility({ html });
+  assert.deepEqual(out.fixed, ["image-alt"]);
+  assert.match(out.html, /<img src="photo.png" alt="[^"]+">/);
+  assert.ok(!out.a11y.issues.some((i) => i.rule === "image-alt"));
+});
@@ -0,0 +1,69 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createLimiter, loadLimitConfig, RateLimitError } from "../lib/api-keys.js";
+
+// Anonymous buckets only: keyed usage is written to the key store.
+const bucket = (perMinute, perDay) => ({ id: "ip:127.0.0.1", key: null, limits: { perMinute, perDay } });
+
+// Mid-morning UTC, so the daily window doesn't roll over mid-test.
+const START = Date.parse("2026-03-10T09:00:00Z");
+
+const clock = (t) => {
+  let at = START;
+  t.mock.method(Date, "now", () => at);
+  return (ms) => {
+    at += ms;
+  };
+};
+
+test("the per-minute limit is a sliding window", (t) => {
+  const advance = clock(t);
+  const limiter = createLimiter();
+  const b = bucket(2, 100);
+
+  limiter.consume(b);
+  advance(20_000);
+  limiter.consume(b);
+  assert.throws(() => limiter.consume(b), (err) => err instanceof RateLimitError && err.retryAfter === 40);
+
+  // The first request leaves the window a minute after it was made.
+  advance(40_000);
+  assert.equal(limiter.consume(b).remainingThisMinute, 0);
+  assert.throws(() => limiter.consume(b), RateLimitError);
+});
+
+test("the daily quota counts generations and resets at midnight UTC", (t) => {
+  const advance = clock(t);
+  const limiter = createLimiter();
+  const b = bucket(100, 5);
+
+  assert.equal(limiter.consume(b, 3).remainingToday, 2);
+  assert.throws(
+    () => limiter.consume(b, 3),
+    (err) => err.status === 429 && /Only 2 of the daily 5/.test(err.message) && err.retryAfter === 15 * 3600
+  );
+  limiter.consume(b, 2);
+  assert.throws(() => limiter.consume(b), /Daily quota of 5 generations reached/);
+
+  advance(15 * 3600 * 1000);
+  assert.equal(limiter.consume(b).usedToday, 1);
+});
+
+test("status reports remaining limits without spending any", (t) => {
+  clock(t);
+  const limiter = createLimiter();
+  const b = bucket(3, 10);
+
+  limiter.consume(b);
+  const before = limiter.status(b);
+  assert.equal(limiter.status(b).remainingThisMinute, 2);
+  assert.deepEqual(limiter.status(b), before);
+  assert.deepEqual(limiter.anonymousUsage(), [{ bucket: "ip:127.0.0.1", today: 1 }]);
+});
+
+test("loadLimitConfig falls back to defaults for unusable values", () => {
+  const config = loadLimitConfig({ KEY_RATE_LIMIT_PER_MINUTE: "abc", ANON_DAILY_QUOTA: "-3", REQUIRE_API_KEY: "true" });
+  assert.equal(config.requireKey, true);
+  assert.equal(config.key.perMinute, 10);
+  assert.equal(config.anonymous.perDay, 50);
+});
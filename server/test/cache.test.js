@@ -0,0 +1,55 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createResultCache, generationCacheKey } from "../lib/cache.js";
+import { normalizeSpec } from "../lib/prompt.js";
+
+const CHAIN = [{ provider: { id: "mock" }, model: "mock-1" }];
+
+const keyOf = (spec, chain = CHAIN, options) => generationCacheKey(normalizeSpec(spec), chain, options);
+
+test("equal specs share a key whatever their key order, spacing or colour case", () => {
+  const a = keyOf({ brief: "A bakery  in town", primaryColor: "#AABBCC", seo: { title: "Bakery" } });
+  const b = keyOf({ seo: { title: " Bakery " }, primaryColor: "#aabbcc", brief: "A bakery\nin town" });
+  assert.equal(a, b);
+  assert.match(a, /^[0-9a-f]{64}$/);
+});
+
+test("the spec, the model chain and a redesign source all change the key", () => {
+  const base = keyOf({ brief: "A bakery" });
+  assert.notEqual(keyOf({ brief: "A florist" }), base);
+  assert.notEqual(keyOf({ brief: "A bakery", theme: "dark" }), base);
+  assert.notEqual(keyOf({ brief: "A bakery" }, [{ provider: { id: "mock" }, model: "mock-2" }]), base);
+  assert.notEqual(keyOf({ brief: "A bakery" }, CHAIN, { source: "<h1>Old site</h1>" }), base);
+});
+
+test("the result cache evicts the least recently used entry", () => {
+  const cache = createResultCache({ ttlMs: 60_000, maxEntries: 2, maxBytes: 1024 });
+  cache.set("a", { html: "a" });
+  cache.set("b", { html: "b" });
+  cache.get("a");
+  cache.set("c", { html: "c" });
+
+  assert.deepEqual(cache.get("a"), { html: "a" });
+  assert.equal(cache.get("b"), null);
+  assert.deepEqual(cache.stats(), { enabled: true, entries: 2, bytes: 2 * JSON.stringify({ html: "a" }).length, hits: 2, misses: 1 });
+});
+
+test("cached bodies expire and are copies", (t) => {
+  let at = Date.parse("2026-03-10T09:00:00Z");
+  t.mock.method(Date, "now", () => at);
+  const cache = createResultCache({ ttlMs: 1000, maxEntries: 10, maxBytes: 1024 });
+
+  cache.set("a", { html: "a" });
+  cache.get("a").html = "changed";
+  assert.deepEqual(cache.get("a"), { html: "a" });
+
+  at += 1000;
+  assert.equal(cache.get("a"), null);
+});
+
+test("a zero TTL disables the cache", () => {
+  const cache = createResultCache({ ttlMs: 0, maxEntries: 10, maxBytes: 1024 });
+  cache.set("a", { html: "a" });
+  assert.equal(cache.get("a"), null);
+  assert.equal(cache.stats().enabled, false);
+});
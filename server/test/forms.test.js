@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { formAction, loadFormConfig, submissionsCsv, wireForms } from "../lib/forms.js";
+
+const submission = (fields, kind = "contact") => ({ createdAt: Date.parse("2026-03-10T09:00:00Z"), kind, fields });
+
+test("submissionsCsv has one column per field name in order of first appearance", () => {
+  const csv = submissionsCsv([submission({ name: "Ann", email: "ann@example.com" }), submission({ email: "bo@example.com" }, "newsletter")]);
+  assert.equal(
+    csv,
+    "date,kind,name,email\r\n" +
+      "2026-03-10T09:00:00.000Z,contact,Ann,ann@example.com\r\n" +
+      "2026-03-10T09:00:00.000Z,newsletter,,bo@example.com\r\n"
+  );
+});
+
+test("submissionsCsv quotes separators and defuses spreadsheet formulas", () => {
+  const csv = submissionsCsv([
+    submission({ message: 'Hi, I said "hello"\nbye', total: "=SUM(A1:A2)", note: "@admin", plain: "-" }),
+  ]);
+  const [, row] = csv.split("\r\n");
+  assert.equal(row.split(",").slice(2, 4).join(","), '"Hi, I said ""hello""\nbye"');
+  assert.ok(row.endsWith(",'=SUM(A1:A2),'@admin,'-"));
+});
+
+test("form actions use PUBLIC_URL, or the request origin without it", () => {
+  const withUrl = loadFormConfig({ PUBLIC_URL: "https://api.example.com/" });
+  const without = loadFormConfig({});
+  assert.equal(formAction(withUrl, "tok", "http://localhost:5000"), "https://api.example.com/api/forms/tok");
+  assert.equal(formAction(without, "tok", "http://localhost:5000"), "http://localhost:5000/api/forms/tok");
+});
+
+test("wireForms connects contact and newsletter forms and leaves login forms alone", () => {
+  const html = `<section id="contact"><form><label for="n">Your name</label><input id="n"/><textarea></textarea></form></section>
+<section id="newsletter"><form><input type="email"/></form></section>
+<section id="auth"><form><input type="email"/><input type="password"/></form></section>`;
+  const { html: out, count } = wireForms({ html }, "https://api.example.com/api/forms/tok");
+
+  assert.equal(count, 2);
+  assert.equal((out.match(/action="https:\/\/api\.example\.com\/api\/forms\/tok"/g) || []).length, 2);
+  assert.match(out, /<input id="n" name="your-name"/);
+  assert.match(out, /<textarea name="message">/);
+  assert.match(out, /name="_form" value="contact"/);
+  assert.match(out, /name="_form" value="newsletter"/);
+  assert.equal((out.match(/name="_gotcha"/g) || []).length, 2);
+  assert.match(out, /<section id="auth"><form><input type="email"\/?><input type="password"\/?><\/form>/);
+});
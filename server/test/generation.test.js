@@ -0,0 +1,52 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { generateWithFallback } from "../lib/generation.js";
+
+// A provider that answers each call with the next scripted reply.
+const scripted = (replies) => {
+  const calls = [];
+  return {
+    calls,
+    provider: {
+      id: "fake",
+      complete: async (request) => {
+        calls.push(request);
+        return replies[Math.min(calls.length, replies.length) - 1];
+      },
+    },
+  };
+};
+
+const CUT = "<html><head><title>T</title></head><body><main><h1>Hello</h1><p>First paragraph of the page";
+
+test("cut-off output is continued and the repeated overlap dropped", async () => {
+  const { provider, calls } = scripted([
+    { text: CUT, finishReason: "length" },
+    { text: "```html\n<p>First paragraph of the page continues here.</p></main></body></html>\n```", finishReason: "stop" },
+  ]);
+  const rounds = [];
+  const out = await generateWithFallback({
+    chain: [{ provider, model: "m" }],
+    prompt: "Make a page",
+    spec: {},
+    onContinue: (attempt, round) => rounds.push(round),
+  });
+
+  assert.equal(out.html, `${CUT} continues here.</p></main></body></html>`);
+  assert.deepEqual(rounds, [1]);
+  assert.deepEqual(out.warnings.map((w) => w.code), ["continued"]);
+  assert.equal(calls[1].task.kind, "continue");
+  assert.deepEqual(calls[1].messages.at(-2), { role: "assistant", content: CUT });
+});
+
+test("continuation stops after two rounds and the rest is repaired", async () => {
+  const { provider, calls } = scripted([
+    { text: CUT, finishReason: "length" },
+    { text: " and more", finishReason: "length" },
+  ]);
+  const out = await generateWithFallback({ chain: [{ provider, model: "m" }], prompt: "Make a page", spec: {} });
+
+  assert.equal(calls.length, 3);
+  assert.match(out.html, /First paragraph of the page and more and more\n<\/main>\n<\/body>\n<\/html>$/);
+  assert.deepEqual(out.warnings.map((w) => w.code), ["truncated", "continued", "unclosed-elements"]);
+});
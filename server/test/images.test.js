@@ -0,0 +1,75 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { imageSources, localizeImages } from "../lib/images.js";
+
+const srcs = (html) => imageSources(html);
+const isData = (src) => src.startsWith("data:image/");
+
+test("empty, missing and hot-linked placeholder images are filled", async () => {
+  const html = [
+    '<img alt="Hero" src="">',
+    '<img alt="Team" src="#">',
+    '<img alt="Local" src="images/hero.jpg">',
+    '<img alt="Stock" src="https://images.unsplash.com/photo-123?w=800">',
+    '<img alt="Picsum" src="//picsum.photos/400/300">',
+  ].join("\n");
+  const out = await localizeImages({ html, warnings: [] });
+
+  assert.ok(srcs(out.html).every(isData));
+  assert.deepEqual(out.warnings.map((w) => w.code), ["images-localized"]);
+  assert.match(out.warnings[0].message, /Replaced 5 /);
+});
+
+test("working external images and data: URLs are left alone", async () => {
+  const html = '<img alt="Logo" src="https://cdn.example.com/logo.png"><img alt="Inline" src="data:image/png;base64,AA==">';
+  const out = await localizeImages({ html, warnings: [] });
+  assert.equal(out.html, html);
+  assert.deepEqual(out.warnings, []);
+});
+
+test("sources listed in keep stay, even placeholder ones", async () => {
+  const chosen = "https://picsum.photos/id/10/800/600";
+  const before = `<section><img alt="Mine" src="${chosen}"></section>`;
+  const html = `<section><h2>Refined</h2><img alt="Mine" src="${chosen}"><img alt="New" src="https://picsum.photos/200"></section>`;
+  const out = await localizeImages({ html }, { keep: imageSources(before) });
+
+  const [kept, filled] = srcs(out.html);
+  assert.equal(kept, chosen);
+  assert.ok(isData(filled));
+});
+
+test("paths to files of a multi-page site are not missing", async () => {
+  const files = {
+    "index.html": '<div style="background-image: url(\'bg.svg\')"></div><div style="background: url(missing.png)"></div>',
+    "bg.svg": "<svg></svg>",
+  };
+  const out = await localizeImages({ html: files["index.html"], files });
+  const [bg, missing] = [...out.files["index.html"].matchAll(/url\(([^)]*)\)/g)].map((m) => m[1]);
+  assert.equal(bg, "'bg.svg'");
+  assert.ok(isData(missing));
+  assert.equal(out.html, out.files["index.html"]);
+});
+
+test("<picture> sources are dropped only when they need replacing", async () => {
+  const html =
+    '<picture><source srcset="https://picsum.photos/800 2x"><source srcset="https://cdn.example.com/a.webp"><img alt="A" src="https://cdn.example.com/a.jpg"></picture>';
+  const out = await localizeImages({ html });
+  assert.doesNotMatch(out.html, /picsum/);
+  assert.match(out.html, /<source srcset="https:\/\/cdn\.example\.com\/a\.webp">/);
+});
+
+test("identical slots share one generated image and failures fall back to placeholders", async () => {
+  const provider = {
+    id: "broken",
+    label: "Broken",
+    generate: async () => {
+      throw new Error("offline");
+    },
+  };
+  const out = await localizeImages({ html: '<img alt="A" src=""><img alt="A" src="">' }, { provider });
+  const [a, b] = srcs(out.html);
+  assert.ok(isData(a));
+  assert.equal(a, b);
+  assert.deepEqual(out.warnings.map((w) => w.code), ["images-localized", "image-provider-failed"]);
+  assert.match(out.warnings[1].message, /Broken failed for 1 image\(s\) \(offline\)/);
+});
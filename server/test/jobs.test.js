@@ -0,0 +1,112 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createJobQueue, QueueFullError } from "../lib/jobs.js";
+
+// A job whose run resolves (or notices the abort) only when the test says so.
+const deferred = () => {
+  const calls = [];
+  const run = (hooks) =>
+    new Promise((resolve, reject) => {
+      calls.push({ hooks, resolve });
+      hooks.signal.addEventListener("abort", () => reject(new Error("aborted")));
+    });
+  return { calls, run };
+};
+
+const settle = () => new Promise((resolve) => setImmediate(resolve));
+
+test("jobs run at most `concurrency` at a time, the rest in FIFO order", async () => {
+  const queue = createJobQueue({ concurrency: 2, maxQueued: 10, ttlMs: 1000 });
+  const { calls, run } = deferred();
+  const [a, b, c, d] = ["a", "b", "c", "d"].map((kind) => queue.submit({ kind, total: 1, run }));
+
+  assert.deepEqual([a, b, c, d].map((job) => job.status), ["running", "running", "queued", "queued"]);
+  assert.deepEqual(queue.stats(), { running: 2, queued: 2, concurrency: 2 });
+  assert.equal(queue.describe(d).position, 2);
+
+  calls[1].resolve({ html: "b" });
+  await settle();
+  assert.equal(b.status, "done");
+  assert.deepEqual(b.result, { html: "b" });
+  assert.equal(c.status, "running");
+  assert.equal(d.status, "queued");
+  assert.equal(queue.describe(d).position, 1);
+
+  calls[0].resolve({ error: "No model answered" });
+  await settle();
+  assert.equal(a.status, "failed");
+  assert.equal(a.error, "No model answered");
+  assert.equal(d.status, "running");
+});
+
+test("a full queue refuses new jobs", () => {
+  const queue = createJobQueue({ concurrency: 1, maxQueued: 1, ttlMs: 1000 });
+  const { run } = deferred();
+  queue.submit({ kind: "generate", total: 1, run });
+  queue.submit({ kind: "generate", total: 1, run });
+  assert.throws(() => queue.submit({ kind: "generate", total: 1, run }), QueueFullError);
+});
+
+test("cancelling a queued job drops it from the queue without running it", async () => {
+  const queue = createJobQueue({ concurrency: 1, maxQueued: 10, ttlMs: 1000 });
+  const { calls, run } = deferred();
+  const first = queue.submit({ kind: "generate", total: 1, run });
+  const second = queue.submit({ kind: "generate", total: 1, run });
+
+  assert.equal(queue.cancel(second.id).status, "cancelled");
+  assert.equal(queue.stats().queued, 0);
+  calls[0].resolve({ html: "x" });
+  await settle();
+  assert.equal(first.status, "done");
+  assert.equal(calls.length, 1);
+});
+
+test("cancelling a running job aborts its signal and frees the slot", async () => {
+  const queue = createJobQueue({ concurrency: 1, maxQueued: 10, ttlMs: 1000 });
+  const { calls, run } = deferred();
+  const running = queue.submit({ kind: "generate", total: 1, run });
+  const waiting = queue.submit({ kind: "generate", total: 1, run });
+
+  queue.cancel(running.id);
+  assert.equal(calls[0].hooks.signal.aborted, true);
+  await settle();
+  assert.equal(running.status, "cancelled");
+  assert.equal(running.error, "Cancelled");
+  assert.equal(waiting.status, "running");
+
+  calls[1].resolve({ html: "x" });
+  await settle();
+  assert.equal(queue.cancel(waiting.id).status, "done");
+  assert.equal(queue.cancel("missing"), null);
+});
+
+test("progress hooks are reported and the partial output only while running", async () => {
+  const queue = createJobQueue({ concurrency: 1, maxQueued: 10, ttlMs: 1000 });
+  const { calls, run } = deferred();
+  const job = queue.submit({ kind: "generate", total: 2, run });
+  const { hooks } = calls[0];
+
+  hooks.onModel({ provider: { id: "mock" }, model: "m" }, 0);
+  hooks.onToken("<p>");
+  hooks.onContinue(null, 1);
+  assert.deepEqual(job.progress, { provider: "mock", model: "m", index: 0, total: 2, chars: 3, round: 1 });
+  assert.equal(queue.describe(job, { partial: true }).partial, "<p>");
+  assert.equal("partial" in queue.describe(job), false);
+
+  calls[0].resolve({ html: "<p>" });
+  await settle();
+  assert.equal("partial" in queue.describe(job, { partial: true }), false);
+});
+
+test("finished jobs are forgotten after the TTL", async () => {
+  const queue = createJobQueue({ concurrency: 1, maxQueued: 10, ttlMs: 20 });
+  const { calls, run } = deferred();
+  const job = queue.submit({ kind: "generate", owner: "k1", total: 1, run });
+  assert.equal(queue.get(job.id).owner, "k1");
+
+  calls[0].resolve({ html: "x" });
+  await settle();
+  assert.equal(queue.get(job.id), job);
+  await new Promise((resolve) => setTimeout(resolve, 40));
+  assert.equal(queue.get(job.id), null);
+});
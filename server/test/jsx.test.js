@@ -0,0 +1,50 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parse } from "node-html-parser";
+import { jsxAttributes, styleObject, toJsx } from "../lib/jsx.js";
+
+const first = (html) => parse(html).childNodes.find((n) => n.nodeType === 1);
+const jsx = (html, ctx = {}) => toJsx(first(html), 0, ctx);
+
+test("attributes take their React names and bare booleans stay bare", () => {
+  assert.equal(
+    jsxAttributes(first('<label class="a" for="b" tabindex="0" data-x="1" aria-label="L">x</label>')).source,
+    ' className="a" htmlFor="b" tabIndex="0" data-x="1" aria-label="L"'
+  );
+  assert.equal(jsx('<input value="a" checked required type="checkbox">'), '<input defaultValue="a" defaultChecked required type="checkbox" />');
+  assert.equal(jsx('<a title="{x} & y">z</a>'), '<a title={"{x} & y"}>z</a>');
+});
+
+test("inline styles become objects, keeping custom properties and url() values whole", () => {
+  assert.equal(
+    styleObject("font-size: 2rem; --brand: #fff; background:url(data:image/png;base64,AA==); -ms-flex: 1"),
+    '{{ fontSize: "2rem", "--brand": "#fff", background: "url(data:image/png;base64,AA==)", msFlex: "1" }}'
+  );
+});
+
+test("inline handlers become arrow functions and mark the tree interactive", () => {
+  const ctx = {};
+  assert.equal(jsx('<button onclick="toggle(this);">Go</button>', ctx), "<button onClick={(event) => { toggle(event.currentTarget); }}>Go</button>");
+  assert.equal(ctx.interactive, true);
+  assert.match(jsx('<div ondblclick="x()"></div>'), /onDoubleClick=/);
+});
+
+test("selects and textareas get their initial values as defaultValue", () => {
+  assert.equal(
+    jsx('<select><option value="a">A</option><option value="b" selected>B</option></select>'),
+    '<select defaultValue="b">\n  <option value="a">A</option>\n  <option value="b">B</option>\n</select>'
+  );
+  assert.equal(jsx("<textarea>Hello</textarea>"), '<textarea defaultValue="Hello" />');
+});
+
+test("text with braces is quoted and SVG attributes are camel-cased", () => {
+  assert.equal(jsx("<p>Hi {there}</p>"), '<p>{"Hi {there}"}</p>');
+  assert.equal(jsx('<svg viewBox="0 0 1 1"><path stroke-width="2" /></svg>'), '<svg viewBox="0 0 1 1">\n  <path strokeWidth="2" />\n</svg>');
+});
+
+test("links to other pages of the site become router links", () => {
+  const ctx = { route: (href) => (href === "about.html" ? "/about" : null), linkProp: "to" };
+  assert.equal(jsx('<a href="about.html">About</a>', ctx), '<Link to="/about">About</Link>');
+  assert.equal(ctx.usesLink, true);
+  assert.equal(jsx('<a href="https://example.com">Out</a>', ctx), '<a href="https://example.com">Out</a>');
+});
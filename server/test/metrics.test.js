@@ -0,0 +1,57 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createMetrics } from "../lib/metrics.js";
+
+test("counters render one series per label set, in declaration order", () => {
+  const metrics = createMetrics();
+  const requests = metrics.counter("http_requests_total", "Requests.", ["method", "status"]);
+  requests.inc({ method: "GET", status: 200 });
+  requests.inc({ status: 200, method: "GET" }, 2);
+  requests.inc({ method: "POST", status: 500 });
+
+  assert.equal(
+    metrics.render(),
+    [
+      "# HELP http_requests_total Requests.",
+      "# TYPE http_requests_total counter",
+      'http_requests_total{method="GET",status="200"} 3',
+      'http_requests_total{method="POST",status="500"} 1',
+      "",
+    ].join("\n")
+  );
+});
+
+test("histogram buckets are cumulative", () => {
+  const metrics = createMetrics();
+  const duration = metrics.histogram("job_seconds", "Job time.", [], [1, 5]);
+  duration.observe({}, 0.5);
+  duration.observe({}, 3);
+  duration.observe({}, 10);
+
+  const lines = metrics.render().trim().split("\n").slice(2);
+  assert.deepEqual(lines, [
+    'job_seconds_bucket{le="1"} 1',
+    'job_seconds_bucket{le="5"} 2',
+    'job_seconds_bucket{le="+Inf"} 3',
+    "job_seconds_sum 13.5",
+    "job_seconds_count 3",
+  ]);
+});
+
+test("gauges are read at scrape time and label values are escaped", () => {
+  const metrics = createMetrics();
+  let queued = 1;
+  metrics.gauge("jobs_queued", "Queued jobs.", () => queued);
+  metrics.gauge("model_state", "Circuit state.", () => [{ labels: { model: 'a"b\\c\nd' }, value: 2 }]);
+  queued = 4;
+
+  const text = metrics.render();
+  assert.match(text, /^jobs_queued 4$/m);
+  assert.match(text, /^model_state\{model="a\\"b\\\\c\\nd"\} 2$/m);
+});
+
+test("a metric name can only be registered once", () => {
+  const metrics = createMetrics();
+  metrics.counter("x_total", "X.");
+  assert.throws(() => metrics.counter("x_total", "X again."), /already registered/);
+});
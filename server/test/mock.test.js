@@ -0,0 +1,26 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { auditAccessibility } from "../lib/a11y.js";
+import { applyMockRefinement, applyMockSectionRewrite, renderMockSite } from "../providers/mock.js";
+
+const ids = (html) => [...html.matchAll(/\sid="([^"]+)"/g)].map((m) => m[1]);
+
+test("mock sites have unique ids whatever features are on", () => {
+  const specs = [
+    { brief: "A bakery" },
+    { brief: "A tool", templateId: "saas", include: { cms: true, auth: true, imageGen: true } },
+    { brief: "A studio", templateId: "portfolio", pages: ["Gallery", "Contact", "Blog", "Pricing"] },
+  ];
+  for (const spec of specs) {
+    const html = renderMockSite(spec);
+    const list = ids(html);
+    assert.equal(new Set(list).size, list.length, `duplicate ids in ${list.join(", ")}`);
+    assert.ok(!auditAccessibility({ html }).issues.some((i) => i.rule === "duplicate-id"));
+  }
+});
+
+test("mock edits record the instruction as written", () => {
+  const instruction = "use $& and $1 and $' literally";
+  assert.match(applyMockRefinement("<body><p>Hi</p></body>", instruction), /<!-- refinement: use \$& and \$1 and \$' literally -->\n<\/body>/);
+  assert.match(applyMockSectionRewrite("<section><p>Hi</p></section>", instruction), /<!-- regenerated: use \$& and \$1 and \$' literally -->\n<\/section>$/);
+});
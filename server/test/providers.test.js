@@ -0,0 +1,26 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createProviderRegistry, loadProviderConfig } from "../providers/index.js";
+
+// No providers.json: everything comes from the environment given.
+const registry = (env) => {
+  const full = { PROVIDERS_CONFIG: "/nonexistent/providers.json", ...env };
+  return createProviderRegistry(loadProviderConfig(full), full);
+};
+
+test("outside production the mock is the fallback when nothing else is configured", (t) => {
+  process.env.LOG_LEVEL = "silent";
+  t.after(() => delete process.env.LOG_LEVEL);
+  assert.equal(registry({}).defaultProvider, "mock");
+  assert.equal(registry({ OPENROUTER_API_KEY: "k" }).defaultProvider, "openrouter");
+});
+
+test("production never falls back to the mock unless it is chosen", () => {
+  assert.equal(registry({ NODE_ENV: "production" }).defaultProvider, undefined);
+  assert.equal(registry({ NODE_ENV: "production", ENABLE_MOCK_PROVIDER: "true" }).defaultProvider, undefined);
+  assert.equal(registry({ NODE_ENV: "production", DEFAULT_PROVIDER: "mock" }).defaultProvider, "mock");
+
+  const live = registry({ NODE_ENV: "production", OPENROUTER_API_KEY: "k" });
+  assert.equal(live.defaultProvider, "openrouter");
+  assert.equal(live.get("mock"), undefined);
+});
@@ -0,0 +1,95 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { exportReactProject } from "../lib/react-export.js";
+
+const PAGE = `<!doctype html>
+<html lang="fr">
+<head>
+<title>Shop</title>
+<meta name="description" content="Best shop">
+<style>body { margin: 0 }</style>
+<script type="application/ld+json">{"@type":"Store"}</script>
+</head>
+<body class="home">
+<header id="top"><nav><a href="#hero-banner">Home</a></nav></header>
+<section id="hero-banner">
+  <style>.hero { color: red }</style>
+  <h1 class="hero">Hi</h1>
+  <button onclick="greet(this)">Go</button>
+  <script>
+    function greet(el) { el.textContent = "Hello"; }
+    document.addEventListener("DOMContentLoaded", () => greet(document.querySelector("button")));
+  </script>
+</section>
+<footer><p>Bye</p></footer>
+</body>
+</html>`;
+
+test("each top-level section becomes a component rendered by the app", () => {
+  const out = exportReactProject({ html: PAGE, name: "My Shop" });
+
+  assert.deepEqual(
+    Object.keys(out).filter((f) => f.startsWith("src/components/")).sort(),
+    ["src/components/Footer.jsx", "src/components/HeroBanner.css", "src/components/HeroBanner.jsx", "src/components/Top.jsx"]
+  );
+  assert.match(out["src/App.jsx"], /<>\n\s+<Top \/>\n\s+<HeroBanner \/>\n\s+<Footer \/>\n\s+<\/>/);
+  assert.match(out["src/components/Footer.jsx"], /export default function Footer\(\) \{/);
+  assert.equal(JSON.parse(out["package.json"]).name, "my-shop");
+});
+
+test("page CSS goes to the global stylesheet and section CSS next to its component", () => {
+  const out = exportReactProject({ html: PAGE });
+  assert.equal(out["src/index.css"], "body { margin: 0 }\n");
+  assert.equal(out["src/components/HeroBanner.css"], ".hero { color: red }\n");
+  assert.match(out["src/components/HeroBanner.jsx"], /^import "\.\/HeroBanner\.css";$/m);
+  assert.doesNotMatch(out["src/components/HeroBanner.jsx"], /<style|<script/);
+});
+
+test("inline scripts run as mount effects with their functions on window", () => {
+  const source = exportReactProject({ html: PAGE })["src/components/HeroBanner.jsx"];
+  assert.match(source, /^import \{ useEffect \} from "react";$/m);
+  assert.match(source, /const onReady = \(fn\) => fn\(\);/);
+  assert.match(source, /useEffect\(\(\) => \{\n {4}function greet\(el\)/);
+  assert.match(source, /onReady\(\(\) => greet/);
+  assert.match(source, /window\.greet = greet;\n {2}\}, \[\]\);/);
+  assert.match(source, /onClick=\{\(event\) => \{ greet\(event\.currentTarget\); \}\}/);
+});
+
+test("the Next.js layout carries the head, metadata and body attributes", () => {
+  const out = exportReactProject({ html: PAGE, framework: "next" });
+  const layout = out["app/layout.jsx"];
+
+  assert.match(layout, /title: "Shop",\n {2}description: "Best shop",/);
+  assert.match(layout, /<html lang="fr">/);
+  assert.match(layout, /<script type="application\/ld\+json" dangerouslySetInnerHTML=\{\{ __html: "\{\\"@type\\":\\"Store\\"\}" \}\} \/>/);
+  assert.match(layout, /<body className="home">/);
+  assert.equal(out["app/globals.css"], "body { margin: 0 }\n");
+  assert.match(out["components/HeroBanner.jsx"], /^"use client";/);
+  assert.doesNotMatch(out["components/Top.jsx"], /use client/);
+  assert.match(out["app/page.jsx"], /import HeroBanner from "\.\.\/components\/HeroBanner\.jsx";/);
+});
+
+test("fragments without a <body> export for both frameworks", () => {
+  const next = exportReactProject({ html: "<p>x</p>", framework: "next" });
+  assert.match(next["app/layout.jsx"], /<body>\n {8}\{children\}/);
+  assert.match(next["app/page.jsx"], /return \(\n {4}<p>x<\/p>\n {2}\);/);
+
+  const vite = exportReactProject({ html: "<p>x</p>" });
+  assert.match(vite["index.html"], /<body>\n/);
+});
+
+test("multi-page sites share identical sections and route between pages", () => {
+  const header = '<header><a href="about.html">About</a></header>';
+  const files = {
+    "index.html": `<html><head><title>Home</title></head><body>${header}<section id="intro"><p>Home</p></section></body></html>`,
+    "about.html": `<html><head><title>About</title></head><body>${header}<section id="intro"><p>About</p></section></body></html>`,
+  };
+  const out = exportReactProject({ files, name: "Site" });
+
+  assert.ok(out["src/components/Header.jsx"]);
+  assert.match(out["src/components/Header.jsx"], /<Link to="\/about">About<\/Link>/);
+  assert.ok(out["src/components/Intro.jsx"]);
+  assert.ok(out["src/components/IntroAbout.jsx"]);
+  assert.match(out["src/App.jsx"], /<Route path="\/about" element=\{<AboutPage \/>\} \/>/);
+  assert.ok(JSON.parse(out["package.json"]).dependencies["react-router-dom"]);
+});
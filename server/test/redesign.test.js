@@ -0,0 +1,72 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import { extractSite, MAX_SOURCE_LENGTH, sourceHtmlError, sourceOutline } from "../lib/redesign.js";
+
+const fixture = (name) => fs.readFileSync(new URL(`./fixtures/${name}.html`, import.meta.url), "utf8");
+const items = (section) => section.items.map(({ tag, text }) => `${tag}: ${text}`);
+
+test("the spec is pre-filled from the page's head, navigation and styles", () => {
+  const { spec } = extractSite(fixture("bakery"));
+
+  assert.equal(spec.projectName, "Rosie's Bakery");
+  assert.match(spec.brief, /^Redesign of the existing Rosie's Bakery website, keeping its real content\. Sourdough, pastries/);
+  assert.equal(spec.layout, "onepage");
+  assert.equal(spec.theme, "light");
+  assert.equal(spec.primaryColor, "#c2410c");
+  assert.deepEqual(spec.pages, ["Menu", "Our story", "Visit"]);
+  assert.deepEqual(spec.include, { cms: false, auth: false, contactForm: false, newsletter: true, analytics: true, imageGen: true });
+  assert.deepEqual(spec.seo, {
+    title: "Home | Rosie's Bakery",
+    description: "Sourdough, pastries and celebration cakes baked fresh every morning in Leeds.",
+    keywords: "bakery, sourdough, cakes",
+    siteUrl: "https://rosies.example",
+    image: "https://rosies.example/og.jpg",
+  });
+});
+
+test("the copy is outlined per section, with image alt text and without scripts", () => {
+  const { source } = extractSite(fixture("bakery"));
+
+  assert.deepEqual(source.sections.map((s) => [s.id, s.heading]), [
+    ["header", ""],
+    ["hero", "Bread worth getting up for"],
+    ["menu", "On the counter today"],
+    ["visit", "Visit us"],
+    ["footer", ""],
+  ]);
+  assert.deepEqual(items(source.sections[2]), [
+    "h2: On the counter today",
+    "li: Country sourdough — £4.50",
+    "li: Cardamom buns — £2.80",
+    "img: A tray of cardamom buns",
+  ]);
+  assert.deepEqual(items(source.sections[4]), ["footer: © 2026 Rosie's Bakery"]);
+  assert.deepEqual(source.colors, ["#c2410c", "#0f766e"]);
+  assert.doesNotMatch(JSON.stringify(source), /querySelector|gtag/);
+});
+
+test("paths in the nav, a dark theme and declared colours are picked up", () => {
+  const { spec, source } = extractSite(fixture("studio"));
+
+  assert.equal(spec.projectName, "Northlight");
+  assert.equal(spec.layout, "multipage");
+  assert.equal(spec.theme, "dark");
+  assert.equal(spec.primaryColor, "#6d28d9");
+  assert.deepEqual(spec.pages, ["Work", "About", "Journal", "Log in"]);
+  assert.deepEqual(spec.include, { cms: true, auth: true, contactForm: true, newsletter: false, analytics: false, imageGen: false });
+  assert.deepEqual(source.sections.map((s) => s.tag), ["nav", "article", "article", "body"]);
+});
+
+test("the outline lists the page as prompt text", () => {
+  const outline = sourceOutline(extractSite(fixture("bakery")).source);
+  assert.match(outline, /^Page title: Home \| Rosie's Bakery\nMeta description: .+\nNavigation: Menu \| Our story \| Visit\nBrand colours: #c2410c, #0f766e\n/);
+  assert.match(outline, /\n<section> Visit us\n- \[h2\] Visit us\n- \[address\] 12 Mill Lane, Leeds\n/);
+});
+
+test("sources that are empty, too long or not HTML are refused", () => {
+  assert.equal(sourceHtmlError("<p>Hi</p>"), null);
+  assert.equal(sourceHtmlError("  "), "sourceHtml must be a non-empty HTML string");
+  assert.equal(sourceHtmlError("just text", "html"), "html does not look like HTML");
+  assert.match(sourceHtmlError(`<p>${"x".repeat(MAX_SOURCE_LENGTH)}</p>`), /at most/);
+});
@@ -0,0 +1,77 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createModelTracker } from "../lib/reliability.js";
+
+const provider = { id: "mock" };
+const [a, b, c] = ["a", "b", "c"].map((model) => ({ provider, model }));
+const CHAIN = [a, b, c];
+
+const tracker = (t) => {
+  // The tracker logs circuit changes; keep test output clean.
+  process.env.LOG_LEVEL = "silent";
+  t.after(() => delete process.env.LOG_LEVEL);
+  let at = Date.parse("2026-03-10T09:00:00Z");
+  t.mock.method(Date, "now", () => at);
+  return {
+    models: createModelTracker({ failureThreshold: 2, cooldownMs: 1000, maxCooldownMs: 3000, window: 10 }),
+    advance: (ms) => {
+      at += ms;
+    },
+  };
+};
+
+const fail = (models, attempt, times = 1) => {
+  for (let i = 0; i < times; i++) models.record(attempt, { ok: false, ms: 10, error: "boom" });
+};
+
+test("models are ordered by recent success rate, configured order breaking ties", (t) => {
+  const { models } = tracker(t);
+  assert.deepEqual(models.order(CHAIN), CHAIN);
+
+  fail(models, a);
+  models.record(c, { ok: true, ms: 10 });
+  assert.deepEqual(models.order(CHAIN), [c, b, a]);
+  assert.deepEqual(models.order(CHAIN, { pinned: 1 }), [a, c, b]);
+});
+
+test("a model opens after consecutive failures and is skipped until its cooldown ends", (t) => {
+  const { models, advance } = tracker(t);
+  fail(models, b, 2);
+  assert.equal(models.state(b), "open");
+  assert.deepEqual(models.order(CHAIN), [a, c]);
+
+  advance(1000);
+  assert.equal(models.state(b), "half-open");
+  assert.ok(models.order(CHAIN).includes(b));
+
+  models.record(b, { ok: true, ms: 10 });
+  assert.equal(models.state(b), "closed");
+});
+
+test("a failure while half-open reopens the model for twice as long, up to the maximum", (t) => {
+  const { models, advance } = tracker(t);
+  fail(models, a, 2);
+  advance(1000);
+  fail(models, a);
+  advance(1999);
+  assert.equal(models.state(a), "open");
+  advance(1);
+  fail(models, a);
+  advance(2999);
+  assert.equal(models.state(a), "open");
+  advance(1);
+  assert.equal(models.state(a), "half-open");
+});
+
+test("when every model is open the one that recovers first is still tried", (t) => {
+  const { models, advance } = tracker(t);
+  fail(models, a, 2);
+  advance(500);
+  fail(models, b, 2);
+  fail(models, c, 2);
+  assert.deepEqual(models.order(CHAIN), [a]);
+  assert.deepEqual(
+    models.snapshot().map(({ model, state, failures }) => [model, state, failures]),
+    [["a", "open", 2], ["b", "open", 2], ["c", "open", 2]]
+  );
+});
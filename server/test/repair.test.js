@@ -0,0 +1,56 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { cssLooksTruncated, hasBodyContent, looksTruncated, repairHtml } from "../lib/repair.js";
+
+const HEAD = "<html><head><title>T</title></head>";
+const codes = (warnings) => warnings.map((w) => w.code);
+
+test("a document cut off mid-body is detected and closed", () => {
+  const cut = `${HEAD}<body><main><section><h1>Hi</h1><p>text`;
+  assert.equal(looksTruncated(cut), true);
+
+  const { html, warnings } = repairHtml(cut);
+  assert.equal(html, `${cut}\n</section></main>\n</body>\n</html>`);
+  assert.deepEqual(codes(warnings), ["unclosed-elements"]);
+  assert.match(warnings[0].message, /Closed 2 unclosed element\(s\): main, section/);
+  assert.equal(looksTruncated(html), false);
+});
+
+test("a tag cut off before its > is dropped", () => {
+  const { html, warnings } = repairHtml(`${HEAD}<body><p>a</p><img src="x.png" alt="cut`);
+  assert.equal(html, `${HEAD}<body><p>a</p>\n</body>\n</html>`);
+  assert.deepEqual(codes(warnings), ["incomplete-tag"]);
+});
+
+test("unterminated comments and raw-text blocks are closed with a warning", () => {
+  const style = repairHtml(`${HEAD.slice(0, -7)}<style>body{color:red`);
+  assert.match(style.html, /body\{color:red\n<\/style>/);
+  assert.deepEqual(codes(style.warnings), ["truncated-style"]);
+
+  const comment = repairHtml("<html><body><!-- note");
+  assert.match(comment.html, /<!-- note -->\n<\/body>\n<\/html>$/);
+  assert.deepEqual(codes(comment.warnings), ["unclosed-comment", "missing-title"]);
+});
+
+test("stray end tags are removed and misnesting is reported", () => {
+  const { html, warnings } = repairHtml(`${HEAD}<body><div><span>a</div></span></body></html>`);
+  assert.equal(html, `${HEAD}<body><div><span>a</div></body></html>`);
+  assert.deepEqual(codes(warnings), ["stray-end-tags", "misnested-elements"]);
+});
+
+test("end tags browsers infer are left alone", () => {
+  const page = `${HEAD}<body><ul><li>a<li>b</ul><p>c</body></html>`;
+  assert.deepEqual(repairHtml(page), { html: page, warnings: [] });
+  assert.equal(looksTruncated(page), false);
+  assert.equal(looksTruncated(page, "length"), true);
+});
+
+test("stylesheets are truncated when their braces don't balance", () => {
+  assert.equal(cssLooksTruncated("a { color: red; } b { margin: 0"), true);
+  assert.equal(cssLooksTruncated("a { color: red; }"), false);
+});
+
+test("a body holding only comments and scripts has no content", () => {
+  assert.equal(hasBodyContent("<body><!-- x --><script>go()</script></body>"), false);
+  assert.equal(hasBodyContent("<body>Hello</body>"), true);
+});
@@ -0,0 +1,128 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import express from "express";
+
+// The share store writes to DATA_DIR, so point it somewhere disposable
+// before the modules that open it are loaded. It is removed on exit, once
+// the store's last write has landed.
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "shares-test-"));
+process.env.DATA_DIR = dataDir;
+process.on("exit", () => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+const { accessToken, checkPassword, createShare, deleteShare, getShare } = await import("../lib/shares.js");
+const { default: createShareSiteRouter } = await import("../routes/share-site.js");
+
+const HTML = "<!doctype html><html><head><title>Shared</title></head><body><p>Hello</p></body></html>";
+
+test("passwords are stored as salted scrypt hashes and checked against them", async () => {
+  const created = await createShare({ html: HTML, title: "Secret", password: "hunter2" });
+  assert.equal(created.protected, true);
+  assert.equal("password" in created || "html" in created || "deleteHash" in created, false);
+
+  const share = getShare(created.slug);
+  assert.match(share.password.hash, /^[0-9a-f]{64}$/);
+  assert.match(share.password.salt, /^[0-9a-f]{32}$/);
+  assert.doesNotMatch(JSON.stringify(share), /hunter2/);
+  assert.equal(await checkPassword(share, "hunter2"), true);
+  assert.equal(await checkPassword(share, "hunter3"), false);
+  assert.equal(await checkPassword(share, undefined), false);
+
+  const open = getShare((await createShare({ html: HTML })).slug);
+  assert.equal(open.password, null);
+  assert.equal(await checkPassword(open, "anything"), true);
+});
+
+test("slugs are short, URL-safe and unique", async () => {
+  const slugs = await Promise.all(Array.from({ length: 20 }, () => createShare({ html: HTML }).then((s) => s.slug)));
+  assert.ok(slugs.every((slug) => /^[A-Za-z0-9_-]{8}$/.test(slug)));
+  assert.equal(new Set(slugs).size, slugs.length);
+});
+
+test("the access cookie is an HMAC of the share's password hash", async () => {
+  const share = getShare((await createShare({ html: HTML, password: "pw" })).slug);
+  const token = accessToken(share, "secret");
+  assert.match(token, /^[A-Za-z0-9_-]{43}$/);
+  assert.equal(accessToken(share, "secret"), token);
+  assert.notEqual(accessToken(share, "other secret"), token);
+  assert.notEqual(accessToken({ ...share, password: { ...share.password, hash: "0".repeat(64) } }, "secret"), token);
+});
+
+test("expired shares answer 410 and are then dropped", async (t) => {
+  const { slug } = await createShare({ html: HTML, expiresIn: 60 });
+  const at = Date.now();
+  t.mock.method(Date, "now", () => at + 60_000);
+  assert.throws(() => getShare(slug), { status: 410, message: "This share link has expired" });
+  assert.throws(() => getShare(slug), { status: 404 });
+});
+
+test("deleting needs the token returned on creation", async () => {
+  const { slug, deleteToken } = await createShare({ html: HTML });
+  assert.throws(() => deleteShare(slug, "wrong"), { status: 403 });
+  assert.throws(() => deleteShare(slug), { status: 403 });
+  deleteShare(slug, deleteToken);
+  assert.throws(() => getShare(slug), { status: 404 });
+});
+
+/* ---------- password-protected pages ---------- */
+
+const serve = async (t, config) => {
+  const app = express();
+  app.use("/p", createShareSiteRouter({ secret: "secret", publicUrl: null, unlockPerMinute: 5, ...config }));
+  const server = app.listen(0);
+  t.after(() => server.close());
+  await new Promise((resolve) => server.once("listening", resolve));
+  const base = `http://127.0.0.1:${server.address().port}/p`;
+  return {
+    get: (slug, cookie) => fetch(`${base}/${slug}`, { headers: cookie ? { cookie } : {} }),
+    unlock: (slug, password) =>
+      fetch(`${base}/${slug}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/x-www-form-urlencoded" },
+        body: new URLSearchParams({ password }),
+        redirect: "manual",
+      }),
+  };
+};
+
+test("a protected page needs the password, then the cookie it sets", async (t) => {
+  const { slug } = await createShare({ html: HTML, password: "open sesame" });
+  const site = await serve(t);
+
+  const locked = await site.get(slug);
+  assert.equal(locked.status, 401);
+  assert.match(await locked.text(), /password protected/);
+
+  const wrong = await site.unlock(slug, "close sesame");
+  assert.equal(wrong.status, 401);
+  assert.match(await wrong.text(), /Wrong password, try again\./);
+
+  const right = await site.unlock(slug, "open sesame");
+  assert.equal(right.status, 303);
+  const cookie = right.headers.get("set-cookie").split(";")[0];
+  assert.match(right.headers.get("set-cookie"), new RegExp(`Path=/p/${slug}; HttpOnly; SameSite=Lax`));
+
+  const page = await site.get(slug, cookie);
+  assert.equal(page.status, 200);
+  assert.equal(await page.text(), HTML);
+
+  const tampered = await site.get(slug, `${cookie.slice(0, -2)}xx`);
+  assert.equal(tampered.status, 401);
+});
+
+test("password guesses are rate limited per share and client", async (t) => {
+  const { slug } = await createShare({ html: HTML, password: "pw" });
+  const other = await createShare({ html: HTML, password: "pw" });
+  const site = await serve(t, { unlockPerMinute: 2 });
+
+  assert.equal((await site.unlock(slug, "a")).status, 401);
+  assert.equal((await site.unlock(slug, "b")).status, 401);
+  const limited = await site.unlock(slug, "pw");
+  assert.equal(limited.status, 429);
+  assert.ok(Number(limited.headers.get("retry-after")) > 0);
+  assert.match(await limited.text(), /Too many attempts/);
+
+  assert.equal((await site.unlock(other.slug, "pw")).status, 303);
+});
@@ -0,0 +1,19 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { isSiteFiles, MAX_SITE_FILES } from "../lib/site.js";
+
+test("client-sent site files need clean names, string contents and an index page", () => {
+  assert.equal(isSiteFiles({ "index.html": "<p>Hi</p>", "style.css": "p{}" }), true);
+
+  for (const files of [null, [], "index.html", { "about.html": "x" }, { "index.html": 1 }, { "index.html": "x", "../etc.txt": "x" }, { "index.html": "x", "a.php": "x" }]) {
+    assert.equal(isSiteFiles(files), false, JSON.stringify(files));
+  }
+});
+
+test("a site may hold at most MAX_SITE_FILES files", () => {
+  const files = { "index.html": "x" };
+  for (let i = 1; i < MAX_SITE_FILES; i++) files[`page-${i}.html`] = "x";
+  assert.equal(isSiteFiles(files), true);
+  files["one-more.html"] = "x";
+  assert.equal(isSiteFiles(files), false);
+});
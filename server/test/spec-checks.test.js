@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { normalizeSpec } from "../lib/prompt.js";
+import { applySeo, applyTokens, enforceSpec } from "../lib/spec-checks.js";
+
+const PAGE = "<html><head><title>Old</title></head><body><p>Hi</p></body></html>";
+
+const count = (html, re) => (html.match(re) || []).length;
+
+test("applySeo keeps replacement patterns in spec text as written", () => {
+  const safe = normalizeSpec({ brief: "Cakes for $& and $$ fans", seo: { title: "Save $1 & $$" } });
+  const html = applySeo(PAGE, safe);
+
+  assert.match(html, /<title>Save \$1 &amp; \$\$<\/title>/);
+  assert.match(html, /<meta name="description" content="Cakes for \$&amp; and \$\$ fans"\/>/);
+  assert.match(html, /<meta property="og:title" content="Save \$1 &amp; \$\$"\/>/);
+  assert.doesNotMatch(html, /Old/);
+});
+
+test("applySeo and applyTokens replace their earlier tags instead of adding more", () => {
+  const safe = normalizeSpec({ brief: "A bakery", seo: { keywords: "cakes, bread" } });
+  const once = applyTokens(applySeo(PAGE, safe), safe);
+  const twice = applyTokens(applySeo(once, safe), safe);
+
+  assert.equal(twice, once);
+  assert.equal(count(twice, /<title>/g), 1);
+  assert.equal(count(twice, /<meta name="keywords"/g), 1);
+  assert.equal(count(twice, /<style id="design-tokens">/g), 1);
+});
+
+test("applySeo leaves pages without a <head> alone", () => {
+  const safe = normalizeSpec({ brief: "A bakery" });
+  assert.equal(applySeo("<p>No head</p>", safe), "<p>No head</p>");
+});
+
+test("enforceSpec keeps secondary page titles and adds robots.txt", () => {
+  const safe = normalizeSpec({ brief: "A bakery", seo: { title: "Bakery" } });
+  const files = {
+    "index.html": PAGE,
+    "about.html": "<html><head><title>About us</title></head><body></body></html>",
+  };
+  const { files: out } = enforceSpec({ html: PAGE, files }, safe);
+
+  assert.match(out["index.html"], /<title>Bakery<\/title>/);
+  assert.match(out["about.html"], /<title>About us<\/title>/);
+  assert.equal(typeof out["robots.txt"], "string");
+});
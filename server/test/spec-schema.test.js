@@ -0,0 +1,56 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { defaultSpec, migrateSpec, parseSpec, SPEC_VERSION } from "../../shared/spec-schema.js";
+
+test("specs saved before versioning are migrated to the current version", () => {
+  const migrated = migrateSpec({ projectName: "Old", provider: "chatgpt" });
+  assert.equal(migrated.specVersion, SPEC_VERSION);
+  assert.equal(migrated.provider, "");
+  assert.equal(migrateSpec({ provider: "openrouter" }).provider, "openrouter");
+});
+
+test("current specs pass through migration unchanged and newer ones are left alone", () => {
+  const current = { ...defaultSpec(), provider: "chatgpt" };
+  assert.deepEqual(migrateSpec(current), current);
+
+  const newer = { specVersion: SPEC_VERSION + 1, provider: "chatgpt" };
+  assert.equal(migrateSpec(newer), newer);
+  assert.deepEqual(parseSpec(newer).errors.map((e) => e.path), ["spec.specVersion"]);
+});
+
+test("parseSpec fills in defaults and reports nothing for a valid spec", () => {
+  const { spec, errors } = parseSpec({ brief: "A bakery", include: { cms: true } });
+  assert.deepEqual(errors, []);
+  assert.equal(spec.brief, "A bakery");
+  assert.equal(spec.include.cms, true);
+  assert.equal(spec.include.contactForm, true);
+  assert.equal(spec.layout, "landing");
+  assert.equal(spec.specVersion, SPEC_VERSION);
+});
+
+test("invalid fields are reported by path and replaced with their defaults", () => {
+  const { spec, errors } = parseSpec({
+    primaryColor: "red",
+    layout: "grid",
+    pages: ["Home", 7, "About"],
+    seo: { siteUrl: "example.com", extra: "x" },
+  });
+
+  assert.deepEqual(
+    errors.map((e) => e.path),
+    ["spec.layout", "spec.primaryColor", "spec.pages[1]", "spec.seo.extra", "spec.seo.siteUrl"]
+  );
+  assert.equal(errors.find((e) => e.path === "spec.primaryColor").message, "must be a hex colour like #2f6feb");
+  assert.equal(spec.primaryColor, defaultSpec().primaryColor);
+  assert.equal(spec.layout, "landing");
+  assert.deepEqual(spec.pages, ["Home", "About"]);
+  assert.equal(spec.seo.siteUrl, "");
+  assert.ok(!("extra" in spec.seo));
+});
+
+test("a spec that is not an object is replaced by the defaults", () => {
+  assert.deepEqual(parseSpec([], "body.spec"), {
+    spec: defaultSpec(),
+    errors: [{ path: "body.spec", message: "must be an object" }],
+  });
+});
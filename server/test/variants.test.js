@@ -0,0 +1,78 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { setTimeout as delay } from "node:timers/promises";
+import { normalizeSpec } from "../lib/prompt.js";
+import { loadVariantConfig, planVariants, runVariants, variantCount, variantLabel } from "../lib/variants.js";
+
+const config = { max: 4, concurrency: 2 };
+const mock = { id: "mock" };
+const CHAIN = [
+  { provider: mock, model: "a" },
+  { provider: mock, model: "b" },
+];
+const resolve = ({ model }) => CHAIN.find((a) => a.model === (model || "a")) || null;
+
+test("a variant count is spread over the chain, then over temperatures", () => {
+  const plan = planVariants(3, { chain: CHAIN, resolve, config });
+  assert.deepEqual(
+    plan.map(({ model, temperature }) => [model, temperature]),
+    [["a", 0.4], ["b", 0.4], ["a", 0.9]]
+  );
+});
+
+test("listed variants resolve their model and default the temperature", () => {
+  const plan = planVariants([{ model: "b", temperature: 1.2 }, {}], { chain: CHAIN, resolve, config });
+  assert.deepEqual(
+    plan.map(({ model, temperature }) => [model, temperature]),
+    [["b", 1.2], ["a", 0.4]]
+  );
+});
+
+test("invalid variant requests are rejected with a 400", () => {
+  const plan = (variants) => planVariants(variants, { chain: CHAIN, resolve, config });
+  const rejects = (variants, message) => assert.throws(() => plan(variants), (err) => err.status === 400 && message.test(err.message));
+
+  rejects(1, /between 2 and 4/);
+  rejects(5, /between 2 and 4/);
+  rejects([{}], /list of 2 to 4/);
+  rejects([{}, { temperature: 3 }], /variants\[1\]\.temperature/);
+  rejects([{}, { model: "c" }], /variants\[1\]: model "c" is not available/);
+});
+
+test("variantCount bills what will run and variantLabel names a variant", () => {
+  assert.equal(variantCount(3, config), 3);
+  assert.equal(variantCount([{}, {}], config), 2);
+  assert.equal(variantCount(10, config), 4);
+  assert.equal(variantCount("lots", config), 1);
+  assert.equal(variantLabel({ provider: mock, model: "a", temperature: 0.9 }), "mock / a, temperature 0.9");
+  assert.deepEqual(loadVariantConfig({ VARIANTS_CONCURRENCY: "3" }), { max: 4, concurrency: 3 });
+});
+
+test("runVariants runs at most `concurrency` variants at once and keeps their order", async () => {
+  let running = 0;
+  let peak = 0;
+  const provider = {
+    id: "fake",
+    async complete({ model }) {
+      running++;
+      peak = Math.max(peak, running);
+      await delay(model === "slow" ? 30 : 5);
+      running--;
+      if (model === "broken") throw new Error("Model is down");
+      return { text: `<!doctype html><html><head><title>${model}</title></head><body><p>Hello from ${model}</p></body></html>`, finishReason: "stop" };
+    },
+  };
+  const plan = ["slow", "b", "broken", "d"].map((model) => ({ provider, model, temperature: 0.4 }));
+  const finished = [];
+
+  const { variants, failed } = await runVariants(
+    plan,
+    { prompt: "A bakery", spec: normalizeSpec({ brief: "A bakery" }) },
+    { concurrency: 2, onFinish: (n, total) => finished.push(`${n}/${total}`) }
+  );
+
+  assert.equal(peak, 2);
+  assert.deepEqual(variants.map((v) => [v.index, v.model]), [[0, "slow"], [1, "b"], [3, "d"]]);
+  assert.deepEqual(failed.map((f) => [f.index, f.model]), [[2, "broken"]]);
+  assert.deepEqual(finished, ["1/4", "2/4", "3/4", "4/4"]);
+});
@@ -0,0 +1,209 @@
+// The SEO package built from spec.seo: social (Open Graph / Twitter) tags,
+// a canonical URL, JSON-LD structured data, sitemap.xml and robots.txt,
+// plus a score with suggestions for the form. Shared by the app and the
+// server like spec-schema.js, so it stays dependency-free.
+
+export const SITE_TYPES = ["Organization", "LocalBusiness", "Product", "SoftwareApplication", "Person"];
+
+// Brief keywords per structured-data type, most specific first.
+const TYPE_HINTS = [
+  ["LocalBusiness", /\b(clinic|dental|dentist|doctor|restaurant|caf[eé]|bakery|salon|barber|spa|gym|studio|hotel|plumb\w*|electrician|garage|florist|shop in|store in|near me|local)\b/i],
+  ["SoftwareApplication", /\b(saas|software|app|platform|api|dashboard|tool for|startup)\b/i],
+  ["Product", /\b(product|e-?commerce|online (?:shop|store)|buy|merch|launch)\b/i],
+  ["Person", /\b(portfolio|freelance\w*|personal (?:site|website|brand)|resume|cv|photographer|designer|artist|consultant)\b/i],
+];
+
+const TEMPLATE_TYPES = {
+  saas: "SoftwareApplication",
+  portfolio: "Person",
+  "corporate-site": "Organization",
+};
+
+const escape = (s = "") =>
+  String(s)
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;")
+    .replaceAll("'", "&#39;");
+
+const trim = (v) => (typeof v === "string" ? v.trim() : "");
+
+/**
+ * The schema.org type for the site: the spec's choice, else inferred from
+ * the brief, then the template, defaulting to Organization.
+ */
+export function inferSiteType(spec) {
+  const chosen = spec.seo?.type;
+  if (SITE_TYPES.includes(chosen)) return chosen;
+  const hint = TYPE_HINTS.find(([, re]) => re.test(spec.brief || ""));
+  return hint?.[0] || TEMPLATE_TYPES[spec.templateId] || "Organization";
+}
+
+// "https://example.com/" -> "https://example.com"; "" when not a web URL.
+export const siteOrigin = (spec) => {
+  const url = trim(spec.seo?.siteUrl);
+  return /^https?:\/\/[^\s/]+/i.test(url) ? url.replace(/\/+$/, "") : "";
+};
+
+// Public URL of a page file, "" without a site URL.
+export const pageUrl = (spec, file = "index.html") => {
+  const origin = siteOrigin(spec);
+  if (!origin) return "";
+  return file === "index.html" ? `${origin}/` : `${origin}/${file}`;
+};
+
+const titleOf = (spec) => trim(spec.seo?.title) || trim(spec.projectName);
+const descriptionOf = (spec) => trim(spec.seo?.description) || trim(spec.brief);
+
+/**
+ * Structured data for the site as one JSON-LD object: the WebSite and the
+ * entity behind it.
+ */
+export function structuredData(spec) {
+  const type = inferSiteType(spec);
+  const name = trim(spec.projectName) || titleOf(spec);
+  const url = pageUrl(spec) || undefined;
+  const description = descriptionOf(spec) || undefined;
+  const image = trim(spec.seo?.image) || undefined;
+
+  const entity = { "@type": type, name, description, url, image };
+  if (type === "Product") entity.brand = { "@type": "Brand", name };
+  if (type === "SoftwareApplication") {
+    entity.applicationCategory = "BusinessApplication";
+    entity.operatingSystem = "Web";
+  }
+  if (type === "Organization" || type === "LocalBusiness") entity.logo = image;
+
+  // The round trip drops the fields left undefined.
+  return JSON.parse(
+    JSON.stringify({
+      "@context": "https://schema.org",
+      "@graph": [{ "@type": "WebSite", name, url, description }, entity],
+    })
+  );
+}
+
+/**
+ * <head> tags for one page: canonical link, Open Graph and Twitter card
+ * metadata and the JSON-LD script. `title` overrides the site title on
+ * secondary pages.
+ */
+export function socialTags(spec, { file = "index.html", title } = {}) {
+  const pageTitle = trim(title) || titleOf(spec);
+  const description = descriptionOf(spec);
+  const url = pageUrl(spec, file);
+  const image = trim(spec.seo?.image);
+  const og = (property, content) => `<meta property="${property}" content="${escape(content)}"/>`;
+  const tw = (name, content) => `<meta name="${name}" content="${escape(content)}"/>`;
+
+  const tags = [];
+  if (url) tags.push(`<link rel="canonical" href="${escape(url)}"/>`);
+  tags.push(og("og:type", "website"), og("og:title", pageTitle), og("og:site_name", trim(spec.projectName) || pageTitle));
+  if (description) tags.push(og("og:description", description));
+  if (url) tags.push(og("og:url", url));
+  if (image) tags.push(og("og:image", image));
+  tags.push(tw("twitter:card", image ? "summary_large_image" : "summary"), tw("twitter:title", pageTitle));
+  if (description) tags.push(tw("twitter:description", description));
+  if (image) tags.push(tw("twitter:image", image));
+  // "<" is escaped so the JSON can't close the script element.
+  const json = JSON.stringify(structuredData(spec)).replaceAll("<", "\\u003c");
+  tags.push(`<script type="application/ld+json">${json}</script>`);
+  return tags;
+}
+
+/**
+ * sitemap.xml for the given page files, or null without a site URL (a
+ * sitemap needs absolute URLs).
+ */
+export function sitemapXml(spec, files = ["index.html"]) {
+  if (!siteOrigin(spec)) return null;
+  const urls = files.map((file) => `  <url>\n    <loc>${escape(pageUrl(spec, file))}</loc>\n  </url>`);
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.join("\n")}
+</urlset>
+`;
+}
+
+export function robotsTxt(spec) {
+  const origin = siteOrigin(spec);
+  return `User-agent: *\nAllow: /\n${origin ? `\nSitemap: ${origin}/sitemap.xml\n` : ""}`;
+}
+
+// Each check is worth `points`; failing ones become suggestions.
+const SEO_CHECKS = [
+  {
+    id: "title",
+    points: 20,
+    test: (s) => trim(s.seo.title).length >= 10 && trim(s.seo.title).length <= 60,
+    tip: (s) =>
+      trim(s.seo.title)
+        ? "Keep the site title between 10 and 60 characters so search results show it in full."
+        : "Add a site title; the project name alone rarely says what the site offers.",
+  },
+  {
+    id: "description",
+    points: 20,
+    test: (s) => trim(s.seo.description).length >= 70 && trim(s.seo.description).length <= 160,
+    tip: (s) =>
+      trim(s.seo.description)
+        ? "Aim for a meta description of 70 to 160 characters."
+        : "Add a meta description; it is the snippet shown under the title in search results.",
+  },
+  {
+    id: "distinct",
+    points: 5,
+    test: (s) => !trim(s.seo.description) || trim(s.seo.description) !== trim(s.seo.title),
+    tip: () => "Make the description say more than the title.",
+  },
+  {
+    id: "siteUrl",
+    points: 20,
+    test: (s) => !!siteOrigin(s),
+    tip: () => "Add the site URL to get canonical links and a sitemap.xml.",
+  },
+  {
+    id: "image",
+    points: 15,
+    test: (s) => /^https?:\/\//i.test(trim(s.seo.image)),
+    tip: () => "Add a social image URL (1200×630) so shared links show a large preview.",
+  },
+  {
+    id: "keywords",
+    points: 5,
+    test: (s) => {
+      const n = trim(s.seo.keywords).split(",").filter((k) => k.trim()).length;
+      return n >= 3 && n <= 10;
+    },
+    tip: () => "List 3 to 10 comma-separated keywords for the page copy to cover.",
+  },
+  {
+    id: "brief",
+    points: 10,
+    test: (s) => trim(s.brief).length >= 60,
+    tip: () => "A longer brief gives the model more to write about, and more for search engines to index.",
+  },
+  {
+    id: "pages",
+    points: 5,
+    test: (s) => s.layout === "landing" || (s.pages || []).length >= 2,
+    tip: () => "Pick at least two pages so the sitemap and navigation have something to link.",
+  },
+];
+
+/**
+ * 0–100 score for the spec's SEO settings, with one suggestion per failed
+ * check.
+ */
+export function seoScore(spec) {
+  const safe = { ...spec, seo: { title: "", description: "", keywords: "", ...spec.seo } };
+  const total = SEO_CHECKS.reduce((n, c) => n + c.points, 0);
+  let earned = 0;
+  const suggestions = [];
+  for (const check of SEO_CHECKS) {
+    if (check.test(safe)) earned += check.points;
+    else suggestions.push({ id: check.id, message: check.tip(safe) });
+  }
+  return { score: Math.round((earned / total) * 100), type: inferSiteType(safe), suggestions };
+}
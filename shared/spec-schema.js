@@ -0,0 +1,210 @@
+// The website spec: one JSON Schema, its defaults and the migrations from
+// older saved specs. Shared by the app (aiwebsitemaker/) and the server, so
+// it must stay dependency-free and runnable in both the browser and Node.
+//
+// Bump SPEC_VERSION whenever a change would misread specs saved earlier,
+// and add the matching step to MIGRATIONS.
+
+export const SPEC_VERSION = 1;
+
+const text = (maxLength, defaultValue = "") => ({ type: "string", maxLength, default: defaultValue });
+const flag = (defaultValue = false) => ({ type: "boolean", default: defaultValue });
+
+export const SPEC_SCHEMA = {
+  $schema: "https://json-schema.org/draft/2020-12/schema",
+  title: "Website spec",
+  type: "object",
+  properties: {
+    specVersion: {
+      type: "integer",
+      minimum: 0,
+      maximum: SPEC_VERSION,
+      default: SPEC_VERSION,
+      errorMessage: `must be at most ${SPEC_VERSION}; the spec comes from a newer version of the app`,
+    },
+    projectName: text(120, "Untitled Project"),
+    brief: text(8000),
+    provider: text(60),
+    model: text(200),
+    apiKeyAlias: text(120),
+    templateId: text(60, "clean-landing"),
+    layout: { type: "string", enum: ["landing", "onepage", "multipage"], default: "landing" },
+    style: text(60, "minimal"),
+    theme: { type: "string", enum: ["light", "dark"], default: "light" },
+    primaryColor: {
+      type: "string",
+      pattern: "^#[0-9a-fA-F]{6}$",
+      default: "#2f6feb",
+      errorMessage: "must be a hex colour like #2f6feb",
+    },
+    pages: {
+      type: "array",
+      maxItems: 30,
+      items: { type: "string", maxLength: 60 },
+      default: ["Home", "About", "Services", "Blog", "Contact", "FAQ", "Pricing"],
+    },
+    include: {
+      type: "object",
+      properties: {
+        cms: flag(),
+        auth: flag(),
+        contactForm: flag(true),
+        newsletter: flag(true),
+        analytics: flag(true),
+        imageGen: flag(),
+      },
+      additionalProperties: false,
+    },
+    seo: {
+      type: "object",
+      properties: {
+        title: text(120),
+        description: text(320),
+        keywords: text(300),
+        // Public address of the site, for canonical links and sitemap.xml.
+        siteUrl: {
+          type: "string",
+          maxLength: 300,
+          pattern: "^(https?://[^\\s/]+\\S*)?$",
+          default: "",
+          errorMessage: "must be an http(s) URL like https://example.com",
+        },
+        // Social share image (og:image / twitter:image).
+        image: {
+          type: "string",
+          maxLength: 1000,
+          pattern: "^(https?://\\S+)?$",
+          default: "",
+          errorMessage: "must be an http(s) URL",
+        },
+        // schema.org type for the JSON-LD; "auto" infers it (see shared/seo.js).
+        type: {
+          type: "string",
+          enum: ["auto", "Organization", "LocalBusiness", "Product", "SoftwareApplication", "Person"],
+          default: "auto",
+        },
+      },
+      additionalProperties: false,
+    },
+    // Design token overrides, keyed by token name (see server/lib/tokens.js).
+    tokens: {
+      type: "object",
+      additionalProperties: { type: "string", maxLength: 120 },
+      default: {},
+    },
+    tone: text(60, "neutral"),
+  },
+};
+
+// MIGRATIONS[n] upgrades a version-n spec to version n + 1. Specs saved
+// before versioning existed are version 0.
+const MIGRATIONS = [
+  // 0 -> 1: the first form defaulted `provider` to "chatgpt", which no
+  // longer names a provider; missing include/seo/tokens come from defaults.
+  (spec) => ({ ...spec, provider: spec.provider === "chatgpt" ? "" : spec.provider }),
+];
+
+const isPlainObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+
+function defaultOf(schema) {
+  if (schema.default !== undefined) return structuredClone(schema.default);
+  if (schema.type === "object") {
+    return Object.fromEntries(
+      Object.entries(schema.properties || {}).map(([key, sub]) => [key, defaultOf(sub)])
+    );
+  }
+  return undefined;
+}
+
+export const defaultSpec = () => defaultOf(SPEC_SCHEMA);
+
+const TYPE_CHECKS = {
+  string: (v) => typeof v === "string",
+  boolean: (v) => typeof v === "boolean",
+  integer: Number.isInteger,
+  array: Array.isArray,
+  object: isPlainObject,
+};
+
+const TYPE_NAMES = { string: "a string", boolean: "true or false", integer: "an integer", array: "an array", object: "an object" };
+
+// Checks `value` against `schema`, recording problems in `errors`, and
+// returns it with every invalid or missing part replaced by its default.
+function check(schema, value, path, errors) {
+  const fail = (message) => {
+    errors.push({ path, message: schema.errorMessage || message });
+    return defaultOf(schema);
+  };
+
+  if (schema.type && !TYPE_CHECKS[schema.type](value)) return fail(`must be ${TYPE_NAMES[schema.type]}`);
+  if (schema.enum && !schema.enum.includes(value)) return fail(`must be one of: ${schema.enum.join(", ")}`);
+  if (schema.pattern && !new RegExp(schema.pattern).test(value)) return fail(`must match ${schema.pattern}`);
+  if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+    return fail(`must be at most ${schema.maxLength} characters`);
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) return fail(`must be at least ${schema.minimum}`);
+  if (schema.maximum !== undefined && value > schema.maximum) return fail(`must be at most ${schema.maximum}`);
+
+  if (schema.type === "array") {
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      return fail(`must have at most ${schema.maxItems} items`);
+    }
+    // A bad entry is dropped rather than the whole list.
+    const items = [];
+    value.forEach((item, i) => {
+      const before = errors.length;
+      const next = check(schema.items, item, `${path}[${i}]`, errors);
+      if (errors.length === before) items.push(next);
+    });
+    return items;
+  }
+
+  if (schema.type === "object") {
+    const out = {};
+    const properties = schema.properties || {};
+    for (const [key, sub] of Object.entries(value)) {
+      if (properties[key]) continue;
+      if (schema.additionalProperties === false) {
+        errors.push({ path: `${path}.${key}`, message: "is not a known field" });
+      } else if (isPlainObject(schema.additionalProperties)) {
+        const next = check(schema.additionalProperties, sub, `${path}.${key}`, errors);
+        if (next !== undefined) out[key] = next;
+      } else {
+        out[key] = sub;
+      }
+    }
+    for (const [key, sub] of Object.entries(properties)) {
+      out[key] = value[key] === undefined ? defaultOf(sub) : check(sub, value[key], `${path}.${key}`, errors);
+    }
+    return out;
+  }
+
+  return value;
+}
+
+/**
+ * Upgrades a saved spec to SPEC_VERSION. Specs from a newer version are
+ * returned unchanged (parseSpec reports them).
+ */
+export function migrateSpec(spec) {
+  let version = Number.isInteger(spec.specVersion) ? spec.specVersion : 0;
+  if (version > SPEC_VERSION) return spec;
+  let out = spec;
+  for (; version < SPEC_VERSION; version++) out = MIGRATIONS[version](out);
+  return { ...out, specVersion: SPEC_VERSION };
+}
+
+/**
+ * Migrates and validates a spec from any source (storage, an imported
+ * file, a request body). Returns the usable `spec`, with every missing or
+ * invalid field set to its default, and the `errors` found
+ * ([{ path, message }], empty when the input was valid).
+ */
+export function parseSpec(input, path = "spec") {
+  if (!isPlainObject(input)) {
+    return { spec: defaultSpec(), errors: [{ path, message: "must be an object" }] };
+  }
+  const errors = [];
+  const spec = check(SPEC_SCHEMA, migrateSpec(input), path, errors);
+  return { spec, errors };
+}